@@ -1,8 +1,11 @@
 const { extractTextFromPDF } = require("../utils/pdfParser");
 const { analyzeResearch } = require("../utils/researchAnalyzer");
+const { enqueueJob, getJobFile } = require("../utils/jobQueue");
+
+const ANALYZE_PAPER_JOB = "analyze-paper";
 
 /**
- * Analyzes a research paper PDF
+ * Queues analysis of a research paper PDF
  * @param {Object} req - Express request object
  * @param {Object} res - Express response object
  */
@@ -26,25 +29,19 @@ async function analyzePaper(req, res) {
       });
     }
 
-    // Extract text from PDF
-    const extractedText = await extractTextFromPDF(req.file.buffer);
-
-    // Check if extracted text is valid
-    if (!extractedText || extractedText.trim().length === 0) {
-      return res.status(400).json({
-        error:
-          "Could not extract text from the PDF. The file may be corrupted, password-protected, or contain only images.",
-      });
-    }
-
-    // Analyze research paper
-    const analysis = await analyzeResearch(extractedText, synopsisType);
+    // Queue the analysis and let the client poll for the result
+    const { job, accessToken } = await enqueueJob(ANALYZE_PAPER_JOB, {
+      query: { synopsis: synopsisType },
+      file: req.file,
+      owner: req.user?._id,
+    });
 
-    // Return the analysis results
-    res.status(200).json({
+    res.status(202).json({
       success: true,
-      synopsisType,
-      analysis,
+      jobId: job._id,
+      accessToken,
+      status: job.status,
+      statusUrl: `/jobs/${job._id}`,
     });
   } catch (error) {
     console.error("Error in analyzePaper:", error);
@@ -54,4 +51,40 @@ async function analyzePaper(req, res) {
   }
 }
 
-module.exports = { analyzePaper };
+/**
+ * Runs a queued paper analysis job
+ * @param {Object} job - Job document with the uploaded PDF
+ * @param {Function} updateProgress - Reports job progress (0-100)
+ * @returns {Promise<Object>} - Job result
+ */
+async function runAnalyzePaperJob(job, updateProgress) {
+  const synopsisType = job.input.query.synopsis || "moderate";
+
+  // Extract text from PDF
+  await updateProgress(10, "Extracting text from PDF");
+  const pdfBuffer = await getJobFile(job);
+  const extractedText = await extractTextFromPDF(pdfBuffer);
+
+  // Check if extracted text is valid
+  if (!extractedText || extractedText.trim().length === 0) {
+    const error = new Error(
+      "Could not extract text from the PDF. The file may be corrupted, password-protected, or contain only images."
+    );
+    error.statusCode = 400;
+    throw error;
+  }
+
+  // Analyze research paper
+  await updateProgress(40, "Analyzing paper");
+  const analysis = await analyzeResearch(extractedText, synopsisType);
+
+  return {
+    result: {
+      success: true,
+      synopsisType,
+      analysis,
+    },
+  };
+}
+
+module.exports = { analyzePaper, runAnalyzePaperJob, ANALYZE_PAPER_JOB };
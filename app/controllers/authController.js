@@ -0,0 +1,168 @@
+const dbConnect = require("../utils/dbConnect");
+const User = require("../models/User");
+const { signToken } = require("../middleware/auth");
+
+/**
+ * Shape a user document for API responses
+ * @param {Object} user - User document
+ * @returns {Object} - Public user details
+ */
+function formatUser(user) {
+  return {
+    id: user._id,
+    name: user.name,
+    email: user.email,
+    createdAt: user.createdAt,
+  };
+}
+
+/**
+ * Register a new user account
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+async function register(req, res) {
+  try {
+    // Connect to database
+    await dbConnect();
+
+    const { name, email, password } = req.body;
+
+    // Validate required fields
+    if (!name || !email || !password) {
+      return res.status(400).json({
+        success: false,
+        error: "Missing required fields (name, email, password)",
+      });
+    }
+
+    if (
+      typeof name !== "string" ||
+      typeof email !== "string" ||
+      typeof password !== "string"
+    ) {
+      return res.status(400).json({
+        success: false,
+        error: "Name, email and password must be strings",
+      });
+    }
+
+    if (password.length < 8) {
+      return res.status(400).json({
+        success: false,
+        error: "Password must be at least 8 characters",
+      });
+    }
+
+    // Check the email isn't already registered, normalized as the schema
+    // stores it
+    const normalizedEmail = email.trim().toLowerCase();
+    const existingUser = await User.findOne({ email: normalizedEmail });
+    if (existingUser) {
+      return res.status(409).json({
+        success: false,
+        error: "An account with this email already exists",
+      });
+    }
+
+    const user = await User.create({ name, email: normalizedEmail, password });
+
+    res.status(201).json({
+      success: true,
+      message: "Account created successfully",
+      token: signToken(user),
+      user: formatUser(user),
+    });
+  } catch (error) {
+    console.error("Error registering user:", error);
+
+    // Registered by a concurrent request since the check above
+    if (error.code === 11000) {
+      return res.status(409).json({
+        success: false,
+        error: "An account with this email already exists",
+      });
+    }
+
+    if (error.name === "ValidationError") {
+      return res.status(400).json({
+        success: false,
+        error: error.message,
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      error: error.message || "Server error",
+    });
+  }
+}
+
+/**
+ * Log in with email and password
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+async function login(req, res) {
+  try {
+    // Connect to database
+    await dbConnect();
+
+    const { email, password } = req.body;
+
+    if (!email || !password) {
+      return res.status(400).json({
+        success: false,
+        error: "Missing required fields (email, password)",
+      });
+    }
+
+    if (typeof email !== "string" || typeof password !== "string") {
+      return res.status(400).json({
+        success: false,
+        error: "Email and password must be strings",
+      });
+    }
+
+    // The password hash is not selected by default
+    const user = await User.findOne({
+      email: email.trim().toLowerCase(),
+    }).select("+password");
+
+    if (!user || !(await user.comparePassword(password))) {
+      return res.status(401).json({
+        success: false,
+        error: "Invalid email or password",
+      });
+    }
+
+    user.lastLoginAt = new Date();
+    await user.save();
+
+    res.status(200).json({
+      success: true,
+      token: signToken(user),
+      user: formatUser(user),
+    });
+  } catch (error) {
+    console.error("Error logging in:", error);
+    res.status(500).json({
+      success: false,
+      error: error.message || "Server error",
+    });
+  }
+}
+
+/**
+ * Get the signed-in user
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+async function getCurrentUser(req, res) {
+  res.status(200).json({
+    success: true,
+    user: formatUser(req.user),
+  });
+}
+
+module.exports = { register, login, getCurrentUser };
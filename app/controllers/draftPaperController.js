@@ -0,0 +1,259 @@
+const mongoose = require("mongoose");
+const dbConnect = require("../utils/dbConnect");
+const Idea = require("../models/Idea");
+const Room = require("../models/Room");
+const DraftPaper = require("../models/DraftPaper");
+const { isOwner } = require("../middleware/auth");
+const {
+  generateResearchPaper,
+  resolvePaperFormat,
+  PAPER_FORMATS,
+} = require("../utils/geminiClient");
+const {
+  OUTPUT_TYPES,
+  resolveOutputType,
+  sendHtml,
+  sendHtmlAsPdf,
+} = require("../utils/paperOutput");
+
+// Used when the author doesn't supply these; the idea itself has no equivalent
+const DEFAULT_OBJECTIVES = [
+  "Derive concrete research objectives from the problem statement and proposed solution",
+];
+const DEFAULT_METHODOLOGY =
+  "Propose a suitable methodology for implementing and evaluating the proposed solution.";
+const DEFAULT_OUTCOMES =
+  "Describe the expected outcomes and how they address the problem statement.";
+
+/**
+ * Normalise a string or array field into an array of trimmed strings
+ * @param {string|Array} value - Raw value from the request body
+ * @param {RegExp} separator - Separator used when the value is a string
+ * @returns {Array<string>} - Non-empty trimmed entries
+ */
+function toList(value, separator) {
+  if (!value) return [];
+  const items = Array.isArray(value) ? value : String(value).split(separator);
+  return items.map((item) => String(item).trim()).filter(Boolean);
+}
+
+/**
+ * Shape a draft document for API responses
+ * @param {Object} draft - DraftPaper document
+ * @returns {Object} - Draft details
+ */
+function formatDraft(draft) {
+  return {
+    id: draft._id,
+    ideaId: draft.ideaId,
+    roomId: draft.roomId,
+    title: draft.title,
+    format: draft.format,
+    authors: draft.authors,
+    objectives: draft.objectives,
+    methodology: draft.methodology,
+    outcomes: draft.outcomes,
+    references: draft.references,
+    htmlContent: draft.htmlContent,
+    revision: draft.revision,
+    createdAt: draft.createdAt,
+    updatedAt: draft.updatedAt,
+  };
+}
+
+/**
+ * Generate (or regenerate) a draft research paper from a submitted idea
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+async function generateDraftPaper(req, res) {
+  try {
+    // Connect to database
+    await dbConnect();
+
+    const { ideaId } = req.params;
+
+    if (!mongoose.Types.ObjectId.isValid(ideaId)) {
+      return res.status(400).json({
+        success: false,
+        error: "Invalid idea ID",
+      });
+    }
+
+    // Find the idea the draft is based on
+    const idea = await Idea.findById(ideaId);
+    if (!idea) {
+      return res.status(404).json({
+        success: false,
+        error: "Idea not found",
+      });
+    }
+
+    // Only the idea's author may generate drafts from it; for ideas from
+    // before accounts existed, room owners and moderators may
+    const room = idea.author ? null : await Room.findById(idea.roomId);
+    const canGenerate =
+      isOwner(idea.author, req.user) ||
+      (room && room.hasRole(req.user, "moderator"));
+    if (!canGenerate) {
+      return res.status(403).json({
+        success: false,
+        error: "Only the author of this idea can generate its draft paper",
+      });
+    }
+
+    const existingDraft = await DraftPaper.findOne({ ideaId: idea._id });
+
+    // Fields not supplied on regeneration fall back to the previous draft
+    const previous = existingDraft || {};
+    const body = req.body || {};
+
+    const format = resolvePaperFormat(body.format || previous.format || "IEEE");
+    if (!format) {
+      return res.status(400).json({
+        success: false,
+        error: `Invalid format. Must be one of: ${PAPER_FORMATS.join(", ")}`,
+      });
+    }
+
+    const authors = body.authors
+      ? toList(body.authors, /,/)
+      : previous.authors?.length
+      ? previous.authors
+      : [idea.authorName];
+    const objectives = body.objectives
+      ? toList(body.objectives, /\n/)
+      : previous.objectives || [];
+    const references = body.references
+      ? toList(body.references, /\n/)
+      : previous.references || [];
+    const methodology = body.methodology || previous.methodology || "";
+    const outcomes = body.outcomes || previous.outcomes || "";
+
+    // Generate the paper from the idea fields
+    const htmlContent = await generateResearchPaper({
+      title: idea.title,
+      authors,
+      email: idea.authorEmail,
+      domain: idea.domain,
+      description: idea.description,
+      problemStatement: idea.problemStatement,
+      proposedSolution: idea.proposedSolution,
+      objectives: objectives.length > 0 ? objectives : DEFAULT_OBJECTIVES,
+      methodology: methodology || DEFAULT_METHODOLOGY,
+      outcomes: outcomes || DEFAULT_OUTCOMES,
+      references,
+      format,
+    });
+
+    // Upsert so that two requests for a new draft cannot both insert one
+    const { value: draft, lastErrorObject } = await DraftPaper.findOneAndUpdate(
+      { ideaId: idea._id },
+      {
+        $set: {
+          roomId: idea.roomId,
+          title: idea.title,
+          format,
+          authors,
+          objectives,
+          methodology,
+          outcomes,
+          references,
+          htmlContent,
+          updatedAt: new Date(),
+        },
+        // Starts at 1 for a new draft
+        $inc: { revision: 1 },
+      },
+      {
+        upsert: true,
+        new: true,
+        runValidators: true,
+        includeResultMetadata: true,
+      }
+    );
+    const regenerated = lastErrorObject.updatedExisting;
+
+    res.status(regenerated ? 200 : 201).json({
+      success: true,
+      message: regenerated
+        ? "Draft paper regenerated successfully"
+        : "Draft paper generated successfully",
+      draft: formatDraft(draft),
+    });
+  } catch (error) {
+    console.error("Error generating draft paper:", error);
+    res.status(500).json({
+      success: false,
+      error: error.message || "Server error",
+    });
+  }
+}
+
+/**
+ * Get the stored draft paper for an idea as JSON, HTML or a PDF download
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+async function getDraftPaper(req, res) {
+  try {
+    // Connect to database
+    await dbConnect();
+
+    const { ideaId } = req.params;
+
+    if (!mongoose.Types.ObjectId.isValid(ideaId)) {
+      return res.status(400).json({
+        success: false,
+        error: "Invalid idea ID",
+      });
+    }
+
+    // Validate requested output type
+    const outputType = resolveOutputType(req);
+    if (!outputType) {
+      return res.status(400).json({
+        success: false,
+        error: `Invalid output. Must be one of: ${OUTPUT_TYPES.join(", ")}`,
+      });
+    }
+
+    const draft = await DraftPaper.findOne({ ideaId });
+    if (!draft) {
+      return res.status(404).json({
+        success: false,
+        error: "No draft paper has been generated for this idea",
+      });
+    }
+
+    // Drafts of ideas in private rooms are only visible to members
+    const room = await Room.findById(draft.roomId);
+    if (room && !room.canView(req.user)) {
+      return res.status(403).json({
+        success: false,
+        error: "This draft belongs to an idea in a private room",
+      });
+    }
+
+    if (outputType === "html") {
+      return sendHtml(res, draft.htmlContent);
+    }
+
+    if (outputType === "pdf") {
+      return await sendHtmlAsPdf(res, draft.htmlContent, draft.title);
+    }
+
+    res.status(200).json({
+      success: true,
+      draft: formatDraft(draft),
+    });
+  } catch (error) {
+    console.error("Error getting draft paper:", error);
+    res.status(500).json({
+      success: false,
+      error: error.message || "Server error",
+    });
+  }
+}
+
+module.exports = { generateDraftPaper, getDraftPaper };
@@ -1,7 +1,136 @@
 const dbConnect = require("../utils/dbConnect");
 const Idea = require("../models/Idea");
 const Room = require("../models/Room");
-const { checkIdeaUniqueness } = require("../utils/uniquenessChecker");
+const IdeaVersion = require("../models/IdeaVersion");
+const DraftPaper = require("../models/DraftPaper");
+const { isOwner } = require("../middleware/auth");
+const {
+  checkIdeaUniquenessInRoom,
+  getScoringSettings,
+} = require("../utils/uniquenessChecker");
+const { indexIdea, unindexIdea } = require("../utils/ideaIndex");
+const {
+  ORIGINALITY_SCOPES,
+  checkCrossRoomOriginality,
+} = require("../utils/crossRoomOriginality");
+const {
+  RESCORE_ROOM_JOB,
+  refreshSimilarityLinks,
+} = require("../utils/similarityGraph");
+const { enqueueJob } = require("../utils/jobQueue");
+const { RANKING_WEIGHTS, rankIdeas } = require("../utils/ideaRanking");
+
+// Fields an author can change when editing an idea
+const EDITABLE_FIELDS = [
+  "title",
+  "description",
+  "domain",
+  "problemStatement",
+  "proposedSolution",
+];
+
+// Accepted vote types and the value stored for each
+const VOTE_VALUES = { up: 1, down: -1, none: 0 };
+
+/**
+ * Get the signed-in user's vote on an idea
+ * @param {Object} idea - Idea document with voters
+ * @param {Object} user - Signed-in user (may be null)
+ * @returns {string|null} - "up", "down" or null if the user has not voted
+ */
+function getUserVote(idea, user) {
+  if (!user || !idea.voters) return null;
+  const vote = idea.voters.find(
+    (v) => v.user.toString() === user._id.toString()
+  );
+  if (!vote) return null;
+  return vote.value > 0 ? "up" : "down";
+}
+
+/**
+ * Save the current content of an idea as a version before it changes
+ * @param {Object} idea - Idea document about to be edited or deleted
+ * @param {string} action - "updated" or "deleted"
+ * @param {Object} user - User making the change
+ * @returns {Promise<Object>} - The IdeaVersion document
+ */
+async function snapshotIdea(idea, action, user) {
+  return IdeaVersion.create({
+    ideaId: idea._id,
+    roomId: idea.roomId,
+    version: idea.version || 1,
+    action,
+    title: idea.title,
+    description: idea.description,
+    domain: idea.domain,
+    problemStatement: idea.problemStatement,
+    proposedSolution: idea.proposedSolution,
+    uniquenessScore: idea.uniquenessScore,
+    fieldUniqueness: idea.fieldUniqueness,
+    createdAt: idea.updatedAt || idea.createdAt,
+    changedBy: user._id,
+  });
+}
+
+/**
+ * Build the atomic update that moves a member's vote from one value to another.
+ * The filter only matches while the stored vote is still the one that was
+ * read, so concurrent requests cannot count a member twice.
+ * @param {Object} ideaId - ID of the idea
+ * @param {Object} userId - ID of the voter
+ * @param {number} currentValue - Stored vote (1, -1 or 0 for none)
+ * @param {number} newValue - Vote to store (1, -1 or 0 to withdraw)
+ * @returns {Object} - { filter, update } for findOneAndUpdate
+ */
+function buildVoteUpdate(ideaId, userId, currentValue, newValue) {
+  // First vote
+  if (currentValue === 0) {
+    return {
+      filter: { _id: ideaId, "voters.user": { $ne: userId } },
+      update: {
+        $push: { voters: { user: userId, value: newValue } },
+        $inc: {
+          votes: newValue,
+          upvotes: newValue > 0 ? 1 : 0,
+          downvotes: newValue < 0 ? 1 : 0,
+        },
+      },
+    };
+  }
+
+  const filter = {
+    _id: ideaId,
+    voters: { $elemMatch: { user: userId, value: currentValue } },
+  };
+
+  // Withdrawn vote
+  if (newValue === 0) {
+    return {
+      filter,
+      update: {
+        $pull: { voters: { user: userId } },
+        $inc: {
+          votes: -currentValue,
+          upvotes: currentValue > 0 ? -1 : 0,
+          downvotes: currentValue < 0 ? -1 : 0,
+        },
+      },
+    };
+  }
+
+  // Changed vote
+  return {
+    filter,
+    update: {
+      $set: { "voters.$.value": newValue, "voters.$.votedAt": new Date() },
+      $inc: {
+        votes: newValue - currentValue,
+        upvotes: newValue > 0 ? 1 : -1,
+        downvotes: newValue < 0 ? 1 : -1,
+      },
+    },
+  };
+}
 
 /**
  * Submit a new idea and check its uniqueness
@@ -20,9 +149,8 @@ async function submitIdea(req, res) {
       domain,
       problemStatement,
       proposedSolution,
-      authorName,
-      authorEmail,
       roomId,
+      originalityScope = "room",
     } = req.body;
 
     // Validate required fields
@@ -32,7 +160,6 @@ async function submitIdea(req, res) {
       "domain",
       "problemStatement",
       "proposedSolution",
-      "authorName",
       "roomId",
     ];
     const missingFields = requiredFields.filter((field) => !req.body[field]);
@@ -45,6 +172,15 @@ async function submitIdea(req, res) {
       });
     }
 
+    if (!ORIGINALITY_SCOPES.includes(originalityScope)) {
+      return res.status(400).json({
+        success: false,
+        error: `originalityScope must be one of: ${ORIGINALITY_SCOPES.join(
+          ", "
+        )}`,
+      });
+    }
+
     // Verify room exists and is active
     const room = await Room.findById(roomId);
     if (!room) {
@@ -54,6 +190,14 @@ async function submitIdea(req, res) {
       });
     }
 
+    // Only members can submit ideas to private rooms
+    if (!room.canView(req.user)) {
+      return res.status(403).json({
+        success: false,
+        error: "This room is private. Join it with its access code first.",
+      });
+    }
+
     if (!room.isActive || room.expiresAt < new Date()) {
       return res.status(400).json({
         success: false,
@@ -61,9 +205,6 @@ async function submitIdea(req, res) {
       });
     }
 
-    // Get existing ideas in the room for uniqueness check
-    const existingIdeas = await Idea.find({ roomId });
-
     // Create new idea object
     const newIdea = {
       title,
@@ -71,13 +212,17 @@ async function submitIdea(req, res) {
       domain,
       problemStatement,
       proposedSolution,
-      authorName,
-      authorEmail,
+      // The signed-in user is the author
+      author: req.user._id,
+      authorName: req.user.name,
+      authorEmail: req.user.email,
       roomId,
     };
 
-    // Check uniqueness against existing ideas
-    const uniquenessResult = await checkIdeaUniqueness(newIdea, existingIdeas);
+    // Check uniqueness against the nearest existing ideas in the room
+    const uniquenessResult = await checkIdeaUniquenessInRoom(newIdea, roomId, {
+      settings: getScoringSettings(room),
+    });
 
     // If idea is rejected due to exact match, return error
     if (uniquenessResult.isRejected) {
@@ -85,9 +230,22 @@ async function submitIdea(req, res) {
         success: false,
         error: "Idea rejected",
         explanation: uniquenessResult.explanation,
+        nearDuplicate: uniquenessResult.nearDuplicate,
       });
     }
 
+    // Optionally compare with ideas in other rooms too. Degraded ideas have
+    // no embeddings to compare until they are re-scored.
+    const crossRoomAnalysis =
+      originalityScope === "room" || uniquenessResult.degraded
+        ? undefined
+        : await checkCrossRoomOriginality(
+            uniquenessResult.embeddings,
+            room,
+            req.user,
+            originalityScope
+          );
+
     // Save the idea with uniqueness analysis
     const idea = new Idea({
       ...newIdea,
@@ -95,6 +253,8 @@ async function submitIdea(req, res) {
       fieldUniqueness: uniquenessResult.fieldUniqueness,
       embeddings: uniquenessResult.embeddings,
       hashes: uniquenessResult.hashes,
+      nearDuplicateBands: uniquenessResult.nearDuplicateBands,
+      isDegraded: Boolean(uniquenessResult.degraded),
       similarIdeas: uniquenessResult.similarIdeas.map((similar) => ({
         ideaId: similar.ideaId,
         similarityScore: similar.similarityScore,
@@ -105,6 +265,23 @@ async function submitIdea(req, res) {
     });
 
     await idea.save();
+    await indexIdea(idea);
+
+    // Let the matched ideas know about the new one. The idea is already
+    // saved, so a failure here should not fail the submission.
+    try {
+      await refreshSimilarityLinks(idea, uniquenessResult.matchedIdeaIds);
+    } catch (error) {
+      console.error("Error updating similar ideas:", error);
+    }
+
+    // Submitting to a public room makes the author a member
+    if (!room.getMemberRole(req.user)) {
+      await Room.updateOne(
+        { _id: room._id, "members.user": { $ne: req.user._id } },
+        { $push: { members: { user: req.user._id, role: "member" } } }
+      );
+    }
 
     // Return the created idea with uniqueness analysis
     res.status(201).json({
@@ -118,15 +295,20 @@ async function submitIdea(req, res) {
         problemStatement: idea.problemStatement,
         proposedSolution: idea.proposedSolution,
         authorName: idea.authorName,
+        authorId: idea.author,
         createdAt: idea.createdAt,
         roomId: idea.roomId,
         uniquenessScore: idea.uniquenessScore,
         fieldUniqueness: idea.fieldUniqueness,
+        isDegraded: idea.isDegraded,
       },
       uniquenessAnalysis: {
         uniquenessScore: uniquenessResult.uniquenessScore,
         fieldUniqueness: uniquenessResult.fieldUniqueness,
         explanation: uniquenessResult.explanation,
+        exactMatch: uniquenessResult.exactMatch,
+        nearDuplicate: uniquenessResult.nearDuplicate,
+        degraded: Boolean(uniquenessResult.degraded),
         similarIdeas: uniquenessResult.similarIdeas.map((idea) => ({
           ideaId: idea.ideaId,
           similarityScore: idea.similarityScore,
@@ -134,6 +316,7 @@ async function submitIdea(req, res) {
           explanation: idea.explanation,
         })),
       },
+      crossRoomAnalysis,
     });
   } catch (error) {
     console.error("Error submitting idea:", error);
@@ -166,10 +349,18 @@ async function getRoomIdeas(req, res) {
       });
     }
 
+    // Private rooms are closed to non-members
+    if (!room.canView(req.user)) {
+      return res.status(403).json({
+        success: false,
+        error: "This room is private. Join it with its access code to view it.",
+      });
+    }
+
     // Get all ideas for the room
     const ideas = await Idea.find({ roomId })
       .select(
-        "title description domain problemStatement proposedSolution authorName createdAt uniquenessScore fieldUniqueness"
+        "title description domain problemStatement proposedSolution authorName author createdAt uniquenessScore fieldUniqueness isDegraded"
       )
       .sort("-createdAt");
 
@@ -185,9 +376,11 @@ async function getRoomIdeas(req, res) {
         problemStatement: idea.problemStatement,
         proposedSolution: idea.proposedSolution,
         authorName: idea.authorName,
+        authorId: idea.author,
         createdAt: idea.createdAt,
         uniquenessScore: idea.uniquenessScore,
         fieldUniqueness: idea.fieldUniqueness,
+        isDegraded: idea.isDegraded || false,
       })),
     });
   } catch (error) {
@@ -226,6 +419,15 @@ async function getSimilarIdeas(req, res) {
       });
     }
 
+    // Ideas in private rooms are only visible to members
+    const room = await Room.findById(idea.roomId);
+    if (room && !room.canView(req.user)) {
+      return res.status(403).json({
+        success: false,
+        error: "This idea belongs to a private room",
+      });
+    }
+
     // Return the similar ideas
     res.status(200).json({
       success: true,
@@ -235,22 +437,25 @@ async function getSimilarIdeas(req, res) {
         uniquenessScore: idea.uniquenessScore,
         fieldUniqueness: idea.fieldUniqueness,
       },
-      similarIdeas: idea.similarIdeas.map((similar) => ({
-        idea: {
-          id: similar.ideaId._id,
-          title: similar.ideaId.title,
-          description: similar.ideaId.description,
-          domain: similar.ideaId.domain,
-          problemStatement: similar.ideaId.problemStatement,
-          proposedSolution: similar.ideaId.proposedSolution,
-          authorName: similar.ideaId.authorName,
-          createdAt: similar.ideaId.createdAt,
-          uniquenessScore: similar.ideaId.uniquenessScore,
-        },
-        similarityScore: similar.similarityScore,
-        fieldSimilarity: similar.fieldSimilarity,
-        explanation: similar.explanation,
-      })),
+      // Links to ideas deleted before cleanup existed populate as null
+      similarIdeas: idea.similarIdeas
+        .filter((similar) => similar.ideaId)
+        .map((similar) => ({
+          idea: {
+            id: similar.ideaId._id,
+            title: similar.ideaId.title,
+            description: similar.ideaId.description,
+            domain: similar.ideaId.domain,
+            problemStatement: similar.ideaId.problemStatement,
+            proposedSolution: similar.ideaId.proposedSolution,
+            authorName: similar.ideaId.authorName,
+            createdAt: similar.ideaId.createdAt,
+            uniquenessScore: similar.ideaId.uniquenessScore,
+          },
+          similarityScore: similar.similarityScore,
+          fieldSimilarity: similar.fieldSimilarity,
+          explanation: similar.explanation,
+        })),
     });
   } catch (error) {
     console.error("Error getting similar ideas:", error);
@@ -261,4 +466,704 @@ async function getSimilarIdeas(req, res) {
   }
 }
 
-module.exports = { submitIdea, getRoomIdeas, getSimilarIdeas };
+/**
+ * Vote an idea up or down. Each room member has one vote per idea: voting the
+ * same way again (or sending "none") withdraws it, voting the other way
+ * changes it.
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+async function voteOnIdea(req, res) {
+  try {
+    // Connect to database
+    await dbConnect();
+
+    const { ideaId } = req.params;
+    const { voteType } = req.body;
+
+    if (!Object.prototype.hasOwnProperty.call(VOTE_VALUES, voteType)) {
+      return res.status(400).json({
+        success: false,
+        error: 'voteType must be "up", "down" or "none"',
+      });
+    }
+
+    if (!ideaId.match(/^[0-9a-fA-F]{24}$/)) {
+      return res.status(400).json({
+        success: false,
+        error: "Invalid idea ID",
+      });
+    }
+
+    const idea = await Idea.findById(ideaId).select(
+      "roomId author votes upvotes downvotes voters"
+    );
+    if (!idea) {
+      return res.status(404).json({
+        success: false,
+        error: "Idea not found",
+      });
+    }
+
+    const room = await Room.findById(idea.roomId);
+    if (!room) {
+      return res.status(404).json({
+        success: false,
+        error: "Room not found",
+      });
+    }
+
+    // Only members can vote in private rooms
+    if (!room.canView(req.user)) {
+      return res.status(403).json({
+        success: false,
+        error: "This idea belongs to a private room",
+      });
+    }
+
+    if (!room.isActive || room.expiresAt < new Date()) {
+      return res.status(400).json({
+        success: false,
+        error: "This room is no longer active or has expired",
+      });
+    }
+
+    if (idea.author && idea.author.toString() === req.user._id.toString()) {
+      return res.status(403).json({
+        success: false,
+        error: "You cannot vote on your own idea",
+      });
+    }
+
+    // Voting in a public room makes the voter a member
+    if (!room.getMemberRole(req.user)) {
+      await Room.updateOne(
+        { _id: room._id, "members.user": { $ne: req.user._id } },
+        { $push: { members: { user: req.user._id, role: "member" } } }
+      );
+    }
+
+    const userId = req.user._id;
+    const currentVote = getUserVote(idea, req.user);
+    const currentValue = currentVote ? VOTE_VALUES[currentVote] : 0;
+    // Repeating a vote withdraws it
+    const newValue =
+      VOTE_VALUES[voteType] === currentValue ? 0 : VOTE_VALUES[voteType];
+
+    let updatedIdea = idea;
+    if (newValue !== currentValue) {
+      const { filter, update } = buildVoteUpdate(
+        idea._id,
+        userId,
+        currentValue,
+        newValue
+      );
+      updatedIdea = await Idea.findOneAndUpdate(filter, update, {
+        new: true,
+        projection: "votes upvotes downvotes voters",
+      });
+
+      if (!updatedIdea) {
+        return res.status(409).json({
+          success: false,
+          error:
+            "Your vote changed while this request was running. Please try again.",
+        });
+      }
+    }
+
+    res.status(200).json({
+      success: true,
+      votes: updatedIdea.votes,
+      upvotes: updatedIdea.upvotes,
+      downvotes: updatedIdea.downvotes,
+      userVote: getUserVote(updatedIdea, req.user),
+    });
+  } catch (error) {
+    console.error("Error voting on idea:", error);
+    res.status(500).json({
+      success: false,
+      error: error.message || "Server error",
+    });
+  }
+}
+
+/**
+ * Get the ideas in a room ranked by votes and uniqueness
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+async function getRoomLeaderboard(req, res) {
+  try {
+    // Connect to database
+    await dbConnect();
+
+    const { roomId } = req.params;
+    const limit = parseInt(req.query.limit) || 0;
+
+    if (!roomId.match(/^[0-9a-fA-F]{24}$/)) {
+      return res.status(400).json({
+        success: false,
+        error: "Invalid room ID",
+      });
+    }
+
+    // Verify room exists
+    const room = await Room.findById(roomId);
+    if (!room) {
+      return res.status(404).json({
+        success: false,
+        error: "Room not found",
+      });
+    }
+
+    // Private rooms are closed to non-members
+    if (!room.canView(req.user)) {
+      return res.status(403).json({
+        success: false,
+        error: "This room is private. Join it with its access code to view it.",
+      });
+    }
+
+    const ideas = await Idea.find({ roomId }).select(
+      "title authorName author createdAt uniquenessScore isDegraded votes upvotes downvotes voters"
+    );
+
+    const ranked = rankIdeas(ideas);
+    const entries = limit > 0 ? ranked.slice(0, limit) : ranked;
+
+    res.status(200).json({
+      success: true,
+      roomId: room._id,
+      weights: RANKING_WEIGHTS,
+      count: ranked.length,
+      leaderboard: entries.map(({ idea, rank, voteScore, rankScore }) => ({
+        rank,
+        id: idea._id,
+        title: idea.title,
+        createdBy: idea.authorName,
+        authorId: idea.author,
+        createdAt: idea.createdAt,
+        uniquenessScore: idea.uniquenessScore,
+        isDegraded: idea.isDegraded || false,
+        votes: idea.votes || 0,
+        upvotes: idea.upvotes || 0,
+        downvotes: idea.downvotes || 0,
+        voteScore,
+        rankScore,
+        userVote: getUserVote(idea, req.user),
+      })),
+    });
+  } catch (error) {
+    console.error("Error getting room leaderboard:", error);
+    res.status(500).json({
+      success: false,
+      error: error.message || "Server error",
+    });
+  }
+}
+
+/**
+ * Edit an idea. The previous content is kept as a version, the idea is
+ * re-scored against the rest of the room and ideas that listed it as similar
+ * are re-scored too.
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+async function updateIdea(req, res) {
+  try {
+    // Connect to database
+    await dbConnect();
+
+    const { ideaId } = req.params;
+
+    if (!ideaId.match(/^[0-9a-fA-F]{24}$/)) {
+      return res.status(400).json({
+        success: false,
+        error: "Invalid idea ID",
+      });
+    }
+
+    // Only keep the editable fields that were sent
+    const changes = {};
+    for (const field of EDITABLE_FIELDS) {
+      if (req.body[field] !== undefined) changes[field] = req.body[field];
+    }
+
+    if (Object.keys(changes).length === 0) {
+      return res.status(400).json({
+        success: false,
+        error: `Provide at least one of: ${EDITABLE_FIELDS.join(", ")}`,
+      });
+    }
+
+    const emptyFields = Object.keys(changes).filter(
+      (field) => typeof changes[field] !== "string" || !changes[field].trim()
+    );
+    if (emptyFields.length > 0) {
+      return res.status(400).json({
+        success: false,
+        error: "Fields cannot be empty",
+        emptyFields,
+      });
+    }
+
+    const idea = await Idea.findById(ideaId);
+    if (!idea) {
+      return res.status(404).json({
+        success: false,
+        error: "Idea not found",
+      });
+    }
+
+    // Ideas from before accounts existed can be edited by room moderators
+    const room = await Room.findById(idea.roomId);
+    const canEdit =
+      isOwner(idea.author, req.user) ||
+      (!idea.author && room && room.hasRole(req.user, "moderator"));
+    if (!canEdit) {
+      return res.status(403).json({
+        success: false,
+        error: "Only the author can edit this idea",
+      });
+    }
+
+    if (!room || !room.isActive || room.expiresAt < new Date()) {
+      return res.status(400).json({
+        success: false,
+        error: "This room is no longer active or has expired",
+      });
+    }
+
+    const updatedFields = { ...idea.toObject(), ...changes };
+
+    // Re-check uniqueness against the other ideas in the room
+    const uniquenessResult = await checkIdeaUniquenessInRoom(
+      updatedFields,
+      idea.roomId,
+      { excludeIds: [idea._id], settings: getScoringSettings(room) }
+    );
+
+    if (uniquenessResult.isRejected) {
+      return res.status(400).json({
+        success: false,
+        error: "Edit rejected",
+        explanation: uniquenessResult.explanation,
+        nearDuplicate: uniquenessResult.nearDuplicate,
+      });
+    }
+
+    // Keep the current content before overwriting it
+    try {
+      await snapshotIdea(idea, "updated", req.user);
+    } catch (error) {
+      if (error.code === 11000) {
+        return res.status(409).json({
+          success: false,
+          error: "This idea was edited by another request. Please try again.",
+        });
+      }
+      throw error;
+    }
+
+    // Ideas saved before versioning have no version field
+    const currentVersion = idea.version || 1;
+    const versionFilter =
+      currentVersion === 1 ? { $in: [1, null] } : currentVersion;
+
+    let updatedIdea;
+    try {
+      updatedIdea = await Idea.findOneAndUpdate(
+        { _id: idea._id, version: versionFilter },
+        {
+          $set: {
+            ...changes,
+            uniquenessScore: uniquenessResult.uniquenessScore,
+            fieldUniqueness: uniquenessResult.fieldUniqueness,
+            embeddings: uniquenessResult.embeddings,
+            hashes: uniquenessResult.hashes,
+            nearDuplicateBands: uniquenessResult.nearDuplicateBands,
+            isDegraded: Boolean(uniquenessResult.degraded),
+            similarIdeas: uniquenessResult.similarIdeas,
+            isAnalyzed: true,
+            version: currentVersion + 1,
+            updatedAt: new Date(),
+          },
+        },
+        { new: true, runValidators: true }
+      );
+    } catch (error) {
+      // Drop the snapshot so the idea can still be edited
+      await IdeaVersion.deleteOne({
+        ideaId: idea._id,
+        version: currentVersion,
+      });
+      throw error;
+    }
+
+    if (!updatedIdea) {
+      return res.status(409).json({
+        success: false,
+        error: "This idea was edited by another request. Please try again.",
+      });
+    }
+
+    await indexIdea(updatedIdea);
+
+    // Ideas linked to the old or the new text need re-scoring
+    const rescoredIdeas = await refreshSimilarityLinks(
+      updatedIdea,
+      uniquenessResult.matchedIdeaIds
+    );
+
+    res.status(200).json({
+      success: true,
+      message: "Idea updated successfully",
+      idea: {
+        id: updatedIdea._id,
+        title: updatedIdea.title,
+        description: updatedIdea.description,
+        domain: updatedIdea.domain,
+        problemStatement: updatedIdea.problemStatement,
+        proposedSolution: updatedIdea.proposedSolution,
+        authorName: updatedIdea.authorName,
+        authorId: updatedIdea.author,
+        createdAt: updatedIdea.createdAt,
+        updatedAt: updatedIdea.updatedAt,
+        version: updatedIdea.version,
+        roomId: updatedIdea.roomId,
+        uniquenessScore: updatedIdea.uniquenessScore,
+        fieldUniqueness: updatedIdea.fieldUniqueness,
+        isDegraded: updatedIdea.isDegraded,
+      },
+      uniquenessAnalysis: {
+        uniquenessScore: uniquenessResult.uniquenessScore,
+        fieldUniqueness: uniquenessResult.fieldUniqueness,
+        explanation: uniquenessResult.explanation,
+        exactMatch: uniquenessResult.exactMatch,
+        nearDuplicate: uniquenessResult.nearDuplicate,
+        degraded: Boolean(uniquenessResult.degraded),
+        similarIdeas: uniquenessResult.similarIdeas,
+      },
+      rescoredIdeas,
+    });
+  } catch (error) {
+    // The title is unique across all rooms
+    if (error.code === 11000 && error.keyPattern && error.keyPattern.title) {
+      return res.status(409).json({
+        success: false,
+        error: "An idea with this title already exists",
+      });
+    }
+
+    if (error.name === "ValidationError") {
+      return res.status(400).json({
+        success: false,
+        error: error.message,
+      });
+    }
+
+    console.error("Error updating idea:", error);
+    res.status(500).json({
+      success: false,
+      error: error.message || "Server error",
+    });
+  }
+}
+
+/**
+ * Delete an idea. Its last content is kept in the version history, its draft
+ * paper is removed and ideas that listed it as similar are re-scored.
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+async function deleteIdea(req, res) {
+  try {
+    // Connect to database
+    await dbConnect();
+
+    const { ideaId } = req.params;
+
+    if (!ideaId.match(/^[0-9a-fA-F]{24}$/)) {
+      return res.status(400).json({
+        success: false,
+        error: "Invalid idea ID",
+      });
+    }
+
+    const idea = await Idea.findById(ideaId);
+    if (!idea) {
+      return res.status(404).json({
+        success: false,
+        error: "Idea not found",
+      });
+    }
+
+    // Authors can delete their ideas, room owners and moderators any idea
+    const room = await Room.findById(idea.roomId);
+    const canDelete =
+      isOwner(idea.author, req.user) ||
+      (room && room.hasRole(req.user, "moderator"));
+    if (!canDelete) {
+      return res.status(403).json({
+        success: false,
+        error:
+          "Only the author or a room owner or moderator can delete this idea",
+      });
+    }
+
+    try {
+      await snapshotIdea(idea, "deleted", req.user);
+    } catch (error) {
+      if (error.code === 11000) {
+        return res.status(409).json({
+          success: false,
+          error: "This idea was edited by another request. Please try again.",
+        });
+      }
+      throw error;
+    }
+
+    await Idea.deleteOne({ _id: idea._id });
+    await DraftPaper.deleteOne({ ideaId: idea._id });
+    await unindexIdea(idea);
+
+    // Remove the links other ideas had to this one
+    const rescoredIdeas = await refreshSimilarityLinks(idea);
+
+    res.status(200).json({
+      success: true,
+      message: "Idea deleted successfully",
+      rescoredIdeas,
+    });
+  } catch (error) {
+    console.error("Error deleting idea:", error);
+    res.status(500).json({
+      success: false,
+      error: error.message || "Server error",
+    });
+  }
+}
+
+/**
+ * Get the version history of an idea, newest first. The history of deleted
+ * ideas stays available.
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+async function getIdeaVersions(req, res) {
+  try {
+    // Connect to database
+    await dbConnect();
+
+    const { ideaId } = req.params;
+
+    if (!ideaId.match(/^[0-9a-fA-F]{24}$/)) {
+      return res.status(400).json({
+        success: false,
+        error: "Invalid idea ID",
+      });
+    }
+
+    const idea = await Idea.findById(ideaId);
+    const versions = await IdeaVersion.find({ ideaId }).sort({ version: -1 });
+
+    if (!idea && versions.length === 0) {
+      return res.status(404).json({
+        success: false,
+        error: "Idea not found",
+      });
+    }
+
+    // Ideas in private rooms are only visible to members
+    const room = await Room.findById(idea ? idea.roomId : versions[0].roomId);
+    if (room && !room.canView(req.user)) {
+      return res.status(403).json({
+        success: false,
+        error: "This idea belongs to a private room",
+      });
+    }
+
+    const formatVersion = (version, current) => ({
+      version: version.version || 1,
+      current,
+      action: current ? null : version.action,
+      title: version.title,
+      description: version.description,
+      domain: version.domain,
+      problemStatement: version.problemStatement,
+      proposedSolution: version.proposedSolution,
+      uniquenessScore: version.uniquenessScore,
+      fieldUniqueness: version.fieldUniqueness,
+      createdAt: current ? idea.updatedAt || idea.createdAt : version.createdAt,
+      changedBy: current ? undefined : version.changedBy,
+      changedAt: current ? undefined : version.changedAt,
+    });
+
+    res.status(200).json({
+      success: true,
+      ideaId,
+      isDeleted: !idea,
+      versions: [
+        ...(idea ? [formatVersion(idea, true)] : []),
+        ...versions.map((version) => formatVersion(version, false)),
+      ],
+    });
+  } catch (error) {
+    console.error("Error getting idea versions:", error);
+    res.status(500).json({
+      success: false,
+      error: error.message || "Server error",
+    });
+  }
+}
+
+/**
+ * Queues recomputing uniqueness scores and similarity links for every idea in
+ * a room, e.g. after the similarity thresholds changed (room owners and moderators)
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+async function recomputeRoomSimilarity(req, res) {
+  try {
+    // Connect to database
+    await dbConnect();
+
+    const { roomId } = req.params;
+
+    if (!roomId.match(/^[0-9a-fA-F]{24}$/)) {
+      return res.status(400).json({
+        success: false,
+        error: "Invalid room ID",
+      });
+    }
+
+    const room = await Room.findById(roomId);
+    if (!room) {
+      return res.status(404).json({
+        success: false,
+        error: "Room not found",
+      });
+    }
+
+    if (!room.hasRole(req.user, "moderator")) {
+      return res.status(403).json({
+        success: false,
+        error: "Only room owners and moderators can recompute similarity",
+      });
+    }
+
+    // Queue the re-scoring and let the client poll for the result
+    const { job } = await enqueueJob(RESCORE_ROOM_JOB, {
+      body: { roomId: room._id.toString() },
+      owner: req.user._id,
+    });
+
+    res.status(202).json({
+      success: true,
+      jobId: job._id,
+      status: job.status,
+      statusUrl: `/jobs/${job._id}`,
+    });
+  } catch (error) {
+    console.error("Error recomputing room similarity:", error);
+    res.status(500).json({
+      success: false,
+      error: error.message || "Server error",
+    });
+  }
+}
+
+/**
+ * Check how original an existing idea is across rooms: rooms sharing its
+ * room's topic or tags ("related") or all rooms ("global"). Private rooms are
+ * only included for their members.
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+async function getIdeaOriginality(req, res) {
+  try {
+    // Connect to database
+    await dbConnect();
+
+    const { ideaId } = req.params;
+    const scope = req.query.scope || "related";
+
+    if (!ideaId.match(/^[0-9a-fA-F]{24}$/)) {
+      return res.status(400).json({
+        success: false,
+        error: "Invalid idea ID",
+      });
+    }
+
+    if (scope === "room" || !ORIGINALITY_SCOPES.includes(scope)) {
+      return res.status(400).json({
+        success: false,
+        error: 'scope must be "related" or "global"',
+      });
+    }
+
+    const idea = await Idea.findById(ideaId).select(
+      "title roomId uniquenessScore embeddings"
+    );
+    if (!idea) {
+      return res.status(404).json({
+        success: false,
+        error: "Idea not found",
+      });
+    }
+
+    const room = await Room.findById(idea.roomId);
+    if (!room) {
+      return res.status(404).json({
+        success: false,
+        error: "Room not found",
+      });
+    }
+
+    // Ideas in private rooms are only visible to members
+    if (!room.canView(req.user)) {
+      return res.status(403).json({
+        success: false,
+        error: "This idea belongs to a private room",
+      });
+    }
+
+    const crossRoomAnalysis = await checkCrossRoomOriginality(
+      idea.embeddings,
+      room,
+      req.user,
+      scope
+    );
+
+    res.status(200).json({
+      success: true,
+      idea: {
+        id: idea._id,
+        title: idea.title,
+        roomId: idea.roomId,
+        uniquenessScore: idea.uniquenessScore,
+      },
+      crossRoomAnalysis,
+    });
+  } catch (error) {
+    console.error("Error checking idea originality:", error);
+    res.status(500).json({
+      success: false,
+      error: error.message || "Server error",
+    });
+  }
+}
+
+module.exports = {
+  submitIdea,
+  getRoomIdeas,
+  getSimilarIdeas,
+  voteOnIdea,
+  getRoomLeaderboard,
+  updateIdea,
+  deleteIdea,
+  getIdeaVersions,
+  recomputeRoomSimilarity,
+  getIdeaOriginality,
+};
@@ -0,0 +1,143 @@
+const mongoose = require("mongoose");
+const dbConnect = require("../utils/dbConnect");
+const Job = require("../models/Job");
+const { isOwner } = require("../middleware/auth");
+const { isValidAccessToken } = require("../utils/jobQueue");
+
+/**
+ * Format a job for API responses
+ * @param {Object} job - Job document
+ * @returns {Object} - Job status, progress and result
+ */
+function formatJob(job) {
+  return {
+    id: job._id,
+    type: job.type,
+    status: job.status,
+    progress: job.progress,
+    progressMessage: job.progressMessage,
+    attempts: job.attempts,
+    maxAttempts: job.maxAttempts,
+    result: job.status === "completed" ? job.result : undefined,
+    resultUrl:
+      job.status === "completed" && job.resultFile?.fileName
+        ? `/jobs/${job._id}/result`
+        : undefined,
+    error: job.status === "failed" ? job.error : undefined,
+    createdAt: job.createdAt,
+    updatedAt: job.updatedAt,
+    finishedAt: job.finishedAt,
+  };
+}
+
+/**
+ * Find a job by ID, sending a 400/404 response if it cannot be found. Jobs
+ * submitted by a signed-in user are only visible to that user; other jobs
+ * need the access token returned when they were submitted, sent in the
+ * X-Job-Token header or the token query parameter.
+ * @param {Object} req - Express request object with the job ID in params
+ * @param {Object} res - Express response object
+ * @param {string} [projection] - Fields to select
+ * @returns {Promise<Object|null>} - The job, or null if a response was sent
+ */
+async function findJob(req, res, projection) {
+  const { jobId } = req.params;
+
+  if (!mongoose.Types.ObjectId.isValid(jobId)) {
+    res.status(400).json({
+      success: false,
+      error: "Invalid job ID",
+    });
+    return null;
+  }
+
+  const job = await Job.findById(jobId).select(projection);
+  const accessToken = req.get("X-Job-Token") || req.query.token;
+
+  const canRead =
+    job &&
+    (job.owner
+      ? isOwner(job.owner, req.user)
+      : isValidAccessToken(job, accessToken));
+  if (!canRead) {
+    res.status(404).json({
+      success: false,
+      error: "Job not found",
+    });
+    return null;
+  }
+
+  return job;
+}
+
+/**
+ * Get the status, progress and (once completed) result of a job
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+async function getJob(req, res) {
+  try {
+    // Connect to database
+    await dbConnect();
+
+    // Skip the uploaded file and binary result, which can be large
+    const job = await findJob(req, res, "-input.file -resultFile.data");
+    if (!job) return;
+
+    res.status(200).json({
+      success: true,
+      job: formatJob(job),
+    });
+  } catch (error) {
+    console.error("Error getting job:", error);
+    res.status(500).json({
+      success: false,
+      error: error.message || "Server error",
+    });
+  }
+}
+
+/**
+ * Download the file produced by a completed job (e.g. a formatted PDF)
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+async function getJobResult(req, res) {
+  try {
+    // Connect to database
+    await dbConnect();
+
+    const job = await findJob(req, res, "-input.file");
+    if (!job) return;
+
+    if (job.status !== "completed") {
+      return res.status(409).json({
+        success: false,
+        error: `Job is ${job.status}`,
+        job: formatJob(job),
+      });
+    }
+
+    if (!job.resultFile?.data) {
+      return res.status(404).json({
+        success: false,
+        error: "This job did not produce a file",
+      });
+    }
+
+    res.setHeader("Content-Type", job.resultFile.contentType);
+    res.setHeader(
+      "Content-Disposition",
+      `attachment; filename="${job.resultFile.fileName}"`
+    );
+    res.send(job.resultFile.data);
+  } catch (error) {
+    console.error("Error getting job result:", error);
+    res.status(500).json({
+      success: false,
+      error: error.message || "Server error",
+    });
+  }
+}
+
+module.exports = { getJob, getJobResult };
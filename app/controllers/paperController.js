@@ -1,7 +1,18 @@
-const { generateResearchPaper } = require("../utils/geminiClient");
+const {
+  generateResearchPaper,
+  resolvePaperFormat,
+  PAPER_FORMATS,
+} = require("../utils/geminiClient");
 const { generatePDF } = require("../utils/pdfGenerator");
 const { extractTextFromPDF } = require("../utils/pdfParser");
 const { uploadPDFToCloudinary } = require("../utils/cloudinaryUploader");
+const {
+  OUTPUT_TYPES,
+  resolveOutputType,
+  toFileName,
+  sendHtml,
+  sendPdf,
+} = require("../utils/paperOutput");
 
 /**
  * Handles the research paper generation request
@@ -12,12 +23,6 @@ async function generatePaper(req, res) {
   try {
     // Extract data from request
     const data = req.body;
-    let extractedText = "";
-
-    // If PDF was uploaded, extract text from it
-    if (req.file) {
-      extractedText = await extractTextFromPDF(req.file.buffer);
-    }
 
     // Validate required fields
     const requiredFields = [
@@ -40,51 +45,70 @@ async function generatePaper(req, res) {
       });
     }
 
-    // Validate format
-    if (!["IEEE", "APA"].includes(data.format)) {
+    // Validate format (case-insensitive)
+    const format = resolvePaperFormat(data.format);
+    if (!format) {
+      return res.status(400).json({
+        error: `Invalid format. Must be one of: ${PAPER_FORMATS.join(", ")}`,
+      });
+    }
+
+    // Validate requested output type
+    const outputType = resolveOutputType(req);
+    if (!outputType) {
       return res.status(400).json({
-        error: 'Invalid format. Must be either "IEEE" or "APA"',
+        error: `Invalid output. Must be one of: ${OUTPUT_TYPES.join(", ")}`,
       });
     }
 
+    // If PDF was uploaded, extract text from it to use as extra context
+    let extractedText = "";
+    if (req.file) {
+      try {
+        extractedText = await extractTextFromPDF(req.file.buffer);
+      } catch (pdfError) {
+        return res.status(400).json({
+          error:
+            "Could not extract text from the PDF. The file may be corrupted, password-protected, or contain only images.",
+        });
+      }
+    }
+
     // Add extracted text to data
     const paperData = {
       ...data,
+      format,
       extractedText,
     };
 
     // Generate research paper
     const htmlContent = await generateResearchPaper(paperData);
 
+    // HTML was requested, so skip PDF rendering altogether
+    if (outputType === "html") {
+      return sendHtml(res, htmlContent);
+    }
+
     // Convert to PDF
     const pdfBuffer = await generatePDF(htmlContent);
 
     // Generate filename for the PDF
-    const fileName = data.title;
+    const fileName = toFileName(data.title);
 
-    // Upload to Cloudinary
-    const cloudinaryResult = await uploadPDFToCloudinary(pdfBuffer, fileName);
-
-    // Check if direct download was requested
-    const sendAsDownload = req.query.download === "true";
-
-    if (sendAsDownload) {
+    if (outputType === "pdf") {
       // Send as direct download
-      res.setHeader("Content-Type", "application/pdf");
-      res.setHeader(
-        "Content-Disposition",
-        `attachment; filename=${data.title.replace(/\s+/g, "_")}.pdf`
-      );
-      return res.send(pdfBuffer);
+      return sendPdf(res, pdfBuffer, fileName);
     }
 
-    // Otherwise return JSON with Cloudinary URL
+    // Otherwise upload to Cloudinary and return JSON with the URL
+    const cloudinaryResult = await uploadPDFToCloudinary(pdfBuffer, fileName);
+
     return res.status(200).json({
       success: true,
       message: "Research paper generated successfully",
       paper: {
         title: data.title,
-        format: data.format,
+        format,
         downloadUrl: cloudinaryResult.url,
         createdAt: cloudinaryResult.createdAt,
       },
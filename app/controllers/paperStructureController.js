@@ -1,9 +1,12 @@
 const { extractTextFromPDF } = require("../utils/pdfParser");
-const { structurePaperWithAI } = require("../utils/paperFormatter"); // We'll create this next
+const { structurePaperWithAI } = require("../utils/paperFormatter");
+const { enqueueJob, getJobFile } = require("../utils/jobQueue");
 const HTMLToPDF = require("html-pdf-node"); // Added for PDF generation
 
+const STRUCTURE_PAPER_JOB = "structure-paper";
+
 /**
- * Structures a research paper from an uploaded PDF according to a specified format.
+ * Queues structuring of a research paper from an uploaded PDF according to a specified format.
  * @param {Object} req - Express request object
  * @param {Object} res - Express response object
  */
@@ -26,62 +29,20 @@ async function structurePaper(req, res) {
       });
     }
 
-    const metadata = { title, authors, abstract, keywords }; // Collect optional metadata
-
-    // Extract text from PDF
-    let textToAnalyze = "";
-    try {
-      textToAnalyze = await extractTextFromPDF(req.file.buffer);
-    } catch (pdfError) {
-      console.error("Error extracting PDF text:", pdfError);
-      return res.status(400).json({
-        success: false,
-        error:
-          "Could not extract text from the PDF. It might be image-based or corrupted.",
-      });
-    }
-
-    if (!textToAnalyze || textToAnalyze.trim().length < 100) {
-      return res.status(400).json({
-        success: false,
-        error: "Not enough text content found in the PDF for structuring.",
-      });
-    }
-
-    // Call the AI structuring utility
-    // IMPORTANT: structurePaperWithAI in app/utils/paperFormatter.js
-    // needs to be updated to return an object where 'formattedPaper' is an HTML string.
-    // The AI prompt should strictly instruct the model to reformat the content into HTML
-    // without altering the text itself, based on the target 'format'.
-    const structuringResult = await structurePaperWithAI(
-      textToAnalyze,
-      format,
-      metadata
-    );
-
-    // Assuming structuringResult.formattedPaper is now an HTML string
-    if (
-      !structuringResult.formattedPaper ||
-      typeof structuringResult.formattedPaper !== "string"
-    ) {
-      return res.status(500).json({
-        success: false,
-        error: "AI structuring did not return valid HTML content.",
-      });
-    }
-
-    const pdfOptions = { format: "A4" }; // Or other appropriate PDF options
-    const file = { content: structuringResult.formattedPaper };
-
-    const pdfBuffer = await HTMLToPDF.generatePdf(file, pdfOptions);
+    // Queue the structuring and let the client poll for the result
+    const { job, accessToken } = await enqueueJob(STRUCTURE_PAPER_JOB, {
+      body: { format, title, authors, abstract, keywords },
+      file: req.file,
+      owner: req.user?._id,
+    });
 
-    // Send successful PDF response
-    res.setHeader("Content-Type", "application/pdf");
-    res.setHeader(
-      "Content-Disposition",
-      `attachment; filename="formatted_paper_${Date.now()}.pdf"`
-    );
-    res.send(pdfBuffer);
+    res.status(202).json({
+      success: true,
+      jobId: job._id,
+      accessToken,
+      status: job.status,
+      statusUrl: `/jobs/${job._id}`,
+    });
   } catch (error) {
     console.error("Error in structurePaper controller:", error);
     res.status(500).json({
@@ -91,4 +52,74 @@ async function structurePaper(req, res) {
   }
 }
 
-module.exports = { structurePaper };
+/**
+ * Runs a queued paper structuring job. The formatted HTML is stored as the
+ * job result and the rendered PDF as the job's result file.
+ * @param {Object} job - Job document with the uploaded PDF
+ * @param {Function} updateProgress - Reports job progress (0-100)
+ * @returns {Promise<Object>} - Job result and PDF file
+ */
+async function runStructurePaperJob(job, updateProgress) {
+  const { format, title, authors, abstract, keywords } = job.input.body;
+  const metadata = { title, authors, abstract, keywords }; // Collect optional metadata
+
+  // Extract text from PDF
+  await updateProgress(10, "Extracting text from PDF");
+  const uploadedPdf = await getJobFile(job);
+  let textToAnalyze = "";
+  try {
+    textToAnalyze = await extractTextFromPDF(uploadedPdf);
+  } catch (pdfError) {
+    console.error("Error extracting PDF text:", pdfError);
+    const error = new Error(
+      "Could not extract text from the PDF. It might be image-based or corrupted."
+    );
+    error.statusCode = 400;
+    throw error;
+  }
+
+  if (!textToAnalyze || textToAnalyze.trim().length < 100) {
+    const error = new Error(
+      "Not enough text content found in the PDF for structuring."
+    );
+    error.statusCode = 400;
+    throw error;
+  }
+
+  // Call the AI structuring utility, which returns the paper as HTML
+  await updateProgress(30, `Restructuring paper in ${format} format`);
+  const structuringResult = await structurePaperWithAI(
+    textToAnalyze,
+    format,
+    metadata
+  );
+
+  if (
+    !structuringResult.formattedPaper ||
+    typeof structuringResult.formattedPaper !== "string"
+  ) {
+    throw new Error("AI structuring did not return valid HTML content.");
+  }
+
+  // Render the PDF
+  await updateProgress(80, "Rendering PDF");
+  const pdfOptions = { format: "A4" }; // Or other appropriate PDF options
+  const file = { content: structuringResult.formattedPaper };
+
+  const pdfBuffer = await HTMLToPDF.generatePdf(file, pdfOptions);
+
+  return {
+    result: {
+      success: true,
+      format,
+      formattedPaper: structuringResult.formattedPaper,
+    },
+    file: {
+      data: pdfBuffer,
+      contentType: "application/pdf",
+      fileName: `formatted_paper_${Date.now()}.pdf`,
+    },
+  };
+}
+
+module.exports = { structurePaper, runStructurePaperJob, STRUCTURE_PAPER_JOB };
@@ -1,22 +1,221 @@
 const dbConnect = require("../utils/dbConnect");
 const Paper = require("../models/Paper");
+const PaperRevision = require("../models/PaperRevision");
 const { uploadPDFToCloudinary } = require("../utils/cloudinaryUploader");
 const {
   extractFromPdf,
   generatePaperEmbeddings,
   calculatePaperSimilarity,
 } = require("../utils/paperExtractor");
+const { enqueueJob, getJobFile } = require("../utils/jobQueue");
+const { storePaperEmbeddings } = require("../utils/vectorDatabase");
+const { isOwner } = require("../middleware/auth");
+const {
+  getPaperSource,
+  getCorpusPaperQuery,
+} = require("../utils/paperIdentity");
+const { buildPaperFilter, getParam } = require("../utils/paperFilters");
+const {
+  encodeCursor,
+  decodeCursor,
+  getKeysetCursor,
+  getKeysetQuery,
+} = require("../utils/cursorPagination");
+
+const CHECK_UNIQUENESS_JOB = "check-uniqueness";
+
+// Similar papers reported by a uniqueness check
+const SIMILAR_PAPER_COUNT = 5;
+
+// Paper listing page sizes
+const DEFAULT_PAGE_SIZE = 20;
+const MAX_PAGE_SIZE = 100;
+
+// Sort orders for paper listings besides relevance (for text searches)
+const PAPER_SORTS = {
+  newest: { field: "createdAt", direction: -1 },
+  oldest: { field: "createdAt", direction: 1 },
+  year: { field: "publicationYear", direction: -1 },
+  uniqueness: { field: "uniquenessScore", direction: -1 },
+  citations: { field: "citations", direction: -1 },
+};
+
+// Fields returned in paper listings
+const LISTING_PROJECTION = {
+  title: 1,
+  authors: 1,
+  abstract: 1,
+  publicationYear: 1,
+  journal: 1,
+  doi: 1,
+  keywords: 1,
+  citations: 1,
+  uniquenessScore: 1,
+  source: 1,
+  owner: 1,
+  createdAt: 1,
+  originalPdf: 1,
+};
+
+/**
+ * Find an uploaded paper that a user may upload a new revision of
+ * @param {string} paperId - ID of the paper
+ * @param {Object} user - Signed-in user
+ * @returns {Promise<Object>} - { paper } or { status, error } if the paper
+ *   cannot be revised by the user
+ */
+async function findRevisablePaper(paperId, user) {
+  if (!String(paperId).match(/^[0-9a-fA-F]{24}$/)) {
+    return { status: 400, error: "Invalid paper ID" };
+  }
+
+  const paper = await Paper.findById(paperId);
+
+  // Uploaded papers are only visible to the user who uploaded them
+  if (!paper || (paper.owner && !isOwner(paper.owner, user))) {
+    return { status: 404, error: "Paper not found" };
+  }
+  if (getPaperSource(paper) !== "upload") {
+    return { status: 403, error: "Only uploaded papers can be revised" };
+  }
+  return { paper };
+}
+
+/**
+ * Save the current content of a paper as a revision before a new upload
+ * replaces it
+ * @param {Object} paper - Paper document about to be revised
+ * @returns {Promise<Object>} - The PaperRevision document
+ */
+async function snapshotPaper(paper) {
+  return PaperRevision.create({
+    paperId: paper._id,
+    revision: paper.revision || 1,
+    title: paper.title,
+    authors: paper.authors,
+    abstract: paper.abstract,
+    conclusion: paper.conclusion,
+    uniquenessScore: paper.uniquenessScore,
+    similarityExplanation: paper.similarityExplanation,
+    similarPapers: paper.similarPapers,
+    originalPdf: paper.originalPdf,
+    createdAt: paper.updatedAt || paper.createdAt,
+  });
+}
+
+/**
+ * Compare the uniqueness results of two revisions of a paper
+ * @param {Object} previous - Earlier revision with uniquenessScore and similarPapers
+ * @param {Object} current - Later revision with uniquenessScore and similarPapers
+ * @returns {Object} - Change in uniqueness score, matches that are new or
+ *   gone, and the change in similarity of matches found in both
+ */
+function compareRevisions(previous, current) {
+  // Mock results have no paper IDs
+  const getKey = (match) => match.paperId || match.title;
+  const previousMatches = new Map(
+    (previous.similarPapers || []).map((match) => [getKey(match), match])
+  );
+  const currentKeys = new Set((current.similarPapers || []).map(getKey));
+
+  const describe = (match) => ({
+    paperId: match.paperId,
+    title: match.title,
+    similarityScore: match.similarityScore,
+  });
+
+  return {
+    uniquenessChange: current.uniquenessScore - previous.uniquenessScore,
+    newMatches: (current.similarPapers || [])
+      .filter((match) => !previousMatches.has(getKey(match)))
+      .map(describe),
+    removedMatches: (previous.similarPapers || [])
+      .filter((match) => !currentKeys.has(getKey(match)))
+      .map(describe),
+    changedMatches: (current.similarPapers || [])
+      .filter((match) => previousMatches.has(getKey(match)))
+      .map((match) => {
+        const before = previousMatches.get(getKey(match)).similarityScore;
+        return {
+          ...describe(match),
+          previousSimilarityScore: before,
+          similarityChange: match.similarityScore - before,
+        };
+      }),
+  };
+}
+
+/**
+ * Replace the content of a paper with a new revision, keeping the current
+ * content in its revision history
+ * @param {string} paperId - ID of the paper
+ * @param {Object} update - New content and uniqueness results
+ * @returns {Promise<Object>} - { paper, previous } with the revised paper and
+ *   the paper as it was before
+ */
+async function saveRevision(paperId, update) {
+  const conflict = () => {
+    const error = new Error(
+      "This paper was revised by another upload. Please try again."
+    );
+    error.statusCode = 409;
+    return error;
+  };
+
+  const previous = await Paper.findById(paperId);
+  if (!previous) {
+    const error = new Error("Paper not found");
+    error.statusCode = 404;
+    throw error;
+  }
+
+  // Keep the current content before overwriting it
+  try {
+    await snapshotPaper(previous);
+  } catch (error) {
+    if (error.code === 11000) throw conflict();
+    throw error;
+  }
+
+  // Papers saved before revisions were tracked have no revision field
+  const currentRevision = previous.revision || 1;
+  const revisionFilter =
+    currentRevision === 1 ? { $in: [1, null] } : currentRevision;
+
+  let paper;
+  try {
+    paper = await Paper.findOneAndUpdate(
+      { _id: previous._id, revision: revisionFilter },
+      {
+        $set: {
+          ...update,
+          revision: currentRevision + 1,
+          updatedAt: new Date(),
+        },
+      },
+      { new: true, runValidators: true }
+    );
+  } catch (error) {
+    // Drop the snapshot so the paper can still be revised
+    await PaperRevision.deleteOne({
+      paperId: previous._id,
+      revision: currentRevision,
+    });
+    throw error;
+  }
+
+  if (!paper) throw conflict();
+  return { paper, previous };
+}
 
 /**
- * Check the uniqueness of a research paper against existing papers using Gemini
+ * Queue a uniqueness check of a research paper against the imported paper
+ * corpus
  * @param {Object} req - Express request object with uploaded PDF file
  * @param {Object} res - Express response object
  */
 async function checkPaperUniqueness(req, res) {
   try {
-    // Connect to database
-    await dbConnect();
-
     // Validate file upload
     if (!req.file) {
       return res.status(400).json({
@@ -28,80 +227,223 @@ async function checkPaperUniqueness(req, res) {
     // Extract metadata if provided
     const { title, authors, doi, journal, year } = req.body;
 
-    // Process the uploaded PDF
-    const pdfBuffer = req.file.buffer;
+    // Queue the check and let the client poll for the result
+    const { job, accessToken } = await enqueueJob(CHECK_UNIQUENESS_JOB, {
+      body: { title, authors, doi, journal, year },
+      file: req.file,
+      owner: req.user?._id,
+    });
+
+    res.status(202).json({
+      success: true,
+      jobId: job._id,
+      accessToken,
+      status: job.status,
+      statusUrl: `/jobs/${job._id}`,
+    });
+  } catch (error) {
+    console.error("Error queueing paper uniqueness check:", error);
+    res.status(500).json({
+      success: false,
+      error: error.message || "Server error",
+    });
+  }
+}
+
+/**
+ * Queue a uniqueness check of a new revision of an uploaded paper. The
+ * paper's current content is kept in its revision history.
+ * @param {Object} req - Express request object with uploaded PDF file
+ * @param {Object} res - Express response object
+ */
+async function submitPaperRevision(req, res) {
+  try {
+    // Connect to database
+    await dbConnect();
 
-    // Step 1: Extract abstract and conclusion from the PDF
-    const extractedData = await extractFromPdf(pdfBuffer);
+    const { paperId } = req.params;
+    const { status, error } = await findRevisablePaper(paperId, req.user);
+    if (error) {
+      return res.status(status).json({ success: false, error });
+    }
 
-    // Make sure we have enough data to analyze
-    if (!extractedData.abstract && !extractedData.conclusion) {
+    // Validate file upload
+    if (!req.file) {
       return res.status(400).json({
         success: false,
-        error: "Could not extract abstract or conclusion from the PDF",
+        error: "No PDF file uploaded",
       });
     }
 
-    // Step 2: Generate paper data for Gemini analysis
-    const paperData = await generatePaperEmbeddings(extractedData);
+    // Metadata left out keeps the paper's current values
+    const { title, authors, doi, journal, year } = req.body;
+
+    // Queue the check and let the client poll for the result
+    const { job, accessToken } = await enqueueJob(CHECK_UNIQUENESS_JOB, {
+      body: { title, authors, doi, journal, year, paperId },
+      file: req.file,
+      owner: req.user._id,
+    });
+
+    res.status(202).json({
+      success: true,
+      jobId: job._id,
+      accessToken,
+      status: job.status,
+      statusUrl: `/jobs/${job._id}`,
+    });
+  } catch (error) {
+    console.error("Error queueing paper revision check:", error);
+    res.status(500).json({
+      success: false,
+      error: error.message || "Server error",
+    });
+  }
+}
 
-    // Step 3: Calculate similarity with Gemini
-    const similarityResults = await calculatePaperSimilarity(paperData);
+/**
+ * Run a queued uniqueness check using embedding search, with Gemini
+ * explaining the closest matches. Checks of a new revision update the
+ * existing paper instead of creating one.
+ * @param {Object} job - Job document with the uploaded PDF
+ * @param {Function} updateProgress - Reports job progress (0-100)
+ * @returns {Promise<Object>} - Job result
+ */
+async function runCheckUniquenessJob(job, updateProgress) {
+  // Connect to database
+  await dbConnect();
 
-    // Step 4: Upload the PDF to Cloudinary
-    const cloudinaryResult = await uploadPDFToCloudinary(
-      pdfBuffer,
-      title || extractedData.info?.Title || "untitled_paper"
+  const { title, authors, doi, journal, year, paperId } = job.input.body;
+  const { file } = job.input;
+
+  // Fail early if the paper being revised is gone
+  if (paperId) {
+    const { status, error } = await findRevisablePaper(paperId, {
+      _id: job.owner,
+    });
+    if (error) {
+      const revisionError = new Error(error);
+      revisionError.statusCode = status;
+      throw revisionError;
+    }
+  }
+
+  // Process the uploaded PDF
+  const pdfBuffer = await getJobFile(job);
+
+  // Step 1: Extract abstract and conclusion from the PDF
+  await updateProgress(10, "Extracting abstract and conclusion");
+  const extractedData = await extractFromPdf(pdfBuffer);
+
+  // Make sure we have enough data to analyze
+  if (!extractedData.abstract && !extractedData.conclusion) {
+    const error = new Error(
+      "Could not extract abstract or conclusion from the PDF"
     );
+    error.statusCode = 400;
+    throw error;
+  }
 
-    // --- Calculate Publication Year Safely ---
-    let finalPublicationYear = undefined; // Use undefined for optional fields
-    if (year) {
-      const parsedYear = parseInt(year);
-      if (!isNaN(parsedYear)) {
-        finalPublicationYear = parsedYear;
-      }
-    } else if (extractedData.info?.CreationDate) {
-      const date = new Date(extractedData.info.CreationDate);
-      // Check if the date is valid before getting the year
-      if (!isNaN(date.getTime())) {
-        finalPublicationYear = date.getFullYear();
-      }
+  // Step 2: Generate BERT embeddings for the abstract and conclusion
+  await updateProgress(30, "Generating embeddings");
+  const embeddings = await generatePaperEmbeddings(extractedData);
+
+  // Step 3: Search the corpus for similar papers (other users' uploads are
+  // in the index too, but are private)
+  await updateProgress(50, "Searching the corpus for similar papers");
+  const similarityResults = await calculatePaperSimilarity(
+    extractedData,
+    embeddings,
+    SIMILAR_PAPER_COUNT,
+    { paperQuery: getCorpusPaperQuery() }
+  );
+
+  // Step 4: Upload the PDF to Cloudinary
+  await updateProgress(80, "Saving results");
+  const cloudinaryResult = await uploadPDFToCloudinary(
+    pdfBuffer,
+    title || extractedData.info?.Title || "untitled_paper"
+  );
+
+  // --- Calculate Publication Year Safely ---
+  let finalPublicationYear = undefined; // Use undefined for optional fields
+  if (year) {
+    const parsedYear = parseInt(year);
+    if (!isNaN(parsedYear)) {
+      finalPublicationYear = parsedYear;
+    }
+  } else if (extractedData.info?.CreationDate) {
+    const date = new Date(extractedData.info.CreationDate);
+    // Check if the date is valid before getting the year
+    if (!isNaN(date.getTime())) {
+      finalPublicationYear = date.getFullYear();
     }
-    // --- End Calculation ---
+  }
+  // --- End Calculation ---
+
+  // Results of this check, for a new paper or a new revision
+  const analysis = {
+    abstract: extractedData.abstract,
+    conclusion: extractedData.conclusion,
+    uniquenessScore: similarityResults.uniquenessScore,
+    similarityExplanation: similarityResults.explanation,
+    similarPapers: similarityResults.similarPapers.map((paper) => ({
+      paperId: paper.paperId,
+      similarityScore: paper.similarity,
+      explanation: paper.explanation,
+      title: paper.title,
+      authors: paper.authors,
+      year: paper.year,
+    })),
+    originalPdf: {
+      cloudinaryUrl: cloudinaryResult.url,
+      fileSize: file.size,
+      fileType: file.mimetype,
+      publicId: cloudinaryResult.publicId,
+    },
+    embeddings,
+    isAnalyzed: true,
+  };
 
-    // Step 5: Save the paper and analysis results to the database
-    const paper = new Paper({
+  // Step 5: Save the paper and analysis results to the database
+  let paper;
+  let changes;
+  if (paperId) {
+    // Metadata left out keeps the paper's current values
+    const metadata = {};
+    if (title) metadata.title = title;
+    if (authors) metadata.authors = authors.split(",").map((a) => a.trim());
+    if (year && finalPublicationYear) {
+      metadata.publicationYear = finalPublicationYear;
+    }
+    if (doi) metadata.doi = doi;
+    if (journal) metadata.journal = journal;
+
+    const revised = await saveRevision(paperId, { ...metadata, ...analysis });
+    paper = revised.paper;
+    changes = compareRevisions(revised.previous, paper);
+  } else {
+    paper = new Paper({
       title: title || extractedData.info?.Title || "Untitled Paper",
       authors: authors ? authors.split(",").map((a) => a.trim()) : [],
-      abstract: extractedData.abstract,
-      conclusion: extractedData.conclusion,
       publicationYear: finalPublicationYear, // Assign the safely calculated year or undefined
       doi: doi,
       journal: journal,
-      uniquenessScore: similarityResults.uniquenessScore,
-      similarityExplanation: similarityResults.explanation,
-      similarPapers: similarityResults.similarPapers.map((paper) => ({
-        paperId: paper.paperId,
-        similarityScore: paper.similarity,
-        explanation: paper.explanation,
-        title: paper.title,
-        authors: paper.authors,
-        year: paper.year,
-      })),
-      originalPdf: {
-        cloudinaryUrl: cloudinaryResult.url,
-        fileSize: req.file.size,
-        fileType: req.file.mimetype,
-        publicId: cloudinaryResult.publicId,
-      },
-      isAnalyzed: true,
+      ...analysis,
+      owner: job.owner,
+      source: "upload",
     });
 
     await paper.save();
+  }
 
-    // Return the analysis results to the client
-    res.status(200).json({
+  // Make the paper (or its new revision) findable by semantic search
+  if (!(await storePaperEmbeddings(paper._id, embeddings))) {
+    console.warn(`Paper ${paper._id} was not added to the vector index`);
+  }
+
+  return {
+    result: {
       success: true,
       paper: {
         id: paper._id,
@@ -113,23 +455,22 @@ async function checkPaperUniqueness(req, res) {
           extractedData.conclusion.substring(0, 250) +
           (extractedData.conclusion.length > 250 ? "..." : ""),
         pageCount: extractedData.pageCount,
+        revision: paper.revision,
       },
       uniquenessScore: similarityResults.uniquenessScore,
       explanation: similarityResults.explanation,
       similarPapers: similarityResults.similarPapers,
+      totalPapersSearched: similarityResults.totalPapersSearched,
+      // How the new revision compares with the previous one
+      changes,
       message: "Paper uniqueness analysis completed successfully",
-    });
-  } catch (error) {
-    console.error("Error analyzing paper uniqueness:", error);
-    res.status(500).json({
-      success: false,
-      error: error.message || "Server error",
-    });
-  }
+    },
+  };
 }
 
 /**
- * Get a list of papers
+ * List the papers the user can see, with full-text search, filters and
+ * cursor pagination
  * @param {Object} req - Express request object
  * @param {Object} res - Express response object
  */
@@ -138,33 +479,90 @@ async function getPapers(req, res) {
     // Connect to database
     await dbConnect();
 
-    // Extract query parameters
-    const {
-      limit = 10,
-      skip = 0,
-      sortBy = "createdAt",
-      sortDir = "desc",
-    } = req.query;
+    // Build the filter from the query string
+    const { filter, error } = buildPaperFilter(req.query, req.user);
+    if (error) {
+      return res.status(400).json({ success: false, error });
+    }
 
-    // Build sort criteria
-    const sortCriteria = {};
-    sortCriteria[sortBy] = sortDir === "asc" ? 1 : -1;
+    const limit = Math.min(
+      Math.max(parseInt(req.query.limit, 10) || DEFAULT_PAGE_SIZE, 1),
+      MAX_PAGE_SIZE
+    );
+    const sort =
+      getParam(req.query, "sort") || (filter.$text ? "relevance" : "newest");
+    const cursor = getParam(req.query, "cursor");
 
-    // Query database
-    const papers = await Paper.find()
-      .select("title authors abstract uniquenessScore createdAt originalPdf")
-      .sort(sortCriteria)
-      .skip(parseInt(skip))
-      .limit(parseInt(limit));
+    let papersQuery;
+    let offset = 0;
+    const order = Object.hasOwn(PAPER_SORTS, sort) ? PAPER_SORTS[sort] : null;
+    if (sort === "relevance") {
+      if (!filter.$text) {
+        return res.status(400).json({
+          success: false,
+          error: "Sorting by relevance needs a search query (q)",
+        });
+      }
 
-    // Get total count
-    const total = await Paper.countDocuments();
+      // Text scores cannot be queried by range, so relevance cursors hold
+      // an offset
+      if (cursor) {
+        offset = decodeCursor(cursor)?.offset;
+        if (!Number.isInteger(offset) || offset < 0) {
+          return res
+            .status(400)
+            .json({ success: false, error: "Invalid cursor" });
+        }
+      }
+      papersQuery = Paper.find(filter)
+        .select({ ...LISTING_PROJECTION, score: { $meta: "textScore" } })
+        .sort({ score: { $meta: "textScore" }, _id: 1 })
+        .skip(offset);
+    } else if (order) {
+      let pageFilter = filter;
+      if (cursor) {
+        const after = getKeysetQuery(cursor, order.field, order.direction);
+        if (!after) {
+          return res
+            .status(400)
+            .json({ success: false, error: "Invalid cursor" });
+        }
+        pageFilter = { ...filter, $and: [...filter.$and, after] };
+      }
+      papersQuery = Paper.find(pageFilter)
+        .select(LISTING_PROJECTION)
+        .sort({ [order.field]: order.direction, _id: order.direction });
+    } else {
+      return res.status(400).json({
+        success: false,
+        error: `sort must be one of: relevance, ${Object.keys(PAPER_SORTS).join(
+          ", "
+        )}`,
+      });
+    }
+
+    // Fetch one paper more than needed to know whether there is another page
+    const [results, total] = await Promise.all([
+      papersQuery.limit(limit + 1),
+      Paper.countDocuments(filter),
+    ]);
+    const papers = results.slice(0, limit);
+    const hasMore = results.length > limit;
+
+    let nextCursor = null;
+    if (hasMore) {
+      nextCursor = order
+        ? getKeysetCursor(papers[papers.length - 1], order.field)
+        : encodeCursor({ offset: offset + limit });
+    }
 
     // Return papers
     res.status(200).json({
       success: true,
       count: papers.length,
       total,
+      sort,
+      nextCursor,
       papers: papers.map((paper) => ({
         id: paper._id,
         title: paper.title,
@@ -173,7 +571,13 @@ async function getPapers(req, res) {
           ? paper.abstract.substring(0, 200) +
             (paper.abstract.length > 200 ? "..." : "")
           : "",
+        publicationYear: paper.publicationYear,
+        journal: paper.journal,
+        doi: paper.doi,
+        keywords: paper.keywords,
+        citations: paper.citations,
         uniquenessScore: paper.uniquenessScore,
+        source: getPaperSource(paper),
         createdAt: paper.createdAt,
         pdfUrl: paper.originalPdf?.cloudinaryUrl,
       })),
@@ -203,7 +607,8 @@ async function getPaper(req, res) {
     // Query database
     const paper = await Paper.findById(paperId);
 
-    if (!paper) {
+    // Uploaded papers are only visible to the user who uploaded them
+    if (!paper || (paper.owner && !isOwner(paper.owner, req.user))) {
       return res.status(404).json({
         success: false,
         error: "Paper not found",
@@ -219,9 +624,13 @@ async function getPaper(req, res) {
         authors: paper.authors,
         abstract: paper.abstract,
         conclusion: paper.conclusion,
+        publicationYear: paper.publicationYear,
+        citations: paper.citations,
+        source: getPaperSource(paper),
         uniquenessScore: paper.uniquenessScore,
         similarityExplanation: paper.similarityExplanation,
         similarPapers: paper.similarPapers.map((sp) => ({
+          paperId: sp.paperId,
           title: sp.title,
           authors: sp.authors,
           year: sp.year,
@@ -229,7 +638,9 @@ async function getPaper(req, res) {
           explanation: sp.explanation,
         })),
         pdfUrl: paper.originalPdf?.cloudinaryUrl,
+        revision: paper.revision || 1,
         createdAt: paper.createdAt,
+        updatedAt: paper.updatedAt,
       },
     });
   } catch (error) {
@@ -241,4 +652,90 @@ async function getPaper(req, res) {
   }
 }
 
-module.exports = { checkPaperUniqueness, getPapers, getPaper };
+/**
+ * Get the revision history of an uploaded paper, newest first, with how the
+ * uniqueness score and matches changed from each revision to the next
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+async function getPaperRevisions(req, res) {
+  try {
+    // Connect to database
+    await dbConnect();
+
+    const { paperId } = req.params;
+
+    if (!paperId.match(/^[0-9a-fA-F]{24}$/)) {
+      return res.status(400).json({
+        success: false,
+        error: "Invalid paper ID",
+      });
+    }
+
+    const paper = await Paper.findById(paperId);
+
+    // Uploaded papers are only visible to the user who uploaded them
+    if (!paper || (paper.owner && !isOwner(paper.owner, req.user))) {
+      return res.status(404).json({
+        success: false,
+        error: "Paper not found",
+      });
+    }
+
+    const revisions = await PaperRevision.find({ paperId }).sort({
+      revision: 1,
+    });
+
+    // Oldest first, ending with the current content of the paper
+    const history = [
+      ...revisions.map((revision) => ({ doc: revision, current: false })),
+      { doc: paper, current: true },
+    ];
+
+    const formatRevision = ({ doc, current }, index) => ({
+      revision: current ? paper.revision || 1 : doc.revision,
+      current,
+      title: doc.title,
+      authors: doc.authors,
+      abstract: doc.abstract,
+      conclusion: doc.conclusion,
+      uniquenessScore: doc.uniquenessScore,
+      similarityExplanation: doc.similarityExplanation,
+      similarPapers: doc.similarPapers.map((sp) => ({
+        paperId: sp.paperId,
+        title: sp.title,
+        authors: sp.authors,
+        year: sp.year,
+        similarityScore: sp.similarityScore,
+        explanation: sp.explanation,
+      })),
+      pdfUrl: doc.originalPdf?.cloudinaryUrl,
+      createdAt: current ? paper.updatedAt || paper.createdAt : doc.createdAt,
+      replacedAt: current ? undefined : doc.replacedAt,
+      // Changes since the previous revision
+      changes: index > 0 ? compareRevisions(history[index - 1].doc, doc) : null,
+    });
+
+    res.status(200).json({
+      success: true,
+      paperId,
+      revisions: history.map(formatRevision).reverse(),
+    });
+  } catch (error) {
+    console.error("Error getting paper revisions:", error);
+    res.status(500).json({
+      success: false,
+      error: error.message || "Server error",
+    });
+  }
+}
+
+module.exports = {
+  checkPaperUniqueness,
+  submitPaperRevision,
+  runCheckUniquenessJob,
+  getPapers,
+  getPaper,
+  getPaperRevisions,
+  CHECK_UNIQUENESS_JOB,
+};
@@ -0,0 +1,72 @@
+const dbConnect = require("../utils/dbConnect");
+const Idea = require("../models/Idea");
+const Room = require("../models/Room");
+const { checkIdeaPriorArt } = require("../utils/priorArtChecker");
+
+// Most papers a prior-art check can return
+const MAX_PRIOR_ART_RESULTS = 20;
+
+/**
+ * Check an idea against the imported paper corpus for prior art
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+async function getIdeaPriorArt(req, res) {
+  try {
+    // Connect to database
+    await dbConnect();
+
+    const { ideaId } = req.params;
+    const limit = Math.max(
+      1,
+      Math.min(parseInt(req.query.limit) || 5, MAX_PRIOR_ART_RESULTS)
+    );
+
+    if (!ideaId.match(/^[0-9a-fA-F]{24}$/)) {
+      return res.status(400).json({
+        success: false,
+        error: "Invalid idea ID",
+      });
+    }
+
+    const idea = await Idea.findById(ideaId).select(
+      "title roomId problemStatement proposedSolution uniquenessScore"
+    );
+    if (!idea) {
+      return res.status(404).json({
+        success: false,
+        error: "Idea not found",
+      });
+    }
+
+    // Ideas in private rooms are only visible to members
+    const room = await Room.findById(idea.roomId);
+    if (room && !room.canView(req.user)) {
+      return res.status(403).json({
+        success: false,
+        error: "This idea belongs to a private room",
+      });
+    }
+
+    const priorArt = await checkIdeaPriorArt(idea, limit);
+
+    res.status(200).json({
+      success: true,
+      idea: {
+        id: idea._id,
+        title: idea.title,
+        roomId: idea.roomId,
+        uniquenessScore: idea.uniquenessScore,
+      },
+      priorArt,
+    });
+  } catch (error) {
+    console.error("Error checking idea prior art:", error);
+    res.status(500).json({
+      success: false,
+      error: error.message || "Server error",
+    });
+  }
+}
+
+module.exports = { getIdeaPriorArt };
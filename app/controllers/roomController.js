@@ -1,6 +1,68 @@
+const mongoose = require("mongoose");
 const dbConnect = require("../utils/dbConnect");
 const Room = require("../models/Room");
 const Idea = require("../models/Idea");
+const {
+  DEFAULT_SCORING_SETTINGS,
+  getScoringSettings,
+} = require("../utils/uniquenessChecker");
+const { RESCORE_ROOM_JOB } = require("../utils/similarityGraph");
+const { enqueueJob } = require("../utils/jobQueue");
+
+// Roles an owner can assign to other members
+const ASSIGNABLE_ROLES = ["moderator", "member"];
+
+// Scoring settings an owner can change, besides the field weights
+const SCORING_SETTINGS = [
+  "similarityThreshold",
+  "highlightThreshold",
+  "uniquenessExponent",
+  "exactMatchPolicy",
+  "nearDuplicateThreshold",
+  "nearDuplicatePolicy",
+];
+
+/**
+ * Shape room members for API responses
+ * @param {Object} room - Room document with members.user populated
+ * @returns {Array<Object>} - Member details
+ */
+function formatMembers(room) {
+  return room.members
+    .filter((member) => member.user) // Skip members whose account was deleted
+    .map((member) => ({
+      id: member.user._id,
+      name: member.user.name,
+      role: member.role,
+      joinedAt: member.joinedAt,
+    }));
+}
+
+/**
+ * Check a room can still be used, sending a 400 response if not
+ * @param {Object} room - Room document
+ * @param {Object} res - Express response object
+ * @returns {boolean} - Whether the room is active and not expired
+ */
+function ensureRoomOpen(room, res) {
+  if (!room.isActive) {
+    res.status(400).json({
+      success: false,
+      error: "This room is no longer active",
+    });
+    return false;
+  }
+
+  if (room.expiresAt < new Date()) {
+    res.status(400).json({
+      success: false,
+      error: "This room has expired",
+    });
+    return false;
+  }
+
+  return true;
+}
 
 /**
  * Create a new room
@@ -13,13 +75,13 @@ async function createRoom(req, res) {
     await dbConnect();
 
     // Extract data from request - include tags and isPrivate
-    const { name, description, topic, createdBy, tags, isPrivate } = req.body;
+    const { name, description, topic, tags, isPrivate } = req.body;
 
     // Validate required fields (tags and isPrivate are optional based on schema defaults)
-    if (!name || !description || !topic || !createdBy) {
+    if (!name || !description || !topic) {
       return res.status(400).json({
         success: false,
-        error: "Missing required fields (name, description, topic, createdBy)",
+        error: "Missing required fields (name, description, topic)",
       });
     }
 
@@ -28,7 +90,9 @@ async function createRoom(req, res) {
       name,
       description,
       topic,
-      createdBy,
+      createdBy: req.user.name, // The signed-in user owns the room
+      owner: req.user._id,
+      members: [{ user: req.user._id, role: "owner" }],
       tags: tags || [], // Use provided tags or default to empty array
       isPrivate: isPrivate || false, // Use provided value or default to false
       accessCode: "", // Will be auto-generated in pre-save hook
@@ -49,7 +113,9 @@ async function createRoom(req, res) {
         tags: room.tags,
         isPrivate: room.isPrivate,
         accessCode: room.accessCode,
+        memberCount: room.members.length,
         createdBy: room.createdBy,
+        ownerId: room.owner,
         createdAt: room.createdAt,
         expiresAt: room.expiresAt,
       },
@@ -64,7 +130,7 @@ async function createRoom(req, res) {
 }
 
 /**
- * Get a room by ID or access code
+ * Get a room by ID or access code. Private rooms are only visible to members.
  * @param {Object} req - Express request object
  * @param {Object} res - Express response object
  */
@@ -87,7 +153,7 @@ async function getRoom(req, res) {
       roomQuery = Room.findOne({ accessCode: identifier });
     }
 
-    const room = await roomQuery; // Execute the query to get the room first
+    const room = await roomQuery.populate("members.user", "name"); // Execute the query to get the room first
 
     // Check if room exists
     if (!room) {
@@ -97,27 +163,25 @@ async function getRoom(req, res) {
       });
     }
 
-    // Check if room is active
-    if (!room.isActive) {
-      return res.status(400).json({
+    // Private rooms are closed to non-members
+    if (!room.canView(req.user)) {
+      return res.status(403).json({
         success: false,
-        error: "This room is no longer active",
+        error: "This room is private. Join it with its access code to view it.",
       });
     }
 
-    // Check if room has expired
-    if (room.expiresAt < new Date()) {
-      return res.status(400).json({
-        success: false,
-        error: "This room has expired",
-      });
-    }
+    if (!ensureRoomOpen(room, res)) return;
 
     // Fetch associated ideas for the room
     const ideas = await Idea.find({ roomId: room._id })
-      .select("title createdBy createdAt uniquenessScore votes") // Select fields needed by frontend
+      .select(
+        "title authorName author createdAt uniquenessScore isDegraded votes"
+      ) // Select fields needed by frontend
       .sort({ createdAt: -1 });
 
+    const currentUserRole = room.getMemberRole(req.user);
+
     // Return the room details along with the ideas
     res.status(200).json({
       success: true,
@@ -128,19 +192,25 @@ async function getRoom(req, res) {
         topic: room.topic, // Assuming topic might still be relevant internally or for other uses
         tags: room.tags || [],
         isPrivate: room.isPrivate || false,
-        memberCount: room.members ? room.members.length : 0, // Assuming members field exists or calculate dynamically if needed
+        // Only members can see (and share) the access code
+        accessCode: currentUserRole ? room.accessCode : undefined,
+        memberCount: room.members.length,
+        currentUserRole,
         createdBy: room.createdBy,
+        ownerId: room.owner,
         createdAt: room.createdAt,
         expiresAt: room.expiresAt,
-        // TODO: Add member details if needed by the frontend interface
-        members: [], // Placeholder - Add actual member fetching if required
+        members: formatMembers(room),
+        scoringSettings: getScoringSettings(room),
         ideas: ideas.map((idea) => ({
           // Map fetched ideas to the expected format
           id: idea._id,
           title: idea.title,
-          createdBy: idea.createdBy, // Assuming 'createdBy' is the field name in Idea model
+          createdBy: idea.authorName,
+          authorId: idea.author,
           createdAt: idea.createdAt,
           uniquenessScore: idea.uniquenessScore,
+          isDegraded: idea.isDegraded || false,
           votes: idea.votes || 0, // Provide default value if votes might be missing
         })),
       },
@@ -155,7 +225,8 @@ async function getRoom(req, res) {
 }
 
 /**
- * Get a list of all active and non-expired rooms
+ * Get a list of all active and non-expired rooms. Private rooms are only
+ * listed for their members.
  * @param {Object} req - Express request object
  * @param {Object} res - Express response object
  */
@@ -164,13 +235,27 @@ async function getRooms(req, res) {
     // Connect to database
     await dbConnect();
 
+    // Public rooms, plus private rooms the signed-in user belongs to
+    const visibility = req.user
+      ? {
+          $or: [
+            { isPrivate: false },
+            { "members.user": req.user._id },
+            { owner: req.user._id },
+          ],
+        }
+      : { isPrivate: false };
+
     // Query for active and non-expired rooms
     const now = new Date();
     const rooms = await Room.find({
       isActive: true,
       expiresAt: { $gt: now }, // Only rooms that haven't expired
+      ...visibility,
     })
-      .select("name description topic createdBy createdAt expiresAt") // Select relevant fields
+      .select(
+        "name description topic tags isPrivate members owner createdBy createdAt expiresAt"
+      ) // Select relevant fields
       .sort({ createdAt: -1 }); // Sort by creation date, newest first
 
     // Return the list of rooms
@@ -182,7 +267,12 @@ async function getRooms(req, res) {
         name: room.name,
         description: room.description,
         topic: room.topic,
+        tags: room.tags || [],
+        isPrivate: room.isPrivate || false,
+        memberCount: room.members.length,
+        currentUserRole: room.getMemberRole(req.user),
         createdBy: room.createdBy,
+        ownerId: room.owner,
         createdAt: room.createdAt,
         expiresAt: room.expiresAt, // Include expiresAt if needed on the list view
       })),
@@ -196,4 +286,397 @@ async function getRooms(req, res) {
   }
 }
 
-module.exports = { createRoom, getRoom, getRooms };
+/**
+ * Join a room using its access code
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+async function joinRoom(req, res) {
+  try {
+    // Connect to database
+    await dbConnect();
+
+    const { accessCode } = req.body;
+    if (!accessCode) {
+      return res.status(400).json({
+        success: false,
+        error: "Access code is required",
+      });
+    }
+
+    const room = await Room.findOne({
+      accessCode: String(accessCode).trim().toUpperCase(),
+    });
+    if (!room) {
+      return res.status(404).json({
+        success: false,
+        error: "No room found with this access code",
+      });
+    }
+
+    if (!ensureRoomOpen(room, res)) return;
+
+    const existingRole = room.getMemberRole(req.user);
+    if (existingRole) {
+      return res.status(200).json({
+        success: true,
+        message: "You are already a member of this room",
+        roomId: room._id,
+        role: existingRole,
+      });
+    }
+
+    // Add the member atomically so concurrent joins can't create duplicates
+    await Room.updateOne(
+      { _id: room._id, "members.user": { $ne: req.user._id } },
+      { $push: { members: { user: req.user._id, role: "member" } } }
+    );
+
+    res.status(200).json({
+      success: true,
+      message: "Joined room successfully",
+      roomId: room._id,
+      role: "member",
+    });
+  } catch (error) {
+    console.error("Error joining room:", error);
+    res.status(500).json({
+      success: false,
+      error: error.message || "Server error",
+    });
+  }
+}
+
+/**
+ * Leave a room. The owner cannot leave their own room.
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+async function leaveRoom(req, res) {
+  try {
+    // Connect to database
+    await dbConnect();
+
+    const { roomId } = req.params;
+    if (!mongoose.Types.ObjectId.isValid(roomId)) {
+      return res.status(400).json({
+        success: false,
+        error: "Invalid room ID",
+      });
+    }
+
+    const room = await Room.findById(roomId);
+    const role = room?.getMemberRole(req.user);
+
+    if (!role) {
+      return res.status(404).json({
+        success: false,
+        error: "You are not a member of this room",
+      });
+    }
+
+    if (role === "owner") {
+      return res.status(400).json({
+        success: false,
+        error: "The room owner cannot leave the room",
+      });
+    }
+
+    await Room.updateOne(
+      { _id: room._id },
+      { $pull: { members: { user: req.user._id } } }
+    );
+
+    res.status(200).json({
+      success: true,
+      message: "Left room successfully",
+    });
+  } catch (error) {
+    console.error("Error leaving room:", error);
+    res.status(500).json({
+      success: false,
+      error: error.message || "Server error",
+    });
+  }
+}
+
+/**
+ * Change a member's role. Only the owner can promote or demote members.
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+async function updateMemberRole(req, res) {
+  try {
+    // Connect to database
+    await dbConnect();
+
+    const { roomId, userId } = req.params;
+    const { role } = req.body;
+
+    if (!ASSIGNABLE_ROLES.includes(role)) {
+      return res.status(400).json({
+        success: false,
+        error: `Invalid role. Must be one of: ${ASSIGNABLE_ROLES.join(", ")}`,
+      });
+    }
+
+    if (
+      !mongoose.Types.ObjectId.isValid(roomId) ||
+      !mongoose.Types.ObjectId.isValid(userId)
+    ) {
+      return res.status(400).json({
+        success: false,
+        error: "Invalid room or user ID",
+      });
+    }
+
+    const room = await Room.findById(roomId);
+    if (!room || !room.canView(req.user)) {
+      return res.status(404).json({
+        success: false,
+        error: "Room not found",
+      });
+    }
+
+    if (!room.hasRole(req.user, "owner")) {
+      return res.status(403).json({
+        success: false,
+        error: "Only the room owner can change member roles",
+      });
+    }
+
+    const member = room.members.find((m) => m.user.toString() === userId);
+    if (!member) {
+      return res.status(404).json({
+        success: false,
+        error: "User is not a member of this room",
+      });
+    }
+
+    if (member.role === "owner") {
+      return res.status(400).json({
+        success: false,
+        error: "The owner's role cannot be changed",
+      });
+    }
+
+    member.role = role;
+    await room.save();
+
+    res.status(200).json({
+      success: true,
+      message: "Member role updated",
+      member: { id: member.user, role: member.role },
+    });
+  } catch (error) {
+    console.error("Error updating member role:", error);
+    res.status(500).json({
+      success: false,
+      error: error.message || "Server error",
+    });
+  }
+}
+
+/**
+ * Remove a member from a room. Owners can remove anyone but themselves;
+ * moderators can only remove regular members.
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+async function removeMember(req, res) {
+  try {
+    // Connect to database
+    await dbConnect();
+
+    const { roomId, userId } = req.params;
+
+    if (
+      !mongoose.Types.ObjectId.isValid(roomId) ||
+      !mongoose.Types.ObjectId.isValid(userId)
+    ) {
+      return res.status(400).json({
+        success: false,
+        error: "Invalid room or user ID",
+      });
+    }
+
+    const room = await Room.findById(roomId);
+    if (!room || !room.canView(req.user)) {
+      return res.status(404).json({
+        success: false,
+        error: "Room not found",
+      });
+    }
+
+    const member = room.members.find((m) => m.user.toString() === userId);
+    if (!member) {
+      return res.status(404).json({
+        success: false,
+        error: "User is not a member of this room",
+      });
+    }
+
+    const requiredRole = member.role === "member" ? "moderator" : "owner";
+    if (member.role === "owner" || !room.hasRole(req.user, requiredRole)) {
+      return res.status(403).json({
+        success: false,
+        error: "You do not have permission to remove this member",
+      });
+    }
+
+    await Room.updateOne(
+      { _id: room._id },
+      { $pull: { members: { user: member.user } } }
+    );
+
+    res.status(200).json({
+      success: true,
+      message: "Member removed",
+    });
+  } catch (error) {
+    console.error("Error removing member:", error);
+    res.status(500).json({
+      success: false,
+      error: error.message || "Server error",
+    });
+  }
+}
+
+/**
+ * Change how ideas in a room are scored for uniqueness. Only the owner can
+ * change scoring; a setting sent as null goes back to the default. Every
+ * idea in the room is re-scored with the new settings.
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+async function updateScoringSettings(req, res) {
+  try {
+    // Connect to database
+    await dbConnect();
+
+    const { roomId } = req.params;
+    const { fieldWeights = {}, ...settings } = req.body;
+
+    if (!mongoose.Types.ObjectId.isValid(roomId)) {
+      return res.status(400).json({
+        success: false,
+        error: "Invalid room ID",
+      });
+    }
+
+    // Collect the changes as schema paths
+    const changes = {};
+    const unknownSettings = Object.keys(settings).filter(
+      (key) => !SCORING_SETTINGS.includes(key)
+    );
+    const unknownFields = Object.keys(fieldWeights).filter(
+      (field) => !(field in DEFAULT_SCORING_SETTINGS.fieldWeights)
+    );
+    if (unknownSettings.length > 0 || unknownFields.length > 0) {
+      return res.status(400).json({
+        success: false,
+        error: "Unknown scoring settings",
+        unknownSettings: [
+          ...unknownSettings,
+          ...unknownFields.map((field) => `fieldWeights.${field}`),
+        ],
+      });
+    }
+    Object.keys(settings).forEach((key) => {
+      changes[`scoringSettings.${key}`] = settings[key];
+    });
+    Object.keys(fieldWeights).forEach((field) => {
+      changes[`scoringSettings.fieldWeights.${field}`] = fieldWeights[field];
+    });
+
+    if (Object.keys(changes).length === 0) {
+      return res.status(400).json({
+        success: false,
+        error: "Provide at least one scoring setting to change",
+      });
+    }
+
+    const invalidNumbers = Object.keys(changes).filter(
+      (path) =>
+        !path.endsWith("Policy") &&
+        changes[path] !== null &&
+        !Number.isFinite(changes[path])
+    );
+    if (invalidNumbers.length > 0) {
+      return res.status(400).json({
+        success: false,
+        error: "Scoring settings must be numbers",
+        invalidSettings: invalidNumbers.map((path) =>
+          path.replace("scoringSettings.", "")
+        ),
+      });
+    }
+
+    const room = await Room.findById(roomId);
+    if (!room || !room.canView(req.user)) {
+      return res.status(404).json({
+        success: false,
+        error: "Room not found",
+      });
+    }
+
+    if (!room.hasRole(req.user, "owner")) {
+      return res.status(403).json({
+        success: false,
+        error: "Only the room owner can change scoring settings",
+      });
+    }
+
+    Object.keys(changes).forEach((path) => {
+      room.set(path, changes[path] === null ? undefined : changes[path]);
+    });
+
+    const weights = getScoringSettings(room).fieldWeights;
+    if (Object.values(weights).every((weight) => !(weight > 0))) {
+      return res.status(400).json({
+        success: false,
+        error: "At least one field weight must be greater than 0",
+      });
+    }
+
+    await room.save();
+
+    // Existing scores were calculated with the old settings
+    const { job } = await enqueueJob(RESCORE_ROOM_JOB, {
+      body: { roomId: room._id.toString() },
+      owner: req.user._id,
+    });
+
+    res.status(202).json({
+      success: true,
+      message: "Scoring settings updated",
+      scoringSettings: getScoringSettings(room),
+      jobId: job._id,
+      status: job.status,
+      statusUrl: `/jobs/${job._id}`,
+    });
+  } catch (error) {
+    if (error.name === "ValidationError") {
+      return res.status(400).json({
+        success: false,
+        error: error.message,
+      });
+    }
+    console.error("Error updating scoring settings:", error);
+    res.status(500).json({
+      success: false,
+      error: error.message || "Server error",
+    });
+  }
+}
+
+module.exports = {
+  createRoom,
+  getRoom,
+  getRooms,
+  joinRoom,
+  leaveRoom,
+  updateMemberRole,
+  removeMember,
+  updateScoringSettings,
+};
@@ -0,0 +1,55 @@
+const dbConnect = require("../utils/dbConnect");
+const { buildPaperFilter, getParam } = require("../utils/paperFilters");
+const { searchPapers } = require("../utils/paperSearch");
+
+// Most papers a search can return
+const MAX_SEARCH_RESULTS = 50;
+
+/**
+ * Search the paper library by keywords and meaning
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+async function search(req, res) {
+  try {
+    // Connect to database
+    await dbConnect();
+
+    const query = getParam(req.query, "q");
+    if (!query) {
+      return res.status(400).json({
+        success: false,
+        error: "Search query (q) is required",
+      });
+    }
+
+    const limit = Math.min(
+      Math.max(parseInt(req.query.limit, 10) || 10, 1),
+      MAX_SEARCH_RESULTS
+    );
+
+    // Same filters as the paper listing
+    const { filter, error } = buildPaperFilter(req.query, req.user);
+    if (error) {
+      return res.status(400).json({ success: false, error });
+    }
+
+    const { degraded, results } = await searchPapers(query, filter, limit);
+
+    res.status(200).json({
+      success: true,
+      query,
+      degraded,
+      count: results.length,
+      results,
+    });
+  } catch (error) {
+    console.error("Error searching papers:", error);
+    res.status(500).json({
+      success: false,
+      error: error.message || "Server error",
+    });
+  }
+}
+
+module.exports = { search };
@@ -1,8 +1,11 @@
 const { extractTextFromPDF } = require("../utils/pdfParser");
-const { checkStructureWithAI } = require("../utils/structureChecker"); // We'll create this next
+const { checkStructureWithAI } = require("../utils/structureChecker");
+const { enqueueJob, getJobFile } = require("../utils/jobQueue");
+
+const CHECK_STRUCTURE_JOB = "check-structure";
 
 /**
- * Checks how well a research paper adheres to a specific academic format.
+ * Queues a check of how well a research paper adheres to a specific academic format.
  * @param {Object} req - Express request object (expects PDF file and 'format' in body)
  * @param {Object} res - Express response object
  */
@@ -25,37 +28,19 @@ async function checkPaperStructure(req, res) {
       });
     }
 
-    // Extract text from PDF
-    let textToAnalyze = "";
-    try {
-      textToAnalyze = await extractTextFromPDF(req.file.buffer);
-    } catch (pdfError) {
-      console.error("Error extracting PDF text:", pdfError);
-      return res.status(400).json({
-        success: false,
-        error:
-          "Could not extract text from the PDF. It might be image-based or corrupted.",
-      });
-    }
-
-    if (!textToAnalyze || textToAnalyze.trim().length < 100) {
-      return res.status(400).json({
-        success: false,
-        error: "Not enough text content found in the PDF for structure check.",
-      });
-    }
-
-    // Call the AI structure checking utility
-    const checkResult = await checkStructureWithAI(textToAnalyze, format);
+    // Queue the check and let the client poll for the result
+    const { job, accessToken } = await enqueueJob(CHECK_STRUCTURE_JOB, {
+      body: { format },
+      file: req.file,
+      owner: req.user?._id,
+    });
 
-    // Send successful response
-    res.status(200).json({
+    res.status(202).json({
       success: true,
-      formatChecked: format,
-      detectedFormat: checkResult.detectedFormat,
-      complianceScore: checkResult.complianceScore,
-      justification: checkResult.justification,
-      message: "Paper structure check completed.",
+      jobId: job._id,
+      accessToken,
+      status: job.status,
+      statusUrl: `/jobs/${job._id}`,
     });
   } catch (error) {
     console.error("Error in checkPaperStructure controller:", error);
@@ -66,4 +51,56 @@ async function checkPaperStructure(req, res) {
   }
 }
 
-module.exports = { checkPaperStructure };
+/**
+ * Runs a queued paper structure check job
+ * @param {Object} job - Job document with the uploaded PDF
+ * @param {Function} updateProgress - Reports job progress (0-100)
+ * @returns {Promise<Object>} - Job result
+ */
+async function runCheckStructureJob(job, updateProgress) {
+  const { format } = job.input.body;
+
+  // Extract text from PDF
+  await updateProgress(10, "Extracting text from PDF");
+  const pdfBuffer = await getJobFile(job);
+  let textToAnalyze = "";
+  try {
+    textToAnalyze = await extractTextFromPDF(pdfBuffer);
+  } catch (pdfError) {
+    console.error("Error extracting PDF text:", pdfError);
+    const error = new Error(
+      "Could not extract text from the PDF. It might be image-based or corrupted."
+    );
+    error.statusCode = 400;
+    throw error;
+  }
+
+  if (!textToAnalyze || textToAnalyze.trim().length < 100) {
+    const error = new Error(
+      "Not enough text content found in the PDF for structure check."
+    );
+    error.statusCode = 400;
+    throw error;
+  }
+
+  // Call the AI structure checking utility
+  await updateProgress(40, `Checking compliance with ${format}`);
+  const checkResult = await checkStructureWithAI(textToAnalyze, format);
+
+  return {
+    result: {
+      success: true,
+      formatChecked: format,
+      detectedFormat: checkResult.detectedFormat,
+      complianceScore: checkResult.complianceScore,
+      justification: checkResult.justification,
+      message: "Paper structure check completed.",
+    },
+  };
+}
+
+module.exports = {
+  checkPaperStructure,
+  runCheckStructureJob,
+  CHECK_STRUCTURE_JOB,
+};
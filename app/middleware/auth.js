@@ -0,0 +1,100 @@
+const jwt = require("jsonwebtoken");
+const dbConnect = require("../utils/dbConnect");
+const User = require("../models/User");
+require("dotenv").config();
+
+const JWT_SECRET = process.env.JWT_SECRET;
+const JWT_EXPIRES_IN = process.env.JWT_EXPIRES_IN || "7d";
+
+if (!JWT_SECRET) {
+  throw new Error("Please define the JWT_SECRET environment variable");
+}
+
+/**
+ * Issue a session token for a user
+ * @param {Object} user - User document
+ * @returns {string} - Signed JWT
+ */
+function signToken(user) {
+  return jwt.sign({ sub: user._id.toString() }, JWT_SECRET, {
+    expiresIn: JWT_EXPIRES_IN,
+  });
+}
+
+/**
+ * Attach the signed-in user to the request as `req.user` when a bearer token
+ * is supplied. Requests without a token continue anonymously; requests with
+ * an invalid or expired token are rejected.
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next function
+ */
+async function authenticate(req, res, next) {
+  const header = req.headers.authorization || "";
+  const [scheme, token] = header.split(" ");
+
+  if (scheme !== "Bearer" || !token) {
+    req.user = null;
+    return next();
+  }
+
+  try {
+    const payload = jwt.verify(token, JWT_SECRET);
+
+    await dbConnect();
+    const user = await User.findById(payload.sub);
+
+    if (!user) {
+      return res.status(401).json({
+        success: false,
+        error: "User for this session no longer exists",
+      });
+    }
+
+    req.user = user;
+    next();
+  } catch (error) {
+    if (
+      error.name === "JsonWebTokenError" ||
+      error.name === "TokenExpiredError"
+    ) {
+      return res.status(401).json({
+        success: false,
+        error: "Invalid or expired session token",
+      });
+    }
+    next(error);
+  }
+}
+
+/**
+ * Reject requests that are not signed in
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next function
+ */
+function requireAuth(req, res, next) {
+  if (!req.user) {
+    return res.status(401).json({
+      success: false,
+      error: "Authentication required",
+    });
+  }
+  next();
+}
+
+/**
+ * Check whether a user owns a document. Documents created before accounts
+ * existed have no owner, so nobody owns them; callers decide who else may
+ * change them.
+ * @param {Object} ownerId - ObjectId stored on the document (may be empty)
+ * @param {Object} user - Signed-in user (may be null)
+ * @returns {boolean}
+ */
+function isOwner(ownerId, user) {
+  if (!user) return false;
+  if (!ownerId) return false;
+  return ownerId.toString() === user._id.toString();
+}
+
+module.exports = { authenticate, requireAuth, signToken, isOwner };
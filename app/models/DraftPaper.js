@@ -0,0 +1,67 @@
+const mongoose = require("mongoose");
+
+const DraftPaperSchema = new mongoose.Schema({
+  ideaId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Idea",
+    required: [true, "Draft paper must be associated with an idea"],
+    unique: true,
+  },
+  roomId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Room",
+  },
+  title: {
+    type: String,
+    required: [true, "Please provide a draft title"],
+    trim: true,
+  },
+  format: {
+    type: String,
+    required: [true, "Please provide a paper format"],
+    trim: true,
+  },
+  // Generation inputs that the idea itself does not hold, kept so the
+  // draft can be regenerated without retyping them
+  authors: {
+    type: [String],
+    default: [],
+  },
+  objectives: {
+    type: [String],
+    default: [],
+  },
+  methodology: {
+    type: String,
+    trim: true,
+  },
+  outcomes: {
+    type: String,
+    trim: true,
+  },
+  references: {
+    type: [String],
+    default: [],
+  },
+  // Generated paper as returned by Gemini
+  htmlContent: {
+    type: String,
+    required: true,
+  },
+  // Incremented every time the draft is regenerated
+  revision: {
+    type: Number,
+    default: 1,
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now,
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now,
+  },
+});
+
+module.exports =
+  mongoose.models.DraftPaper || mongoose.model("DraftPaper", DraftPaperSchema);
@@ -42,10 +42,16 @@ const IdeaSchema = new mongoose.Schema({
       "Please fill a valid email address",
     ],
   },
+  author: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "User",
+    index: true,
+  },
   roomId: {
     type: mongoose.Schema.Types.ObjectId,
     ref: "Room",
     required: [true, "Idea must be associated with a room"],
+    index: true,
   },
   uniquenessScore: {
     type: Number,
@@ -76,6 +82,10 @@ const IdeaSchema = new mongoose.Schema({
     proposedSolution: [Number],
     description: [Number],
     domain: [Number],
+    // Embedding model that produced the vectors and their length (see
+    // embeddingModel.js); missing on ideas embedded before it was recorded
+    model: String,
+    dimension: Number,
   },
   similarIdeas: [
     {
@@ -95,6 +105,39 @@ const IdeaSchema = new mongoose.Schema({
       explanation: String,
     },
   ],
+  // Net vote count (upvotes - downvotes), kept in sync with voters
+  votes: {
+    type: Number,
+    default: 0,
+  },
+  upvotes: {
+    type: Number,
+    default: 0,
+  },
+  downvotes: {
+    type: Number,
+    default: 0,
+  },
+  // One entry per room member who voted
+  voters: [
+    {
+      _id: false,
+      user: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "User",
+        required: true,
+      },
+      value: {
+        type: Number,
+        enum: [1, -1],
+        required: true,
+      },
+      votedAt: {
+        type: Date,
+        default: Date.now,
+      },
+    },
+  ],
   keywords: [
     {
       type: String,
@@ -105,15 +148,47 @@ const IdeaSchema = new mongoose.Schema({
     type: Date,
     default: Date.now,
   },
+  // Incremented on every edit; earlier versions are kept as IdeaVersion documents
+  version: {
+    type: Number,
+    default: 1,
+  },
+  updatedAt: {
+    type: Date,
+  },
   isAnalyzed: {
     type: Boolean,
     default: false,
   },
+  // Scored with the fallback embedder while the embedding service was down;
+  // re-scored with BERT by the degraded idea job
+  isDegraded: {
+    type: Boolean,
+    default: false,
+  },
   // Store the murmurhash of problem statement and proposed solution for quick exact matching
   hashes: {
     problemStatement: String,
     proposedSolution: String,
   },
+  // MinHash bands of problem statement and proposed solution for finding
+  // lightly edited copies (see nearDuplicate.js)
+  nearDuplicateBands: {
+    type: [String],
+    default: undefined,
+  },
 });
 
+// Exact-match lookups within a room
+IdeaSchema.index({ roomId: 1, "hashes.problemStatement": 1 });
+IdeaSchema.index({ roomId: 1, "hashes.proposedSolution": 1 });
+IdeaSchema.index({ roomId: 1, nearDuplicateBands: 1 });
+// Finding ideas waiting to be re-scored with BERT
+IdeaSchema.index(
+  { isDegraded: 1 },
+  { partialFilterExpression: { isDegraded: true } }
+);
+// Finding the ideas that list a changed idea as similar
+IdeaSchema.index({ "similarIdeas.ideaId": 1 });
+
 module.exports = mongoose.models.Idea || mongoose.model("Idea", IdeaSchema);
@@ -0,0 +1,55 @@
+const mongoose = require("mongoose");
+
+// Snapshot of an idea taken before it was edited or deleted
+const IdeaVersionSchema = new mongoose.Schema({
+  ideaId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Idea",
+    required: [true, "Idea version must be associated with an idea"],
+    index: true,
+  },
+  roomId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Room",
+    required: [true, "Idea version must be associated with a room"],
+  },
+  // Version number of the snapshotted content (the original idea is 1)
+  version: {
+    type: Number,
+    required: true,
+  },
+  // What replaced this version
+  action: {
+    type: String,
+    enum: ["updated", "deleted"],
+    required: true,
+  },
+  title: String,
+  description: String,
+  domain: String,
+  problemStatement: String,
+  proposedSolution: String,
+  uniquenessScore: Number,
+  fieldUniqueness: {
+    problemStatement: Number,
+    proposedSolution: Number,
+    description: Number,
+    domain: Number,
+  },
+  // When this version was first saved and who replaced it
+  createdAt: Date,
+  changedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "User",
+  },
+  changedAt: {
+    type: Date,
+    default: Date.now,
+  },
+});
+
+IdeaVersionSchema.index({ ideaId: 1, version: 1 }, { unique: true });
+
+module.exports =
+  mongoose.models.IdeaVersion ||
+  mongoose.model("IdeaVersion", IdeaVersionSchema);
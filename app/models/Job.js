@@ -0,0 +1,105 @@
+const mongoose = require("mongoose");
+
+// How long finished jobs (and their results) are kept before MongoDB removes them
+const FINISHED_JOB_TTL_SECONDS = 7 * 24 * 60 * 60;
+
+const JobSchema = new mongoose.Schema({
+  type: {
+    type: String,
+    required: [true, "Please provide a job type"],
+    trim: true,
+  },
+  status: {
+    type: String,
+    enum: ["queued", "processing", "completed", "failed"],
+    default: "queued",
+  },
+  // User who submitted the job, if signed in
+  owner: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "User",
+  },
+  // SHA-256 hash of the access token given out for jobs without an owner
+  accessTokenHash: {
+    type: String,
+  },
+  progress: {
+    type: Number,
+    default: 0,
+    min: 0,
+    max: 100,
+  },
+  progressMessage: {
+    type: String,
+    default: "Waiting to start",
+  },
+  // Request data needed to run the job, captured at submission time
+  input: {
+    body: {
+      type: mongoose.Schema.Types.Mixed,
+      default: {},
+    },
+    query: {
+      type: mongoose.Schema.Types.Mixed,
+      default: {},
+    },
+    // Metadata of the uploaded file; its contents are stored in GridFS
+    file: {
+      fileId: mongoose.Schema.Types.ObjectId,
+      originalname: String,
+      mimetype: String,
+      size: Number,
+    },
+  },
+  // JSON result of a completed job
+  result: {
+    type: mongoose.Schema.Types.Mixed,
+  },
+  // Binary result of a completed job (e.g. a formatted PDF)
+  resultFile: {
+    data: Buffer,
+    contentType: String,
+    fileName: String,
+  },
+  error: {
+    type: String,
+  },
+  attempts: {
+    type: Number,
+    default: 0,
+  },
+  maxAttempts: {
+    type: Number,
+    default: 3,
+  },
+  // Earliest time the job may be picked up (used for retry backoff)
+  runAfter: {
+    type: Date,
+    default: Date.now,
+  },
+  // When a worker claimed the job; used to recover jobs from crashed workers
+  lockedAt: {
+    type: Date,
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now,
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now,
+  },
+  finishedAt: {
+    type: Date,
+  },
+});
+
+// Index for workers polling the queue
+JobSchema.index({ status: 1, runAfter: 1 });
+// Remove finished jobs after a week
+JobSchema.index(
+  { finishedAt: 1 },
+  { expireAfterSeconds: FINISHED_JOB_TTL_SECONDS }
+);
+
+module.exports = mongoose.models.Job || mongoose.model("Job", JobSchema);
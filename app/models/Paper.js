@@ -22,12 +22,24 @@ const PaperSchema = new mongoose.Schema({
   publicationYear: {
     type: Number,
   },
+  // Citation count reported by the dataset the paper was imported from
+  citations: {
+    type: Number,
+    default: 0,
+    min: 0,
+  },
   doi: {
     type: String,
     trim: true,
     sparse: true,
     index: true,
   },
+  // Hash of the normalized title, used with the DOI to recognise papers that
+  // are imported again (see paperIdentity.js)
+  titleHash: {
+    type: String,
+    index: true,
+  },
   journal: {
     type: String,
     trim: true,
@@ -40,8 +52,16 @@ const PaperSchema = new mongoose.Schema({
     type: [String],
     default: [],
   },
-  // No longer using embeddings, but keeping field for backward compatibility
-  // with a different structure
+  // Embeddings of the abstract and conclusion, stored with the paper so they
+  // can be reused when the similarity search index is rebuilt
+  embeddings: {
+    abstract: [Number],
+    conclusion: [Number],
+    // Embedding model that produced the vectors and their length (see
+    // embeddingModel.js)
+    model: String,
+    dimension: Number,
+  },
   uniquenessScore: {
     type: Number,
     default: 0,
@@ -72,6 +92,20 @@ const PaperSchema = new mongoose.Schema({
       explanation: String,
     },
   ],
+  // User who uploaded the paper (empty for papers imported into the corpus)
+  owner: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "User",
+    index: true,
+  },
+  // "corpus" for papers imported by scripts/import-papers.js, "upload" for
+  // papers uploaded for analysis. Missing on papers stored before it was
+  // recorded (see getCorpusPaperQuery in paperIdentity.js).
+  source: {
+    type: String,
+    enum: ["corpus", "upload"],
+    index: true,
+  },
   // Original PDF information
   originalPdf: {
     cloudinaryUrl: String,
@@ -82,10 +116,18 @@ const PaperSchema = new mongoose.Schema({
       default: Date.now,
     },
   },
+  // Incremented on every new revision of an uploaded paper; earlier revisions
+  // are kept as PaperRevision documents
+  revision: {
+    type: Number,
+    default: 1,
+  },
   createdAt: {
     type: Date,
     default: Date.now,
   },
+  // When the latest revision was uploaded
+  updatedAt: Date,
   isAnalyzed: {
     type: Boolean,
     default: false,
@@ -0,0 +1,50 @@
+const mongoose = require("mongoose");
+
+// Snapshot of an uploaded paper taken before a new revision replaced it
+const PaperRevisionSchema = new mongoose.Schema({
+  paperId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Paper",
+    required: [true, "Paper revision must be associated with a paper"],
+    index: true,
+  },
+  // Revision number of the snapshotted content (the first upload is 1)
+  revision: {
+    type: Number,
+    required: true,
+  },
+  title: String,
+  authors: [String],
+  abstract: String,
+  conclusion: String,
+  uniquenessScore: Number,
+  similarityExplanation: String,
+  similarPapers: [
+    {
+      paperId: String,
+      title: String,
+      authors: String,
+      year: String,
+      similarityScore: Number,
+      explanation: String,
+    },
+  ],
+  originalPdf: {
+    cloudinaryUrl: String,
+    fileSize: Number,
+    fileType: String,
+    uploadDate: Date,
+  },
+  // When this revision was uploaded and when the next one replaced it
+  createdAt: Date,
+  replacedAt: {
+    type: Date,
+    default: Date.now,
+  },
+});
+
+PaperRevisionSchema.index({ paperId: 1, revision: 1 }, { unique: true });
+
+module.exports =
+  mongoose.models.PaperRevision ||
+  mongoose.model("PaperRevision", PaperRevisionSchema);
@@ -1,5 +1,28 @@
 const mongoose = require("mongoose");
 
+// Member roles, from most to least privileged
+const ROOM_ROLES = ["owner", "moderator", "member"];
+
+const RoomMemberSchema = new mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    role: {
+      type: String,
+      enum: ROOM_ROLES,
+      default: "member",
+    },
+    joinedAt: {
+      type: Date,
+      default: Date.now,
+    },
+  },
+  { _id: false }
+);
+
 const RoomSchema = new mongoose.Schema({
   name: {
     type: String,
@@ -18,11 +41,17 @@ const RoomSchema = new mongoose.Schema({
     required: [true, "Please provide a topic for this room"],
     trim: true,
   },
+  // Display name of the creator
   createdBy: {
     type: String,
     required: [true, "Please provide a creator name"],
     trim: true,
   },
+  owner: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "User",
+    index: true,
+  },
   accessCode: {
     type: String,
     //required: true,
@@ -33,10 +62,32 @@ const RoomSchema = new mongoose.Schema({
     default: [],
     index: true,
   },
+  // Private rooms are hidden from room listings and closed to non-members
   isPrivate: {
     type: Boolean,
     default: false,
   },
+  members: {
+    type: [RoomMemberSchema],
+    default: [],
+  },
+  // Uniqueness scoring overrides set by the owner. Unset values fall back to
+  // the defaults in uniquenessChecker.js.
+  scoringSettings: {
+    fieldWeights: {
+      problemStatement: { type: Number, min: 0, max: 10 },
+      proposedSolution: { type: Number, min: 0, max: 10 },
+      description: { type: Number, min: 0, max: 10 },
+      domain: { type: Number, min: 0, max: 10 },
+    },
+    similarityThreshold: { type: Number, min: 0, max: 1 },
+    highlightThreshold: { type: Number, min: 0, max: 1 },
+    uniquenessExponent: { type: Number, min: 0.25, max: 4 },
+    exactMatchPolicy: { type: String, enum: ["reject", "flag"] },
+    // MIN_NEAR_DUPLICATE_THRESHOLD in nearDuplicate.js
+    nearDuplicateThreshold: { type: Number, min: 0.6, max: 1 },
+    nearDuplicatePolicy: { type: String, enum: ["reject", "flag"] },
+  },
   createdAt: {
     type: Date,
     default: Date.now,
@@ -56,6 +107,50 @@ const RoomSchema = new mongoose.Schema({
   },
 });
 
+RoomSchema.index({ "members.user": 1 });
+
+/**
+ * Get a user's role in this room
+ * @param {Object} user - Signed-in user (may be null)
+ * @returns {string|null} - "owner", "moderator", "member" or null if not a member
+ */
+RoomSchema.methods.getMemberRole = function (user) {
+  if (!user) return null;
+
+  // members.user may or may not be populated
+  const userId = user._id.toString();
+  const member = this.members.find(
+    (m) => m.user && (m.user._id || m.user).toString() === userId
+  );
+  if (member) return member.role;
+
+  // Rooms created before membership existed only record the owner
+  if (this.owner && this.owner.toString() === userId) return "owner";
+
+  return null;
+};
+
+/**
+ * Check whether a user has at least the given role in this room
+ * @param {Object} user - Signed-in user (may be null)
+ * @param {string} role - Minimum role required
+ * @returns {boolean}
+ */
+RoomSchema.methods.hasRole = function (user, role) {
+  const memberRole = this.getMemberRole(user);
+  if (!memberRole) return false;
+  return ROOM_ROLES.indexOf(memberRole) <= ROOM_ROLES.indexOf(role);
+};
+
+/**
+ * Check whether a user may see this room and its ideas
+ * @param {Object} user - Signed-in user (may be null)
+ * @returns {boolean}
+ */
+RoomSchema.methods.canView = function (user) {
+  return !this.isPrivate || this.getMemberRole(user) !== null;
+};
+
 // Generate a random 6-character access code before saving
 RoomSchema.pre("save", function (next) {
   if (!this.isModified("accessCode")) {
@@ -0,0 +1,64 @@
+const mongoose = require("mongoose");
+const bcrypt = require("bcryptjs");
+
+// Cost factor for bcrypt password hashing
+const PASSWORD_SALT_ROUNDS = 10;
+
+const UserSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, "Please provide a name"],
+    trim: true,
+    maxlength: [100, "Name cannot be more than 100 characters"],
+  },
+  email: {
+    type: String,
+    required: [true, "Please provide an email address"],
+    unique: true,
+    trim: true,
+    lowercase: true,
+    match: [
+      /^\w+([\.-]?\w+)*@\w+([\.-]?\w+)*(\.\w{2,3})+$/,
+      "Please fill a valid email address",
+    ],
+  },
+  // bcrypt hash; excluded from queries unless explicitly selected
+  password: {
+    type: String,
+    required: [true, "Please provide a password"],
+    minlength: [8, "Password must be at least 8 characters"],
+    select: false,
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now,
+  },
+  lastLoginAt: {
+    type: Date,
+  },
+});
+
+// Hash the password whenever it is set or changed
+UserSchema.pre("save", async function (next) {
+  if (!this.isModified("password")) {
+    return next();
+  }
+
+  try {
+    this.password = await bcrypt.hash(this.password, PASSWORD_SALT_ROUNDS);
+    next();
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * Check a plain-text password against the stored hash
+ * @param {string} candidate - Password supplied by the user
+ * @returns {Promise<boolean>} - Whether the password matches
+ */
+UserSchema.methods.comparePassword = function (candidate) {
+  return bcrypt.compare(candidate, this.password);
+};
+
+module.exports = mongoose.models.User || mongoose.model("User", UserSchema);
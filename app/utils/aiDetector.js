@@ -159,7 +159,9 @@ Ensure the output is a single, valid JSON object and nothing else. Do not includ
     }
   } catch (error) {
     console.error("Error detecting AI content:", error);
-    throw new Error("Failed to analyze the text for AI detection");
+    throw new Error("Failed to analyze the text for AI detection", {
+      cause: error,
+    });
   }
 }
 
@@ -0,0 +1,241 @@
+/**
+ * Parsing of BibTeX and RIS reference library exports
+ *
+ * Reference managers such as Zotero and Mendeley export libraries as BibTeX
+ * (.bib) or RIS (.ris) files. The parsers here turn single entries into plain
+ * objects of raw fields; datasetStream.js splits files into entries and
+ * datasetFormats.js maps the fields to our Paper schema.
+ *
+ * BibTeX entries become { entryType, citationKey, ...fields } with lowercase
+ * field names. @string macros are expanded; @comment and @preamble entries are
+ * skipped. RIS records become { TAG: [values] }, since most tags can repeat.
+ */
+
+// Combining marks for LaTeX accent commands
+const LATEX_ACCENTS = {
+  "'": "\u0301",
+  "`": "\u0300",
+  "^": "\u0302",
+  '"': "\u0308",
+  "~": "\u0303",
+  "=": "\u0304",
+  ".": "\u0307",
+  c: "\u0327",
+  u: "\u0306",
+  v: "\u030c",
+  H: "\u030b",
+};
+
+// LaTeX commands for letters that are not accented ASCII letters
+const LATEX_LETTERS = {
+  ss: "\u00df",
+  o: "\u00f8",
+  O: "\u00d8",
+  aa: "\u00e5",
+  AA: "\u00c5",
+  ae: "\u00e6",
+  AE: "\u00c6",
+  oe: "\u0153",
+  OE: "\u0152",
+  l: "\u0142",
+  L: "\u0141",
+};
+
+/**
+ * Convert LaTeX markup in a BibTeX value to plain text
+ * @param {string} text - Field value, e.g. "Schr{\"o}dinger's {Cat}"
+ * @returns {string} - Plain text, e.g. "Schrödinger's Cat"
+ */
+function cleanLatex(text) {
+  if (!text) return "";
+
+  return (
+    text
+      // Dotless i and j, which only appear under accents
+      .replace(/\\([ij])(?![A-Za-z])\s*/g, "$1")
+      // Accents, written \'e, \'{e} or {\'e}
+      .replace(
+        /\\(['`^"~=.])\s*\{?([A-Za-z])\}?|\\([cuvH])\s*(?:\{([A-Za-z])\}|\s([A-Za-z]))/g,
+        (match, symbol, letter, command, braced, spaced) =>
+          (letter || braced || spaced) + LATEX_ACCENTS[symbol || command]
+      )
+      .replace(
+        /\\(ss|aa|AA|ae|AE|oe|OE|o|O|l|L)(?![A-Za-z])\s*/g,
+        (m, c) => LATEX_LETTERS[c]
+      )
+      // Escaped special characters
+      .replace(/\\([&%$#_])/g, "$1")
+      .replace(/~/g, " ")
+      .replace(/---/g, "\u2014")
+      .replace(/--/g, "\u2013")
+      // Other commands such as \emph or \textbf keep only their argument
+      .replace(/\\[A-Za-z]+\*?\s*/g, "")
+      .replace(/\\[^A-Za-z\s]/g, "")
+      .replace(/[{}]/g, "")
+      .normalize("NFC")
+      .replace(/\s+/g, " ")
+      .trim()
+  );
+}
+
+/**
+ * Read a braced or quoted BibTeX value
+ * @param {string} text - Entry body
+ * @param {number} start - Index of the opening brace or quote
+ * @returns {Object|null} - { value, end } with end just past the closing
+ *   delimiter, or null if the value is not closed
+ */
+function readDelimitedValue(text, start) {
+  const quoted = text[start] === '"';
+  let depth = quoted ? 0 : 1;
+
+  for (let i = start + 1; i < text.length; i++) {
+    const char = text[i];
+    if (char === "\\") {
+      i++;
+    } else if (char === "{") {
+      depth++;
+    } else if (char === "}") {
+      depth--;
+      if (!quoted && depth === 0) {
+        return { value: text.slice(start + 1, i), end: i + 1 };
+      }
+    } else if (char === '"' && quoted && depth === 0) {
+      return { value: text.slice(start + 1, i), end: i + 1 };
+    }
+  }
+  return null;
+}
+
+/**
+ * Parse the "name = value" fields of a BibTeX entry. Parsing stops at the
+ * first malformed field, keeping the fields before it.
+ * @param {string} text - Entry body after the citation key
+ * @param {Map} macros - @string macros defined so far
+ * @returns {Object} - Raw field values keyed by lowercase name
+ */
+function parseBibtexFields(text, macros) {
+  const fields = {};
+  const namePattern = /[\s,]*([^\s=,{}"#]+)\s*=\s*/y;
+  let i = 0;
+
+  while (i < text.length) {
+    namePattern.lastIndex = i;
+    const nameMatch = namePattern.exec(text);
+    if (!nameMatch) break;
+    i = namePattern.lastIndex;
+
+    // A value is one or more parts joined with #
+    const parts = [];
+    while (i < text.length) {
+      if (text[i] === "{" || text[i] === '"') {
+        const part = readDelimitedValue(text, i);
+        if (!part) return fields;
+        parts.push(part.value);
+        i = part.end;
+      } else {
+        // Number or @string macro name
+        const token = /[^\s,#}]+/y;
+        token.lastIndex = i;
+        const tokenMatch = token.exec(text);
+        if (!tokenMatch) return fields;
+        const name = tokenMatch[0].toLowerCase();
+        parts.push(macros.has(name) ? macros.get(name) : tokenMatch[0]);
+        i = token.lastIndex;
+      }
+
+      const next = /\s*(#?)\s*/y;
+      next.lastIndex = i;
+      const joined = next.exec(text)[1];
+      i = next.lastIndex;
+      if (!joined) break;
+    }
+
+    fields[nameMatch[1].toLowerCase()] = parts.join("");
+  }
+
+  return fields;
+}
+
+/**
+ * Parse one BibTeX entry
+ * @param {string} text - Entry from "@" to its closing brace or parenthesis
+ * @param {Map} macros - @string macros defined so far; @string entries add to it
+ * @returns {Object|null} - Entry fields, or null for entries that are not
+ *   references (@string, @comment, @preamble) or cannot be parsed
+ */
+function parseBibtexEntry(text, macros) {
+  const header = /^@\s*([A-Za-z]+)\s*[{(]/.exec(text);
+  if (!header) return null;
+
+  const entryType = header[1].toLowerCase();
+  const body = text.slice(header[0].length, -1);
+
+  if (entryType === "comment" || entryType === "preamble") return null;
+  if (entryType === "string") {
+    const fields = parseBibtexFields(body, macros);
+    Object.entries(fields).forEach(([name, value]) => macros.set(name, value));
+    return null;
+  }
+
+  const comma = body.indexOf(",");
+  if (comma === -1) return null;
+
+  return {
+    entryType,
+    citationKey: body.slice(0, comma).trim(),
+    ...parseBibtexFields(body.slice(comma + 1), macros),
+  };
+}
+
+/**
+ * Split a BibTeX author list into names, written first name first
+ * @param {string} authors - e.g. "Smith, John and {World Health Organization}"
+ * @returns {Array<string>} - e.g. ["John Smith", "World Health Organization"]
+ */
+function parseBibtexAuthors(authors) {
+  if (!authors) return [];
+
+  // Split on "and" outside braces, which protect corporate names
+  const names = [];
+  let depth = 0;
+  let start = 0;
+  for (let i = 0; i < authors.length; i++) {
+    if (authors[i] === "{") depth++;
+    if (authors[i] === "}") depth--;
+    if (depth === 0 && /^\sand\s/i.test(authors.slice(i, i + 5))) {
+      names.push(authors.slice(start, i));
+      start = i + 5;
+      i += 4;
+    }
+  }
+  names.push(authors.slice(start));
+
+  return names
+    .map((name) => {
+      // "Last, First", or "Last, Jr., First" where "Jr." is dropped
+      const parts = name.split(",").map((part) => part.trim());
+      const ordered =
+        parts.length > 1 ? [parts[parts.length - 1], parts[0]] : parts;
+      return cleanLatex(ordered.join(" "));
+    })
+    .filter((name) => name && name.toLowerCase() !== "others");
+}
+
+/**
+ * Parse a line of an RIS file
+ * @param {string} line - e.g. "AU  - Smith, John"
+ * @returns {Object|null} - { tag, value }, or null for continuation lines
+ */
+function parseRisLine(line) {
+  const match = /^([A-Z][A-Z0-9])  -(?: (.*))?$/.exec(line.trimEnd());
+  if (!match) return null;
+  return { tag: match[1], value: (match[2] || "").trim() };
+}
+
+module.exports = {
+  cleanLatex,
+  parseBibtexEntry,
+  parseBibtexAuthors,
+  parseRisLine,
+};
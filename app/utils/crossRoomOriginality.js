@@ -0,0 +1,162 @@
+/**
+ * Originality of an idea across rooms
+ *
+ * Room uniqueness scores only compare ideas within one room. This module
+ * compares an idea with ideas in other rooms the user is allowed to see:
+ * rooms that share the room's topic or tags ("related") or every room
+ * ("global"). Private rooms are only included for their members, and closed
+ * or expired rooms are left out. Candidates are the closest ideas of each
+ * room (see findCandidateIdeaIdsInRooms in ideaIndex.js), so only those are
+ * loaded. Scores use the scoring settings of the idea's own room.
+ */
+
+const Idea = require("../models/Idea");
+const Room = require("../models/Room");
+const { findCandidateIdeaIdsInRooms } = require("./ideaIndex");
+const {
+  compareWithExistingIdeas,
+  getScoringSettings,
+} = require("./uniquenessChecker");
+
+// Configuration
+const CROSS_ROOM_MAX_ROOMS = parseInt(process.env.CROSS_ROOM_MAX_ROOMS) || 20;
+const CROSS_ROOM_CANDIDATES_PER_ROOM = 5;
+
+// Supported scopes; "room" means no cross-room check
+const ORIGINALITY_SCOPES = ["room", "related", "global"];
+
+/**
+ * Escape a string for use in a regular expression
+ * @param {string} text - Text to escape
+ * @returns {string}
+ */
+function escapeRegex(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+}
+
+/**
+ * Find the other rooms to compare against
+ * @param {Object} room - The idea's own room
+ * @param {Object} user - Signed-in user (may be null)
+ * @param {string} scope - "related" or "global"
+ * @returns {Promise<Array>} - Room documents, most recent first
+ */
+async function findComparableRooms(room, user, scope) {
+  // Public rooms, plus private rooms the user belongs to
+  const visibility = user
+    ? {
+        $or: [
+          { isPrivate: false },
+          { "members.user": user._id },
+          { owner: user._id },
+        ],
+      }
+    : { isPrivate: false };
+
+  const conditions = [
+    { _id: { $ne: room._id } },
+    { isActive: true, expiresAt: { $gt: new Date() } },
+    visibility,
+  ];
+
+  if (scope === "related") {
+    const related = [
+      { topic: new RegExp(`^${escapeRegex(room.topic)}$`, "i") },
+    ];
+    if (room.tags && room.tags.length > 0) {
+      related.push({ tags: { $in: room.tags } });
+    }
+    conditions.push({ $or: related });
+  }
+
+  return Room.find({ $and: conditions })
+    .select("name topic tags isPrivate")
+    .sort({ createdAt: -1 })
+    .limit(CROSS_ROOM_MAX_ROOMS);
+}
+
+/**
+ * Explain the cross-room result in one sentence
+ * @param {Array} similarIdeas - Similar ideas with room names, most similar first
+ * @param {number} roomsChecked - Number of rooms compared
+ * @returns {string}
+ */
+function generateCrossRoomExplanation(similarIdeas, roomsChecked) {
+  if (roomsChecked === 0) {
+    return "There are no other rooms to compare this idea with.";
+  }
+  if (similarIdeas.length === 0) {
+    return `No similar ideas were found in ${roomsChecked} other room${
+      roomsChecked === 1 ? "" : "s"
+    }.`;
+  }
+
+  const closest = similarIdeas[0];
+  return `The closest idea in another room is "${closest.title}" in "${closest.roomName}" (${closest.similarityScore}% similar).`;
+}
+
+/**
+ * Compare an idea with ideas in other rooms
+ * @param {Object} embeddings - Field embeddings of the idea
+ * @param {Object} room - The idea's own room
+ * @param {Object} user - Signed-in user (may be null)
+ * @param {string} scope - "related" or "global"
+ * @returns {Promise<Object>} - { scope, roomsChecked, uniquenessScore,
+ *   fieldUniqueness, explanation, similarIdeas } where each similar idea
+ *   names the room it came from
+ */
+async function checkCrossRoomOriginality(embeddings, room, user, scope) {
+  const rooms = await findComparableRooms(room, user, scope);
+
+  const candidateIds = await findCandidateIdeaIdsInRooms(
+    rooms.map((other) => other._id),
+    embeddings,
+    { k: CROSS_ROOM_CANDIDATES_PER_ROOM }
+  );
+
+  const candidates = await Idea.find({ _id: { $in: candidateIds } }).select(
+    "title roomId embeddings"
+  );
+  const result = compareWithExistingIdeas(
+    embeddings,
+    candidates,
+    getScoringSettings(room)
+  );
+
+  const ideasById = new Map(
+    candidates.map((idea) => [idea._id.toString(), idea])
+  );
+  const roomsById = new Map(
+    rooms.map((other) => [other._id.toString(), other])
+  );
+
+  const similarIdeas = result.similarIdeas.map((similar) => {
+    const idea = ideasById.get(similar.ideaId.toString());
+    const ideaRoom = roomsById.get(idea.roomId.toString());
+    return {
+      ideaId: similar.ideaId,
+      title: idea.title,
+      roomId: ideaRoom._id,
+      roomName: ideaRoom.name,
+      roomTopic: ideaRoom.topic,
+      similarityScore: similar.similarityScore,
+      fieldSimilarity: similar.fieldSimilarity,
+      explanation: similar.explanation,
+    };
+  });
+
+  return {
+    scope,
+    roomsChecked: rooms.length,
+    uniquenessScore: result.uniquenessScore,
+    fieldUniqueness: result.fieldUniqueness,
+    explanation: generateCrossRoomExplanation(similarIdeas, rooms.length),
+    similarIdeas,
+  };
+}
+
+module.exports = {
+  ORIGINALITY_SCOPES,
+  escapeRegex,
+  checkCrossRoomOriginality,
+};
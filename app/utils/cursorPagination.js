@@ -0,0 +1,115 @@
+/**
+ * Cursor pagination for sorted MongoDB queries
+ *
+ * Pages continue from the sort value and _id of the last document returned
+ * (a range query) rather than skipping documents, so deep pages cost no more
+ * than the first and documents added in the meantime do not shift later
+ * pages. Cursors are opaque base64url strings. Documents missing the sort
+ * field come last in descending order and first in ascending order, as
+ * MongoDB sorts them.
+ */
+
+const mongoose = require("mongoose");
+
+/**
+ * Encode cursor data as an opaque string
+ * @param {Object} data - JSON-serializable cursor data
+ * @returns {string} - Cursor
+ */
+function encodeCursor(data) {
+  return Buffer.from(JSON.stringify(data)).toString("base64url");
+}
+
+/**
+ * Decode a cursor made by encodeCursor
+ * @param {string} cursor - Cursor from a previous page
+ * @returns {Object|null} - Cursor data, or null if the cursor is malformed
+ */
+function decodeCursor(cursor) {
+  try {
+    const data = JSON.parse(Buffer.from(cursor, "base64url").toString());
+    return data && typeof data === "object" ? data : null;
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Get the cursor for the page after a document
+ * @param {Object} doc - Last document of the page
+ * @param {string} field - Sort field
+ * @returns {string} - Cursor
+ */
+function getKeysetCursor(doc, field) {
+  const value = doc[field];
+  return encodeCursor({
+    value:
+      value instanceof Date ? { date: value.toISOString() } : (value ?? null),
+    id: String(doc._id),
+  });
+}
+
+/**
+ * Get the sort value stored in a cursor, refusing anything but the plain
+ * values getKeysetCursor writes so a crafted cursor cannot add query operators
+ * @param {*} value - Value from the cursor data
+ * @returns {*} - String, number, Date or null, or undefined if invalid
+ */
+function decodeSortValue(value) {
+  if (value === null || typeof value === "string") return value;
+  if (typeof value === "number") {
+    return Number.isFinite(value) ? value : undefined;
+  }
+
+  const isDate =
+    value &&
+    typeof value === "object" &&
+    Object.keys(value).length === 1 &&
+    typeof value.date === "string";
+  if (!isDate) return undefined;
+
+  const date = new Date(value.date);
+  return Number.isNaN(date.getTime()) ? undefined : date;
+}
+
+/**
+ * Build the query matching the documents after a cursor
+ * @param {string} cursor - Cursor from getKeysetCursor
+ * @param {string} field - Sort field, the same as when the cursor was made
+ * @param {number} direction - 1 for ascending, -1 for descending
+ * @returns {Object|null} - MongoDB query, or null if the cursor is malformed
+ */
+function getKeysetQuery(cursor, field, direction) {
+  const data = decodeCursor(cursor);
+  if (!data || typeof data.id !== "string") return null;
+  if (!mongoose.Types.ObjectId.isValid(data.id)) return null;
+
+  const value = decodeSortValue(data.value);
+  if (value === undefined) return null;
+
+  const id = new mongoose.Types.ObjectId(data.id);
+  const after = direction === 1 ? "$gt" : "$lt";
+
+  if (value === null) {
+    // Still among the documents missing the field
+    const missing = { [field]: null, _id: { [after]: id } };
+    return direction === 1
+      ? { $or: [missing, { [field]: { $ne: null } }] }
+      : missing;
+  }
+
+  const conditions = [
+    { [field]: { [after]: value } },
+    { [field]: value, _id: { [after]: id } },
+  ];
+  // Documents missing the field follow all others when descending
+  if (direction === -1) conditions.push({ [field]: null });
+  return { $or: conditions };
+}
+
+module.exports = {
+  encodeCursor,
+  decodeCursor,
+  getKeysetCursor,
+  getKeysetQuery,
+};
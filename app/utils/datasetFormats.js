@@ -0,0 +1,286 @@
+/**
+ * Field mappings from public paper datasets to our Paper schema
+ *
+ * Used by the import and conversion scripts. The arXiv mapping covers both the
+ * arXiv API format (summary, published) and the Kaggle arXiv metadata snapshot
+ * (authors_parsed, categories, journal-ref, versions). The AMiner mapping
+ * covers the citation network dumps, whose authors, venue and fields of study
+ * are objects in recent versions.
+ *
+ * Reference library exports (BibTeX and RIS, see bibliographyParser.js) and
+ * Crossref and OpenAlex works, from their API or their snapshot dumps, are
+ * mapped too.
+ */
+
+const { cleanLatex, parseBibtexAuthors } = require("./bibliographyParser");
+
+/**
+ * Split an author list written as one string
+ * @param {string} authors - e.g. "A. Smith, B. Jones and C. Lee"
+ * @returns {Array<string>} - Author names
+ */
+function splitAuthors(authors) {
+  return authors
+    .split(/,|\band\b/)
+    .map((a) => a.trim())
+    .filter(Boolean);
+}
+
+/**
+ * Get author names from the different shapes datasets use
+ * @param {Array|string} authors - Names, { name } objects or one string
+ * @returns {Array<string>} - Author names
+ */
+function mapAuthors(authors) {
+  if (typeof authors === "string") return splitAuthors(authors);
+  if (!Array.isArray(authors)) return [];
+  return authors
+    .map((author) => (typeof author === "string" ? author : author?.name))
+    .filter(Boolean);
+}
+
+/**
+ * Get the year from a date string
+ * @param {string} date - Date in any format Date understands
+ * @returns {number|null} - Year, or null if the date is invalid
+ */
+function yearOf(date) {
+  if (!date) return null;
+  const year = new Date(date).getFullYear();
+  return Number.isNaN(year) ? null : year;
+}
+
+function mapAminerFields(paper) {
+  // Map from AMiner dataset format to our schema
+  return {
+    title: paper.title || "",
+    abstract: paper.abstract || "",
+    authors: mapAuthors(paper.authors),
+    year: paper.year || null,
+    doi: paper.doi || null,
+    // Recent dumps store the venue as { raw, id }
+    journal: paper.venue?.raw || paper.venue || paper.journal || null,
+    url: (Array.isArray(paper.url) ? paper.url[0] : paper.url) || null,
+    keywords:
+      paper.keywords || (paper.fos || []).map((field) => field.name || field),
+    citations: paper.n_citation || 0,
+    // Add any other field mappings as needed
+  };
+}
+
+function mapArxivFields(paper) {
+  // Map from arXiv dataset format to our schema
+  return {
+    title: (paper.title || "").replace(/\s+/g, " ").trim(),
+    abstract: paper.abstract || paper.summary || "",
+    authors: Array.isArray(paper.authors_parsed)
+      ? paper.authors_parsed.map((parts) =>
+          [parts[1], parts[0]].filter(Boolean).join(" ")
+        )
+      : mapAuthors(paper.authors),
+    year:
+      paper.year ||
+      yearOf(paper.published) ||
+      yearOf(paper.versions?.[0]?.created) ||
+      yearOf(paper.update_date),
+    doi: paper.doi || null,
+    journal: paper.journal || paper["journal-ref"] || paper.venue || null,
+    url:
+      paper.url ||
+      paper.pdf_url ||
+      (paper.id ? `https://arxiv.org/abs/${paper.id}` : null),
+    keywords:
+      paper.keywords ||
+      (typeof paper.categories === "string"
+        ? paper.categories.split(/\s+/).filter(Boolean)
+        : paper.categories || []),
+    citations: paper.citation_count || 0,
+    // Add any other field mappings as needed
+  };
+}
+
+/**
+ * Get the first year in a date string
+ * @param {string} date - e.g. "2021", "2021/05/03/" or "May 2021"
+ * @returns {number|null} - Year, or null if there is none
+ */
+function firstYear(date) {
+  const match = /\b(1[5-9]|20)\d\d\b/.exec(date || "");
+  return match ? parseInt(match[0], 10) : null;
+}
+
+/**
+ * Split a keyword list written as one string
+ * @param {string} keywords - e.g. "graphs; machine learning"
+ * @returns {Array<string>} - Keywords
+ */
+function splitKeywords(keywords) {
+  return (keywords || "")
+    .split(/[,;]/)
+    .map((k) => k.trim())
+    .filter(Boolean);
+}
+
+function mapBibtexFields(entry) {
+  // Map from a BibTeX entry to our schema
+  return {
+    title: cleanLatex(entry.title),
+    abstract: cleanLatex(entry.abstract),
+    authors: parseBibtexAuthors(entry.author),
+    year: firstYear(entry.year) || firstYear(entry.date),
+    doi: entry.doi || null,
+    journal:
+      cleanLatex(entry.journal || entry.journaltitle || entry.booktitle) ||
+      null,
+    url: entry.url || null,
+    keywords: splitKeywords(cleanLatex(entry.keywords)),
+  };
+}
+
+function mapRisFields(record) {
+  // Map from an RIS record to our schema
+  const first = (...tags) =>
+    tags.map((tag) => record[tag]?.[0]).find(Boolean) || null;
+
+  return {
+    title: first("TI", "T1", "CT") || "",
+    abstract: first("AB", "N2") || "",
+    // RIS names are written "Last, First, Suffix"
+    authors: [...(record.AU || []), ...(record.A1 || [])].map((name) => {
+      const parts = name.split(",").map((part) => part.trim());
+      return [parts[1], parts[0]].filter(Boolean).join(" ");
+    }),
+    year: firstYear(first("PY", "Y1", "DA")),
+    doi: first("DO"),
+    journal: first("JO", "JF", "T2", "JA", "J2"),
+    url: first("UR"),
+    keywords: record.KW || [],
+  };
+}
+
+function mapCrossrefFields(work) {
+  // Map from a Crossref work to our schema
+  const date =
+    work.issued || work["published-print"] || work["published-online"];
+
+  return {
+    title: (work.title || [])[0] || "",
+    // Abstracts are JATS XML; drop its "Abstract" heading and tags
+    abstract: (work.abstract || "")
+      .replace(/<jats:title>[^<]*<\/jats:title>/g, "")
+      .replace(/<\/?jats:(p|sec)\b[^>]*>/g, " ")
+      .replace(/<[^>]+>/g, "")
+      .replace(/\s+/g, " ")
+      .trim(),
+    authors: (work.author || [])
+      .map(
+        (author) =>
+          author.name || [author.given, author.family].filter(Boolean).join(" ")
+      )
+      .filter(Boolean),
+    year: date?.["date-parts"]?.[0]?.[0] || null,
+    doi: work.DOI || null,
+    journal: (work["container-title"] || [])[0] || null,
+    url: work.URL || null,
+    keywords: work.subject || [],
+    citations: work["is-referenced-by-count"] || 0,
+  };
+}
+
+/**
+ * Rebuild an abstract from OpenAlex's inverted index
+ * @param {Object} invertedIndex - Positions of each word, e.g. { "A": [0] }
+ * @returns {string} - Abstract text
+ */
+function invertAbstract(invertedIndex) {
+  const words = [];
+  Object.entries(invertedIndex || {}).forEach(([word, positions]) =>
+    positions.forEach((position) => (words[position] = word))
+  );
+  return words.filter(Boolean).join(" ");
+}
+
+function mapOpenAlexFields(work) {
+  // Map from an OpenAlex work to our schema
+  const source = work.primary_location?.source || work.host_venue;
+
+  return {
+    title: work.title || work.display_name || "",
+    abstract: invertAbstract(work.abstract_inverted_index),
+    authors: (work.authorships || [])
+      .map((authorship) => authorship.author?.display_name)
+      .filter(Boolean),
+    year: work.publication_year || null,
+    doi: work.doi || null,
+    journal: source?.display_name || null,
+    url: work.primary_location?.landing_page_url || work.doi || work.id || null,
+    keywords: (work.keywords || work.concepts || [])
+      .map((keyword) => keyword.display_name || keyword.keyword)
+      .filter(Boolean),
+    citations: work.cited_by_count || 0,
+  };
+}
+
+/**
+ * Detect the dataset format from a sample record
+ * @param {Object} paper - First record of the dataset
+ * @returns {string} - One of the DATASET_FORMATS keys, "plain" meaning the
+ *   records are already in our schema
+ */
+function detectDatasetFormat(paper) {
+  if (!paper) return "plain";
+  if (paper.hasOwnProperty("entryType")) return "bibtex";
+  if (paper.hasOwnProperty("TY")) return "ris";
+  if (
+    paper.hasOwnProperty("DOI") &&
+    (paper.hasOwnProperty("container-title") || paper.hasOwnProperty("issued"))
+  ) {
+    return "crossref";
+  }
+  if (
+    paper.hasOwnProperty("authorships") ||
+    paper.hasOwnProperty("abstract_inverted_index")
+  ) {
+    return "openalex";
+  }
+  if (
+    paper.hasOwnProperty("summary") ||
+    paper.hasOwnProperty("categories") ||
+    paper.hasOwnProperty("authors_parsed")
+  ) {
+    return "arxiv";
+  }
+  if (paper.hasOwnProperty("n_citation") || paper.hasOwnProperty("venue")) {
+    return "aminer";
+  }
+  return "plain";
+}
+
+// Dataset formats and their mappings to our schema
+const DATASET_FORMATS = {
+  arxiv: { name: "arXiv", map: mapArxivFields },
+  aminer: { name: "AMiner", map: mapAminerFields },
+  bibtex: { name: "BibTeX", map: mapBibtexFields },
+  ris: { name: "RIS", map: mapRisFields },
+  crossref: { name: "Crossref", map: mapCrossrefFields },
+  openalex: { name: "OpenAlex", map: mapOpenAlexFields },
+  plain: { name: "plain", map: (paper) => paper },
+};
+
+/**
+ * Map a dataset record to our schema
+ * @param {Object} paper - Dataset record
+ * @param {string} format - One of the DATASET_FORMATS keys
+ * @returns {Object} - Paper fields (plain records are returned unchanged)
+ */
+function mapDatasetRecord(paper, format) {
+  return DATASET_FORMATS[format].map(paper);
+}
+
+module.exports = {
+  DATASET_FORMATS,
+  mapArxivFields,
+  mapAminerFields,
+  detectDatasetFormat,
+  mapDatasetRecord,
+};
@@ -0,0 +1,371 @@
+/**
+ * Streaming readers and writers for paper datasets
+ *
+ * Datasets such as the arXiv metadata snapshot are several gigabytes, far too
+ * large for readFileSync and JSON.parse. Records are read one at a time from
+ * JSON arrays, JSON Lines, CSV, BibTeX and RIS files, and written out the same
+ * way, so memory use does not grow with the size of the dataset. Files ending
+ * in .gz (as Crossref and OpenAlex dumps do) are decompressed as they are read.
+ *
+ * JSON files may hold a top-level array of records, one record per line, or a
+ * single object wrapping the records in a "papers", "items" or "results" array
+ * (or "message.items", as Crossref API responses do). Only the first two are
+ * streamed; a wrapper object is read whole.
+ */
+
+const fs = require("fs");
+const readline = require("readline");
+const zlib = require("zlib");
+const { once } = require("events");
+const csv = require("csv-parser");
+const { parseBibtexEntry, parseRisLine } = require("./bibliographyParser");
+
+// Keys of wrapper objects holding the records
+const WRAPPER_KEYS = ["papers", "items", "results"];
+
+// Dataset types by file extension
+const DATASET_TYPES = {
+  json: "json",
+  jsonl: "jsonl",
+  ndjson: "jsonl",
+  csv: "csv",
+  bib: "bibtex",
+  ris: "ris",
+};
+
+/**
+ * Get the type of a dataset file from its extension, ignoring a .gz suffix
+ * @param {string} filePath - Path to the dataset file
+ * @returns {string|null} - "json", "jsonl", "csv", "bibtex" or "ris", or null
+ *   if unsupported
+ */
+function getDatasetType(filePath) {
+  const match = /\.([a-z]+)(\.gz)?$/i.exec(filePath);
+  return (match && DATASET_TYPES[match[1].toLowerCase()]) || null;
+}
+
+/**
+ * Open a dataset file for reading, decompressing .gz files
+ * @param {string} filePath - Path to the dataset file
+ * @param {string} [encoding] - Encoding to decode the contents with
+ * @returns {stream.Readable} - File contents
+ */
+function openDatasetFile(filePath, encoding) {
+  let stream = fs.createReadStream(filePath);
+  if (/\.gz$/i.test(filePath)) stream = stream.pipe(zlib.createGunzip());
+  if (encoding) stream.setEncoding(encoding);
+  return stream;
+}
+
+/**
+ * Get the records of an object wrapping them, such as { papers: [...] }
+ * @param {Object} value - Top-level JSON value
+ * @returns {Array|null} - Wrapped records, or null if it is not a wrapper
+ */
+function unwrapRecords(value) {
+  const container = Array.isArray(value.message?.items) ? value.message : value;
+  const key = WRAPPER_KEYS.find((key) => Array.isArray(container[key]));
+  return key ? container[key] : null;
+}
+
+/**
+ * Read records from a JSON Lines file. Invalid lines are skipped with a
+ * warning, so one bad line does not stop a long import.
+ * @param {string} filePath - Path to the file
+ * @yields {Object} - Records in file order
+ */
+async function* readJsonLines(filePath) {
+  const lines = readline.createInterface({
+    input: openDatasetFile(filePath),
+    crlfDelay: Infinity,
+  });
+
+  let lineNumber = 0;
+  for await (const line of lines) {
+    lineNumber++;
+    if (!line.trim()) continue;
+
+    try {
+      yield JSON.parse(line);
+    } catch (error) {
+      console.warn(
+        `Skipping invalid JSON on line ${lineNumber} of ${filePath}: ${error.message}`
+      );
+    }
+  }
+}
+
+/**
+ * Read records from a JSON file holding an array of records or a sequence of
+ * objects (which includes JSON Lines saved with a .json extension)
+ *
+ * The text is scanned for the bounds of each record, tracking bracket depth
+ * and strings, and each record is parsed on its own.
+ * @param {string} filePath - Path to the file
+ * @yields {Object} - Records in file order
+ */
+async function* readJsonRecords(filePath) {
+  const stream = openDatasetFile(filePath, "utf8");
+
+  // Depth at which records start: 1 inside a top-level array, 0 otherwise
+  let recordDepth = null;
+  let depth = 0;
+  let inString = false;
+  let escaped = false;
+  // Start of the current record in the chunk, and its text from earlier chunks
+  let recordStart = -1;
+  let pending = "";
+  let count = 0;
+
+  for await (const chunk of stream) {
+    const records = [];
+
+    for (let i = 0; i < chunk.length; i++) {
+      const char = chunk[i];
+
+      if (inString) {
+        if (escaped) {
+          escaped = false;
+        } else if (char === "\\") {
+          escaped = true;
+        } else if (char === '"') {
+          inString = false;
+        }
+      } else if (char === '"') {
+        inString = true;
+      } else if (char === "{" || char === "[") {
+        if (recordDepth === null) {
+          recordDepth = char === "[" ? 1 : 0;
+          // The opening bracket of the top-level array is not part of a record
+          if (recordDepth === 1) {
+            depth = 1;
+            continue;
+          }
+        }
+        if (depth === recordDepth) recordStart = i;
+        depth++;
+      } else if (char === "}" || char === "]") {
+        depth--;
+        if (depth === recordDepth && recordStart !== -1) {
+          records.push(pending + chunk.slice(recordStart, i + 1));
+          pending = "";
+          recordStart = -1;
+        }
+      }
+    }
+
+    // Keep the start of a record that continues in the next chunk
+    if (recordStart !== -1) {
+      pending += chunk.slice(recordStart);
+      recordStart = 0;
+    }
+
+    for (const text of records) {
+      count++;
+      let record;
+      try {
+        record = JSON.parse(text);
+      } catch (error) {
+        throw new Error(
+          `Invalid JSON in record ${count} of ${filePath}: ${error.message}`
+        );
+      }
+
+      const wrapped = recordDepth === 0 && unwrapRecords(record);
+      if (wrapped) {
+        yield* wrapped;
+      } else {
+        yield record;
+      }
+    }
+  }
+
+  if (pending || depth > 0) {
+    throw new Error(`Unexpected end of JSON in ${filePath}`);
+  }
+}
+
+/**
+ * Read records from a CSV file with a header row
+ * @param {string} filePath - Path to the file
+ * @yields {Object} - Rows keyed by column name
+ */
+async function* readCsvRecords(filePath) {
+  yield* openDatasetFile(filePath).pipe(csv());
+}
+
+/**
+ * Read the entries of a BibTeX file. Text between entries is ignored, as
+ * BibTeX does.
+ * @param {string} filePath - Path to the file
+ * @yields {Object} - Entries in file order (see bibliographyParser.js)
+ */
+async function* readBibtexRecords(filePath) {
+  const stream = openDatasetFile(filePath, "utf8");
+  const macros = new Map();
+
+  // Text of the entry being read, from its "@"
+  let entry = null;
+  // Delimiter closing the entry, once its opening one has been read
+  let closing = null;
+  let depth = 0;
+  // Inside a "..." value; a ")" there does not close an "@type(" entry
+  let quoted = false;
+
+  for await (const chunk of stream) {
+    const entries = [];
+
+    for (const char of chunk) {
+      if (entry === null) {
+        if (char === "@") entry = "@";
+        continue;
+      }
+      entry += char;
+
+      if (closing === null) {
+        // "@type{" or "@type(" starts an entry; anything else was not one
+        if (char === "{" || char === "(") {
+          closing = char === "{" ? "}" : ")";
+          depth = 1;
+          quoted = false;
+        } else if (!/[A-Za-z\s]/.test(char)) {
+          entry = null;
+        }
+        continue;
+      }
+
+      if (char === "{") depth++;
+      if (char === "}") depth--;
+      // Quotes only delimit values outside braces, as in {"}
+      if (char === '"' && depth === 1) quoted = !quoted;
+      if (
+        (closing === "}" && depth === 0) ||
+        (closing === ")" && char === ")" && depth === 1 && !quoted)
+      ) {
+        entries.push(entry);
+        entry = null;
+        closing = null;
+      }
+    }
+
+    for (const text of entries) {
+      const record = parseBibtexEntry(text, macros);
+      if (record) yield record;
+    }
+  }
+}
+
+/**
+ * Read the records of an RIS file
+ * @param {string} filePath - Path to the file
+ * @yields {Object} - Records as { TAG: [values] }
+ */
+async function* readRisRecords(filePath) {
+  const lines = readline.createInterface({
+    input: openDatasetFile(filePath),
+    crlfDelay: Infinity,
+  });
+
+  let record = null;
+  let lastTag = null;
+  for await (const rawLine of lines) {
+    const line = rawLine.replace(/^\uFEFF/, "");
+    const parsed = parseRisLine(line);
+
+    if (!parsed) {
+      // Long values continue on lines without a tag
+      if (record && lastTag && line.trim()) {
+        const values = record[lastTag];
+        values[values.length - 1] += ` ${line.trim()}`;
+      }
+      continue;
+    }
+
+    if (parsed.tag === "TY") {
+      record = {};
+    } else if (!record) {
+      continue;
+    }
+
+    if (parsed.tag === "ER") {
+      yield record;
+      record = null;
+      lastTag = null;
+      continue;
+    }
+
+    (record[parsed.tag] = record[parsed.tag] || []).push(parsed.value);
+    lastTag = parsed.tag;
+  }
+
+  // A last record without an end tag
+  if (record) yield record;
+}
+
+/**
+ * Read the records of a dataset file one at a time
+ *
+ * Stopping early (breaking out of the loop) closes the file.
+ * @param {string} filePath - Path to a .json, .jsonl, .ndjson, .csv, .bib or
+ *   .ris file, optionally gzipped
+ * @returns {AsyncGenerator<Object>} - Records in file order
+ */
+function readDatasetRecords(filePath) {
+  switch (getDatasetType(filePath)) {
+    case "jsonl":
+      return readJsonLines(filePath);
+    case "json":
+      return readJsonRecords(filePath);
+    case "csv":
+      return readCsvRecords(filePath);
+    case "bibtex":
+      return readBibtexRecords(filePath);
+    case "ris":
+      return readRisRecords(filePath);
+    default:
+      throw new Error(`Unsupported dataset file: ${filePath}`);
+  }
+}
+
+/**
+ * Create a writer that streams records to a JSON file, as an array or as
+ * JSON Lines when the path ends in .jsonl or .ndjson
+ * @param {string} filePath - Path to the output file
+ * @returns {Object} - { write(record), end() }; both return promises, and
+ *   end resolves to the number of bytes written
+ */
+function createDatasetWriter(filePath) {
+  const jsonLines = getDatasetType(filePath) === "jsonl";
+  const stream = fs.createWriteStream(filePath);
+  let count = 0;
+
+  // Wait for the file to catch up rather than buffering the whole dataset
+  const write = async (text) => {
+    if (!stream.write(text)) await once(stream, "drain");
+  };
+
+  return {
+    async write(record) {
+      if (jsonLines) {
+        await write(`${JSON.stringify(record)}\n`);
+      } else {
+        const text = JSON.stringify(record, null, 2).replace(/\n/g, "\n  ");
+        await write(`${count === 0 ? "[\n" : ",\n"}  ${text}`);
+      }
+      count++;
+    },
+
+    async end() {
+      if (!jsonLines) await write(count === 0 ? "[]\n" : "\n]\n");
+      stream.end();
+      await once(stream, "finish");
+      return stream.bytesWritten;
+    },
+  };
+}
+
+module.exports = {
+  getDatasetType,
+  readDatasetRecords,
+  createDatasetWriter,
+};
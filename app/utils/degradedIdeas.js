@@ -0,0 +1,175 @@
+/**
+ * Re-scores degraded ideas once the embedding service is back
+ *
+ * Ideas submitted or edited while the embedding service was down are scored
+ * with the fallback embedder and marked as degraded (see uniquenessChecker.js).
+ * A timer checks for such ideas periodically and queues a background job that
+ * fetches their BERT embeddings, scores them against the nearest ideas in
+ * their room and re-scores the ideas they now match. If the service is still
+ * down the job stops early and the next check tries again.
+ */
+
+const dbConnect = require("./dbConnect");
+const Idea = require("../models/Idea");
+const Job = require("../models/Job");
+const Room = require("../models/Room");
+const { enqueueJob } = require("./jobQueue");
+const {
+  compareWithExistingIdeas,
+  getEmbeddings,
+  getScoringSettings,
+} = require("./uniquenessChecker");
+const { findCandidateIdeaIds, indexIdea } = require("./ideaIndex");
+const { refreshSimilarityLinks } = require("./similarityGraph");
+
+// Job type for re-scoring degraded ideas
+const RESCORE_DEGRADED_JOB = "rescore-degraded-ideas";
+
+// Configuration
+const DEGRADED_CHECK_INTERVAL_MS =
+  parseInt(process.env.DEGRADED_CHECK_INTERVAL_MS) || 5 * 60 * 1000;
+const DEGRADED_BATCH_SIZE = 50;
+
+/**
+ * Score a degraded idea with its BERT embeddings and store the result
+ * @param {Object} idea - Degraded idea with its text fields and version
+ * @param {Object} embeddings - BERT embeddings of the idea
+ * @returns {Promise<boolean>} - False if the idea changed in the meantime
+ */
+async function upgradeIdea(idea, embeddings) {
+  const room = await Room.findById(idea.roomId).select("scoringSettings");
+
+  const candidateIds = await findCandidateIdeaIds(idea.roomId, embeddings, {
+    excludeIds: [idea._id],
+  });
+  const candidates = await Idea.find({ _id: { $in: candidateIds } }).select(
+    "title embeddings"
+  );
+  const result = compareWithExistingIdeas(
+    embeddings,
+    candidates,
+    getScoringSettings(room)
+  );
+
+  // An edit since the idea was loaded has re-scored it already
+  const upgraded = await Idea.findOneAndUpdate(
+    { _id: idea._id, isDegraded: true, version: idea.version },
+    {
+      $set: {
+        embeddings,
+        uniquenessScore: result.uniquenessScore,
+        fieldUniqueness: result.fieldUniqueness,
+        similarIdeas: result.similarIdeas,
+        isDegraded: false,
+      },
+    },
+    { new: true }
+  );
+  if (!upgraded) return false;
+
+  await indexIdea(upgraded);
+  await refreshSimilarityLinks(upgraded, result.matchedIdeaIds);
+
+  return true;
+}
+
+/**
+ * Job handler: re-score all degraded ideas with BERT embeddings
+ * @param {Object} job - Job document
+ * @param {Function} updateProgress - Progress callback (percent, message)
+ * @returns {Promise<Object>} - { result } with the number of ideas upgraded
+ */
+async function runRescoreDegradedJob(job, updateProgress) {
+  const total = await Idea.countDocuments({ isDegraded: true });
+  let upgraded = 0;
+  let skipped = 0;
+  let serviceAvailable = true;
+  let lastId = null;
+
+  while (serviceAvailable) {
+    const query = lastId
+      ? { isDegraded: true, _id: { $gt: lastId } }
+      : { isDegraded: true };
+    const ideas = await Idea.find(query)
+      .select(
+        "roomId version title description domain problemStatement proposedSolution"
+      )
+      .sort({ _id: 1 })
+      .limit(DEGRADED_BATCH_SIZE);
+    if (ideas.length === 0) break;
+
+    for (const idea of ideas) {
+      let embeddings;
+      try {
+        embeddings = await getEmbeddings(idea);
+      } catch (error) {
+        // Still down; the next check will try again
+        console.warn("Embedding service still unavailable:", error.message);
+        serviceAvailable = false;
+        break;
+      }
+
+      if (await upgradeIdea(idea, embeddings)) {
+        upgraded++;
+      } else {
+        skipped++;
+      }
+    }
+
+    lastId = ideas[ideas.length - 1]._id;
+    await updateProgress(
+      ((upgraded + skipped) / Math.max(total, 1)) * 100,
+      `Re-scored ${upgraded} of ${total} degraded ideas`
+    );
+  }
+
+  return {
+    result: {
+      upgraded,
+      skipped,
+      remaining: await Idea.countDocuments({ isDegraded: true }),
+      serviceAvailable,
+    },
+  };
+}
+
+/**
+ * Queue the re-scoring job if there are degraded ideas and no job is
+ * already waiting or running
+ * @returns {Promise<Object|null>} - The queued job, or null
+ */
+async function scheduleDegradedRescore() {
+  await dbConnect();
+
+  const [hasDegraded, pendingJob] = await Promise.all([
+    Idea.exists({ isDegraded: true }),
+    Job.exists({
+      type: RESCORE_DEGRADED_JOB,
+      status: { $in: ["queued", "processing"] },
+    }),
+  ]);
+  if (!hasDegraded || pendingJob) return null;
+
+  const { job } = await enqueueJob(RESCORE_DEGRADED_JOB);
+  return job;
+}
+
+/**
+ * Check for degraded ideas periodically
+ */
+function startDegradedRescoreTimer() {
+  const timer = setInterval(() => {
+    scheduleDegradedRescore().catch((error) =>
+      console.error("Error scheduling degraded idea re-scoring:", error)
+    );
+  }, DEGRADED_CHECK_INTERVAL_MS);
+
+  // Don't keep the process alive just for this timer
+  timer.unref();
+}
+
+module.exports = {
+  RESCORE_DEGRADED_JOB,
+  runRescoreDegradedJob,
+  startDegradedRescoreTimer,
+};
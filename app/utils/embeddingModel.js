@@ -0,0 +1,114 @@
+/**
+ * Embedding model versioning
+ *
+ * Vectors produced by different embedding models live in different spaces, so
+ * their cosine similarity is meaningless even when the dimensions happen to
+ * match. Every set of embeddings therefore records the model that produced it
+ * (`model` and `dimension` next to the field vectors), and sets from
+ * different models are never compared. Embeddings stored before models were
+ * recorded are assumed to come from LEGACY_EMBEDDING_MODEL.
+ * `scripts/migrate-embeddings.js` re-embeds stored ideas and papers after the
+ * embedding service switches to a new model.
+ */
+
+require("dotenv").config();
+
+// Model assumed for embeddings stored without a model name. Set it to the old
+// model before switching BERT_MODEL_NAME, until the migration has run.
+const LEGACY_EMBEDDING_MODEL =
+  process.env.LEGACY_EMBEDDING_MODEL ||
+  process.env.BERT_MODEL_NAME ||
+  "all-MiniLM-L6-v2";
+
+// Fields that can hold an embedding vector (ideas and papers)
+const VECTOR_FIELDS = [
+  "problemStatement",
+  "proposedSolution",
+  "description",
+  "domain",
+  "abstract",
+  "conclusion",
+];
+
+/**
+ * Length of the first non-empty vector in a set of embeddings
+ * @param {Object} embeddings - Field embeddings
+ * @returns {number|null} - Vector dimension, or null if there are no vectors
+ */
+function getVectorDimension(embeddings) {
+  if (!embeddings) return null;
+  for (const field of VECTOR_FIELDS) {
+    const vector = embeddings[field];
+    if (vector && vector.length > 0) return vector.length;
+  }
+  return null;
+}
+
+/**
+ * Record the model that produced a set of embeddings
+ * @param {Object} embeddings - Field embeddings from the embedding service
+ * @param {string} [model] - Model name reported by the service
+ * @param {number} [dimension] - Vector dimension reported by the service
+ * @returns {Object} - The embeddings with `model` and `dimension` set
+ */
+function tagEmbeddings(embeddings, model, dimension) {
+  return {
+    ...embeddings,
+    model: model || LEGACY_EMBEDDING_MODEL,
+    dimension: dimension || getVectorDimension(embeddings),
+  };
+}
+
+/**
+ * Get the model that produced a set of embeddings
+ * @param {Object} embeddings - Field embeddings, tagged or stored before tagging
+ * @returns {Object|null} - { name, dimension }, or null if there are no vectors
+ */
+function getEmbeddingModel(embeddings) {
+  const dimension = getVectorDimension(embeddings);
+  if (!dimension) return null;
+
+  return {
+    name: embeddings.model || LEGACY_EMBEDDING_MODEL,
+    dimension: embeddings.dimension || dimension,
+  };
+}
+
+/**
+ * Whether two embedding models are the same
+ * @param {Object|null} a - { name, dimension }
+ * @param {Object|null} b - { name, dimension }
+ * @returns {boolean}
+ */
+function isSameModel(a, b) {
+  return Boolean(a && b && a.name === b.name && a.dimension === b.dimension);
+}
+
+/**
+ * Whether two sets of embeddings can be compared, i.e. both have vectors and
+ * were produced by the same model
+ * @param {Object} a - Field embeddings
+ * @param {Object} b - Field embeddings
+ * @returns {boolean}
+ */
+function embeddingsMatch(a, b) {
+  return isSameModel(getEmbeddingModel(a), getEmbeddingModel(b));
+}
+
+/**
+ * Describe a model for log and error messages
+ * @param {Object|null} model - { name, dimension }
+ * @returns {string}
+ */
+function describeModel(model) {
+  return model ? `${model.name} (${model.dimension} dimensions)` : "none";
+}
+
+module.exports = {
+  LEGACY_EMBEDDING_MODEL,
+  tagEmbeddings,
+  getEmbeddingModel,
+  isSameModel,
+  embeddingsMatch,
+  describeModel,
+};
@@ -0,0 +1,84 @@
+/**
+ * Fallback idea embeddings for when the BERT embedding service is down
+ *
+ * Each field is turned into a hashed bag-of-words vector: normalized words
+ * and word pairs are hashed into a fixed number of dimensions with a random
+ * sign, weighted by 1 + log(count) and scaled to unit length. Cosine
+ * similarity between these vectors measures word overlap rather than meaning,
+ * so scores based on them are only an estimate. The vectors are never stored
+ * or mixed with BERT embeddings.
+ */
+
+const murmurhash = require("murmurhash");
+const { normalizeText } = require("./nearDuplicate");
+const { tagEmbeddings } = require("./embeddingModel");
+
+// Vector dimension. Fallback vectors are kept apart from the embedding
+// service's by their model and dimension tags, not by this size
+const FALLBACK_EMBEDDING_DIM = 512;
+// Model name recorded on fallback embeddings
+const FALLBACK_MODEL = "hashed-bag-of-words";
+
+// Idea fields that have their own embedding
+const IDEA_FIELDS = [
+  "problemStatement",
+  "proposedSolution",
+  "description",
+  "domain",
+];
+
+// Common words that carry no meaning on their own
+const STOP_WORDS = new Set(
+  (
+    "a an and are as at be by for from has have in is it its of on or that " +
+    "the their this to was we were will with which can into our these those " +
+    "not but also more such than other using use based how what when where"
+  ).split(" ")
+);
+
+/**
+ * Build the hashed bag-of-words vector of a text
+ * @param {string} text - Text to embed
+ * @returns {Array<number>} - Unit-length vector (all zeros for empty text)
+ */
+function embedText(text) {
+  const words = normalizeText(text)
+    .split(" ")
+    .filter((word) => word && !STOP_WORDS.has(word));
+
+  // Count words and adjacent word pairs
+  const counts = new Map();
+  words.forEach((word, i) => {
+    counts.set(word, (counts.get(word) || 0) + 1);
+    if (i > 0) {
+      const pair = `${words[i - 1]} ${word}`;
+      counts.set(pair, (counts.get(pair) || 0) + 1);
+    }
+  });
+
+  const vector = new Array(FALLBACK_EMBEDDING_DIM).fill(0);
+  for (const [term, count] of counts) {
+    const hash = murmurhash.v3(term);
+    // A second hash picks the sign so that collisions tend to cancel out
+    const sign = murmurhash.v3(term, 1) & 1 ? 1 : -1;
+    vector[hash % FALLBACK_EMBEDDING_DIM] += sign * (1 + Math.log(count));
+  }
+
+  const norm = Math.sqrt(vector.reduce((sum, value) => sum + value * value, 0));
+  return norm === 0 ? vector : vector.map((value) => value / norm);
+}
+
+/**
+ * Get fallback embeddings for each idea field
+ * @param {Object} idea - Idea object with text fields
+ * @returns {Object} - Object with embeddings for each field
+ */
+function getFallbackEmbeddings(idea) {
+  const embeddings = {};
+  IDEA_FIELDS.forEach((field) => {
+    embeddings[field] = embedText(idea[field]);
+  });
+  return tagEmbeddings(embeddings, FALLBACK_MODEL, FALLBACK_EMBEDDING_DIM);
+}
+
+module.exports = { STOP_WORDS, getFallbackEmbeddings };
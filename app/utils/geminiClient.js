@@ -4,6 +4,20 @@ require("dotenv").config();
 // Initialize the Gemini API client
 const genAI = new GoogleGenerativeAI(process.env.GEMINI_API_KEY);
 
+// Citation/formatting styles a paper can be generated in
+const PAPER_FORMATS = ["IEEE", "APA", "ACM", "MLA", "Chicago", "Harvard"];
+
+/**
+ * Match a user-supplied format name against PAPER_FORMATS, ignoring case
+ * @param {string} format - Requested format (e.g. "ieee")
+ * @returns {string|null} - Canonical format name, or null if unsupported
+ */
+function resolvePaperFormat(format) {
+  if (!format) return null;
+  const requested = String(format).trim().toUpperCase();
+  return PAPER_FORMATS.find((f) => f.toUpperCase() === requested) || null;
+}
+
 /**
  * Generates a research paper using Gemini
  * @param {Object} paperData - The data for generating the paper
@@ -19,10 +33,16 @@ async function generateResearchPaper(paperData) {
     // Generate content
     const result = await model.generateContent(prompt);
     const response = await result.response;
-    return response.text();
+
+    // Strip Markdown fences Gemini sometimes wraps the HTML in
+    return response
+      .text()
+      .replace(/^\uFEFF/, "")
+      .replace(/^\s*```html\s*/i, "")
+      .replace(/\s*```\s*$/, "");
   } catch (error) {
     console.error("Error generating paper with Gemini:", error);
-    throw new Error("Failed to generate research paper");
+    throw new Error("Failed to generate research paper", { cause: error });
   }
 }
 
@@ -38,6 +58,7 @@ function constructPrompt(data) {
     email,
     affiliation,
     domain,
+    description,
     problemStatement,
     proposedSolution,
     objectives,
@@ -66,7 +87,7 @@ Authors: ${authorsStr}
 ${email ? `Email: ${email}` : ""}
 ${affiliation ? `Affiliation: ${affiliation}` : ""}
 Domain: ${domain}
-
+${description ? `\nOverview:\n${description}\n` : ""}
 Problem Statement:
 ${problemStatement}
 
@@ -93,4 +114,8 @@ ${references ? `References:\n${referencesStr}` : ""}`;
   return prompt;
 }
 
-module.exports = { generateResearchPaper };
+module.exports = {
+  generateResearchPaper,
+  resolvePaperFormat,
+  PAPER_FORMATS,
+};
@@ -0,0 +1,693 @@
+/**
+ * In-process approximate nearest neighbour index
+ *
+ * Implements a Hierarchical Navigable Small World (HNSW) graph over cosine
+ * similarity (Malkov & Yashunin, 2018). Vectors are L2-normalised on insert so
+ * that cosine similarity reduces to a dot product, and every score returned by
+ * `search` is the exact cosine similarity between the query and the stored
+ * vector - only the candidate set is approximate.
+ *
+ * The index can be persisted to and loaded from a single binary file, so it
+ * works fully offline without any external vector database. Removed and
+ * replaced vectors stay in the graph as tombstones until `compact` rebuilds
+ * the index without them.
+ */
+
+const fs = require("fs");
+const path = require("path");
+
+// Identifies index files written by this module
+const FILE_MAGIC = "SCIHNSW1";
+const FILE_VERSION = 1;
+
+// Smallest number of vector slots allocated when an index grows
+const MIN_CAPACITY = 64;
+
+// Bytes read from or written to an index file at a time, so large indexes are
+// never copied into one buffer
+const FILE_CHUNK_BYTES = 64 * 1024 * 1024;
+
+/**
+ * Fill a typed array from a file, reading it in chunks
+ * @param {fs.promises.FileHandle} handle - Open file
+ * @param {ArrayBufferView} target - Array to fill
+ * @param {number} position - File offset to read from
+ * @returns {Promise<void>}
+ */
+async function readInto(handle, target, position) {
+  let done = 0;
+  while (done < target.byteLength) {
+    const length = Math.min(FILE_CHUNK_BYTES, target.byteLength - done);
+    const { bytesRead } = await handle.read(
+      new Uint8Array(target.buffer, target.byteOffset + done, length),
+      0,
+      length,
+      position + done
+    );
+    if (bytesRead === 0) {
+      throw new Error("Vector index file is truncated");
+    }
+    done += bytesRead;
+  }
+}
+
+/**
+ * Write a typed array to a file in chunks
+ * @param {fs.promises.FileHandle} handle - Open file
+ * @param {ArrayBufferView} source - Array to write
+ * @returns {Promise<void>}
+ */
+async function writeFrom(handle, source) {
+  for (let done = 0; done < source.byteLength; done += FILE_CHUNK_BYTES) {
+    const length = Math.min(FILE_CHUNK_BYTES, source.byteLength - done);
+    await handle.write(
+      new Uint8Array(source.buffer, source.byteOffset + done, length)
+    );
+  }
+}
+
+/**
+ * Minimal binary heap ordered by a numeric `dist` property
+ */
+class DistanceHeap {
+  /**
+   * @param {boolean} isMax - True for a max-heap, false for a min-heap
+   */
+  constructor(isMax) {
+    this.items = [];
+    this.isMax = isMax;
+  }
+
+  get size() {
+    return this.items.length;
+  }
+
+  peek() {
+    return this.items[0];
+  }
+
+  higher(a, b) {
+    return this.isMax ? a.dist > b.dist : a.dist < b.dist;
+  }
+
+  push(item) {
+    const items = this.items;
+    items.push(item);
+    let i = items.length - 1;
+    while (i > 0) {
+      const parent = (i - 1) >> 1;
+      if (!this.higher(items[i], items[parent])) break;
+      [items[i], items[parent]] = [items[parent], items[i]];
+      i = parent;
+    }
+  }
+
+  pop() {
+    const items = this.items;
+    const top = items[0];
+    const last = items.pop();
+    if (items.length > 0) {
+      items[0] = last;
+      let i = 0;
+      for (;;) {
+        const left = 2 * i + 1;
+        const right = left + 1;
+        let best = i;
+        if (left < items.length && this.higher(items[left], items[best])) {
+          best = left;
+        }
+        if (right < items.length && this.higher(items[right], items[best])) {
+          best = right;
+        }
+        if (best === i) break;
+        [items[i], items[best]] = [items[best], items[i]];
+        i = best;
+      }
+    }
+    return top;
+  }
+}
+
+/**
+ * Return an L2-normalised Float32Array copy of a vector
+ * @param {Array<number>|Float32Array} vector - Input vector
+ * @returns {Float32Array|null} - Normalised vector, or null for a zero vector
+ */
+function normalize(vector) {
+  const result = Float32Array.from(vector);
+  let norm = 0;
+  for (let i = 0; i < result.length; i++) {
+    norm += result[i] * result[i];
+  }
+  if (norm === 0 || !Number.isFinite(norm)) return null;
+
+  norm = Math.sqrt(norm);
+  for (let i = 0; i < result.length; i++) {
+    result[i] /= norm;
+  }
+  return result;
+}
+
+class HNSWIndex {
+  /**
+   * @param {Object} options - Index parameters
+   * @param {number} [options.dimension] - Vector dimension (inferred from the first insert if omitted)
+   * @param {number} [options.M=16] - Maximum neighbours per node on upper layers
+   * @param {number} [options.efConstruction=200] - Candidate list size while building
+   * @param {number} [options.efSearch=64] - Default candidate list size while searching
+   * @param {number} [options.capacity=1024] - Initial number of vector slots
+   * @param {Object} [options.metadata] - JSON-serialisable data saved with the index
+   */
+  constructor(options = {}) {
+    this.dimension = options.dimension || null;
+    this.metadata = options.metadata || {};
+    this.M = options.M || 16;
+    this.maxM0 = this.M * 2;
+    this.efConstruction = options.efConstruction || 200;
+    this.efSearch = options.efSearch || 64;
+    this.levelMultiplier = 1 / Math.log(this.M);
+
+    this.capacity = 0;
+    this.count = 0;
+    this.deletedCount = 0;
+    this.entryPoint = -1;
+    this.maxLevel = -1;
+
+    this.ids = []; // External ID per node
+    this.idToNode = new Map();
+    this.neighbors = []; // neighbors[node][level] = array of nodes
+    this.vectors = new Float32Array(0);
+    this.deleted = new Uint8Array(0);
+    this.visited = new Uint32Array(0);
+    this.visitTag = 0;
+
+    this.ensureCapacity(options.capacity || 1024);
+  }
+
+  /**
+   * Number of live (non-deleted) vectors in the index
+   */
+  get size() {
+    return this.count - this.deletedCount;
+  }
+
+  /**
+   * Check whether an external ID is present in the index
+   * @param {string} id - External ID
+   * @returns {boolean}
+   */
+  has(id) {
+    return this.idToNode.has(String(id));
+  }
+
+  /**
+   * Get the stored (L2-normalised) vector for an external ID
+   * @param {string} id - External ID
+   * @returns {Float32Array|null} - A view of the stored vector, or null if absent
+   */
+  getVector(id) {
+    const node = this.idToNode.get(String(id));
+    if (node === undefined) return null;
+    return this.vectors.subarray(
+      node * this.dimension,
+      (node + 1) * this.dimension
+    );
+  }
+
+  ensureCapacity(required) {
+    if (required <= this.capacity) return;
+
+    const capacity = Math.max(required, this.capacity * 2, MIN_CAPACITY);
+    const dimension = this.dimension || 0;
+
+    const vectors = new Float32Array(capacity * dimension);
+    vectors.set(this.vectors.subarray(0, this.count * dimension));
+    this.vectors = vectors;
+
+    const deleted = new Uint8Array(capacity);
+    deleted.set(this.deleted.subarray(0, this.count));
+    this.deleted = deleted;
+
+    this.visited = new Uint32Array(capacity);
+    this.visitTag = 0;
+    this.capacity = capacity;
+  }
+
+  nextVisitTag() {
+    this.visitTag++;
+    if (this.visitTag === 0xffffffff) {
+      this.visited.fill(0);
+      this.visitTag = 1;
+    }
+    return this.visitTag;
+  }
+
+  randomLevel() {
+    return Math.floor(-Math.log(1 - Math.random()) * this.levelMultiplier);
+  }
+
+  /**
+   * Cosine distance between a normalised query vector and a stored node
+   */
+  distanceToNode(query, node) {
+    const vectors = this.vectors;
+    const offset = node * this.dimension;
+    let dot = 0;
+    for (let i = 0; i < this.dimension; i++) {
+      dot += query[i] * vectors[offset + i];
+    }
+    return 1 - dot;
+  }
+
+  /**
+   * Cosine distance between two stored nodes
+   */
+  distanceBetweenNodes(a, b) {
+    const vectors = this.vectors;
+    const offsetA = a * this.dimension;
+    const offsetB = b * this.dimension;
+    let dot = 0;
+    for (let i = 0; i < this.dimension; i++) {
+      dot += vectors[offsetA + i] * vectors[offsetB + i];
+    }
+    return 1 - dot;
+  }
+
+  /**
+   * Greedily walk a single layer towards the query, returning the closest node
+   */
+  greedySearch(query, entry, level) {
+    let current = entry;
+    let currentDist = this.distanceToNode(query, current);
+    let changed = true;
+
+    while (changed) {
+      changed = false;
+      for (const neighbor of this.neighbors[current][level]) {
+        const dist = this.distanceToNode(query, neighbor);
+        if (dist < currentDist) {
+          current = neighbor;
+          currentDist = dist;
+          changed = true;
+        }
+      }
+    }
+
+    return current;
+  }
+
+  /**
+   * Beam search on a single layer
+   * @returns {Array<{node: number, dist: number}>} - Up to `ef` nodes, closest first
+   */
+  searchLayer(query, entry, ef, level) {
+    const tag = this.nextVisitTag();
+    const candidates = new DistanceHeap(false);
+    const results = new DistanceHeap(true);
+
+    const entryDist = this.distanceToNode(query, entry);
+    this.visited[entry] = tag;
+    candidates.push({ node: entry, dist: entryDist });
+    results.push({ node: entry, dist: entryDist });
+
+    while (candidates.size > 0) {
+      const closest = candidates.pop();
+      if (results.size >= ef && closest.dist > results.peek().dist) break;
+
+      for (const neighbor of this.neighbors[closest.node][level]) {
+        if (this.visited[neighbor] === tag) continue;
+        this.visited[neighbor] = tag;
+
+        const dist = this.distanceToNode(query, neighbor);
+        if (results.size < ef || dist < results.peek().dist) {
+          candidates.push({ node: neighbor, dist });
+          results.push({ node: neighbor, dist });
+          if (results.size > ef) results.pop();
+        }
+      }
+    }
+
+    return results.items.sort((a, b) => a.dist - b.dist);
+  }
+
+  /**
+   * Neighbour selection heuristic: prefer candidates that are closer to the
+   * base than to any already-selected neighbour, which keeps the graph
+   * navigable across clusters. Remaining slots are filled with the closest
+   * pruned candidates.
+   * @param {Array<{node: number, dist: number}>} candidates - Sorted closest first
+   * @param {number} maxCount - Maximum number of neighbours to keep
+   * @returns {Array<number>} - Selected nodes
+   */
+  selectNeighbors(candidates, maxCount) {
+    if (candidates.length <= maxCount) {
+      return candidates.map((c) => c.node);
+    }
+
+    const selected = [];
+    const pruned = [];
+
+    for (const candidate of candidates) {
+      if (selected.length >= maxCount) break;
+
+      const isDiverse = selected.every(
+        (node) => this.distanceBetweenNodes(candidate.node, node) > candidate.dist
+      );
+      if (isDiverse) {
+        selected.push(candidate.node);
+      } else {
+        pruned.push(candidate.node);
+      }
+    }
+
+    for (const node of pruned) {
+      if (selected.length >= maxCount) break;
+      selected.push(node);
+    }
+
+    return selected;
+  }
+
+  /**
+   * Add a vector to the index. Re-adding an existing ID replaces its vector.
+   * @param {string} id - External ID (e.g. a Paper ObjectId)
+   * @param {Array<number>|Float32Array} vector - Embedding vector
+   * @returns {boolean} - False if the vector was empty or all zeros
+   */
+  add(id, vector) {
+    const key = String(id);
+
+    if (!vector || vector.length === 0) return false;
+
+    if (!this.dimension) {
+      this.dimension = vector.length;
+      this.vectors = new Float32Array(this.capacity * this.dimension);
+    } else if (vector.length !== this.dimension) {
+      throw new Error(
+        `Vector dimension ${vector.length} does not match index dimension ${this.dimension}`
+      );
+    }
+
+    const query = normalize(vector);
+    if (!query) return false;
+
+    // Replacing an existing entry: tombstone the old node
+    if (this.idToNode.has(key)) {
+      this.remove(key);
+    }
+
+    this.ensureCapacity(this.count + 1);
+
+    const node = this.count++;
+    const level = this.randomLevel();
+    this.vectors.set(query, node * this.dimension);
+    this.ids[node] = key;
+    this.idToNode.set(key, node);
+    this.neighbors[node] = Array.from({ length: level + 1 }, () => []);
+
+    if (this.entryPoint === -1) {
+      this.entryPoint = node;
+      this.maxLevel = level;
+      return true;
+    }
+
+    let entry = this.entryPoint;
+    for (let lc = this.maxLevel; lc > level; lc--) {
+      entry = this.greedySearch(query, entry, lc);
+    }
+
+    for (let lc = Math.min(level, this.maxLevel); lc >= 0; lc--) {
+      const candidates = this.searchLayer(query, entry, this.efConstruction, lc);
+      const maxConnections = lc === 0 ? this.maxM0 : this.M;
+      const selected = this.selectNeighbors(candidates, this.M);
+
+      this.neighbors[node][lc] = selected;
+
+      for (const neighbor of selected) {
+        const links = this.neighbors[neighbor][lc];
+        links.push(node);
+
+        if (links.length > maxConnections) {
+          const linkCandidates = links
+            .map((n) => ({ node: n, dist: this.distanceBetweenNodes(neighbor, n) }))
+            .sort((a, b) => a.dist - b.dist);
+          this.neighbors[neighbor][lc] = this.selectNeighbors(
+            linkCandidates,
+            maxConnections
+          );
+        }
+      }
+
+      entry = candidates[0].node;
+    }
+
+    if (level > this.maxLevel) {
+      this.maxLevel = level;
+      this.entryPoint = node;
+    }
+
+    return true;
+  }
+
+  /**
+   * Remove a vector from the index. The node stays in the graph as a
+   * tombstone so that the graph remains connected, but is never returned.
+   * @param {string} id - External ID
+   * @returns {boolean} - True if the ID was present
+   */
+  remove(id) {
+    const key = String(id);
+    const node = this.idToNode.get(key);
+    if (node === undefined) return false;
+
+    this.idToNode.delete(key);
+    this.deleted[node] = 1;
+    this.deletedCount++;
+    return true;
+  }
+
+  /**
+   * Find the stored vectors most similar to a query vector
+   * @param {Array<number>|Float32Array} vector - Query vector
+   * @param {number} k - Number of results to return
+   * @param {Object} options - Search options
+   * @param {number} [options.ef] - Candidate list size (higher is slower but more accurate)
+   * @param {Function} [options.filter] - Predicate on the external ID; false excludes the result
+   * @returns {Array<{id: string, similarity: number}>} - Closest first, with exact cosine similarity
+   */
+  search(vector, k = 5, options = {}) {
+    if (this.size === 0 || !vector || vector.length === 0) return [];
+
+    if (vector.length !== this.dimension) {
+      throw new Error(
+        `Query dimension ${vector.length} does not match index dimension ${this.dimension}`
+      );
+    }
+
+    const query = normalize(vector);
+    if (!query) return [];
+
+    let entry = this.entryPoint;
+    for (let lc = this.maxLevel; lc > 0; lc--) {
+      entry = this.greedySearch(query, entry, lc);
+    }
+
+    // Over-fetch to make up for tombstones and filtered results
+    const ef = Math.max(options.ef || this.efSearch, k + this.deletedCount, k);
+    const candidates = this.searchLayer(query, entry, Math.min(ef, this.count), 0);
+
+    const results = [];
+    for (const candidate of candidates) {
+      if (this.deleted[candidate.node]) continue;
+
+      const id = this.ids[candidate.node];
+      if (options.filter && !options.filter(id)) continue;
+
+      results.push({ id, similarity: 1 - candidate.dist });
+      if (results.length >= k) break;
+    }
+
+    return results;
+  }
+
+  /**
+   * Persist the index to a single binary file. Writes to a temporary file
+   * first and renames it so a crash never leaves a truncated index behind.
+   * @param {string} filePath - Destination file
+   * @returns {Promise<void>}
+   */
+  async save(filePath) {
+    const deletedNodes = [];
+    for (let node = 0; node < this.count; node++) {
+      if (this.deleted[node]) deletedNodes.push(node);
+    }
+
+    const header = Buffer.from(
+      JSON.stringify({
+        version: FILE_VERSION,
+        dimension: this.dimension,
+        M: this.M,
+        efConstruction: this.efConstruction,
+        efSearch: this.efSearch,
+        count: this.count,
+        entryPoint: this.entryPoint,
+        maxLevel: this.maxLevel,
+        ids: this.ids.slice(0, this.count),
+        deleted: deletedNodes,
+        metadata: this.metadata,
+      }),
+      "utf8"
+    );
+
+    // Graph layout per node: levelCount, then for each level: length, nodes...
+    let graphLength = 0;
+    for (let node = 0; node < this.count; node++) {
+      graphLength += 1;
+      for (const links of this.neighbors[node]) {
+        graphLength += 1 + links.length;
+      }
+    }
+    const graph = new Int32Array(graphLength);
+    let offset = 0;
+    for (let node = 0; node < this.count; node++) {
+      graph[offset++] = this.neighbors[node].length;
+      for (const links of this.neighbors[node]) {
+        graph[offset++] = links.length;
+        graph.set(links, offset);
+        offset += links.length;
+      }
+    }
+
+    // Pad the header so the typed arrays that follow are 4-byte aligned
+    const prefixLength = FILE_MAGIC.length + 4 + header.length;
+    const padding = (4 - (prefixLength % 4)) % 4;
+
+    const headerLength = Buffer.alloc(4);
+    headerLength.writeUInt32LE(header.length + padding, 0);
+
+    const vectors = this.vectors.subarray(0, this.count * (this.dimension || 0));
+
+    await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+    // Per process, so a script and the server never write the same file
+    const tmpPath = `${filePath}.${process.pid}.tmp`;
+    const handle = await fs.promises.open(tmpPath, "w");
+    try {
+      await handle.write(Buffer.from(FILE_MAGIC, "ascii"));
+      await handle.write(headerLength);
+      await handle.write(header);
+      await handle.write(Buffer.alloc(padding, 0x20));
+      await writeFrom(handle, vectors);
+      await writeFrom(handle, graph);
+    } finally {
+      await handle.close();
+    }
+    await fs.promises.rename(tmpPath, filePath);
+  }
+
+  /**
+   * Load an index previously written by `save`
+   * @param {string} filePath - Index file
+   * @returns {Promise<HNSWIndex>}
+   */
+  static async load(filePath) {
+    const handle = await fs.promises.open(filePath, "r");
+    let index;
+    let header;
+    let graph;
+    try {
+      const prefix = Buffer.alloc(FILE_MAGIC.length + 4);
+      await readInto(handle, prefix, 0);
+      if (prefix.toString("ascii", 0, FILE_MAGIC.length) !== FILE_MAGIC) {
+        throw new Error(`${filePath} is not a vector index file`);
+      }
+
+      let offset = prefix.length;
+      const headerBytes = Buffer.alloc(prefix.readUInt32LE(FILE_MAGIC.length));
+      await readInto(handle, headerBytes, offset);
+      header = JSON.parse(headerBytes.toString("utf8"));
+      offset += headerBytes.length;
+
+      if (header.version !== FILE_VERSION) {
+        throw new Error(`Unsupported vector index version ${header.version}`);
+      }
+
+      index = new HNSWIndex({
+        dimension: header.dimension,
+        M: header.M,
+        efConstruction: header.efConstruction,
+        efSearch: header.efSearch,
+        capacity: Math.max(header.count, 1024),
+        metadata: header.metadata,
+      });
+
+      // Read the vectors straight into the index's storage
+      const vectorLength = header.count * (header.dimension || 0);
+      await readInto(handle, index.vectors.subarray(0, vectorLength), offset);
+      offset += vectorLength * 4;
+
+      const { size } = await handle.stat();
+      graph = new Int32Array(Math.floor((size - offset) / 4));
+      await readInto(handle, graph, offset);
+    } finally {
+      await handle.close();
+    }
+
+    let pos = 0;
+    for (let node = 0; node < header.count; node++) {
+      const levelCount = graph[pos++];
+      const levels = new Array(levelCount);
+      for (let level = 0; level < levelCount; level++) {
+        const length = graph[pos++];
+        levels[level] = Array.from(graph.subarray(pos, pos + length));
+        pos += length;
+      }
+      index.neighbors[node] = levels;
+    }
+
+    index.count = header.count;
+    index.entryPoint = header.entryPoint;
+    index.maxLevel = header.maxLevel;
+    index.ids = header.ids;
+    for (const node of header.deleted) {
+      index.deleted[node] = 1;
+    }
+    index.deletedCount = header.deleted.length;
+    header.ids.forEach((id, node) => {
+      if (!index.deleted[node]) index.idToNode.set(id, node);
+    });
+
+    return index;
+  }
+
+  /**
+   * Build a copy of the index without the tombstones left by `remove` and by
+   * replacing vectors. Tombstones stay in the graph and make every search
+   * visit more nodes. The graph is built again, which takes as long as
+   * adding every live vector.
+   * @returns {HNSWIndex} - New index with the same parameters and metadata
+   */
+  compact() {
+    const index = new HNSWIndex({
+      dimension: this.dimension,
+      M: this.M,
+      efConstruction: this.efConstruction,
+      efSearch: this.efSearch,
+      capacity: Math.max(this.size, MIN_CAPACITY),
+      metadata: this.metadata,
+    });
+
+    for (let node = 0; node < this.count; node++) {
+      if (this.deleted[node]) continue;
+      index.add(
+        this.ids[node],
+        this.vectors.subarray(
+          node * this.dimension,
+          (node + 1) * this.dimension
+        )
+      );
+    }
+    return index;
+  }
+}
+
+module.exports = { HNSWIndex };
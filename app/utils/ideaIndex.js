@@ -0,0 +1,273 @@
+/**
+ * Per-room nearest neighbour index over idea embeddings
+ *
+ * Scoring a new idea against every idea in a large room means loading all of
+ * their embeddings. Instead, each room gets one in-memory HNSW index per idea
+ * field (see hnswIndex.js). A lookup returns the ideas closest to the new one
+ * on any field, and only those candidates are loaded and scored exactly.
+ *
+ * Ideas in MongoDB remain the source of truth: a room's indexes are built on
+ * first use, kept up to date as ideas are added, edited and deleted, and
+ * rebuilt if the room's idea count no longer matches (e.g. ideas were changed
+ * by another process). Only the most recently used rooms are kept in memory.
+ * Lookups only return ideas embedded with the same model as the query.
+ *
+ * Lookups across many rooms (see crossRoomOriginality.js) use the indexes of
+ * rooms already in memory and scan the ideas of the others, so they neither
+ * build indexes nor evict the rooms in use.
+ */
+
+const Idea = require("../models/Idea");
+const { HNSWIndex } = require("./hnswIndex");
+const { getEmbeddingModel, isSameModel } = require("./embeddingModel");
+
+// Configuration
+const IDEA_INDEX_CACHE_SIZE = parseInt(process.env.IDEA_INDEX_CACHE_SIZE) || 20;
+const IDEA_INDEX_CANDIDATES = parseInt(process.env.IDEA_INDEX_CANDIDATES) || 20;
+
+// Idea fields that have their own embedding
+const IDEA_FIELDS = [
+  "problemStatement",
+  "proposedSolution",
+  "description",
+  "domain",
+];
+
+// Room indexes by room ID, least recently used first
+const roomIndexes = new Map();
+
+/**
+ * Add (or replace) an idea in a room's field indexes
+ * @param {Object} entry - Room index entry
+ * @param {Object} idea - Idea with _id and embeddings
+ */
+function addToEntry(entry, idea) {
+  const id = idea._id.toString();
+  entry.ideaIds.add(id);
+  entry.models.set(id, getEmbeddingModel(idea.embeddings));
+
+  for (const field of IDEA_FIELDS) {
+    const vector = idea.embeddings && idea.embeddings[field];
+    try {
+      if (vector && vector.length > 0) {
+        entry.indexes[field].add(id, vector);
+      } else {
+        entry.indexes[field].remove(id);
+      }
+    } catch (error) {
+      // Embeddings from a different model have a different dimension
+      console.error(`Could not index ${field} of idea ${id}:`, error.message);
+      entry.indexes[field].remove(id);
+    }
+  }
+}
+
+/**
+ * Build the field indexes for a room from the ideas stored in MongoDB
+ * @param {string} roomId - Room ID
+ * @returns {Promise<Object>} - Room index entry
+ */
+async function buildRoomIndex(roomId) {
+  const ideaCount = await Idea.countDocuments({ roomId });
+
+  const entry = { ideaIds: new Set(), models: new Map(), indexes: {} };
+  for (const field of IDEA_FIELDS) {
+    entry.indexes[field] = new HNSWIndex({ capacity: ideaCount + 1 });
+  }
+
+  const cursor = Idea.find({ roomId }).select("embeddings").lean().cursor();
+  for await (const idea of cursor) {
+    addToEntry(entry, idea);
+  }
+
+  return entry;
+}
+
+/**
+ * Get a room's index entry, building it if it is not cached or is stale
+ * @param {string} roomId - Room ID
+ * @returns {Promise<Object>} - Room index entry
+ */
+async function getRoomIndex(roomId) {
+  const key = roomId.toString();
+  let cached = roomIndexes.get(key);
+
+  if (cached) {
+    const entry = await cached;
+    const ideaCount = await Idea.countDocuments({ roomId });
+    // Edits leave tombstones behind that slow searches down
+    const tombstones = Math.max(
+      ...IDEA_FIELDS.map((field) => entry.indexes[field].deletedCount)
+    );
+    if (
+      entry.ideaIds.size !== ideaCount ||
+      tombstones > Math.max(ideaCount, 50)
+    ) {
+      roomIndexes.delete(key);
+      cached = null;
+    }
+  }
+
+  if (!cached) {
+    // Cache the promise so concurrent lookups share one build
+    cached = buildRoomIndex(key);
+    cached.catch(() => roomIndexes.delete(key));
+  }
+
+  // Move to the most recently used position and evict the oldest rooms
+  roomIndexes.delete(key);
+  roomIndexes.set(key, cached);
+  while (roomIndexes.size > IDEA_INDEX_CACHE_SIZE) {
+    roomIndexes.delete(roomIndexes.keys().next().value);
+  }
+
+  return cached;
+}
+
+/**
+ * Find the ideas in a room closest to the given embeddings on any field
+ * @param {string} roomId - Room ID
+ * @param {Object} embeddings - Field embeddings of the idea being scored
+ * @param {Object} [options] - Lookup options
+ * @param {number} [options.k] - Candidates to take per field
+ * @param {Array} [options.excludeIds] - Idea IDs to leave out (e.g. the idea itself)
+ * @returns {Promise<Array<string>>} - Candidate idea IDs
+ */
+async function findCandidateIdeaIds(roomId, embeddings, options = {}) {
+  const k = options.k || IDEA_INDEX_CANDIDATES;
+  const excludeIds = new Set((options.excludeIds || []).map(String));
+  const model = getEmbeddingModel(embeddings);
+  if (!model) return [];
+  const entry = await getRoomIndex(roomId);
+
+  const candidateIds = new Set();
+  for (const field of IDEA_FIELDS) {
+    const vector = embeddings && embeddings[field];
+    const index = entry.indexes[field];
+    if (!vector || vector.length === 0 || index.size === 0) continue;
+    if (vector.length !== index.dimension) continue;
+
+    const matches = index.search(vector, k, {
+      filter: (id) =>
+        !excludeIds.has(id) && isSameModel(entry.models.get(id), model),
+    });
+    matches.forEach((match) => candidateIds.add(match.id));
+  }
+
+  return [...candidateIds];
+}
+
+/**
+ * Cosine similarity of two vectors
+ * @param {Array<number>} a - First vector
+ * @param {Array<number>} b - Second vector, of the same length
+ * @returns {number}
+ */
+function cosineSimilarity(a, b) {
+  let dot = 0;
+  let normA = 0;
+  let normB = 0;
+  for (let i = 0; i < a.length; i++) {
+    dot += a[i] * b[i];
+    normA += a[i] * a[i];
+    normB += b[i] * b[i];
+  }
+  if (normA === 0 || normB === 0) return 0;
+  return dot / Math.sqrt(normA * normB);
+}
+
+/**
+ * Find the ideas closest to the given embeddings on any field in each of
+ * several rooms. Rooms with a cached index are searched with it; the ideas of
+ * the others are scanned in one pass instead of building their indexes.
+ * @param {Array<string>} roomIds - Room IDs
+ * @param {Object} embeddings - Field embeddings of the idea being scored
+ * @param {Object} [options] - Lookup options
+ * @param {number} [options.k] - Candidates to take per field and room
+ * @returns {Promise<Array<string>>} - Candidate idea IDs
+ */
+async function findCandidateIdeaIdsInRooms(roomIds, embeddings, options = {}) {
+  const k = options.k || IDEA_INDEX_CANDIDATES;
+  const model = getEmbeddingModel(embeddings);
+  if (!model) return [];
+
+  const candidateIds = new Set();
+  const uncachedRoomIds = [];
+  for (const roomId of roomIds) {
+    if (roomIndexes.has(roomId.toString())) {
+      const ids = await findCandidateIdeaIds(roomId, embeddings, { k });
+      ids.forEach((id) => candidateIds.add(id));
+    } else {
+      uncachedRoomIds.push(roomId);
+    }
+  }
+  if (uncachedRoomIds.length === 0) return [...candidateIds];
+
+  // Closest ideas so far by room and field, most similar first
+  const closest = new Map();
+  const cursor = Idea.find({ roomId: { $in: uncachedRoomIds } })
+    .select("roomId embeddings")
+    .lean()
+    .cursor();
+  for await (const idea of cursor) {
+    if (!isSameModel(getEmbeddingModel(idea.embeddings), model)) continue;
+
+    for (const field of IDEA_FIELDS) {
+      const query = embeddings[field];
+      const vector = idea.embeddings[field];
+      if (!query || !vector || query.length === 0) continue;
+      if (vector.length !== query.length) continue;
+
+      const key = `${idea.roomId}:${field}`;
+      const best = closest.get(key) || [];
+      best.push({
+        id: idea._id.toString(),
+        similarity: cosineSimilarity(query, vector),
+      });
+      best.sort((a, b) => b.similarity - a.similarity);
+      if (best.length > k) best.pop();
+      closest.set(key, best);
+    }
+  }
+
+  for (const best of closest.values()) {
+    best.forEach((match) => candidateIds.add(match.id));
+  }
+  return [...candidateIds];
+}
+
+/**
+ * Record a new or edited idea in its room's index, if the room is cached
+ * @param {Object} idea - Idea with _id, roomId and embeddings
+ * @returns {Promise<void>}
+ */
+async function indexIdea(idea) {
+  const cached = roomIndexes.get(idea.roomId.toString());
+  if (!cached) return;
+  addToEntry(await cached, idea);
+}
+
+/**
+ * Remove a deleted idea from its room's index, if the room is cached
+ * @param {Object} idea - Idea with _id and roomId
+ * @returns {Promise<void>}
+ */
+async function unindexIdea(idea) {
+  const cached = roomIndexes.get(idea.roomId.toString());
+  if (!cached) return;
+
+  const entry = await cached;
+  const id = idea._id.toString();
+  entry.ideaIds.delete(id);
+  entry.models.delete(id);
+  for (const field of IDEA_FIELDS) {
+    entry.indexes[field].remove(id);
+  }
+}
+
+module.exports = {
+  findCandidateIdeaIds,
+  findCandidateIdeaIdsInRooms,
+  indexIdea,
+  unindexIdea,
+};
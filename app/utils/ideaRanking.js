@@ -0,0 +1,73 @@
+/**
+ * Ranking of ideas inside a room
+ *
+ * The rank score blends how the room voted on an idea with how unique the idea
+ * is. Votes are turned into an approval score with a Bayesian average so that
+ * an idea with a single upvote does not outrank one with 20 up and 2 down, and
+ * ideas nobody has voted on yet start at a neutral 50.
+ */
+
+// How much each signal contributes to the rank score (sums to 1)
+const RANKING_WEIGHTS = {
+  votes: 0.6,
+  uniqueness: 0.4,
+};
+
+// Virtual up and down votes every idea starts with
+const VOTE_PRIOR = 2;
+
+/**
+ * Convert up and down votes into an approval score
+ * @param {number} upvotes - Number of upvotes
+ * @param {number} downvotes - Number of downvotes
+ * @returns {number} - Approval score (0-100)
+ */
+function calculateVoteScore(upvotes = 0, downvotes = 0) {
+  return (
+    ((upvotes + VOTE_PRIOR) / (upvotes + downvotes + 2 * VOTE_PRIOR)) * 100
+  );
+}
+
+/**
+ * Calculate the rank score of an idea
+ * @param {Object} idea - Idea with upvotes, downvotes and uniquenessScore
+ * @param {Object} [weights] - Weight of votes and uniqueness
+ * @returns {Object} - { voteScore, rankScore }
+ */
+function calculateRankScore(idea, weights = RANKING_WEIGHTS) {
+  const voteScore = calculateVoteScore(idea.upvotes, idea.downvotes);
+  const rankScore =
+    weights.votes * voteScore +
+    weights.uniqueness * (idea.uniquenessScore || 0);
+
+  return {
+    voteScore: Math.round(voteScore * 100) / 100,
+    rankScore: Math.round(rankScore * 100) / 100,
+  };
+}
+
+/**
+ * Sort ideas by rank score
+ * Ties go to the idea with more net votes, then to the earlier submission.
+ * @param {Array} ideas - Idea documents
+ * @param {Object} [weights] - Weight of votes and uniqueness
+ * @returns {Array} - [{ idea, rank, voteScore, rankScore }] best first
+ */
+function rankIdeas(ideas, weights = RANKING_WEIGHTS) {
+  return ideas
+    .map((idea) => ({ idea, ...calculateRankScore(idea, weights) }))
+    .sort(
+      (a, b) =>
+        b.rankScore - a.rankScore ||
+        (b.idea.votes || 0) - (a.idea.votes || 0) ||
+        new Date(a.idea.createdAt) - new Date(b.idea.createdAt)
+    )
+    .map((entry, index) => ({ ...entry, rank: index + 1 }));
+}
+
+module.exports = {
+  RANKING_WEIGHTS,
+  calculateVoteScore,
+  calculateRankScore,
+  rankIdeas,
+};
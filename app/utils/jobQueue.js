@@ -0,0 +1,403 @@
+/**
+ * MongoDB-backed job queue for long-running paper analyses
+ *
+ * Controllers enqueue a job with the request data they need and return the job
+ * ID straight away. Workers running in this process poll the `jobs` collection,
+ * claim jobs atomically and run the handler registered for the job type.
+ * Because jobs live in MongoDB they survive restarts: a job whose worker died
+ * stops sending heartbeats and is picked up again once its lock goes stale.
+ * Transient failures (Gemini rate limits, 5xx responses, network errors) are
+ * retried with exponential backoff.
+ *
+ * Uploaded files are kept in GridFS rather than in the job document and are
+ * deleted once the job finishes. Jobs submitted without signing in get a
+ * random access token, returned once, that is needed to read the job.
+ */
+
+const crypto = require("crypto");
+const { finished } = require("stream/promises");
+const mongoose = require("mongoose");
+const dbConnect = require("./dbConnect");
+const Job = require("../models/Job");
+
+// Configuration
+const JOB_CONCURRENCY = parseInt(process.env.JOB_CONCURRENCY) || 2;
+const JOB_POLL_INTERVAL_MS = 1000;
+const JOB_HEARTBEAT_INTERVAL_MS = 30 * 1000;
+const JOB_LOCK_TIMEOUT_MS = 2 * 60 * 1000; // Processing jobs without a heartbeat for this long are reclaimed
+const RETRY_BASE_DELAY_MS = 5000;
+const JOB_FILE_BUCKET = "jobFiles";
+const ACCESS_TOKEN_BYTES = 32;
+
+// Error messages that indicate a temporary problem worth retrying
+const TRANSIENT_ERROR_PATTERN =
+  /\[(429|500|502|503|504)\b|fetch failed|ECONNRESET|ECONNREFUSED|ETIMEDOUT|EAI_AGAIN|socket hang up|overloaded|RESOURCE_EXHAUSTED|UNAVAILABLE|quota/i;
+
+// Registered handlers by job type
+const handlers = {};
+
+// Worker state
+let activeJobs = 0;
+let pollTimer = null;
+let isRunning = false;
+let isPolling = false;
+
+/**
+ * Register the function that runs jobs of a given type
+ * @param {string} type - Job type (e.g. "analyze-paper")
+ * @param {Function} handler - async (job, updateProgress) => ({ result } | { file })
+ */
+function registerJobHandler(type, handler) {
+  handlers[type] = handler;
+}
+
+/**
+ * Get the GridFS bucket holding the files uploaded with jobs
+ * @returns {Object} - GridFSBucket
+ */
+function getJobFileBucket() {
+  return new mongoose.mongo.GridFSBucket(mongoose.connection.db, {
+    bucketName: JOB_FILE_BUCKET,
+  });
+}
+
+/**
+ * Hash a job access token; only the hash is stored
+ * @param {string} token - Access token
+ * @returns {string} - SHA-256 hash in hex
+ */
+function hashAccessToken(token) {
+  return crypto.createHash("sha256").update(token).digest("hex");
+}
+
+/**
+ * Check an access token against the one a job was created with
+ * @param {Object} job - Job document with accessTokenHash
+ * @param {string} [token] - Token supplied by the client
+ * @returns {boolean}
+ */
+function isValidAccessToken(job, token) {
+  if (!job.accessTokenHash || typeof token !== "string") return false;
+  return crypto.timingSafeEqual(
+    Buffer.from(hashAccessToken(token), "hex"),
+    Buffer.from(job.accessTokenHash, "hex")
+  );
+}
+
+/**
+ * Add a job to the queue
+ * @param {string} type - Job type with a registered handler
+ * @param {Object} input - Request data the handler needs
+ * @param {Object} [input.body] - Request body fields
+ * @param {Object} [input.query] - Request query parameters
+ * @param {Object} [input.file] - Uploaded file from multer
+ * @param {Object} [input.owner] - ID of the signed-in user submitting the job
+ * @returns {Promise<Object>} - { job, accessToken } with the created Job
+ *   document and, for jobs without an owner, the token needed to read it
+ */
+async function enqueueJob(
+  type,
+  { body = {}, query = {}, file, owner } = {}
+) {
+  if (!handlers[type]) {
+    throw new Error(`No handler registered for job type ${type}`);
+  }
+
+  await dbConnect();
+
+  // Store the upload in GridFS; the job only keeps a reference to it
+  let fileId;
+  if (file) {
+    fileId = new mongoose.Types.ObjectId();
+    const upload = getJobFileBucket().openUploadStreamWithId(
+      fileId,
+      file.originalname || "upload"
+    );
+    upload.end(file.buffer);
+    await finished(upload);
+  }
+
+  const accessToken = owner
+    ? undefined
+    : crypto.randomBytes(ACCESS_TOKEN_BYTES).toString("hex");
+
+  let job;
+  try {
+    job = await Job.create({
+      type,
+      owner,
+      accessTokenHash: accessToken ? hashAccessToken(accessToken) : undefined,
+      input: {
+        body,
+        query,
+        file: file
+          ? {
+              fileId,
+              originalname: file.originalname,
+              mimetype: file.mimetype,
+              size: file.size,
+            }
+          : undefined,
+      },
+    });
+  } catch (error) {
+    if (fileId) await deleteJobFile(fileId);
+    throw error;
+  }
+
+  // Pick the job up straight away if a worker slot is free
+  if (isRunning) setImmediate(pollJobs);
+
+  return { job, accessToken };
+}
+
+/**
+ * Read the file uploaded with a job
+ * @param {Object} job - Job document
+ * @returns {Promise<Buffer|null>} - File contents, or null if the job has no file
+ */
+async function getJobFile(job) {
+  const fileId = job.input.file?.fileId;
+  if (!fileId) return null;
+
+  const chunks = [];
+  for await (const chunk of getJobFileBucket().openDownloadStream(fileId)) {
+    chunks.push(chunk);
+  }
+  return Buffer.concat(chunks);
+}
+
+/**
+ * Delete a job's uploaded file, ignoring files that are already gone
+ * @param {Object} fileId - GridFS file ID
+ * @returns {Promise<void>}
+ */
+async function deleteJobFile(fileId) {
+  if (!fileId) return;
+  try {
+    await getJobFileBucket().delete(fileId);
+  } catch (error) {
+    if (!/FileNotFound|File not found/i.test(error.message)) {
+      console.error(`Could not delete job file ${fileId}:`, error);
+    }
+  }
+}
+
+/**
+ * Decide whether an error is worth retrying, following `cause` chains so
+ * that errors wrapped by the utils are still recognised
+ * @param {Error} error - The error thrown by a job handler
+ * @returns {boolean}
+ */
+function isTransientError(error) {
+  let current = error;
+  while (current) {
+    // Errors flagged with a 4xx status code are caused by the input
+    if (current.statusCode && current.statusCode < 500) return false;
+    if (TRANSIENT_ERROR_PATTERN.test(current.message || "")) return true;
+    if ([429, 500, 502, 503, 504].includes(current.status)) return true;
+    current = current.cause;
+  }
+  return false;
+}
+
+/**
+ * Atomically claim the next runnable job
+ * @returns {Promise<Object|null>} - The claimed job, or null if the queue is empty
+ */
+async function claimNextJob() {
+  const now = new Date();
+  const staleBefore = new Date(now.getTime() - JOB_LOCK_TIMEOUT_MS);
+
+  return Job.findOneAndUpdate(
+    {
+      type: { $in: Object.keys(handlers) },
+      $or: [
+        { status: "queued", runAfter: { $lte: now } },
+        { status: "processing", lockedAt: { $lt: staleBefore } },
+      ],
+    },
+    {
+      $set: {
+        status: "processing",
+        lockedAt: now,
+        updatedAt: now,
+        progressMessage: "Processing",
+      },
+      $inc: { attempts: 1 },
+    },
+    { sort: { runAfter: 1 }, new: true }
+  );
+}
+
+/**
+ * Run a claimed job and record its outcome
+ * @param {Object} job - Claimed Job document
+ */
+async function runJob(job) {
+  const fileId = job.input.file?.fileId;
+
+  if (job.attempts > job.maxAttempts) {
+    await deleteJobFile(fileId);
+    await Job.updateOne(
+      { _id: job._id },
+      {
+        $set: {
+          status: "failed",
+          error: `Job abandoned after ${job.maxAttempts} attempts`,
+          updatedAt: new Date(),
+          finishedAt: new Date(),
+        },
+        $unset: { "input.file": "" },
+      }
+    );
+    return;
+  }
+
+  // Keep the lock fresh while the handler runs
+  const heartbeat = setInterval(() => {
+    Job.updateOne({ _id: job._id }, { $set: { lockedAt: new Date() } }).catch(
+      (err) => console.error(`Job ${job._id} heartbeat failed:`, err)
+    );
+  }, JOB_HEARTBEAT_INTERVAL_MS);
+
+  const updateProgress = async (progress, message) => {
+    await Job.updateOne(
+      { _id: job._id },
+      {
+        $set: {
+          progress: Math.max(0, Math.min(100, Math.round(progress))),
+          progressMessage: message,
+          lockedAt: new Date(),
+          updatedAt: new Date(),
+        },
+      }
+    );
+  };
+
+  try {
+    const outcome = (await handlers[job.type](job, updateProgress)) || {};
+
+    await deleteJobFile(fileId);
+    await Job.updateOne(
+      { _id: job._id },
+      {
+        $set: {
+          status: "completed",
+          progress: 100,
+          progressMessage: "Completed",
+          result: outcome.result,
+          resultFile: outcome.file,
+          updatedAt: new Date(),
+          finishedAt: new Date(),
+        },
+        $unset: { "input.file": "", error: "" },
+      }
+    );
+  } catch (error) {
+    console.error(`Job ${job._id} (${job.type}) failed:`, error);
+
+    if (isTransientError(error) && job.attempts < job.maxAttempts) {
+      // Exponential backoff: 5s, 10s, 20s, ...
+      const delay = RETRY_BASE_DELAY_MS * 2 ** (job.attempts - 1);
+      await Job.updateOne(
+        { _id: job._id },
+        {
+          $set: {
+            status: "queued",
+            error: error.message,
+            progressMessage: `Temporary failure, retrying (attempt ${
+              job.attempts + 1
+            } of ${job.maxAttempts})`,
+            runAfter: new Date(Date.now() + delay),
+            updatedAt: new Date(),
+          },
+        }
+      );
+    } else {
+      await deleteJobFile(fileId);
+      await Job.updateOne(
+        { _id: job._id },
+        {
+          $set: {
+            status: "failed",
+            error: error.message || "Job failed",
+            progressMessage: "Failed",
+            updatedAt: new Date(),
+            finishedAt: new Date(),
+          },
+          $unset: { "input.file": "" },
+        }
+      );
+    }
+  } finally {
+    clearInterval(heartbeat);
+  }
+}
+
+/**
+ * Claim and start jobs until all worker slots are busy
+ */
+async function pollJobs() {
+  if (!isRunning || isPolling) return;
+  isPolling = true;
+
+  try {
+    while (activeJobs < JOB_CONCURRENCY) {
+      const job = await claimNextJob();
+      if (!job) break;
+
+      activeJobs++;
+      runJob(job)
+        .catch((err) => console.error(`Error running job ${job._id}:`, err))
+        .finally(() => {
+          activeJobs--;
+          setImmediate(pollJobs);
+        });
+    }
+  } catch (error) {
+    console.error("Error polling job queue:", error);
+  } finally {
+    isPolling = false;
+  }
+}
+
+/**
+ * Start polling the queue for jobs
+ * @returns {Promise<void>}
+ */
+async function startJobWorker() {
+  if (isRunning) return;
+
+  await dbConnect();
+  isRunning = true;
+
+  const loop = async () => {
+    await pollJobs();
+    if (isRunning) pollTimer = setTimeout(loop, JOB_POLL_INTERVAL_MS);
+  };
+  loop();
+
+  console.log(`Job worker started with concurrency ${JOB_CONCURRENCY}`);
+}
+
+/**
+ * Stop polling for new jobs (jobs already running are left to finish)
+ */
+function stopJobWorker() {
+  isRunning = false;
+  if (pollTimer) {
+    clearTimeout(pollTimer);
+    pollTimer = null;
+  }
+}
+
+module.exports = {
+  registerJobHandler,
+  enqueueJob,
+  getJobFile,
+  isValidAccessToken,
+  startJobWorker,
+  stopJobWorker,
+  isTransientError,
+};
@@ -0,0 +1,252 @@
+/**
+ * Near-duplicate detection for room ideas
+ *
+ * Exact hashes only catch verbatim copies. Here each problem statement and
+ * proposed solution is normalized (case, accents, punctuation, whitespace),
+ * split into overlapping word shingles and summarised with a MinHash
+ * signature. The signature is cut into bands that are stored on the idea
+ * (locality-sensitive hashing), so an indexed lookup finds the few ideas that
+ * share a band with a new one. Those candidates are then compared exactly by
+ * the Jaccard similarity of their shingles, and the shared passages are
+ * reported.
+ */
+
+const murmurhash = require("murmurhash");
+
+// Words per shingle
+const SHINGLE_SIZE = 3;
+// MinHash signature length; BANDS * ROWS_PER_BAND must equal it. Ideas with
+// Jaccard similarity s share a band with probability 1 - (1 - s^4)^16: 89% at
+// 0.6 and 98% at 0.7, but only 64% at 0.5.
+const NUM_HASHES = 64;
+const BANDS = 16;
+const ROWS_PER_BAND = 4;
+// Lowest similarity threshold the bands find most matches for
+const MIN_NEAR_DUPLICATE_THRESHOLD = 0.6;
+// Shortest shared passage worth reporting, in words
+const MIN_PASSAGE_WORDS = 5;
+// Passages reported per field
+const MAX_PASSAGES = 3;
+
+// Fields checked for near-duplicates
+const DUPLICATE_FIELDS = ["problemStatement", "proposedSolution"];
+
+/**
+ * Normalize text so that case, accents, punctuation and spacing don't matter
+ * @param {string} text - Text to normalize
+ * @returns {string} - Normalized text
+ */
+function normalizeText(text) {
+  return tokenize(text)
+    .map((token) => token.normalized)
+    .join(" ");
+}
+
+/**
+ * Split text into words, keeping each word's original form
+ * @param {string} text - Text to split
+ * @returns {Array<Object>} - { original, normalized } for each word
+ */
+function tokenize(text) {
+  return (text || "")
+    .split(/\s+/)
+    .map((original) => ({
+      original,
+      normalized: original
+        // Decompose accented letters so the accents are dropped below
+        .normalize("NFKD")
+        .toLowerCase()
+        .replace(/[^\p{L}\p{N}]+/gu, ""),
+    }))
+    .filter((token) => token.normalized.length > 0);
+}
+
+/**
+ * Get the word shingles of a list of words
+ * @param {Array<string>} words - Normalized words
+ * @returns {Set<string>} - Shingles (one shingle for very short texts)
+ */
+function getShingles(words) {
+  if (words.length === 0) return new Set();
+  if (words.length < SHINGLE_SIZE) return new Set([words.join(" ")]);
+
+  const shingles = new Set();
+  for (let i = 0; i <= words.length - SHINGLE_SIZE; i++) {
+    shingles.add(words.slice(i, i + SHINGLE_SIZE).join(" "));
+  }
+  return shingles;
+}
+
+/**
+ * Get the word shingles of a text
+ * @param {string} text - Text to shingle
+ * @returns {Set<string>} - Shingles of its normalized words
+ */
+function textShingles(text) {
+  return getShingles(tokenize(text).map((token) => token.normalized));
+}
+
+/**
+ * Compute the MinHash signature of a set of shingles
+ * @param {Set<string>} shingles - Shingles
+ * @returns {Array<number>} - Signature of NUM_HASHES values
+ */
+function minHash(shingles) {
+  const signature = new Array(NUM_HASHES).fill(Infinity);
+  for (const shingle of shingles) {
+    for (let seed = 0; seed < NUM_HASHES; seed++) {
+      const hash = murmurhash.v3(shingle, seed);
+      if (hash < signature[seed]) signature[seed] = hash;
+    }
+  }
+  return signature;
+}
+
+/**
+ * Get the locality-sensitive hashing bands of an idea. Ideas that share a
+ * band are likely to be near-duplicates of each other.
+ * @param {Object} idea - Idea with problemStatement and proposedSolution
+ * @returns {Array<string>} - Band keys, prefixed with their field
+ */
+function getNearDuplicateBands(idea) {
+  const bands = [];
+
+  DUPLICATE_FIELDS.forEach((field) => {
+    const shingles = textShingles(idea[field]);
+    if (shingles.size === 0) return;
+
+    const signature = minHash(shingles);
+    for (let band = 0; band < BANDS; band++) {
+      const rows = signature.slice(
+        band * ROWS_PER_BAND,
+        (band + 1) * ROWS_PER_BAND
+      );
+      bands.push(`${field}:${band}:${murmurhash.v3(rows.join(","))}`);
+    }
+  });
+
+  return bands;
+}
+
+/**
+ * Jaccard similarity of two sets
+ * @param {Set} a - First set
+ * @param {Set} b - Second set
+ * @returns {number} - Similarity between 0-1
+ */
+function jaccardSimilarity(a, b) {
+  if (a.size === 0 || b.size === 0) return 0;
+
+  let shared = 0;
+  for (const item of a) {
+    if (b.has(item)) shared++;
+  }
+  return shared / (a.size + b.size - shared);
+}
+
+/**
+ * Find the passages of a text that also appear in another text
+ * @param {string} text - Text to take passages from
+ * @param {Set<string>} otherShingles - Shingles of the other text
+ * @returns {Array<string>} - Longest shared passages, in their original wording
+ */
+function findSharedPassages(text, otherShingles) {
+  const tokens = tokenize(text);
+  const words = tokens.map((token) => token.normalized);
+
+  // Mark every word covered by a shingle the other text also has
+  const covered = new Array(tokens.length).fill(false);
+  for (let i = 0; i <= words.length - SHINGLE_SIZE; i++) {
+    if (otherShingles.has(words.slice(i, i + SHINGLE_SIZE).join(" "))) {
+      covered.fill(true, i, i + SHINGLE_SIZE);
+    }
+  }
+
+  // Join runs of covered words into passages
+  const passages = [];
+  let start = -1;
+  for (let i = 0; i <= tokens.length; i++) {
+    if (i < tokens.length && covered[i]) {
+      if (start === -1) start = i;
+    } else if (start !== -1) {
+      if (i - start >= MIN_PASSAGE_WORDS) {
+        passages.push(tokens.slice(start, i));
+      }
+      start = -1;
+    }
+  }
+
+  return passages
+    .sort((a, b) => b.length - a.length)
+    .slice(0, MAX_PASSAGES)
+    .map((passage) => passage.map((token) => token.original).join(" "));
+}
+
+/**
+ * Compare an idea with candidate ideas and return the closest near-duplicate
+ * @param {Object} newIdea - Idea with problemStatement and proposedSolution
+ * @param {Array} candidates - Ideas to compare with (with _id, title and text)
+ * @param {number} threshold - Jaccard similarity (0-1) from which a field counts as copied
+ * @returns {Object|null} - { ideaId, title, field, similarity, fieldSimilarity,
+ *   passages } with similarities as percentages, or null if none is close enough
+ */
+function findNearDuplicate(newIdea, candidates, threshold) {
+  const newShingles = {};
+  DUPLICATE_FIELDS.forEach((field) => {
+    newShingles[field] = textShingles(newIdea[field]);
+  });
+
+  let closest = null;
+  for (const candidate of candidates) {
+    const fieldSimilarity = {};
+    const candidateShingles = {};
+    DUPLICATE_FIELDS.forEach((field) => {
+      candidateShingles[field] = textShingles(candidate[field]);
+      fieldSimilarity[field] = jaccardSimilarity(
+        newShingles[field],
+        candidateShingles[field]
+      );
+    });
+
+    const field = DUPLICATE_FIELDS.reduce((best, f) =>
+      fieldSimilarity[f] > fieldSimilarity[best] ? f : best
+    );
+    const similarity = fieldSimilarity[field];
+    if (similarity < threshold) continue;
+    if (closest && similarity <= closest.similarity) continue;
+
+    closest = { candidate, field, similarity, fieldSimilarity };
+    closest.passages = DUPLICATE_FIELDS.flatMap((f) =>
+      findSharedPassages(newIdea[f], candidateShingles[f]).map((text) => ({
+        field: f,
+        text,
+      }))
+    );
+  }
+
+  if (!closest) return null;
+
+  return {
+    ideaId: closest.candidate._id,
+    title: closest.candidate.title,
+    field: closest.field,
+    similarity: Math.round(closest.similarity * 100),
+    fieldSimilarity: {
+      problemStatement: Math.round(
+        closest.fieldSimilarity.problemStatement * 100
+      ),
+      proposedSolution: Math.round(
+        closest.fieldSimilarity.proposedSolution * 100
+      ),
+    },
+    passages: closest.passages,
+  };
+}
+
+module.exports = {
+  DUPLICATE_FIELDS,
+  MIN_NEAR_DUPLICATE_THRESHOLD,
+  normalizeText,
+  getNearDuplicateBands,
+  findNearDuplicate,
+};
@@ -1,10 +1,21 @@
 const pdfParse = require("pdf-parse");
+const axios = require("axios");
 const { GoogleGenerativeAI } = require("@google/generative-ai");
+const Paper = require("../models/Paper");
+const { findSimilarPapers } = require("./vectorDatabase");
+const { tagEmbeddings } = require("./embeddingModel");
 require("dotenv").config();
 
 // Initialize the Gemini API client
 const genAI = new GoogleGenerativeAI(process.env.GEMINI_API_KEY);
 
+// URL for the Python embedding service's paper endpoint
+const PAPER_EMBEDDING_SERVICE_URL =
+  process.env.EMBEDDING_SERVICE_URL?.replace(
+    "/embeddings",
+    "/paper/embeddings"
+  ) || "http://localhost:5000/api/paper/embeddings";
+
 /**
  * Extract the abstract and conclusion from a scientific paper PDF
  * @param {Buffer} pdfBuffer - PDF file buffer
@@ -123,125 +134,212 @@ function extractConclusion(text) {
 }
 
 /**
- * Generate embeddings for abstract and conclusion using Gemini
- * Note: This function maintains the same interface as before, but now uses Gemini
+ * Generate BERT embeddings for abstract and conclusion using the embedding service
  * @param {Object} data - Object containing abstract and conclusion
- * @returns {Promise<Object>} - Embeddings for the abstract and conclusion (actually just processed text)
+ * @returns {Promise<Object>} - Embeddings for the abstract and conclusion
  */
 async function generatePaperEmbeddings(data) {
+  // Only include fields that are not empty
+  const requestData = {};
+  if (data.abstract) requestData.abstract = data.abstract;
+  if (data.conclusion) requestData.conclusion = data.conclusion;
+
+  if (Object.keys(requestData).length === 0) {
+    throw new Error("No abstract or conclusion to generate embeddings for");
+  }
+
   try {
-    // Only include fields that are not empty and return a simplified structure
-    // We're not actually computing embeddings, just storing the text for Gemini to use later
-    const embeddings = {};
-    if (data.abstract) embeddings.abstract = data.abstract;
-    if (data.conclusion) embeddings.conclusion = data.conclusion;
+    const response = await axios.post(PAPER_EMBEDDING_SERVICE_URL, requestData);
+    return tagEmbeddings(
+      response.data.embeddings,
+      response.data.model,
+      response.data.dimension
+    );
+  } catch (error) {
+    console.error("Error generating paper embeddings:", error.message);
+    throw new Error("Failed to generate embeddings for paper", {
+      cause: error,
+    });
+  }
+}
 
-    return embeddings;
+/**
+ * Generate BERT embeddings for many papers with one request to the embedding
+ * service's batch endpoint
+ * @param {Array<Object>} documents - Objects containing abstract and conclusion
+ * @returns {Promise<Array<Object>>} - Embeddings for each document, in order
+ */
+async function generatePaperEmbeddingsBatch(documents) {
+  try {
+    const response = await axios.post(`${PAPER_EMBEDDING_SERVICE_URL}/batch`, {
+      documents: documents.map((doc) => ({
+        abstract: doc.abstract || undefined,
+        conclusion: doc.conclusion || undefined,
+      })),
+    });
+    return response.data.embeddings.map((embeddings) =>
+      tagEmbeddings(embeddings, response.data.model, response.data.dimension)
+    );
   } catch (error) {
-    console.error("Error generating paper representations:", error);
-    throw new Error("Failed to generate representations for paper");
+    console.error("Error generating paper embeddings:", error.message);
+    throw new Error("Failed to generate embeddings for papers", {
+      cause: error,
+    });
   }
 }
 
 /**
- * Calculate paper similarity using Gemini
+ * Ask Gemini to explain how a paper relates to its closest corpus matches.
+ * Gemini only describes the matches found by vector search; it never
+ * chooses or scores them.
  * @param {Object} paperData - Object containing abstract and conclusion text
- * @param {number} topK - Number of similar papers to return
- * @returns {Promise<Object>} - Similarity results with uniqueness score and similar papers
+ * @param {Array} matches - Similar papers with title and abstract
+ * @returns {Promise<Object>} - Overall explanation and one explanation per match
  */
-async function calculatePaperSimilarity(paperData, topK = 5) {
-  try {
-    const model = genAI.getGenerativeModel({ model: "gemini-2.0-flash" });
+async function explainPaperMatches(paperData, matches) {
+  const model = genAI.getGenerativeModel({ model: "gemini-2.0-flash" });
 
-    // Extract abstract and conclusion
-    const abstract = paperData.abstract || "";
-    const conclusion = paperData.conclusion || "";
+  const matchList = matches
+    .map(
+      (match, index) => `[${index + 1}] "${match.title}" (${
+        match.similarity
+      }% similar)
+${(match.abstract || "No abstract available.").substring(0, 1500)}`
+    )
+    .join("\n\n");
 
-    // If there's not enough content to analyze, return a default response
-    if (abstract.length < 50 && conclusion.length < 50) {
-      return {
-        uniquenessScore: 100,
-        similarPapers: [],
-        explanation: "Not enough content to analyze.",
-      };
-    }
+  const prompt = `
+A scientific paper was compared against a corpus of published papers using embedding similarity.
+Explain how the paper relates to each of the closest matches listed below. Do not invent or add other papers.
 
-    // Construct prompt for Gemini
-    const prompt = `
-Analyze the following scientific paper excerpt and determine how unique it is.
-If you were to search academic databases, estimate how many similar papers exist and provide examples.
+PAPER ABSTRACT:
+${paperData.abstract || "Not available."}
 
-ABSTRACT:
-${abstract}
+PAPER CONCLUSION:
+${paperData.conclusion || "Not available."}
 
-CONCLUSION:
-${conclusion}
+CLOSEST MATCHES:
+${matchList}
 
 Generate a JSON response with the following format:
 {
-  "uniquenessScore": 1-100 (higher means more unique),
-  "explanation": "Explanation of the uniqueness analysis",
-  "similarPapers": [
+  "explanation": "Overall assessment of the paper's uniqueness relative to these matches",
+  "matches": [
     {
-      "title": "Title of a similar paper",
-      "authors": "Authors of the paper",
-      "year": "Estimated publication year",
-      "similarity": 1-100 (higher means more similar),
-      "description": "Brief description of how this paper is similar"
+      "index": 1,
+      "explanation": "Brief description of what this match has in common with the paper and how it differs"
     }
   ]
 }
 
-Limit the similarPapers array to ${topK} items and ensure your response is valid JSON.
+Include one entry per match and ensure your response is valid JSON.
 `;
 
-    // Generate content with Gemini
-    const result = await model.generateContent(prompt);
-    const response = await result.response;
-    let text = response.text();
+  const result = await model.generateContent(prompt);
+  const response = await result.response;
+  let text = response.text();
 
-    // Clean the response text: remove BOM and Markdown fences
-    text = text
-      .replace(/^\uFEFF/, "") // Remove potential BOM
-      .replace(/^```json\s*/, "")
-      .replace(/\s*```$/, "");
+  // Clean the response text: remove BOM and Markdown fences
+  text = text
+    .replace(/^\uFEFF/, "") // Remove potential BOM
+    .replace(/^```json\s*/, "")
+    .replace(/\s*```$/, "");
 
-    // Parse JSON response
-    try {
-      const data = JSON.parse(text);
+  const data = JSON.parse(text);
+  const explanations = {};
+  (data.matches || []).forEach((match) => {
+    explanations[match.index] = match.explanation || "";
+  });
 
-      // Format the response to match the expected output format
-      return {
-        uniquenessScore: data.uniquenessScore || 50,
-        explanation: data.explanation || "",
-        similarPapers: (data.similarPapers || []).map((paper, index) => ({
-          paperId: `sim_${index + 1}`,
-          title: paper.title || "Unknown Title",
-          authors: paper.authors || "Unknown Authors",
-          year: paper.year || "Unknown Year",
-          similarity: paper.similarity || 0,
-          explanation: paper.description || "",
-        })),
-      };
-    } catch (parseError) {
-      console.error("Error parsing Gemini response as JSON:", parseError);
+  return {
+    explanation: data.explanation || "",
+    matchExplanations: matches.map((_, index) => explanations[index + 1] || ""),
+  };
+}
+
+/**
+ * Find the papers in the imported corpus most similar to a paper
+ * @param {Object} paperData - Object containing abstract and conclusion text
+ * @param {Object} embeddings - Embeddings for the abstract and conclusion
+ * @param {number} topK - Number of similar papers to return
+ * @param {Object} options - Extra search options passed to findSimilarPapers
+ * @returns {Promise<Object>} - Similarity results with uniqueness score and similar papers
+ */
+async function calculatePaperSimilarity(
+  paperData,
+  embeddings,
+  topK = 5,
+  options = {}
+) {
+  try {
+    const searchResults = await findSimilarPapers(embeddings, topK, options);
 
-      // Return a default response if parsing fails
+    if (searchResults.similarPapers.length === 0) {
       return {
-        uniquenessScore: 50,
-        explanation: "Unable to determine uniqueness accurately.",
+        uniquenessScore: 100,
+        explanation:
+          searchResults.totalPapersSearched === 0
+            ? "No papers have been imported into the corpus yet, so there is nothing to compare against."
+            : "No similar papers were found in the corpus.",
         similarPapers: [],
+        totalPapersSearched: searchResults.totalPapersSearched,
       };
     }
+
+    // Abstracts of the matches give Gemini something concrete to compare
+    const matchDocs = await Paper.find({
+      _id: { $in: searchResults.similarPapers.map((p) => p.paperId) },
+    }).select("abstract");
+    const abstracts = new Map(
+      matchDocs.map((doc) => [String(doc._id), doc.abstract])
+    );
+
+    const similarPapers = searchResults.similarPapers.map((paper) => ({
+      paperId: paper.paperId,
+      title: paper.title,
+      authors: Array.isArray(paper.authors)
+        ? paper.authors.join(", ")
+        : paper.authors || "Unknown Authors",
+      year: paper.year ? String(paper.year) : "Unknown Year",
+      url: paper.url,
+      similarity: Math.round(paper.similarity * 100),
+      explanation: "",
+    }));
+
+    let explanation = `The closest match in the corpus is "${similarPapers[0].title}" at ${similarPapers[0].similarity}% similarity.`;
+    try {
+      const explained = await explainPaperMatches(
+        paperData,
+        similarPapers.map((paper) => ({
+          ...paper,
+          abstract: abstracts.get(paper.paperId),
+        }))
+      );
+      explanation = explained.explanation || explanation;
+      explained.matchExplanations.forEach((text, index) => {
+        similarPapers[index].explanation = text;
+      });
+    } catch (error) {
+      // Scores come from the vector search, so a failed explanation is not fatal
+      console.error("Error explaining paper matches with Gemini:", error);
+    }
+
+    return {
+      uniquenessScore: searchResults.uniquenessScore,
+      explanation,
+      similarPapers,
+      totalPapersSearched: searchResults.totalPapersSearched,
+    };
   } catch (error) {
-    console.error("Error calculating paper similarity with Gemini:", error);
-    throw new Error("Failed to analyze paper similarity");
+    console.error("Error calculating paper similarity:", error);
+    throw new Error("Failed to analyze paper similarity", { cause: error });
   }
 }
 
 module.exports = {
   extractFromPdf,
   generatePaperEmbeddings,
+  generatePaperEmbeddingsBatch,
   calculatePaperSimilarity,
   extractAbstract,
   extractConclusion,
@@ -0,0 +1,115 @@
+/**
+ * Filters for paper listings
+ *
+ * Builds a MongoDB query from the filters in a request's query string and
+ * limits it to the papers the user may see: corpus papers, and uploaded
+ * papers only for the user who uploaded them.
+ */
+
+const { getCorpusPaperQuery } = require("./paperIdentity");
+const { escapeRegex } = require("./crossRoomOriginality");
+
+// Values of the source filter
+const PAPER_SOURCES = ["corpus", "upload"];
+
+// Range filters: query parameters for the bounds and the field they apply to
+const RANGE_FILTERS = [
+  { min: "yearFrom", max: "yearTo", field: "publicationYear" },
+  { min: "minUniqueness", max: "maxUniqueness", field: "uniquenessScore" },
+];
+
+/**
+ * Get a query string parameter, ignoring repeated or nested parameters
+ * @param {Object} query - Express req.query
+ * @param {string} name - Parameter name
+ * @returns {string|undefined} - Trimmed value, or undefined if empty
+ */
+function getParam(query, name) {
+  const value = query[name];
+  return typeof value === "string" && value.trim() ? value.trim() : undefined;
+}
+
+/**
+ * Build a query matching the papers a user may see
+ * @param {Object} user - Signed-in user (may be null)
+ * @returns {Object} - MongoDB query
+ */
+function getVisiblePapersQuery(user) {
+  // Papers without an owner are corpus papers or uploads from before accounts
+  return { owner: { $in: user ? [null, user._id] : [null] } };
+}
+
+/**
+ * Build the query for a paper listing from its query string
+ *
+ * Supported parameters: q (full-text search over title, abstract and
+ * conclusion), yearFrom, yearTo, journal and author (case-insensitive
+ * substring), keyword (case-insensitive exact match), minUniqueness,
+ * maxUniqueness and source (corpus or upload).
+ * @param {Object} query - Express req.query
+ * @param {Object} user - Signed-in user (may be null)
+ * @returns {Object} - { filter } with the MongoDB query, or { error } if a
+ *   parameter is invalid
+ */
+function buildPaperFilter(query, user) {
+  const conditions = [getVisiblePapersQuery(user)];
+
+  for (const range of RANGE_FILTERS) {
+    const bounds = {};
+    for (const [param, operator] of [
+      [range.min, "$gte"],
+      [range.max, "$lte"],
+    ]) {
+      const value = getParam(query, param);
+      if (value === undefined) continue;
+      if (!Number.isFinite(Number(value))) {
+        return { error: `${param} must be a number` };
+      }
+      bounds[operator] = Number(value);
+    }
+    if (Object.keys(bounds).length > 0) {
+      conditions.push({ [range.field]: bounds });
+    }
+  }
+
+  const journal = getParam(query, "journal");
+  if (journal) {
+    conditions.push({ journal: new RegExp(escapeRegex(journal), "i") });
+  }
+
+  const author = getParam(query, "author");
+  if (author) {
+    conditions.push({ authors: new RegExp(escapeRegex(author), "i") });
+  }
+
+  const keyword = getParam(query, "keyword");
+  if (keyword) {
+    conditions.push({
+      keywords: new RegExp(`^${escapeRegex(keyword)}$`, "i"),
+    });
+  }
+
+  const source = getParam(query, "source");
+  if (source) {
+    if (!PAPER_SOURCES.includes(source)) {
+      return { error: `source must be one of: ${PAPER_SOURCES.join(", ")}` };
+    }
+    const corpus = getCorpusPaperQuery();
+    conditions.push(source === "corpus" ? corpus : { $nor: [corpus] });
+  }
+
+  const filter = { $and: conditions };
+
+  // Uses the text index on title, abstract and conclusion
+  const search = getParam(query, "q");
+  if (search) filter.$text = { $search: search };
+
+  return { filter };
+}
+
+module.exports = {
+  PAPER_SOURCES,
+  getParam,
+  getVisiblePapersQuery,
+  buildPaperFilter,
+};
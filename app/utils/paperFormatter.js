@@ -166,13 +166,18 @@ Begin your response now.
     console.error("Error structuring paper with AI:", error);
     // Check for specific Gemini API errors if possible, e.g., quota, API key issues
     if (error.message && error.message.includes("API key not valid")) {
-      throw new Error("Failed to structure paper: Invalid Gemini API Key.");
+      throw new Error("Failed to structure paper: Invalid Gemini API Key.", {
+        cause: error,
+      });
     }
     if (error.message && error.message.includes("quota")) {
-      throw new Error("Failed to structure paper: Gemini API quota exceeded.");
+      throw new Error("Failed to structure paper: Gemini API quota exceeded.", {
+        cause: error,
+      });
     }
     throw new Error(
-      `Failed to structure paper using AI service: ${error.message}`
+      `Failed to structure paper using AI service: ${error.message}`,
+      { cause: error }
     );
   }
 }
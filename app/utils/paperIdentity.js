@@ -0,0 +1,103 @@
+/**
+ * Identity of papers in the corpus
+ *
+ * The same paper often appears in several datasets, or twice in one, with
+ * small differences in how its DOI or title is written. Corpus papers are
+ * matched by normalized DOI, or by a hash of their normalized title (case,
+ * accents, punctuation and spacing removed), so that importing a paper again
+ * updates it instead of adding a duplicate.
+ *
+ * Only corpus papers are matched. Papers record whether they were imported or
+ * uploaded in `source`; papers stored before that have no source and are
+ * told apart by the uploaded PDF that only uploads have.
+ */
+
+const crypto = require("crypto");
+const { normalizeText } = require("./nearDuplicate");
+
+/**
+ * Normalize a DOI, dropping resolver prefixes and case
+ * @param {string} doi - DOI as written in a dataset
+ * @returns {string|null} - Normalized DOI, or null if empty
+ */
+function normalizeDoi(doi) {
+  if (!doi || typeof doi !== "string") return null;
+
+  const normalized = doi
+    .trim()
+    .toLowerCase()
+    .replace(/^(https?:\/\/)?(dx\.)?doi\.org\//, "")
+    .replace(/^doi:\s*/, "");
+  return normalized || null;
+}
+
+/**
+ * Hash a paper title after normalizing it
+ * @param {string} title - Paper title
+ * @returns {string|null} - Hex hash, or null if the title has no words
+ */
+function getTitleHash(title) {
+  const normalized = normalizeText(title);
+  if (!normalized) return null;
+
+  // SHA-1 rather than a 32-bit hash, which would collide in a large corpus
+  return crypto.createHash("sha1").update(normalized).digest("hex");
+}
+
+/**
+ * Get the keys a paper is matched by
+ * @param {Object} paper - Paper with title and doi
+ * @returns {Object} - { doi, titleHash }
+ */
+function getPaperIdentity(paper) {
+  return {
+    doi: normalizeDoi(paper.doi),
+    titleHash: getTitleHash(paper.title),
+  };
+}
+
+/**
+ * Build a query matching papers imported into the corpus, as opposed to
+ * papers uploaded by users
+ * @returns {Object} - MongoDB query
+ */
+function getCorpusPaperQuery() {
+  return {
+    owner: null,
+    source: { $ne: "upload" },
+    "originalPdf.cloudinaryUrl": { $exists: false },
+  };
+}
+
+/**
+ * Get where a paper came from
+ * @param {Object} paper - Paper document
+ * @returns {string} - "corpus" or "upload"
+ */
+function getPaperSource(paper) {
+  if (paper.source) return paper.source;
+  return paper.owner || paper.originalPdf?.cloudinaryUrl ? "upload" : "corpus";
+}
+
+/**
+ * Build a query matching corpus papers with the given identity
+ * @param {Object} identity - Result of getPaperIdentity
+ * @returns {Object} - MongoDB query
+ */
+function getPaperMatchQuery(identity) {
+  const keys = [];
+  if (identity.doi) keys.push({ doi: identity.doi });
+  if (identity.titleHash) keys.push({ titleHash: identity.titleHash });
+
+  // Papers uploaded by users are never matched
+  return { ...getCorpusPaperQuery(), $or: keys };
+}
+
+module.exports = {
+  normalizeDoi,
+  getTitleHash,
+  getPaperIdentity,
+  getCorpusPaperQuery,
+  getPaperSource,
+  getPaperMatchQuery,
+};
@@ -0,0 +1,81 @@
+const { generatePDF } = require("./pdfGenerator");
+
+// Response representations for a generated paper, in order of preference
+// for content negotiation
+const OUTPUT_TYPES = ["json", "pdf", "html"];
+
+/**
+ * Work out which representation of a generated paper the client wants.
+ * An explicit `output` query parameter (or the legacy `download=true`) wins,
+ * otherwise the Accept header is used, defaulting to JSON.
+ * @param {Object} req - Express request object
+ * @returns {string|null} - One of OUTPUT_TYPES, or null if the choice is invalid
+ */
+function resolveOutputType(req) {
+  if (req.query.output) {
+    const output = String(req.query.output).toLowerCase();
+    return OUTPUT_TYPES.includes(output) ? output : null;
+  }
+
+  if (req.query.download === "true") {
+    return "pdf";
+  }
+
+  return req.accepts(OUTPUT_TYPES) || "json";
+}
+
+/**
+ * Build a filesystem-safe file name from a paper title
+ * @param {string} title - Paper title
+ * @returns {string} - File name without extension
+ */
+function toFileName(title) {
+  return (
+    String(title || "")
+      .replace(/[^\w\s-]/g, "")
+      .trim()
+      .replace(/\s+/g, "_") || "paper"
+  );
+}
+
+/**
+ * Send generated paper HTML as an HTML page
+ * @param {Object} res - Express response object
+ * @param {string} htmlContent - The generated paper HTML
+ */
+function sendHtml(res, htmlContent) {
+  res.status(200).type("html").send(htmlContent);
+}
+
+/**
+ * Send a PDF buffer as a file download
+ * @param {Object} res - Express response object
+ * @param {Buffer} pdfBuffer - The rendered PDF
+ * @param {string} fileName - File name without extension
+ */
+function sendPdf(res, pdfBuffer, fileName) {
+  res.setHeader("Content-Type", "application/pdf");
+  res.setHeader("Content-Disposition", `attachment; filename="${fileName}.pdf"`);
+  res.send(pdfBuffer);
+}
+
+/**
+ * Render generated paper HTML to PDF and send it as a file download
+ * @param {Object} res - Express response object
+ * @param {string} htmlContent - The generated paper HTML
+ * @param {string} title - Paper title, used for the file name
+ * @returns {Promise<void>}
+ */
+async function sendHtmlAsPdf(res, htmlContent, title) {
+  const pdfBuffer = await generatePDF(htmlContent);
+  sendPdf(res, pdfBuffer, toFileName(title));
+}
+
+module.exports = {
+  OUTPUT_TYPES,
+  resolveOutputType,
+  toFileName,
+  sendHtml,
+  sendPdf,
+  sendHtmlAsPdf,
+};
@@ -0,0 +1,278 @@
+/**
+ * Hybrid keyword and semantic search over the paper library
+ *
+ * A query is run twice: against the MongoDB text index on title, abstract and
+ * conclusion, and against the vector index with the query embedded like a
+ * paper abstract. The two rankings are merged with reciprocal rank fusion
+ * (RRF), which only looks at each paper's rank in each list, so text scores
+ * and cosine similarities never have to be put on the same scale. Papers
+ * found by both searches rise to the top.
+ *
+ * If the embedding service is down or the vector index holds another model's
+ * embeddings, results come from the text search alone and are marked as
+ * degraded.
+ */
+
+const mongoose = require("mongoose");
+const Paper = require("../models/Paper");
+const { generatePaperEmbeddings } = require("./paperExtractor");
+const { findSimilarPapers } = require("./vectorDatabase");
+const { getPaperSource } = require("./paperIdentity");
+const { escapeRegex } = require("./crossRoomOriginality");
+const { STOP_WORDS } = require("./fallbackEmbedder");
+
+// Rank offset of reciprocal rank fusion; 60 is the value from the original paper
+const RRF_K = 60;
+// Papers taken from each search before fusing
+const CANDIDATES_PER_SEARCH = 100;
+// Semantic matches below this cosine similarity are left out
+const MIN_SEMANTIC_SIMILARITY = 0.5;
+
+// Highlight configuration
+const HIGHLIGHT_FIELDS = ["abstract", "conclusion"];
+const MAX_SNIPPETS = 2;
+const SNIPPET_LENGTH = 200;
+
+// Fields of the papers returned
+const RESULT_FIELDS =
+  "title authors abstract conclusion publicationYear journal doi url citations uniquenessScore source owner originalPdf createdAt";
+
+/**
+ * Merge rankings with reciprocal rank fusion
+ * @param {Object} rankings - Lists of paper IDs, best first, keyed by name
+ * @returns {Array<Object>} - { id, score, ranks } best first, where ranks
+ *   holds the 1-based rank in each list the paper appears in
+ */
+function fuseRankings(rankings) {
+  const fused = new Map();
+
+  for (const [name, ids] of Object.entries(rankings)) {
+    ids.forEach((id, index) => {
+      const entry = fused.get(id) || { id, score: 0, ranks: {} };
+      entry.score += 1 / (RRF_K + index + 1);
+      entry.ranks[name] = index + 1;
+      fused.set(id, entry);
+    });
+  }
+
+  return [...fused.values()].sort((a, b) => b.score - a.score);
+}
+
+/**
+ * Get the words of a query worth highlighting, as patterns matching the
+ * words and their inflections (the text index stems words the same way)
+ * @param {string} query - Search query
+ * @returns {RegExp|null} - Pattern matching any of the words, or null
+ */
+function getHighlightPattern(query) {
+  const stems = new Set();
+  for (const word of query.toLowerCase().match(/[\p{L}\p{N}]+/gu) || []) {
+    if (word.length < 2 || STOP_WORDS.has(word)) continue;
+    stems.add(word.length > 4 ? word.replace(/(ing|ed|es|s|ly)$/, "") : word);
+  }
+  if (stems.size === 0) return null;
+
+  const alternatives = [...stems].map(escapeRegex).join("|");
+  return new RegExp(
+    `(?<![\\p{L}\\p{N}])(?:${alternatives})[\\p{L}\\p{N}]*`,
+    "giu"
+  );
+}
+
+/**
+ * Find the query words in a text
+ * @param {string} text - Text to search
+ * @param {RegExp} pattern - Pattern from getHighlightPattern
+ * @returns {Array<Array<number>>} - [start, end] offsets of each match
+ */
+function findMatches(text, pattern) {
+  if (!pattern) return [];
+  return [...text.matchAll(pattern)].map((match) => [
+    match.index,
+    match.index + match[0].length,
+  ]);
+}
+
+/**
+ * Cut a sentence down to about SNIPPET_LENGTH characters around its first
+ * match
+ * @param {string} sentence - Sentence to cut
+ * @param {Array<Array<number>>} matches - Query word offsets in the sentence
+ * @returns {string} - Snippet, with "..." where text was cut
+ */
+function trimSnippet(sentence, matches) {
+  if (sentence.length <= SNIPPET_LENGTH) return sentence;
+
+  const first = matches.length > 0 ? matches[0][0] : 0;
+  const start = Math.max(
+    0,
+    Math.min(first - SNIPPET_LENGTH / 4, sentence.length - SNIPPET_LENGTH)
+  );
+  const end = start + SNIPPET_LENGTH;
+
+  // Do not cut words in half
+  let snippet = sentence.slice(start, end);
+  if (start > 0) snippet = `...${snippet.replace(/^\S*\s+/, "")}`;
+  if (end < sentence.length) snippet = `${snippet.replace(/\s+\S*$/, "")}...`;
+  return snippet;
+}
+
+/**
+ * Build the highlights of a paper: the title if it contains query words, and
+ * the sentences of the abstract and conclusion with the most distinct query
+ * words. Papers found only by meaning get the start of their abstract.
+ * @param {Object} paper - Paper with title, abstract and conclusion
+ * @param {RegExp|null} pattern - Pattern from getHighlightPattern
+ * @returns {Array<Object>} - { field, text, matches } with the [start, end]
+ *   offsets of the query words in text
+ */
+function getHighlights(paper, pattern) {
+  const highlights = [];
+
+  const titleMatches = findMatches(paper.title || "", pattern);
+  if (titleMatches.length > 0) {
+    highlights.push({
+      field: "title",
+      text: paper.title,
+      matches: titleMatches,
+    });
+  }
+
+  const sentences = [];
+  for (const field of HIGHLIGHT_FIELDS) {
+    const text = (paper[field] || "").replace(/\s+/g, " ").trim();
+    for (const sentence of text.match(/[^.!?]+(?:[.!?]+|$)/g) || []) {
+      const matches = findMatches(sentence.trim(), pattern);
+      if (matches.length === 0) continue;
+
+      const words = new Set(
+        matches.map(([start, end]) =>
+          sentence.trim().slice(start, end).toLowerCase()
+        )
+      );
+      sentences.push({ field, sentence: sentence.trim(), score: words.size });
+    }
+  }
+
+  // Best sentences first; ties keep document order
+  sentences
+    .sort((a, b) => b.score - a.score)
+    .slice(0, MAX_SNIPPETS)
+    .forEach(({ field, sentence }) => {
+      const text = trimSnippet(sentence, findMatches(sentence, pattern));
+      highlights.push({ field, text, matches: findMatches(text, pattern) });
+    });
+
+  if (sentences.length === 0 && paper.abstract) {
+    const text = trimSnippet(paper.abstract.replace(/\s+/g, " ").trim(), []);
+    highlights.push({ field: "abstract", text, matches: [] });
+  }
+
+  return highlights;
+}
+
+/**
+ * Rank papers by meaning: embed the query and search the vector index
+ * @param {string} query - Search query
+ * @param {Object} paperQuery - MongoDB query the papers must satisfy (the
+ *   index holds every paper, including other users' uploads)
+ * @returns {Promise<Array<Object>>} - { paperId, similarity } best first
+ */
+async function searchByMeaning(query, paperQuery) {
+  const embeddings = await generatePaperEmbeddings({ abstract: query });
+  const { similarPapers } = await findSimilarPapers(
+    embeddings,
+    CANDIDATES_PER_SEARCH,
+    { minSimilarity: MIN_SEMANTIC_SIMILARITY, paperQuery }
+  );
+  return similarPapers;
+}
+
+/**
+ * Search papers by keywords and meaning
+ * @param {string} query - Search query
+ * @param {Object} filter - Query from buildPaperFilter (see paperFilters.js)
+ *   limiting the papers searched, including its $text search
+ * @param {number} [limit=10] - Number of papers to return
+ * @returns {Promise<Object>} - { degraded, results } with results best first
+ */
+async function searchPapers(query, filter, limit = 10) {
+  const { $text, ...filters } = filter;
+
+  // Run both searches at once; a failed semantic search is not fatal
+  const [textMatches, semanticMatches] = await Promise.all([
+    Paper.find({ ...filters, $text })
+      .select({ _id: 1, score: { $meta: "textScore" } })
+      .sort({ score: { $meta: "textScore" }, _id: 1 })
+      .limit(CANDIDATES_PER_SEARCH)
+      .lean(),
+    searchByMeaning(query, filters).catch((error) => {
+      console.warn(
+        "Semantic search unavailable, using keywords only:",
+        error.message
+      );
+      return null;
+    }),
+  ]);
+
+  // Drop the made-up IDs of the mock vector database
+  const similarities = new Map();
+  const semanticIds = (semanticMatches || [])
+    .filter((match) => mongoose.isValidObjectId(match.paperId))
+    .map((match) => {
+      similarities.set(String(match.paperId), match.similarity);
+      return String(match.paperId);
+    });
+
+  const textScores = new Map(
+    textMatches.map((paper) => [String(paper._id), paper.score])
+  );
+  const fused = fuseRankings({
+    keyword: textMatches.map((paper) => String(paper._id)),
+    semantic: semanticIds,
+  }).slice(0, limit);
+
+  // Load the papers to return
+  const papers = await Paper.find({
+    _id: { $in: fused.map((entry) => entry.id) },
+  }).select(RESULT_FIELDS);
+  const papersById = new Map(papers.map((paper) => [String(paper._id), paper]));
+  const pattern = getHighlightPattern(query);
+
+  const results = fused
+    .filter((entry) => papersById.has(entry.id))
+    .map((entry) => {
+      const paper = papersById.get(entry.id);
+      const textScore = textScores.get(entry.id);
+      return {
+        id: paper._id,
+        title: paper.title,
+        authors: paper.authors,
+        publicationYear: paper.publicationYear,
+        journal: paper.journal,
+        doi: paper.doi,
+        url:
+          paper.url || (paper.doi ? `https://doi.org/${paper.doi}` : undefined),
+        citations: paper.citations,
+        uniquenessScore: paper.uniquenessScore,
+        source: getPaperSource(paper),
+        score: Math.round(entry.score * 10000) / 10000,
+        ranks: entry.ranks,
+        textScore:
+          textScore === undefined
+            ? undefined
+            : Math.round(textScore * 1000) / 1000,
+        similarity: similarities.get(entry.id),
+        highlights: getHighlights(paper, pattern),
+      };
+    });
+
+  return { degraded: semanticMatches === null, results };
+}
+
+module.exports = {
+  fuseRankings,
+  getHighlights,
+  getHighlightPattern,
+  searchPapers,
+};
@@ -0,0 +1,111 @@
+/**
+ * Prior-art check of room ideas against the paper corpus
+ *
+ * The idea's problem statement and proposed solution are embedded with the
+ * paper embedding endpoint as if they were a paper's abstract and conclusion,
+ * so the query vector is built the same way as the vectors of indexed papers.
+ * The closest papers are then scored against each field separately and the
+ * highest combined similarity decides the novelty verdict.
+ */
+
+const { generatePaperEmbeddings } = require("./paperExtractor");
+const {
+  findSimilarPapers,
+  scorePapers,
+  getIndexedPaperCount,
+} = require("./vectorDatabase");
+const { getCorpusPaperQuery } = require("./paperIdentity");
+
+// Combined similarity above which an idea has most likely been published
+const PRIOR_ART_THRESHOLD = 0.8;
+// Combined similarity above which closely related work exists
+const RELATED_WORK_THRESHOLD = 0.6;
+
+/**
+ * Turn the closest paper's similarity into a novelty verdict
+ * @param {Object|undefined} closest - Closest paper with combined similarity
+ * @param {number} papersSearched - Size of the corpus
+ * @returns {Object} - { verdict, noveltyScore, explanation }
+ */
+function getNoveltyVerdict(closest, papersSearched) {
+  if (papersSearched === 0) {
+    return {
+      verdict: "unknown",
+      noveltyScore: null,
+      explanation:
+        "The paper corpus is empty, so this idea could not be checked for prior art.",
+    };
+  }
+
+  const similarity = closest ? closest.similarity : 0;
+  const noveltyScore = Math.round((1 - Math.max(0, similarity)) * 100);
+
+  if (similarity >= PRIOR_ART_THRESHOLD) {
+    return {
+      verdict: "prior-art-found",
+      noveltyScore,
+      explanation: `This idea closely matches the published paper "${closest.title}". Review it before pursuing the idea.`,
+    };
+  }
+  if (similarity >= RELATED_WORK_THRESHOLD) {
+    return {
+      verdict: "related-work",
+      noveltyScore,
+      explanation: `Related work exists, most notably "${closest.title}". The idea should clearly state how it differs.`,
+    };
+  }
+  return {
+    verdict: "novel",
+    noveltyScore,
+    explanation: `No closely matching papers were found among ${papersSearched} indexed papers.`,
+  };
+}
+
+/**
+ * Check an idea against the paper corpus
+ * @param {Object} idea - Idea with problemStatement and proposedSolution
+ * @param {number} [topK=5] - Number of papers to return
+ * @returns {Promise<Object>} - { verdict, noveltyScore, explanation,
+ *   totalPapersSearched, similarPapers } with similarity per field for each paper
+ */
+async function checkIdeaPriorArt(idea, topK = 5) {
+  const embeddings = await generatePaperEmbeddings({
+    abstract: idea.problemStatement,
+    conclusion: idea.proposedSolution,
+  });
+
+  // The index also holds uploaded papers, which are not published work
+  const search = await findSimilarPapers(embeddings, topK, {
+    paperQuery: getCorpusPaperQuery(),
+  });
+  const paperIds = search.similarPapers.map((paper) => paper.paperId);
+
+  // Score the matches against each field on its own, keeping the model tags
+  // so the embeddings are not taken for the legacy model's
+  const { model, dimension } = embeddings;
+  const [problemScores, solutionScores] = await Promise.all([
+    scorePapers({ abstract: embeddings.abstract, model, dimension }, paperIds),
+    scorePapers(
+      { conclusion: embeddings.conclusion, model, dimension },
+      paperIds
+    ),
+  ]);
+
+  const similarPapers = search.similarPapers.map((paper) => ({
+    ...paper,
+    fieldSimilarity: {
+      problemStatement: problemScores.get(paper.paperId),
+      proposedSolution: solutionScores.get(paper.paperId),
+    },
+  }));
+
+  const papersSearched = search.totalPapersSearched ?? getIndexedPaperCount();
+
+  return {
+    ...getNoveltyVerdict(similarPapers[0], papersSearched),
+    totalPapersSearched: papersSearched,
+    similarPapers,
+  };
+}
+
+module.exports = { checkIdeaPriorArt };
@@ -44,7 +44,7 @@ async function analyzeResearch(pdfText, synopsisType = "moderate") {
     }
   } catch (error) {
     console.error("Error analyzing research with Gemini:", error);
-    throw new Error("Failed to analyze research paper");
+    throw new Error("Failed to analyze research paper", { cause: error });
   }
 }
 
@@ -0,0 +1,171 @@
+/**
+ * Keeps the idea similarity graph of a room symmetric
+ *
+ * Each idea stores its most similar ideas in `similarIdeas`. When an idea is
+ * submitted, edited or deleted, the ideas it matches (or used to match) are
+ * re-scored from their stored embeddings so that their lists and uniqueness
+ * scores reflect the change. Uniqueness is measured against every other idea
+ * in the room, whether it arrived before or after. Targeted updates only load
+ * each idea's nearest neighbours from the room's embedding index. Scores use
+ * the room's scoring settings. Degraded ideas (scored while the embedding
+ * service was down) have no embeddings and keep their estimated scores until
+ * the degraded idea job re-scores them. Re-scoring a whole room compares
+ * every pair of ideas, so it runs as a background job.
+ */
+
+const Idea = require("../models/Idea");
+const Room = require("../models/Room");
+const {
+  getIdeaFingerprints,
+  getScoringSettings,
+  rescoreIdea,
+} = require("./uniquenessChecker");
+const { findCandidateIdeaIds } = require("./ideaIndex");
+
+// Job type for re-scoring every idea in a room
+const RESCORE_ROOM_JOB = "rescore-room-ideas";
+
+/**
+ * Build the update that stores a re-scoring result on an idea
+ * @param {Object} ideaId - ID of the re-scored idea
+ * @param {Object} result - Result of rescoreIdea
+ * @param {Object} [fingerprints] - Duplicate-detection fingerprints to refresh
+ * @returns {Object} - bulkWrite operation
+ */
+function rescoreOperation(ideaId, result, fingerprints = {}) {
+  return {
+    updateOne: {
+      filter: { _id: ideaId },
+      update: {
+        $set: {
+          uniquenessScore: result.uniquenessScore,
+          fieldUniqueness: result.fieldUniqueness,
+          similarIdeas: result.similarIdeas,
+          ...fingerprints,
+        },
+      },
+    },
+  };
+}
+
+/**
+ * Load the scoring settings of a room
+ * @param {Object} roomId - Room ID
+ * @returns {Promise<Object>} - Scoring settings
+ */
+async function loadScoringSettings(roomId) {
+  const room = await Room.findById(roomId).select("scoringSettings");
+  return getScoringSettings(room);
+}
+
+/**
+ * Re-score every idea in a room against all other ideas in the room. Also
+ * refreshes the duplicate-detection fingerprints, which ideas submitted
+ * before near-duplicate detection do not have.
+ * @param {Object} roomId - Room to re-score
+ * @returns {Promise<number>} - Number of ideas re-scored
+ */
+async function rescoreRoomIdeas(roomId) {
+  const roomIdeas = await Idea.find({ roomId }).select(
+    "title embeddings problemStatement proposedSolution isDegraded"
+  );
+  const targets = roomIdeas.filter((idea) => !idea.isDegraded);
+  if (targets.length === 0) return 0;
+
+  const settings = await loadScoringSettings(roomId);
+  await Idea.bulkWrite(
+    targets.map((idea) =>
+      rescoreOperation(
+        idea._id,
+        rescoreIdea(idea, roomIdeas, settings),
+        getIdeaFingerprints(idea)
+      )
+    )
+  );
+
+  return targets.length;
+}
+
+/**
+ * Runs a queued job re-scoring every idea in a room
+ * @param {Object} job - Job document with the room ID in input.body
+ * @param {Function} updateProgress - Reports job progress (0-100)
+ * @returns {Promise<Object>} - Job result
+ */
+async function runRescoreRoomJob(job, updateProgress) {
+  const { roomId } = job.input.body;
+
+  await updateProgress(10, "Re-scoring ideas");
+  const rescoredIdeas = await rescoreRoomIdeas(roomId);
+
+  return {
+    result: {
+      success: true,
+      roomId,
+      rescoredIdeas,
+    },
+  };
+}
+
+/**
+ * Re-score some ideas in a room against their nearest neighbours
+ * @param {Object} roomId - Room the ideas belong to
+ * @param {Array} ideaIds - Ideas to re-score
+ * @returns {Promise<number>} - Number of ideas re-scored
+ */
+async function rescoreIdeas(roomId, ideaIds) {
+  if (ideaIds.length === 0) return 0;
+
+  const targets = await Idea.find({
+    roomId,
+    _id: { $in: ideaIds },
+    isDegraded: { $ne: true },
+  }).select("title embeddings");
+  if (targets.length === 0) return 0;
+
+  const settings = await loadScoringSettings(roomId);
+  const operations = [];
+  for (const idea of targets) {
+    const candidateIds = await findCandidateIdeaIds(roomId, idea.embeddings, {
+      excludeIds: [idea._id],
+    });
+    const candidates = await Idea.find({ _id: { $in: candidateIds } }).select(
+      "title embeddings"
+    );
+    operations.push(
+      rescoreOperation(idea._id, rescoreIdea(idea, candidates, settings))
+    );
+  }
+
+  await Idea.bulkWrite(operations);
+
+  return targets.length;
+}
+
+/**
+ * Update the ideas linked to an idea that was just submitted, edited or
+ * deleted: those that listed it as similar and those it now matches
+ * @param {Object} idea - The changed idea (may already be deleted)
+ * @param {Array} [matchedIdeaIds] - Ideas the changed idea now matches
+ * @returns {Promise<number>} - Number of ideas re-scored
+ */
+async function refreshSimilarityLinks(idea, matchedIdeaIds = []) {
+  const linkedIds = await Idea.find({
+    roomId: idea.roomId,
+    _id: { $ne: idea._id },
+    "similarIdeas.ideaId": idea._id,
+  }).distinct("_id");
+
+  const ideaIds = [...linkedIds, ...matchedIdeaIds].filter(
+    (id) => id.toString() !== idea._id.toString()
+  );
+
+  return rescoreIdeas(idea.roomId, ideaIds);
+}
+
+module.exports = {
+  RESCORE_ROOM_JOB,
+  rescoreRoomIdeas,
+  runRescoreRoomJob,
+  refreshSimilarityLinks,
+};
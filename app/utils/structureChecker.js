@@ -117,7 +117,9 @@ IMPORTANT: Do NOT output JSON. Output the score line, detected format line, the
     // --- End non-JSON parsing ---
   } catch (error) {
     console.error("Error checking structure with AI:", error);
-    throw new Error("Failed to check paper structure using AI service");
+    throw new Error("Failed to check paper structure using AI service", {
+      cause: error,
+    });
   }
 }
 
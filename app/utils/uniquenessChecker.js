@@ -1,21 +1,158 @@
 const axios = require("axios");
 const murmurhash = require("murmurhash");
+const Idea = require("../models/Idea");
+const { findCandidateIdeaIds } = require("./ideaIndex");
+const {
+  MIN_NEAR_DUPLICATE_THRESHOLD,
+  normalizeText,
+  getNearDuplicateBands,
+  findNearDuplicate,
+} = require("./nearDuplicate");
+const { getFallbackEmbeddings } = require("./fallbackEmbedder");
+const {
+  tagEmbeddings,
+  getEmbeddingModel,
+  embeddingsMatch,
+  describeModel,
+} = require("./embeddingModel");
 require("dotenv").config();
 
 // URL for the Python embedding service
 const EMBEDDING_SERVICE_URL =
   process.env.EMBEDDING_SERVICE_URL || "http://localhost:5000/api/embeddings";
 
+// Number of similar ideas kept on each idea
+const MAX_SIMILAR_IDEAS = 5;
+// Most ideas sharing a near-duplicate band that are compared in full
+const NEAR_DUPLICATE_CANDIDATES = 50;
+// Most recent ideas in a room compared when the embedding service is down
+const FALLBACK_MAX_IDEAS = 500;
+
+// Idea fields that have their own embedding
+const IDEA_FIELDS = [
+  "problemStatement",
+  "proposedSolution",
+  "description",
+  "domain",
+];
+
+// Scoring used by rooms that have not configured their own (see the
+// scoringSettings of the Room model)
+const DEFAULT_SCORING_SETTINGS = {
+  // Relative weight of each field in the overall similarity and uniqueness
+  fieldWeights: {
+    problemStatement: 1,
+    proposedSolution: 1,
+    description: 1,
+    domain: 1,
+  },
+  // Ideas more similar than this (0-1) are listed as similar ideas
+  similarityThreshold: 0.3,
+  // Fields more similar than this (0-1) are named in similarity explanations
+  highlightThreshold: 0.5,
+  // Uniqueness is (1 - similarity) ^ exponent; above 1 is stricter
+  uniquenessExponent: 1,
+  // "reject" refuses ideas with an identical problem statement or proposed
+  // solution, "flag" accepts them but reports the match
+  exactMatchPolicy: "reject",
+  // Share of word shingles (0-1) from which a field counts as a lightly
+  // edited copy of another idea's
+  nearDuplicateThreshold: 0.7,
+  // "reject" or "flag" near-duplicates, as for exact matches
+  nearDuplicatePolicy: "reject",
+};
+
 // Log the embedding service URL for debugging
 console.log(`Using embedding service URL: ${EMBEDDING_SERVICE_URL}`);
 
 /**
- * Generate murmurhash for quick exact matching
+ * Get the effective scoring settings of a room, filling in defaults for
+ * anything the room has not configured
+ * @param {Object} [room] - Room document (may be null)
+ * @returns {Object} - Scoring settings
+ */
+function getScoringSettings(room) {
+  const stored = (room && room.scoringSettings) || {};
+  const storedWeights = stored.fieldWeights || {};
+
+  const fieldWeights = {};
+  IDEA_FIELDS.forEach((field) => {
+    fieldWeights[field] =
+      storedWeights[field] ?? DEFAULT_SCORING_SETTINGS.fieldWeights[field];
+  });
+
+  return {
+    fieldWeights,
+    similarityThreshold:
+      stored.similarityThreshold ??
+      DEFAULT_SCORING_SETTINGS.similarityThreshold,
+    highlightThreshold:
+      stored.highlightThreshold ?? DEFAULT_SCORING_SETTINGS.highlightThreshold,
+    uniquenessExponent:
+      stored.uniquenessExponent ?? DEFAULT_SCORING_SETTINGS.uniquenessExponent,
+    exactMatchPolicy:
+      stored.exactMatchPolicy || DEFAULT_SCORING_SETTINGS.exactMatchPolicy,
+    // Rooms saved when lower thresholds were allowed get the lowest one
+    nearDuplicateThreshold: Math.max(
+      stored.nearDuplicateThreshold ??
+        DEFAULT_SCORING_SETTINGS.nearDuplicateThreshold,
+      MIN_NEAR_DUPLICATE_THRESHOLD
+    ),
+    nearDuplicatePolicy:
+      stored.nearDuplicatePolicy ||
+      DEFAULT_SCORING_SETTINGS.nearDuplicatePolicy,
+  };
+}
+
+/**
+ * Weighted average of per-field values
+ * @param {Object} values - Value for each field
+ * @param {Object} fieldWeights - Weight for each field
+ * @returns {number}
+ */
+function weightedAverage(values, fieldWeights) {
+  let total = 0;
+  let weightSum = 0;
+  IDEA_FIELDS.forEach((field) => {
+    total += values[field] * fieldWeights[field];
+    weightSum += fieldWeights[field];
+  });
+  return weightSum > 0 ? total / weightSum : 0;
+}
+
+/**
+ * Generate murmurhash of the normalized text for quick exact matching, so
+ * changes in case, punctuation or spacing still match
  * @param {string} text - Text to hash
  * @returns {string} - Hash string
  */
 function generateHash(text) {
-  return murmurhash.v3(text).toString();
+  return murmurhash.v3(normalizeText(text)).toString();
+}
+
+/**
+ * Hashes an idea's text may be stored under: the normalized hash, and the
+ * raw-text hash stored on ideas submitted before text was normalized
+ * @param {string} text - Text to hash
+ * @returns {Array<string>} - Hash strings
+ */
+function getHashVariants(text) {
+  return [generateHash(text), murmurhash.v3(text).toString()];
+}
+
+/**
+ * Compute the fingerprints stored on an idea for duplicate detection
+ * @param {Object} idea - Idea with problemStatement and proposedSolution
+ * @returns {Object} - { hashes, nearDuplicateBands }
+ */
+function getIdeaFingerprints(idea) {
+  return {
+    hashes: {
+      problemStatement: generateHash(idea.problemStatement),
+      proposedSolution: generateHash(idea.proposedSolution),
+    },
+    nearDuplicateBands: getNearDuplicateBands(idea),
+  };
 }
 
 /**
@@ -25,32 +162,48 @@ function generateHash(text) {
  * @returns {Object|null} - Matching idea or null if no exact match
  */
 function checkExactMatch(newIdea, existingIdeas) {
-  const problemStatementHash = generateHash(newIdea.problemStatement);
-  const proposedSolutionHash = generateHash(newIdea.proposedSolution);
+  const problemStatementHashes = getHashVariants(newIdea.problemStatement);
+  const proposedSolutionHashes = getHashVariants(newIdea.proposedSolution);
 
   for (const idea of existingIdeas) {
     // Skip if the idea doesn't have hashes (older ideas)
     if (!idea.hashes) continue;
 
     // Check for exact match on problem statement or proposed solution
-    if (
-      idea.hashes.problemStatement === problemStatementHash ||
-      idea.hashes.proposedSolution === proposedSolutionHash
-    ) {
-      return {
-        matched: true,
-        ideaId: idea._id,
-        field:
-          idea.hashes.problemStatement === problemStatementHash
-            ? "problemStatement"
-            : "proposedSolution",
-      };
+    const field = getExactMatchField(
+      idea,
+      problemStatementHashes,
+      proposedSolutionHashes
+    );
+    if (field) {
+      return { matched: true, ideaId: idea._id, field };
     }
   }
 
   return { matched: false };
 }
 
+/**
+ * Find which field of an idea has one of the given hashes
+ * @param {Object} idea - Idea with hashes
+ * @param {Array<string>} problemStatementHashes - Hashes of the problem statement
+ * @param {Array<string>} proposedSolutionHashes - Hashes of the proposed solution
+ * @returns {string|null} - Matching field or null
+ */
+function getExactMatchField(
+  idea,
+  problemStatementHashes,
+  proposedSolutionHashes
+) {
+  if (problemStatementHashes.includes(idea.hashes.problemStatement)) {
+    return "problemStatement";
+  }
+  if (proposedSolutionHashes.includes(idea.hashes.proposedSolution)) {
+    return "proposedSolution";
+  }
+  return null;
+}
+
 /**
  * Get BERT embeddings for text fields
  * @param {Object} idea - Idea object with text fields
@@ -65,7 +218,11 @@ async function getEmbeddings(idea) {
       domain: idea.domain,
     });
 
-    return response.data.embeddings;
+    return tagEmbeddings(
+      response.data.embeddings,
+      response.data.model,
+      response.data.dimension
+    );
   } catch (error) {
     console.error("Error getting embeddings:", error);
     throw new Error("Failed to generate embeddings");
@@ -84,6 +241,13 @@ function cosineSimilarity(vecA, vecB) {
     return 0;
   }
 
+  // Vectors of different lengths come from different models
+  if (vecA.length !== vecB.length) {
+    throw new Error(
+      `Cannot compare embeddings of dimension ${vecA.length} and ${vecB.length}`
+    );
+  }
+
   let dotProduct = 0;
   let normA = 0;
   let normB = 0;
@@ -103,18 +267,17 @@ function cosineSimilarity(vecA, vecB) {
  * Calculate similarity between ideas using field embeddings
  * @param {Object} newIdeaEmbeddings - Embeddings of the new idea
  * @param {Object} existingIdea - Existing idea with embeddings
+ * @param {Object} fieldWeights - Weight of each field in the overall similarity
  * @returns {Object} - Field-level similarity scores
  */
-function calculateFieldSimilarity(newIdeaEmbeddings, existingIdea) {
-  const fields = [
-    "problemStatement",
-    "proposedSolution",
-    "description",
-    "domain",
-  ];
+function calculateFieldSimilarity(
+  newIdeaEmbeddings,
+  existingIdea,
+  fieldWeights
+) {
   const similarity = {};
 
-  fields.forEach((field) => {
+  IDEA_FIELDS.forEach((field) => {
     // If embeddings exist for both ideas, calculate similarity
     if (
       newIdeaEmbeddings[field] &&
@@ -130,9 +293,8 @@ function calculateFieldSimilarity(newIdeaEmbeddings, existingIdea) {
     }
   });
 
-  // Overall similarity is average of field similarities
-  const overallSimilarity =
-    fields.reduce((sum, field) => sum + similarity[field], 0) / fields.length;
+  // Overall similarity is the weighted average of field similarities
+  const overallSimilarity = weightedAverage(similarity, fieldWeights);
 
   return {
     fieldSimilarity: similarity,
@@ -143,144 +305,343 @@ function calculateFieldSimilarity(newIdeaEmbeddings, existingIdea) {
 /**
  * Convert similarity score (0-1) to uniqueness score (0-100)
  * @param {number} similarityScore - Similarity score between 0-1
+ * @param {number} [exponent=1] - Curve exponent; above 1 is stricter
  * @returns {number} - Uniqueness score between 0-100
  */
-function similarityToUniqueness(similarityScore) {
-  return Math.round((1 - similarityScore) * 100);
+function similarityToUniqueness(similarityScore, exponent = 1) {
+  return Math.round(Math.pow(Math.max(0, 1 - similarityScore), exponent) * 100);
 }
 
 /**
- * Check if an idea is unique by comparing with existing ideas
- * @param {Object} newIdea - The new idea to check
- * @param {Array} existingIdeas - List of existing ideas
- * @returns {Promise<Object>} - The uniqueness analysis results
+ * Score an idea's embeddings against existing ideas
+ * @param {Object} embeddings - Field embeddings of the idea being scored
+ * @param {Array} existingIdeas - Ideas to compare with (with embeddings)
+ * @param {Object} [settings] - Room scoring settings (see getScoringSettings)
+ * @returns {Object} - { uniquenessScore, fieldUniqueness, similarIdeas,
+ *   matchedIdeaIds, explanation }. matchedIdeaIds lists every idea above the
+ *   similarity threshold, not just the ones kept in similarIdeas.
  */
-async function checkIdeaUniqueness(newIdea, existingIdeas) {
-  try {
-    // If there are no existing ideas, the idea is 100% unique
-    if (!existingIdeas || existingIdeas.length === 0) {
-      // Generate embeddings for the first idea
-      const embeddings = await getEmbeddings(newIdea);
+function compareWithExistingIdeas(
+  embeddings,
+  existingIdeas,
+  settings = DEFAULT_SCORING_SETTINGS
+) {
+  // Calculate similarity with each existing idea
+  const similarities = [];
+  let lowestUniqueness = {
+    problemStatement: 100,
+    proposedSolution: 100,
+    description: 100,
+    domain: 100,
+  };
 
-      // Generate hashes for quick comparison later
-      const hashes = {
-        problemStatement: generateHash(newIdea.problemStatement),
-        proposedSolution: generateHash(newIdea.proposedSolution),
-      };
-
-      return {
-        uniquenessScore: 100,
-        similarIdeas: [],
-        explanation:
-          "This is the first idea in this room, so it's considered 100% unique.",
-        embeddings,
-        hashes,
-        fieldUniqueness: {
-          problemStatement: 100,
-          proposedSolution: 100,
-          description: 100,
-          domain: 100,
-        },
-      };
+  let incompatibleIdeas = 0;
+  for (const idea of existingIdeas) {
+    // Skip ideas without embeddings
+    if (!idea.embeddings) continue;
+
+    // Never compare embeddings from different models
+    if (!embeddingsMatch(embeddings, idea.embeddings)) {
+      incompatibleIdeas++;
+      continue;
     }
 
-    // Check for exact matches using murmurhash
-    const exactMatch = checkExactMatch(newIdea, existingIdeas);
-    if (exactMatch.matched) {
-      return {
-        uniquenessScore: 0,
-        similarIdeas: [
-          {
-            ideaId: exactMatch.ideaId,
-            similarityScore: 100,
-            explanation: `This idea has an identical ${exactMatch.field} to an existing idea.`,
-          },
-        ],
-        explanation: `This idea is rejected because it has an identical ${exactMatch.field} to an existing idea.`,
-        isRejected: true,
-      };
+    // Calculate similarity for each field
+    const similarity = calculateFieldSimilarity(
+      embeddings,
+      idea,
+      settings.fieldWeights
+    );
+
+    // Update the lowest uniqueness scores
+    Object.keys(lowestUniqueness).forEach((field) => {
+      const fieldUniqueness = similarityToUniqueness(
+        similarity.fieldSimilarity[field],
+        settings.uniquenessExponent
+      );
+      if (fieldUniqueness < lowestUniqueness[field]) {
+        lowestUniqueness[field] = fieldUniqueness;
+      }
+    });
+
+    // Add to similarities list if overall similarity is above threshold
+    if (similarity.overallSimilarity > settings.similarityThreshold) {
+      similarities.push({
+        ideaId: idea._id,
+        similarityScore: Math.round(similarity.overallSimilarity * 100),
+        fieldSimilarity: {
+          problemStatement: Math.round(
+            similarity.fieldSimilarity.problemStatement * 100
+          ),
+          proposedSolution: Math.round(
+            similarity.fieldSimilarity.proposedSolution * 100
+          ),
+          description: Math.round(similarity.fieldSimilarity.description * 100),
+          domain: Math.round(similarity.fieldSimilarity.domain * 100),
+        },
+        explanation: generateSimilarityExplanation(
+          similarity.fieldSimilarity,
+          idea.title,
+          settings.highlightThreshold
+        ),
+      });
     }
+  }
 
-    // Generate embeddings for the new idea
-    const newIdeaEmbeddings = await getEmbeddings(newIdea);
+  const model = getEmbeddingModel(embeddings);
+  if (incompatibleIdeas > 0 && model) {
+    console.warn(
+      `Skipped ${incompatibleIdeas} ideas not embedded with ${describeModel(
+        model
+      )}; run scripts/migrate-embeddings.js to re-embed them`
+    );
+  }
 
-    // Generate hashes for quick comparison later
-    const hashes = {
-      problemStatement: generateHash(newIdea.problemStatement),
-      proposedSolution: generateHash(newIdea.proposedSolution),
-    };
+  // Calculate overall uniqueness score (weighted average of field uniqueness)
+  const overallUniqueness = Math.round(
+    weightedAverage(lowestUniqueness, settings.fieldWeights)
+  );
+
+  // Sort similar ideas by similarity score (descending)
+  similarities.sort((a, b) => b.similarityScore - a.similarityScore);
+
+  return {
+    uniquenessScore: overallUniqueness,
+    fieldUniqueness: lowestUniqueness,
+    similarIdeas: similarities.slice(0, MAX_SIMILAR_IDEAS),
+    matchedIdeaIds: similarities.map((similar) => similar.ideaId),
+    explanation: generateUniquenessExplanation(
+      overallUniqueness,
+      lowestUniqueness
+    ),
+  };
+}
+
+/**
+ * Re-score a stored idea from its saved embeddings, without calling the
+ * embedding service. Used when other ideas in the room change.
+ * @param {Object} idea - Stored idea with embeddings
+ * @param {Array} otherIdeas - Ideas to compare with (the idea itself is skipped)
+ * @param {Object} [settings] - Room scoring settings (see getScoringSettings)
+ * @returns {Object} - { uniquenessScore, fieldUniqueness, similarIdeas, explanation }
+ */
+function rescoreIdea(idea, otherIdeas, settings) {
+  const others = otherIdeas.filter(
+    (other) => other._id.toString() !== idea._id.toString()
+  );
+  return compareWithExistingIdeas(idea.embeddings || {}, others, settings);
+}
 
-    // Calculate similarity with each existing idea
-    const similarities = [];
-    let lowestUniqueness = {
+/**
+ * Result for the first idea in a room
+ * @param {Object} embeddings - Field embeddings of the idea
+ * @param {Object} fingerprints - Result of getIdeaFingerprints
+ * @returns {Object} - The uniqueness analysis results
+ */
+function firstIdeaResult(embeddings, fingerprints) {
+  return {
+    uniquenessScore: 100,
+    similarIdeas: [],
+    matchedIdeaIds: [],
+    explanation:
+      "This is the first idea in this room, so it's considered 100% unique.",
+    embeddings,
+    ...fingerprints,
+    fieldUniqueness: {
       problemStatement: 100,
       proposedSolution: 100,
       description: 100,
       domain: 100,
-    };
-
-    for (const idea of existingIdeas) {
-      // Skip ideas without embeddings
-      if (!idea.embeddings) continue;
+    },
+  };
+}
 
-      // Calculate similarity for each field
-      const similarity = calculateFieldSimilarity(newIdeaEmbeddings, idea);
+/**
+ * Score an idea with the fallback embedder when the embedding service is
+ * unavailable. The result is marked as degraded and carries empty
+ * embeddings, so the idea stays out of the embedding indexes until the
+ * degraded idea job re-scores it with BERT.
+ * @param {Object} newIdea - The idea to score
+ * @param {Object} otherIdeas - Query matching the ideas to compare with
+ * @param {Object} settings - Room scoring settings
+ * @returns {Promise<Object>} - The uniqueness analysis results
+ */
+async function scoreWithFallback(newIdea, otherIdeas, settings) {
+  const ideas = await Idea.find(otherIdeas)
+    .select("title problemStatement proposedSolution description domain")
+    .sort({ createdAt: -1 })
+    .limit(FALLBACK_MAX_IDEAS);
+
+  const emptyEmbeddings = {};
+  IDEA_FIELDS.forEach((field) => {
+    emptyEmbeddings[field] = [];
+  });
 
-      // Update the lowest uniqueness scores
-      Object.keys(lowestUniqueness).forEach((field) => {
-        const fieldUniqueness = similarityToUniqueness(
-          similarity.fieldSimilarity[field]
+  const result =
+    ideas.length === 0
+      ? firstIdeaResult(emptyEmbeddings, {})
+      : compareWithExistingIdeas(
+          getFallbackEmbeddings(newIdea),
+          ideas.map((idea) => ({
+            _id: idea._id,
+            title: idea.title,
+            embeddings: getFallbackEmbeddings(idea),
+          })),
+          settings
         );
-        if (fieldUniqueness < lowestUniqueness[field]) {
-          lowestUniqueness[field] = fieldUniqueness;
-        }
-      });
 
-      // Add to similarities list if overall similarity is above threshold (e.g., 0.3)
-      if (similarity.overallSimilarity > 0.3) {
-        similarities.push({
-          ideaId: idea._id,
-          similarityScore: Math.round(similarity.overallSimilarity * 100),
-          fieldSimilarity: {
-            problemStatement: Math.round(
-              similarity.fieldSimilarity.problemStatement * 100
-            ),
-            proposedSolution: Math.round(
-              similarity.fieldSimilarity.proposedSolution * 100
-            ),
-            description: Math.round(
-              similarity.fieldSimilarity.description * 100
-            ),
-            domain: Math.round(similarity.fieldSimilarity.domain * 100),
-          },
-          explanation: generateSimilarityExplanation(
-            similarity.fieldSimilarity,
-            idea.title
-          ),
-        });
-      }
+  return {
+    ...result,
+    embeddings: emptyEmbeddings,
+    degraded: true,
+    explanation: `The similarity service is unavailable, so this score is an estimate based on shared words and will be updated automatically. ${result.explanation}`,
+  };
+}
+
+/**
+ * Result for an idea rejected because a field is identical to another idea
+ * @param {string} field - The identical field
+ * @param {Object} ideaId - ID of the matching idea
+ * @returns {Object} - The uniqueness analysis results
+ */
+function exactMatchResult(field, ideaId) {
+  return {
+    uniquenessScore: 0,
+    similarIdeas: [
+      {
+        ideaId,
+        similarityScore: 100,
+        explanation: `This idea has an identical ${field} to an existing idea.`,
+      },
+    ],
+    explanation: `This idea is rejected because it has an identical ${field} to an existing idea.`,
+    isRejected: true,
+  };
+}
+
+/**
+ * Note an exact match on a result for rooms that flag exact matches instead
+ * of rejecting them
+ * @param {Object} result - The uniqueness analysis results
+ * @param {string} field - The identical field
+ * @param {Object} ideaId - ID of the matching idea
+ * @returns {Object} - The results with exactMatch set
+ */
+function flagExactMatch(result, field, ideaId) {
+  return {
+    ...result,
+    exactMatch: { ideaId, field },
+    explanation: `This idea has an identical ${field} to an existing idea. ${result.explanation}`,
+  };
+}
+
+/**
+ * Result for an idea rejected because a field is a lightly edited copy of
+ * another idea's
+ * @param {Object} nearDuplicate - Result of findNearDuplicate
+ * @returns {Object} - The uniqueness analysis results
+ */
+function nearDuplicateResult(nearDuplicate) {
+  return {
+    uniquenessScore: 0,
+    similarIdeas: [
+      {
+        ideaId: nearDuplicate.ideaId,
+        similarityScore: nearDuplicate.similarity,
+        explanation: `This idea's ${nearDuplicate.field} is a near-copy of "${nearDuplicate.title}".`,
+      },
+    ],
+    explanation: `This idea is rejected because its ${nearDuplicate.field} is ${nearDuplicate.similarity}% identical to "${nearDuplicate.title}".`,
+    isRejected: true,
+    nearDuplicate,
+  };
+}
+
+/**
+ * Note a near-duplicate on a result for rooms that flag near-duplicates
+ * instead of rejecting them
+ * @param {Object} result - The uniqueness analysis results
+ * @param {Object} nearDuplicate - Result of findNearDuplicate
+ * @returns {Object} - The results with nearDuplicate set
+ */
+function flagNearDuplicate(result, nearDuplicate) {
+  return {
+    ...result,
+    nearDuplicate,
+    explanation: `This idea's ${nearDuplicate.field} is ${nearDuplicate.similarity}% identical to "${nearDuplicate.title}". ${result.explanation}`,
+  };
+}
+
+/**
+ * Apply the room's policies to exact and near-duplicate matches
+ * @param {Object} result - The uniqueness analysis results
+ * @param {Object|null} exactMatch - { ideaId, field } of an identical idea
+ * @param {Object|null} nearDuplicate - Result of findNearDuplicate
+ * @returns {Object} - The results with the matches flagged
+ */
+function flagDuplicates(result, exactMatch, nearDuplicate) {
+  let flagged = result;
+  if (nearDuplicate) {
+    flagged = flagNearDuplicate(flagged, nearDuplicate);
+  }
+  if (exactMatch) {
+    flagged = flagExactMatch(flagged, exactMatch.field, exactMatch.ideaId);
+  }
+  return flagged;
+}
+
+/**
+ * Check if an idea is unique by comparing with existing ideas
+ * @param {Object} newIdea - The new idea to check
+ * @param {Array} existingIdeas - List of existing ideas
+ * @param {Object} [settings] - Room scoring settings (see getScoringSettings)
+ * @returns {Promise<Object>} - The uniqueness analysis results
+ */
+async function checkIdeaUniqueness(
+  newIdea,
+  existingIdeas,
+  settings = DEFAULT_SCORING_SETTINGS
+) {
+  try {
+    // If there are no existing ideas, the idea is 100% unique
+    if (!existingIdeas || existingIdeas.length === 0) {
+      // Generate embeddings for the first idea
+      const embeddings = await getEmbeddings(newIdea);
+
+      // Generate fingerprints for duplicate checks later
+      return firstIdeaResult(embeddings, getIdeaFingerprints(newIdea));
+    }
+
+    // Check for exact matches using murmurhash
+    const exactMatch = checkExactMatch(newIdea, existingIdeas);
+    if (exactMatch.matched && settings.exactMatchPolicy === "reject") {
+      return exactMatchResult(exactMatch.field, exactMatch.ideaId);
     }
 
-    // Calculate overall uniqueness score (average of field uniqueness)
-    const overallUniqueness = Math.round(
-      Object.values(lowestUniqueness).reduce((sum, score) => sum + score, 0) /
-        Object.keys(lowestUniqueness).length
+    // Check for lightly edited copies
+    const nearDuplicate = findNearDuplicate(
+      newIdea,
+      existingIdeas,
+      settings.nearDuplicateThreshold
     );
+    if (nearDuplicate && settings.nearDuplicatePolicy === "reject") {
+      return nearDuplicateResult(nearDuplicate);
+    }
 
-    // Sort similar ideas by similarity score (descending)
-    similarities.sort((a, b) => b.similarityScore - a.similarityScore);
+    // Generate embeddings for the new idea
+    const newIdeaEmbeddings = await getEmbeddings(newIdea);
 
-    return {
-      uniquenessScore: overallUniqueness,
-      fieldUniqueness: lowestUniqueness,
-      similarIdeas: similarities.slice(0, 5), // Limit to top 5 similar ideas
-      explanation: generateUniquenessExplanation(
-        overallUniqueness,
-        lowestUniqueness
-      ),
+    const result = {
+      ...compareWithExistingIdeas(newIdeaEmbeddings, existingIdeas, settings),
       embeddings: newIdeaEmbeddings,
-      hashes,
+      ...getIdeaFingerprints(newIdea),
     };
+
+    return flagDuplicates(
+      result,
+      exactMatch.matched ? exactMatch : null,
+      nearDuplicate
+    );
   } catch (error) {
     console.error("Error checking idea uniqueness:", error);
     throw new Error("Failed to analyze idea uniqueness");
@@ -291,14 +652,19 @@ async function checkIdeaUniqueness(newIdea, existingIdeas) {
  * Generate explanation for similarity between ideas
  * @param {Object} fieldSimilarity - Similarity scores for each field
  * @param {string} ideaTitle - Title of the similar idea
+ * @param {number} [highlightThreshold=0.5] - Fields more similar than this are named
  * @returns {string} - Explanation of similarity
  */
-function generateSimilarityExplanation(fieldSimilarity, ideaTitle) {
+function generateSimilarityExplanation(
+  fieldSimilarity,
+  ideaTitle,
+  highlightThreshold = DEFAULT_SCORING_SETTINGS.highlightThreshold
+) {
   const fields = Object.keys(fieldSimilarity);
   fields.sort((a, b) => fieldSimilarity[b] - fieldSimilarity[a]);
 
   const topSimilarFields = fields
-    .filter((field) => fieldSimilarity[field] > 0.5)
+    .filter((field) => fieldSimilarity[field] > highlightThreshold)
     .slice(0, 2);
 
   if (topSimilarFields.length === 0) {
@@ -355,4 +721,120 @@ function generateUniquenessExplanation(overallUniqueness, fieldUniqueness) {
   return explanation;
 }
 
-module.exports = { checkIdeaUniqueness };
+/**
+ * Check if an idea is unique within a room. Exact matches are found with an
+ * indexed hash lookup, near-duplicates with an indexed lookup of MinHash
+ * bands, and only the nearest ideas from the room's embedding index are
+ * loaded and scored, so the cost does not grow with the room size. If the
+ * embedding service is down, the idea is scored with the fallback embedder
+ * and the result is marked as degraded.
+ * @param {Object} newIdea - The idea to check
+ * @param {Object} roomId - Room to compare against
+ * @param {Object} [options] - Check options
+ * @param {Array} [options.excludeIds] - Idea IDs to leave out (e.g. the idea being edited)
+ * @param {Object} [options.settings] - Room scoring settings (see getScoringSettings)
+ * @returns {Promise<Object>} - The uniqueness analysis results
+ */
+async function checkIdeaUniquenessInRoom(newIdea, roomId, options = {}) {
+  try {
+    const excludeIds = options.excludeIds || [];
+    const settings = options.settings || DEFAULT_SCORING_SETTINGS;
+    const otherIdeas = { roomId, _id: { $nin: excludeIds } };
+
+    // Generate fingerprints for quick comparison
+    const fingerprints = getIdeaFingerprints(newIdea);
+    const problemStatementHashes = getHashVariants(newIdea.problemStatement);
+    const proposedSolutionHashes = getHashVariants(newIdea.proposedSolution);
+
+    // Check for exact matches using murmurhash
+    const exactMatchIdea = await Idea.findOne({
+      ...otherIdeas,
+      $or: [
+        { "hashes.problemStatement": { $in: problemStatementHashes } },
+        { "hashes.proposedSolution": { $in: proposedSolutionHashes } },
+      ],
+    }).select("hashes");
+    const exactMatch = exactMatchIdea && {
+      ideaId: exactMatchIdea._id,
+      field: getExactMatchField(
+        exactMatchIdea,
+        problemStatementHashes,
+        proposedSolutionHashes
+      ),
+    };
+    if (exactMatch && settings.exactMatchPolicy === "reject") {
+      return exactMatchResult(exactMatch.field, exactMatch.ideaId);
+    }
+
+    // Check for lightly edited copies among ideas sharing a MinHash band
+    const nearDuplicateCandidates =
+      fingerprints.nearDuplicateBands.length === 0
+        ? []
+        : await Idea.find({
+            ...otherIdeas,
+            nearDuplicateBands: { $in: fingerprints.nearDuplicateBands },
+          })
+            .select("title problemStatement proposedSolution")
+            .limit(NEAR_DUPLICATE_CANDIDATES);
+    const nearDuplicate = findNearDuplicate(
+      newIdea,
+      nearDuplicateCandidates,
+      settings.nearDuplicateThreshold
+    );
+    if (nearDuplicate && settings.nearDuplicatePolicy === "reject") {
+      return nearDuplicateResult(nearDuplicate);
+    }
+
+    // Generate embeddings for the new idea, falling back to word-overlap
+    // scoring if the embedding service is down
+    let embeddings;
+    try {
+      embeddings = await getEmbeddings(newIdea);
+    } catch (error) {
+      console.warn(
+        "Scoring idea without the embedding service:",
+        error.message
+      );
+      const degraded = await scoreWithFallback(newIdea, otherIdeas, settings);
+      return flagDuplicates(
+        { ...degraded, ...fingerprints },
+        exactMatch,
+        nearDuplicate
+      );
+    }
+
+    // Load only the nearest ideas in the room
+    const candidateIds = await findCandidateIdeaIds(roomId, embeddings, {
+      excludeIds,
+    });
+    if (candidateIds.length === 0 && !(await Idea.exists(otherIdeas))) {
+      return firstIdeaResult(embeddings, fingerprints);
+    }
+
+    const candidates = await Idea.find({ _id: { $in: candidateIds } }).select(
+      "title embeddings"
+    );
+
+    const result = {
+      ...compareWithExistingIdeas(embeddings, candidates, settings),
+      embeddings,
+      ...fingerprints,
+    };
+
+    return flagDuplicates(result, exactMatch, nearDuplicate);
+  } catch (error) {
+    console.error("Error checking idea uniqueness:", error);
+    throw new Error("Failed to analyze idea uniqueness");
+  }
+}
+
+module.exports = {
+  DEFAULT_SCORING_SETTINGS,
+  getScoringSettings,
+  getIdeaFingerprints,
+  getEmbeddings,
+  checkIdeaUniqueness,
+  checkIdeaUniquenessInRoom,
+  compareWithExistingIdeas,
+  rescoreIdea,
+};
@@ -4,25 +4,407 @@
  * This module provides an abstraction over vector database operations, specifically
  * for storing and querying embeddings of scientific papers.
  *
- * Current implementation uses MongoDB Atlas Vector Search with fallback to mock data
- * for development. In production, this could be replaced with Pinecone, Milvus, etc.
+ * The default "local" backend keeps an in-process HNSW index (see hnswIndex.js)
+ * persisted to disk, so similarity search works offline without Atlas. A "mock"
+ * mode returning random papers is kept for UI development. MongoDB Atlas Vector
+ * Search, Pinecone, Milvus, etc. could be added as further backends.
+ *
+ * The local index records the embedding model its vectors came from (see
+ * embeddingModel.js). Embeddings from another model are neither stored nor
+ * searched; scripts/migrate-embeddings.js rebuilds the index with a new model.
+ *
+ * The index holds imported corpus papers and uploaded papers alike, so
+ * searches that must not return other users' uploads pass a paperQuery. The
+ * server reloads the index file when a script writes it (see watchIndexFile),
+ * and every process merges in what others wrote before it saves, so the
+ * server and an import can both change the index.
  */
 
+const path = require("path");
+const fs = require("fs");
 const mongoose = require("mongoose");
 const Paper = require("../models/Paper");
+const { HNSWIndex } = require("./hnswIndex");
+const {
+  LEGACY_EMBEDDING_MODEL,
+  getEmbeddingModel,
+  isSameModel,
+  describeModel,
+} = require("./embeddingModel");
 const dotenv = require("dotenv");
 
 dotenv.config();
 
 // Configuration
-const VECTOR_DB_TYPE = process.env.VECTOR_DB_TYPE || "mock"; // 'mongodb', 'pinecone', 'milvus', 'mock'
+const VECTOR_DB_TYPE = process.env.VECTOR_DB_TYPE || "local"; // 'local', 'mongodb', 'pinecone', 'milvus', 'mock'
 const VECTOR_DB_URL = process.env.VECTOR_DB_URL;
 const VECTOR_DB_API_KEY = process.env.VECTOR_DB_API_KEY;
 
+// Local index configuration
+const VECTOR_INDEX_PATH = path.resolve(
+  process.env.VECTOR_INDEX_PATH || "./data/paper-index.hnsw"
+);
+const VECTOR_INDEX_M = parseInt(process.env.VECTOR_INDEX_M) || 16;
+const VECTOR_INDEX_EF_CONSTRUCTION =
+  parseInt(process.env.VECTOR_INDEX_EF_CONSTRUCTION) || 100;
+const VECTOR_INDEX_EF_SEARCH =
+  parseInt(process.env.VECTOR_INDEX_EF_SEARCH) || 64;
+
+// Delay before writing the local index to disk after a change, so bulk
+// inserts are persisted in one write rather than one per paper
+const VECTOR_INDEX_SAVE_DELAY_MS = 5000;
+
+// How often the server checks whether a script has written the index file
+const VECTOR_INDEX_WATCH_INTERVAL_MS = 30000;
+
+// Candidates fetched per result when matches must also satisfy a paper query,
+// to make up for the ones it drops (e.g. other users' uploaded papers)
+const FILTERED_SEARCH_FACTOR = 4;
+
+// Weights used to combine abstract and conclusion embeddings into one vector
+const ABSTRACT_WEIGHT = 0.6;
+const CONCLUSION_WEIGHT = 0.4;
+
+// Local index state
+let localIndex = null;
+let saveTimer = null;
+let savePromise = Promise.resolve();
+// Bulk import scripts turn delayed saves off and call flushVectorDB themselves
+let autoSave = true;
+// Modification time of the index file when this process last read or wrote it
+let indexFileMtime = null;
+let reloadPromise = Promise.resolve();
+// Papers indexed ({ indexed: true }) or removed ({ indexed: false }) by this
+// process since it last wrote the index file, by paper ID
+const localChanges = new Map();
+let watchingIndexFile = false;
+
 // For development purposes, mock data
 const MOCK_PAPER_COUNT = 800000; // Simulate 800K papers
 const MOCK_PAPER_CACHE = []; // Cache for mock paper data (just a few examples)
 
+/**
+ * Combine abstract and conclusion embeddings into a single query/storage vector
+ * @param {Object} embeddings - Object containing abstract and/or conclusion embeddings
+ * @returns {Array<number>|null} - Combined vector, or null if neither is present
+ */
+function combineEmbeddings(embeddings = {}) {
+  const { abstract, conclusion } = embeddings;
+  const hasAbstract = Array.isArray(abstract) && abstract.length > 0;
+  const hasConclusion = Array.isArray(conclusion) && conclusion.length > 0;
+
+  if (hasAbstract && hasConclusion && abstract.length === conclusion.length) {
+    // Weighted average of the two sections
+    return abstract.map(
+      (val, idx) => val * ABSTRACT_WEIGHT + conclusion[idx] * CONCLUSION_WEIGHT
+    );
+  }
+  if (hasAbstract) return abstract;
+  if (hasConclusion) return conclusion;
+  return null;
+}
+
+/**
+ * Load the local index from disk, or create an empty one
+ * @returns {Promise<HNSWIndex>}
+ */
+async function loadLocalIndex() {
+  if (fs.existsSync(VECTOR_INDEX_PATH)) {
+    indexFileMtime = fs.statSync(VECTOR_INDEX_PATH).mtimeMs;
+    const index = await HNSWIndex.load(VECTOR_INDEX_PATH);
+    console.log(
+      `Loaded local vector index with ${index.size} papers from ${VECTOR_INDEX_PATH}`
+    );
+    return index;
+  }
+
+  console.log(`Creating new local vector index at ${VECTOR_INDEX_PATH}`);
+  return createPaperIndex();
+}
+
+/**
+ * Create an empty local index with the configured parameters
+ * @returns {HNSWIndex}
+ */
+function createPaperIndex() {
+  return new HNSWIndex({
+    M: VECTOR_INDEX_M,
+    efConstruction: VECTOR_INDEX_EF_CONSTRUCTION,
+    efSearch: VECTOR_INDEX_EF_SEARCH,
+  });
+}
+
+/**
+ * Get the embedding model of the vectors in a local index
+ * @param {HNSWIndex} index - Local index
+ * @returns {Object|null} - { name, dimension }, or null if the index is empty
+ */
+function getIndexModel(index) {
+  if (!index || index.size === 0) return null;
+  // Indexes built before models were recorded
+  return (
+    index.metadata.embeddingModel || {
+      name: LEGACY_EMBEDDING_MODEL,
+      dimension: index.dimension,
+    }
+  );
+}
+
+/**
+ * Add paper embeddings to a local index, refusing embeddings from a different
+ * model than the vectors already in it
+ * @param {HNSWIndex} index - Local index
+ * @param {string} paperId - MongoDB ID of the paper
+ * @param {Object} embeddings - Object containing abstract and conclusion embeddings
+ * @returns {boolean} - True if the paper was added
+ */
+function addToIndex(index, paperId, embeddings) {
+  const vector = combineEmbeddings(embeddings);
+  if (!vector) return false;
+
+  const model = getEmbeddingModel(embeddings);
+  const indexModel = getIndexModel(index);
+  if (indexModel && !isSameModel(model, indexModel)) {
+    console.warn(
+      `Not indexing paper ${paperId}: embedded with ${describeModel(
+        model
+      )} but the index holds ${describeModel(indexModel)}`
+    );
+    return false;
+  }
+
+  const stored = index.add(String(paperId), vector);
+  if (stored) index.metadata.embeddingModel = model;
+  return stored;
+}
+
+/**
+ * Replace the local index, e.g. with one rebuilt for a new embedding model,
+ * and write it to disk over whatever the file holds
+ * @param {HNSWIndex} index - New local index
+ * @returns {Promise<void>}
+ */
+async function replacePaperIndex(index) {
+  await initPromise;
+  localIndex = index;
+  localChanges.clear();
+  return writeLocalIndex(false);
+}
+
+/**
+ * Write the local index to disk now, cancelling any pending delayed save
+ * @returns {Promise<void>}
+ */
+async function flushVectorDB() {
+  return writeLocalIndex(true);
+}
+
+/**
+ * Write the local index to disk, one write at a time
+ * @param {boolean} merge - Whether to first load the papers another process
+ *   wrote to the file since this one read it
+ * @returns {Promise<void>}
+ */
+function writeLocalIndex(merge) {
+  if (saveTimer) {
+    clearTimeout(saveTimer);
+    saveTimer = null;
+  }
+  if (!localIndex) return Promise.resolve();
+
+  // Chain saves so two writes never interleave
+  savePromise = savePromise
+    .catch(() => {})
+    .then(() => merge && reloadIndexFile().catch(() => {}))
+    .then(async () => {
+      // Changes made while the file is written are left for the next save
+      const saved = new Map(localChanges);
+      await localIndex.save(VECTOR_INDEX_PATH);
+      indexFileMtime = fs.statSync(VECTOR_INDEX_PATH).mtimeMs;
+
+      for (const [paperId, change] of saved) {
+        if (localChanges.get(paperId) === change) localChanges.delete(paperId);
+      }
+    });
+  return savePromise;
+}
+
+/**
+ * Schedule a delayed write of the local index to disk
+ */
+function scheduleSave() {
+  if (!autoSave || saveTimer) return;
+  saveTimer = setTimeout(() => {
+    saveTimer = null;
+    flushVectorDB().catch((err) =>
+      console.error("Failed to save local vector index:", err)
+    );
+  }, VECTOR_INDEX_SAVE_DELAY_MS);
+  // Don't keep scripts alive just for a pending save; they call flushVectorDB
+  saveTimer.unref();
+}
+
+/**
+ * Turn the delayed write of the local index after each change on or off.
+ * With it off the index is only written by flushVectorDB, which keeps bulk
+ * imports from rewriting the whole file every few seconds.
+ * @param {boolean} enabled - Whether changes schedule a delayed save
+ */
+function setAutoSave(enabled) {
+  autoSave = enabled;
+  if (!enabled && saveTimer) {
+    clearTimeout(saveTimer);
+    saveTimer = null;
+  }
+}
+
+/**
+ * Rebuild the local index without the tombstones left by removed and
+ * replaced papers, if they make up at least the given share of its entries.
+ * The new index is written by the next save.
+ * @param {number} [minTombstoneRatio=0] - Share of entries (0-1) that must be
+ *   tombstones for the index to be rebuilt
+ * @returns {Promise<number>} - Number of tombstones removed
+ */
+async function compactVectorDB(minTombstoneRatio = 0) {
+  if (VECTOR_DB_TYPE === "mock") return 0;
+
+  await initPromise;
+  const { deletedCount, count } = localIndex;
+  if (deletedCount === 0 || deletedCount < count * minTombstoneRatio) {
+    return 0;
+  }
+
+  localIndex = localIndex.compact();
+  scheduleSave();
+  return deletedCount;
+}
+
+/**
+ * Whether an index holds a paper with the given vector, or does not hold it
+ * if vector is null
+ * @param {HNSWIndex} index - Local index
+ * @param {string} paperId - MongoDB ID of the paper
+ * @param {Float32Array|null} vector - Normalized vector from another index,
+ *   or null if the paper was removed
+ * @returns {boolean}
+ */
+function hasIndexEntry(index, paperId, vector) {
+  const stored = index.getVector(paperId);
+  if (!vector) return !stored;
+  if (!stored || vector.length !== stored.length) return false;
+
+  // Both vectors are normalized, so this is the cosine similarity
+  let dot = 0;
+  for (let i = 0; i < vector.length; i++) dot += stored[i] * vector[i];
+  return dot > 0.9999;
+}
+
+/**
+ * Load the index file written by another process and apply the changes this
+ * process made that it does not have. A bulk import writes the file from the
+ * copy of the index it loaded when it started, without the papers uploaded
+ * since.
+ * @returns {Promise<number>} - Number of changes applied again
+ */
+async function reloadLocalIndex() {
+  await initPromise;
+  if (!fs.existsSync(VECTOR_INDEX_PATH)) return 0;
+
+  const { mtimeMs } = await fs.promises.stat(VECTOR_INDEX_PATH);
+  if (mtimeMs === indexFileMtime) return 0;
+  indexFileMtime = mtimeMs;
+
+  const index = await HNSWIndex.load(VECTOR_INDEX_PATH);
+  const model = getIndexModel(localIndex);
+  let reapplied = 0;
+  for (const [paperId, { indexed }] of localChanges) {
+    // Vectors of papers this process indexed are taken from its own index
+    const vector = indexed ? localIndex.getVector(paperId) : null;
+
+    if (hasIndexEntry(index, paperId, vector)) {
+      // The file has caught up with this change
+      localChanges.delete(paperId);
+    } else if (!indexed) {
+      index.remove(paperId);
+      reapplied++;
+    } else if (
+      vector &&
+      addToIndex(index, paperId, {
+        abstract: Array.from(vector),
+        model: model.name,
+        dimension: model.dimension,
+      })
+    ) {
+      reapplied++;
+    } else {
+      // Embedded with another model than the new index
+      localChanges.delete(paperId);
+    }
+  }
+
+  localIndex = index;
+  console.log(
+    `Reloaded local vector index with ${index.size} papers from ${VECTOR_INDEX_PATH}`
+  );
+  return reapplied;
+}
+
+/**
+ * Reload the index file if another process wrote it, one reload at a time
+ * @returns {Promise<number>} - Number of changes applied again
+ */
+function reloadIndexFile() {
+  const reload = reloadPromise.then(reloadLocalIndex);
+  reloadPromise = reload.catch((err) =>
+    console.error("Failed to reload local vector index:", err)
+  );
+  return reload;
+}
+
+/**
+ * Reload the local index whenever another process, such as
+ * scripts/import-papers.js or scripts/migrate-embeddings.js, writes the index
+ * file. Papers indexed or removed by this process in the meantime are kept.
+ */
+function watchIndexFile() {
+  if (VECTOR_DB_TYPE === "mock" || watchingIndexFile) return;
+  watchingIndexFile = true;
+
+  fs.watchFile(
+    VECTOR_INDEX_PATH,
+    { interval: VECTOR_INDEX_WATCH_INTERVAL_MS },
+    (curr) => {
+      if (!curr.mtimeMs || curr.mtimeMs === indexFileMtime) return;
+      reloadIndexFile()
+        .then((reapplied) => {
+          // Write the papers the other process left out back to the file
+          if (reapplied > 0) scheduleSave();
+        })
+        .catch(() => {});
+    }
+  ).unref();
+}
+
+/**
+ * Number of papers currently searchable in the vector database
+ * @returns {number}
+ */
+function getIndexedPaperCount() {
+  if (VECTOR_DB_TYPE === "mock") return MOCK_PAPER_COUNT;
+  return localIndex ? localIndex.size : 0;
+}
+
+/**
+ * Embedding model of the papers in the vector database
+ * @returns {Promise<Object|null>} - { name, dimension }, or null if no papers are indexed
+ */
+async function getPaperIndexModel() {
+  if (VECTOR_DB_TYPE === "mock") return null;
+  await initPromise;
+  return getIndexModel(localIndex);
+}
+
 /**
  * Initialize the vector database connection
  */
@@ -50,14 +432,14 @@ async function initVectorDB() {
     return;
   }
 
-  if (VECTOR_DB_TYPE === "mongodb") {
-    // MongoDB Atlas Vector Search is already initialized via mongoose connection
-    console.log("Using MongoDB Atlas Vector Search for similarity search");
-    return;
+  if (VECTOR_DB_TYPE !== "local") {
+    // MongoDB Atlas ($vectorSearch), Pinecone, Milvus, etc. would be set up here
+    console.warn(
+      `Vector database type ${VECTOR_DB_TYPE} is not implemented yet, using the local index`
+    );
   }
 
-  // Add more vector DB initializations as needed
-  console.warn(`Vector database type ${VECTOR_DB_TYPE} is not implemented yet`);
+  localIndex = await loadLocalIndex();
 }
 
 /**
@@ -72,125 +454,242 @@ async function storePaperEmbeddings(paperId, embeddings) {
     return true;
   }
 
-  if (VECTOR_DB_TYPE === "mongodb") {
-    // Paper embeddings are already stored in MongoDB via the Paper model
+  await initPromise;
+  const stored = addToIndex(localIndex, paperId, embeddings);
+  if (stored) {
+    localChanges.set(String(paperId), { indexed: true });
+    scheduleSave();
+  }
+  return stored;
+}
+
+/**
+ * Remove a paper's embeddings from the vector database
+ * @param {string} paperId - MongoDB ID of the paper
+ * @returns {Promise<boolean>} - True if the paper was indexed and has been removed
+ */
+async function removePaperEmbeddings(paperId) {
+  if (VECTOR_DB_TYPE === "mock") {
     return true;
   }
 
-  // Add more vector DB storage implementations as needed
-  console.warn(`Vector database type ${VECTOR_DB_TYPE} is not implemented yet`);
-  return false;
+  await initPromise;
+  const removed = localIndex.remove(String(paperId));
+  if (removed) {
+    localChanges.set(String(paperId), { indexed: false });
+    scheduleSave();
+  }
+  return removed;
 }
 
 /**
- * Find similar papers based on embeddings
+ * Whether a paper's embeddings are in the vector database
+ * @param {string} paperId - MongoDB ID of the paper
+ * @returns {Promise<boolean>}
+ */
+async function isPaperIndexed(paperId) {
+  if (VECTOR_DB_TYPE === "mock") return true;
+
+  await initPromise;
+  return Boolean(localIndex.getVector(String(paperId)));
+}
+
+/**
+ * Convert the highest similarity found into a 0-100 uniqueness score
+ * @param {number} highestSimilarity - Cosine similarity of the closest paper
+ * @returns {number} - Uniqueness score
+ */
+function similarityToUniqueness(highestSimilarity) {
+  return Math.round((1 - Math.max(0, Math.min(1, highestSimilarity))) * 100);
+}
+
+/**
+ * Search the local HNSW index and hydrate results from the Paper collection
  * @param {Object} embeddings - Object containing abstract and conclusion embeddings
  * @param {number} topK - Number of similar papers to return
  * @param {Object} options - Additional options for search
  * @returns {Promise<Object>} - Search results with uniqueness score and similar papers
  */
-async function findSimilarPapers(embeddings, topK = 5, options = {}) {
-  if (VECTOR_DB_TYPE === "mock") {
-    // In mock mode, return random papers with random similarities
-    const mockResults = [];
-
-    // Randomize the mock papers and assign random similarity scores
-    const shuffled = [...MOCK_PAPER_CACHE].sort(() => 0.5 - Math.random());
-    for (let i = 0; i < Math.min(topK, shuffled.length); i++) {
-      const paperCopy = { ...shuffled[i] };
-      // Generate similarity between 0.5 and 0.85
-      paperCopy.similarity =
-        Math.round((0.5 + Math.random() * 0.35) * 100) / 100;
-      mockResults.push(paperCopy);
-    }
+async function findSimilarPapersLocal(embeddings, topK, options) {
+  await initPromise;
+
+  const queryEmbedding = combineEmbeddings(embeddings);
+  if (!queryEmbedding) {
+    throw new Error("No embeddings provided for search");
+  }
+
+  const indexModel = getIndexModel(localIndex);
+  const queryModel = getEmbeddingModel(embeddings);
+  if (indexModel && !isSameModel(queryModel, indexModel)) {
+    throw new Error(
+      `The paper index holds embeddings from ${describeModel(
+        indexModel
+      )} but the query was embedded with ${describeModel(
+        queryModel
+      )}. Run scripts/migrate-embeddings.js to re-embed the papers.`
+    );
+  }
 
-    // Sort by similarity (highest first)
-    mockResults.sort((a, b) => b.similarity - a.similarity);
+  const excludeIds = new Set((options.excludeIds || []).map(String));
+  const minSimilarity = options.minSimilarity || 0;
+  const { paperQuery } = options;
 
-    // Calculate uniqueness score as inverse of highest similarity
-    const highestSimilarity =
-      mockResults.length > 0 ? mockResults[0].similarity : 0;
-    const uniquenessScore = Math.round((1 - highestSimilarity * 0.8) * 100); // Scale to make more realistic
+  let matches = localIndex
+    .search(queryEmbedding, paperQuery ? topK * FILTERED_SEARCH_FACTOR : topK, {
+      ef: options.ef,
+      filter: (id) => !excludeIds.has(id),
+    })
+    .filter((match) => match.similarity >= minSimilarity);
 
+  // Hydrate paper details for the matches
+  const papers =
+    matches.length > 0 && mongoose.connection.readyState === 1
+      ? await Paper.find({
+          ...paperQuery,
+          _id: { $in: matches.map((m) => m.id) },
+        }).select("title authors publicationYear url doi")
+      : [];
+  const papersById = new Map(papers.map((p) => [String(p._id), p]));
+
+  // The index holds every paper, so drop those the query leaves out
+  if (paperQuery) {
+    matches = matches
+      .filter((match) => papersById.has(match.id))
+      .slice(0, topK);
+  }
+
+  const similarPapers = matches.map((match) => {
+    const paper = papersById.get(match.id);
     return {
-      uniquenessScore,
-      similarPapers: mockResults,
-      totalPapersSearched: MOCK_PAPER_COUNT,
+      paperId: match.id,
+      title: paper?.title || "Unknown Title",
+      authors: paper?.authors || [],
+      year: paper?.publicationYear,
+      url: paper?.url || (paper?.doi ? `https://doi.org/${paper.doi}` : undefined),
+      similarity: Math.round(match.similarity * 10000) / 10000,
     };
+  });
+
+  const highestSimilarity =
+    similarPapers.length > 0 ? similarPapers[0].similarity : 0;
+
+  return {
+    uniquenessScore: similarityToUniqueness(highestSimilarity),
+    similarPapers,
+    totalPapersSearched: localIndex.size,
+  };
+}
+
+/**
+ * Exact cosine similarity between a query and specific indexed papers, e.g. to
+ * score matches found with one query against another
+ * @param {Object} embeddings - Object containing abstract and/or conclusion embeddings
+ * @param {Array<string>} paperIds - Papers to score
+ * @returns {Promise<Map<string, number>>} - Similarity by paper ID (papers not in the index are left out)
+ */
+async function scorePapers(embeddings, paperIds) {
+  const scores = new Map();
+  if (VECTOR_DB_TYPE === "mock") return scores;
+
+  await initPromise;
+  const query = combineEmbeddings(embeddings);
+  if (!query || query.length !== localIndex.dimension) return scores;
+  if (!isSameModel(getEmbeddingModel(embeddings), getIndexModel(localIndex))) {
+    return scores;
   }
 
-  if (VECTOR_DB_TYPE === "mongodb") {
-    try {
-      // Using MongoDB Atlas Vector Search
-      // This requires a vector search index on the collection
-
-      // Combine abstract and conclusion embeddings if both exist
-      let queryEmbedding;
-      if (embeddings.abstract && embeddings.conclusion) {
-        // Average the embeddings (weighted)
-        const abstractWeight = 0.6;
-        const conclusionWeight = 0.4;
-        queryEmbedding = embeddings.abstract.map(
-          (val, idx) =>
-            val * abstractWeight + embeddings.conclusion[idx] * conclusionWeight
-        );
-      } else if (embeddings.abstract) {
-        queryEmbedding = embeddings.abstract;
-      } else if (embeddings.conclusion) {
-        queryEmbedding = embeddings.conclusion;
-      } else {
-        throw new Error("No embeddings provided for search");
-      }
+  let norm = 0;
+  for (const value of query) norm += value * value;
+  norm = Math.sqrt(norm);
+  if (norm === 0) return scores;
 
-      // In a real implementation, you would use $vectorSearch or a similar operator
-      // Here's a simplified example (requires MongoDB 5.0+ with Atlas Vector Search)
-      /* 
-      const results = await Paper.aggregate([
-        {
-          $vectorSearch: {
-            index: "paper_embeddings_index",
-            path: "embeddings.abstract", // or combined embedding field
-            queryVector: queryEmbedding,
-            numCandidates: topK * 10,
-            limit: topK
-          }
-        },
-        {
-          $project: {
-            _id: 1,
-            title: 1,
-            authors: 1,
-            similarity: { $meta: "vectorSearchScore" },
-            url: 1
-          }
-        }
-      ]);
-      */
-
-      // For now, since we're likely not using Atlas Vector Search yet, we'll return mock data
-      console.log(
-        "Falling back to mock data instead of actual MongoDB Vector Search"
-      );
-      return findSimilarPapers(embeddings, topK, options);
-    } catch (error) {
-      console.error("Error in MongoDB vector search:", error);
-      // Fallback to mock data if vector search fails
-      return findSimilarPapers(embeddings, topK, options);
-    }
+  for (const paperId of paperIds) {
+    const stored = localIndex.getVector(paperId);
+    if (!stored) continue;
+
+    // Stored vectors are already normalised
+    let dot = 0;
+    for (let i = 0; i < stored.length; i++) dot += query[i] * stored[i];
+    scores.set(String(paperId), Math.round((dot / norm) * 10000) / 10000);
+  }
+
+  return scores;
+}
+
+/**
+ * Return random mock papers with random similarities (UI development only)
+ * @param {number} topK - Number of similar papers to return
+ * @returns {Object} - Search results with uniqueness score and similar papers
+ */
+function findSimilarPapersMock(topK) {
+  const mockResults = [];
+
+  // Randomize the mock papers and assign random similarity scores
+  const shuffled = [...MOCK_PAPER_CACHE].sort(() => 0.5 - Math.random());
+  for (let i = 0; i < Math.min(topK, shuffled.length); i++) {
+    const paperCopy = { ...shuffled[i] };
+    // Generate similarity between 0.5 and 0.85
+    paperCopy.similarity = Math.round((0.5 + Math.random() * 0.35) * 100) / 100;
+    mockResults.push(paperCopy);
+  }
+
+  // Sort by similarity (highest first)
+  mockResults.sort((a, b) => b.similarity - a.similarity);
+
+  // Calculate uniqueness score as inverse of highest similarity
+  const highestSimilarity =
+    mockResults.length > 0 ? mockResults[0].similarity : 0;
+  const uniquenessScore = Math.round((1 - highestSimilarity * 0.8) * 100); // Scale to make more realistic
+
+  return {
+    uniquenessScore,
+    similarPapers: mockResults,
+    totalPapersSearched: MOCK_PAPER_COUNT,
+  };
+}
+
+/**
+ * Find similar papers based on embeddings
+ * @param {Object} embeddings - Object containing abstract and conclusion embeddings
+ * @param {number} topK - Number of similar papers to return
+ * @param {Object} options - Additional options for search
+ * @param {Array<string>} [options.excludeIds] - Paper IDs to leave out of the results
+ * @param {number} [options.minSimilarity] - Drop matches below this cosine similarity
+ * @param {Object} [options.paperQuery] - MongoDB query the matched papers must
+ *   satisfy, e.g. to search the imported corpus but not uploaded papers
+ * @param {number} [options.ef] - Local index candidate list size (accuracy/speed trade-off)
+ * @returns {Promise<Object>} - Search results with uniqueness score and similar papers
+ */
+async function findSimilarPapers(embeddings, topK = 5, options = {}) {
+  if (VECTOR_DB_TYPE === "mock") {
+    return findSimilarPapersMock(topK);
   }
 
-  // Add more vector DB search implementations as needed
-  console.warn(`Vector database type ${VECTOR_DB_TYPE} is not implemented yet`);
-  return findSimilarPapers(embeddings, topK, options); // Fallback to mock
+  return findSimilarPapersLocal(embeddings, topK, options);
 }
 
 // Initialize when the module is loaded
-initVectorDB().catch((err) =>
+const initPromise = initVectorDB();
+initPromise.catch((err) =>
   console.error("Failed to initialize vector database:", err)
 );
 
 module.exports = {
   initVectorDB,
   storePaperEmbeddings,
+  removePaperEmbeddings,
+  isPaperIndexed,
   findSimilarPapers,
+  scorePapers,
+  flushVectorDB,
+  setAutoSave,
+  watchIndexFile,
+  compactVectorDB,
+  combineEmbeddings,
+  getIndexedPaperCount,
+  getPaperIndexModel,
+  createPaperIndex,
+  addToIndex,
+  replacePaperIndex,
+  VECTOR_INDEX_PATH,
 };
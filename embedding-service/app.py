@@ -6,6 +6,7 @@ import os
 from dotenv import load_dotenv
 import json
 import re
+import time
 from io import BytesIO
 
 
@@ -18,7 +19,13 @@ CORS(app)
 print("Loading BERT model...")
 model_name = os.getenv("BERT_MODEL_NAME", "all-MiniLM-L6-v2")  
 model = SentenceTransformer(model_name)
-print(f"BERT model '{model_name}' loaded successfully")
+embedding_dimension = model.get_sentence_embedding_dimension()
+print(f"BERT model '{model_name}' loaded successfully ({embedding_dimension} dimensions)")
+
+# Most documents accepted by one batch request
+MAX_BATCH_DOCUMENTS = int(os.getenv("MAX_BATCH_DOCUMENTS", 256))
+# Number of texts the model encodes at once
+ENCODE_BATCH_SIZE = int(os.getenv("ENCODE_BATCH_SIZE", 64))
 
 @app.route('/api/embeddings', methods=['POST'])
 def generate_embeddings():
@@ -40,7 +47,9 @@ def generate_embeddings():
             "proposedSolution": [...],
             "description": [...],
             "domain": [...]
-        }
+        },
+        "model": "all-MiniLM-L6-v2",
+        "dimension": 384
     }
     """
     try:
@@ -64,7 +73,11 @@ def generate_embeddings():
             field_embedding = model.encode(data[field])
             embeddings[field] = field_embedding.tolist()
         
-        return jsonify({"embeddings": embeddings})
+        return jsonify({
+            "embeddings": embeddings,
+            "model": model_name,
+            "dimension": embedding_dimension,
+        })
     
     except Exception as e:
         print(f"Error generating embeddings: {str(e)}")
@@ -86,7 +99,9 @@ def generate_paper_embeddings():
         "embeddings": {
             "abstract": [...],
             "conclusion": [...]
-        }
+        },
+        "model": "all-MiniLM-L6-v2",
+        "dimension": 384
     }
     """
     try:
@@ -107,12 +122,87 @@ def generate_paper_embeddings():
                 field_embedding = model.encode(data[field])
                 embeddings[field] = field_embedding.tolist()
         
-        return jsonify({"embeddings": embeddings})
+        return jsonify({
+            "embeddings": embeddings,
+            "model": model_name,
+            "dimension": embedding_dimension,
+        })
     
     except Exception as e:
         print(f"Error generating paper embeddings: {str(e)}")
         return jsonify({"error": str(e)}), 500
 
+@app.route('/api/paper/embeddings/batch', methods=['POST'])
+def generate_paper_embeddings_batch():
+    """
+    Generate BERT embeddings for the abstracts and conclusions of many papers at once.
+    All texts in the request are encoded together, which is much faster than one
+    request per paper when importing a large corpus.
+    
+    Expected request JSON:
+    {
+        "documents": [
+            {"abstract": "Text of the abstract", "conclusion": "Text of the conclusion"},
+            ...
+        ]
+    }
+    
+    Returns (one entry per document, in the same order; empty fields are left out):
+    {
+        "embeddings": [
+            {"abstract": [...], "conclusion": [...]},
+            ...
+        ],
+        "model": "all-MiniLM-L6-v2",
+        "dimension": 384,
+        "count": 2,
+        "elapsedMs": 153
+    }
+    """
+    try:
+        data = request.get_json()
+        if not data or not isinstance(data.get('documents'), list):
+            return jsonify({"error": "A documents array must be provided"}), 400
+        
+        documents = data['documents']
+        if len(documents) > MAX_BATCH_DOCUMENTS:
+            return jsonify({
+                "error": f"At most {MAX_BATCH_DOCUMENTS} documents can be embedded per request",
+            }), 400
+        
+        start = time.time()
+        fields = ['abstract', 'conclusion']
+        
+        # Collect every non-empty text with the document and field it belongs to
+        texts = []
+        positions = []
+        for index, document in enumerate(documents):
+            if not isinstance(document, dict):
+                continue
+            for field in fields:
+                text = document.get(field)
+                if isinstance(text, str) and text.strip():
+                    texts.append(text)
+                    positions.append((index, field))
+        
+        embeddings = [{} for _ in documents]
+        if texts:
+            vectors = model.encode(texts, batch_size=ENCODE_BATCH_SIZE)
+            for (index, field), vector in zip(positions, vectors):
+                embeddings[index][field] = vector.tolist()
+        
+        return jsonify({
+            "embeddings": embeddings,
+            "model": model_name,
+            "dimension": embedding_dimension,
+            "count": len(documents),
+            "elapsedMs": round((time.time() - start) * 1000),
+        })
+    
+    except Exception as e:
+        print(f"Error generating batch paper embeddings: {str(e)}")
+        return jsonify({"error": str(e)}), 500
+
 @app.route('/api/paper/similarity', methods=['POST'])
 def calculate_paper_similarity():
     """
@@ -182,7 +272,11 @@ def calculate_paper_similarity():
 @app.route('/api/health', methods=['GET'])
 def health_check():
     """Health check endpoint to verify the service is running."""
-    return jsonify({"status": "healthy", "model": model_name})
+    return jsonify({
+        "status": "healthy",
+        "model": model_name,
+        "dimension": embedding_dimension,
+    })
 
 if __name__ == '__main__':
     # Use EMBEDDING_PORT instead of PORT to avoid conflicts with the system environment
@@ -1,6 +1,7 @@
 import { BrowserRouter as Router, Routes, Route } from 'react-router-dom';
 import { QueryClient, QueryClientProvider } from '@tanstack/react-query';
 import Layout from './components/Layout';
+import RequireAuth from './components/RequireAuth';
 
 // Import pages
 import HomePage from './pages/HomePage';
@@ -8,6 +9,7 @@ import PaperAnalysisPage from './pages/PaperAnalysisPage';
 import AIDetectionPage from './pages/AIDetectionPage';
 import PaperUniquenessPage from './pages/PaperUniquenessPage';
 import PaperDetailsPage from './pages/PaperDetailsPage';
+import PaperLibraryPage from './pages/PaperLibraryPage';
 import PaperStructuringPage from './pages/PaperStructuringPage';
 import RoomsPage from './pages/RoomsPage';
 import RoomDetailsPage from './pages/RoomDetailsPage';
@@ -16,6 +18,7 @@ import SubmitIdeaPage from './pages/SubmitIdeaPage';
 import IdeaDetailsPage from './pages/IdeaDetailsPage';
 import NotFoundPage from './pages/NotFoundPage';
 import PaperStructureCheckPage from './pages/PaperStructureCheckPage';
+import AuthPage from './pages/AuthPage';
 
 // Create a client for React Query
 const queryClient = new QueryClient({
@@ -35,21 +38,26 @@ function App() {
           <Routes>
             <Route path="/" element={<HomePage />} />
             
+            {/* Auth Routes */}
+            <Route path="/login" element={<AuthPage mode="login" />} />
+            <Route path="/register" element={<AuthPage mode="register" />} />
+            
             {/* Paper Analysis Routes */}
             <Route path="/paper-analysis" element={<PaperAnalysisPage />} />
             <Route path="/ai-detection" element={<AIDetectionPage />} />
-            <Route path="/paper-uniqueness" element={<PaperUniquenessPage />} />
+            <Route path="/paper-uniqueness" element={<RequireAuth><PaperUniquenessPage /></RequireAuth>} />
+            <Route path="/papers" element={<PaperLibraryPage />} />
             <Route path="/papers/:paperId" element={<PaperDetailsPage />} />
             <Route path="/paper-structuring" element={<PaperStructuringPage />} />
             <Route path="/paper-structure-check" element={<PaperStructureCheckPage />} />
             
             {/* Room Routes */}
             <Route path="/rooms" element={<RoomsPage />} />
-            <Route path="/rooms/new" element={<CreateRoomPage />} />
+            <Route path="/rooms/new" element={<RequireAuth><CreateRoomPage /></RequireAuth>} />
             <Route path="/rooms/:roomId" element={<RoomDetailsPage />} />
             
             {/* Idea Routes */}
-            <Route path="/rooms/:roomId/submit-idea" element={<SubmitIdeaPage />} />
+            <Route path="/rooms/:roomId/submit-idea" element={<RequireAuth><SubmitIdeaPage /></RequireAuth>} />
             <Route path="/ideas/:ideaId" element={<IdeaDetailsPage />} />
             
             {/* 404 Route */}
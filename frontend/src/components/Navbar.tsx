@@ -1,16 +1,33 @@
 import { useState } from 'react';
-import { Link, useLocation } from 'react-router-dom';
-import { Bars3Icon, XMarkIcon } from '@heroicons/react/24/outline';
+import { Link, useLocation, useNavigate } from 'react-router-dom';
+import { useQuery, useQueryClient } from '@tanstack/react-query';
+import { Bars3Icon, XMarkIcon, UserCircleIcon } from '@heroicons/react/24/outline';
+import authService from '../services/authService';
 
 const Navbar = () => {
   const [isMenuOpen, setIsMenuOpen] = useState(false);
   const location = useLocation();
+  const navigate = useNavigate();
+  const queryClient = useQueryClient();
+
+  const { data: user } = useQuery({
+    queryKey: ['currentUser'],
+    queryFn: authService.getCurrentUser,
+  });
+
+  const handleSignOut = () => {
+    authService.logout();
+    queryClient.setQueryData(['currentUser'], null);
+    setIsMenuOpen(false);
+    navigate('/');
+  };
 
   const navigation = [
     { name: 'Home', path: '/' },
     { name: 'Paper Analysis', path: '/paper-analysis' },
     { name: 'AI & Plagiarism', path: '/ai-detection' },
     { name: 'Unique & Related', path: '/paper-uniqueness' },
+    { name: 'Library', path: '/papers' },
     { name: 'Paper Structuring', path: '/paper-structuring' },
     { name: 'Structure Check', path: '/paper-structure-check' },
   ];
@@ -44,6 +61,24 @@ const Navbar = () => {
               ))}
             </div>
           </div>
+
+          <div className="hidden sm:flex sm:items-center sm:space-x-4">
+            {user ? (
+              <>
+                <span className="inline-flex items-center text-sm text-gray-700">
+                  <UserCircleIcon className="h-5 w-5 mr-1 text-gray-400" />
+                  {user.name}
+                </span>
+                <button onClick={handleSignOut} className="text-sm font-medium text-gray-500 hover:text-gray-700">
+                  Sign out
+                </button>
+              </>
+            ) : (
+              <Link to="/login" className="text-sm font-medium text-blue-600 hover:text-blue-700">
+                Sign in
+              </Link>
+            )}
+          </div>
           
           <div className="-mr-2 flex items-center sm:hidden">
             <button
@@ -79,6 +114,22 @@ const Navbar = () => {
                 {item.name}
               </Link>
             ))}
+            {user ? (
+              <button
+                onClick={handleSignOut}
+                className="block w-full text-left pl-3 pr-4 py-2 border-l-4 border-transparent text-base font-medium text-gray-500 hover:bg-gray-50 hover:border-gray-300 hover:text-gray-700"
+              >
+                Sign out ({user.name})
+              </button>
+            ) : (
+              <Link
+                to="/login"
+                className="block pl-3 pr-4 py-2 border-l-4 border-transparent text-base font-medium text-blue-600 hover:bg-gray-50"
+                onClick={() => setIsMenuOpen(false)}
+              >
+                Sign in
+              </Link>
+            )}
           </div>
         </div>
       )}
@@ -0,0 +1,188 @@
+import { useState } from 'react';
+import { useMutation, useQuery, useQueryClient } from '@tanstack/react-query';
+import axios from 'axios';
+import { ArrowDownIcon, ArrowUpIcon, ClockIcon } from '@heroicons/react/24/outline';
+import FileUploader from './FileUploader';
+import LoadingSpinner from './LoadingSpinner';
+import paperService from '../services/paperService';
+import type { PaperMatchChange, PaperRevisionChanges } from '../services/paperService';
+
+interface PaperRevisionHistoryProps {
+  paperId: string;
+}
+
+// Change in a score, e.g. "+12" or "-3"
+const formatChange = (change: number) => (change > 0 ? `+${change}` : `${change}`);
+
+const ScoreChange = ({ change, higherIsBetter }: { change: number; higherIsBetter: boolean }) => {
+  if (change === 0) {
+    return <span className="text-sm text-gray-500">no change</span>;
+  }
+
+  const better = higherIsBetter ? change > 0 : change < 0;
+  const Icon = change > 0 ? ArrowUpIcon : ArrowDownIcon;
+  return (
+    <span className={`inline-flex items-center text-sm font-medium ${better ? 'text-green-600' : 'text-red-600'}`}>
+      <Icon className="h-4 w-4 mr-0.5" />
+      {formatChange(change)}
+    </span>
+  );
+};
+
+const MatchList = ({ title, matches, className }: { title: string; matches: PaperMatchChange[]; className: string }) => {
+  if (matches.length === 0) return null;
+
+  return (
+    <div className="mt-3">
+      <h5 className="text-sm font-medium text-gray-700 mb-1">{title}</h5>
+      <ul className="space-y-1">
+        {matches.map((match, index) => (
+          <li key={match.paperId || index} className="flex justify-between items-center text-sm">
+            <span className="text-gray-700 mr-4">{match.title}</span>
+            <span className="flex items-center gap-2 shrink-0">
+              <span className={`px-2 py-0.5 rounded ${className}`}>{match.similarityScore}% similar</span>
+              {match.similarityChange !== undefined && (
+                <ScoreChange change={match.similarityChange} higherIsBetter={false} />
+              )}
+            </span>
+          </li>
+        ))}
+      </ul>
+    </div>
+  );
+};
+
+const RevisionChanges = ({ changes }: { changes: PaperRevisionChanges }) => (
+  <div>
+    <MatchList title="New matches" matches={changes.newMatches} className="bg-red-100 text-red-800" />
+    <MatchList title="No longer matched" matches={changes.removedMatches} className="bg-green-100 text-green-800" />
+    <MatchList title="Still matched" matches={changes.changedMatches} className="bg-gray-100 text-gray-700" />
+  </div>
+);
+
+const PaperRevisionHistory = ({ paperId }: PaperRevisionHistoryProps) => {
+  const queryClient = useQueryClient();
+  const [file, setFile] = useState<File | null>(null);
+  const [jobProgress, setJobProgress] = useState<string | null>(null);
+
+  const {
+    data: revisions,
+    isLoading,
+    isError,
+  } = useQuery({
+    queryKey: ['paperRevisions', paperId],
+    queryFn: () => paperService.getPaperRevisions(paperId),
+  });
+
+  const revisionMutation = useMutation({
+    mutationFn: (pdf: File) =>
+      paperService.submitPaperRevision(paperId, pdf, {}, (progress, message) => setJobProgress(`${message} (${progress}%)`)),
+    onSuccess: () => {
+      setFile(null);
+      queryClient.invalidateQueries({ queryKey: ['paper', paperId] });
+      queryClient.invalidateQueries({ queryKey: ['paperRevisions', paperId] });
+    },
+  });
+
+  const handleSubmit = (e: React.FormEvent) => {
+    e.preventDefault();
+    if (file) {
+      setJobProgress(null);
+      revisionMutation.mutate(file);
+    }
+  };
+
+  return (
+    <div className="bg-white shadow-lg rounded-xl overflow-hidden mb-8">
+      <div className="border-b border-gray-200 px-6 py-4">
+        <h2 className="text-xl font-bold text-gray-900">Revisions</h2>
+        <p className="text-gray-600 mt-1">
+          Upload a revised draft to re-check its uniqueness. Earlier drafts and their results are kept below.
+        </p>
+      </div>
+
+      <div className="px-6 py-4">
+        <form onSubmit={handleSubmit} className="mb-6">
+          <FileUploader onFileSelect={setFile} label="Upload revised PDF" />
+          <div className="mt-4 flex items-center gap-4">
+            <button
+              type="submit"
+              disabled={!file || revisionMutation.isPending}
+              className={`btn btn-primary ${!file || revisionMutation.isPending ? 'opacity-50 cursor-not-allowed' : ''}`}
+            >
+              {revisionMutation.isPending ? 'Checking...' : 'Check New Revision'}
+            </button>
+            {revisionMutation.isPending && jobProgress && (
+              <span className="text-sm text-gray-600">{jobProgress}</span>
+            )}
+          </div>
+          {revisionMutation.isError && (
+            <p className="mt-2 text-sm text-red-600">
+              {axios.isAxiosError(revisionMutation.error) && revisionMutation.error.response?.data?.error
+                ? revisionMutation.error.response.data.error
+                : revisionMutation.error instanceof Error
+                  ? revisionMutation.error.message
+                  : 'Could not check the new revision.'}
+            </p>
+          )}
+        </form>
+
+        {isLoading ? (
+          <div className="flex justify-center py-8">
+            <LoadingSpinner text="Loading revisions..." />
+          </div>
+        ) : isError || !revisions ? (
+          <p className="text-sm text-red-600">Failed to load the revision history.</p>
+        ) : (
+          <ol className="space-y-4">
+            {revisions.map((revision) => (
+              <li key={revision.revision} className="bg-gray-50 rounded-lg p-4">
+                <div className="flex justify-between items-start">
+                  <div>
+                    <h4 className="font-medium text-gray-900">
+                      Revision {revision.revision}
+                      {revision.current && (
+                        <span className="ml-2 px-2 py-0.5 text-xs font-medium bg-blue-100 text-blue-800 rounded">
+                          Current
+                        </span>
+                      )}
+                    </h4>
+                    <p className="text-sm text-gray-500 mt-1 flex items-center">
+                      <ClockIcon className="h-4 w-4 mr-1" />
+                      {new Date(revision.createdAt).toLocaleString()}
+                      {revision.pdfUrl && (
+                        <a
+                          href={revision.pdfUrl}
+                          target="_blank"
+                          rel="noopener noreferrer"
+                          className="ml-3 text-blue-600 hover:text-blue-800"
+                        >
+                          PDF
+                        </a>
+                      )}
+                    </p>
+                  </div>
+                  <div className="text-right">
+                    <div className="font-bold text-gray-900">{revision.uniquenessScore}% unique</div>
+                    {revision.changes && <ScoreChange change={revision.changes.uniquenessChange} higherIsBetter />}
+                  </div>
+                </div>
+
+                {revision.changes ? (
+                  <RevisionChanges changes={revision.changes} />
+                ) : (
+                  <p className="mt-2 text-sm text-gray-600">
+                    First draft, with {revision.similarPapers.length} similar{' '}
+                    {revision.similarPapers.length === 1 ? 'paper' : 'papers'}.
+                  </p>
+                )}
+              </li>
+            ))}
+          </ol>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default PaperRevisionHistory;
@@ -0,0 +1,34 @@
+import type { ReactNode } from 'react';
+import { Navigate, useLocation } from 'react-router-dom';
+import { useQuery } from '@tanstack/react-query';
+import authService from '../services/authService';
+import LoadingSpinner from './LoadingSpinner';
+
+interface RequireAuthProps {
+  children: ReactNode;
+}
+
+// Sends signed-out users to the sign-in page, returning them here afterwards
+const RequireAuth = ({ children }: RequireAuthProps) => {
+  const location = useLocation();
+  const { data: user, isLoading } = useQuery({
+    queryKey: ['currentUser'],
+    queryFn: authService.getCurrentUser,
+  });
+
+  if (isLoading) {
+    return (
+      <div className="flex justify-center items-center h-64">
+        <LoadingSpinner size="large" text="Checking your session..." />
+      </div>
+    );
+  }
+
+  if (!user) {
+    return <Navigate to="/login" replace state={{ from: location.pathname }} />;
+  }
+
+  return <>{children}</>;
+};
+
+export default RequireAuth;
@@ -22,10 +22,11 @@ const AIDetectionPage = () => {
   const [uploadType, setUploadType] = useState<'file' | 'text'>('file');
   const [detectionResult, setDetectionResult] =
     useState<AIDetectionResponse | null>(null);
+  const [jobProgress, setJobProgress] = useState<string | null>(null);
 
   const detectAIMutation = useMutation({
     mutationFn: (fileOrText: File | string) =>
-      paperService.detectAI(fileOrText),
+      paperService.detectAI(fileOrText, (progress, message) => setJobProgress(`${message} (${progress}%)`)),
     onSuccess: (data) => {
       setDetectionResult(data);
       window.scrollTo({ top: 0, behavior: 'smooth' });
@@ -46,6 +47,7 @@ const AIDetectionPage = () => {
 
   const handleSubmit = (e: React.FormEvent) => {
     e.preventDefault();
+    setJobProgress(null);
     if (uploadType === 'file' && file) {
       detectAIMutation.mutate(file);
     } else if (uploadType === 'text' && text.trim().length >= 100) {
@@ -286,7 +288,7 @@ const AIDetectionPage = () => {
                   {detectAIMutation.isPending ? (
                     <span className="flex items-center justify-center">
                       <LoadingSpinner size="small" />
-                      <span className="ml-2">Analyzing...</span>
+                      <span className="ml-2">{jobProgress || 'Analyzing...'}</span>
                     </span>
                   ) : (
                     'Analyze Text'
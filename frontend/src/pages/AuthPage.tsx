@@ -0,0 +1,169 @@
+import { useState } from 'react';
+import { Link, useLocation, useNavigate } from 'react-router-dom';
+import { useMutation, useQueryClient } from '@tanstack/react-query';
+import axios from 'axios';
+import { ExclamationTriangleIcon } from '@heroicons/react/24/solid';
+import authService from '../services/authService';
+import LoadingSpinner from '../components/LoadingSpinner';
+
+interface AuthPageProps {
+  mode: 'login' | 'register';
+}
+
+const AuthPage = ({ mode }: AuthPageProps) => {
+  const navigate = useNavigate();
+  const location = useLocation();
+  const queryClient = useQueryClient();
+  const isRegister = mode === 'register';
+
+  // Return to the page that sent the user here, if any
+  const redirectTo = (location.state as { from?: string } | null)?.from || '/';
+
+  const [formData, setFormData] = useState({
+    name: '',
+    email: '',
+    password: '',
+  });
+
+  const authMutation = useMutation({
+    mutationFn: () =>
+      isRegister
+        ? authService.register(formData)
+        : authService.login({ email: formData.email, password: formData.password }),
+    onSuccess: (user) => {
+      queryClient.setQueryData(['currentUser'], user);
+      navigate(redirectTo, { replace: true });
+    },
+  });
+
+  const handleInputChange = (e: React.ChangeEvent<HTMLInputElement>) => {
+    const { name, value } = e.target;
+    setFormData((prev) => ({ ...prev, [name]: value }));
+  };
+
+  const handleSubmit = (e: React.FormEvent) => {
+    e.preventDefault();
+    authMutation.mutate();
+  };
+
+  const errorMessage = (error: unknown) => {
+    if (axios.isAxiosError(error) && error.response?.data?.error) {
+      return error.response.data.error;
+    }
+    return error instanceof Error ? error.message : 'An unexpected error occurred. Please try again.';
+  };
+
+  return (
+    <div className="max-w-md mx-auto">
+      <div className="mb-8 text-center">
+        <h1 className="text-3xl font-bold text-gray-900">
+          {isRegister ? 'Create an Account' : 'Sign In'}
+        </h1>
+        <p className="mt-2 text-gray-600">
+          {isRegister
+            ? 'An account lets you create rooms, submit ideas and keep track of your papers.'
+            : 'Sign in to create rooms, submit ideas and check your papers.'}
+        </p>
+      </div>
+
+      <div className="bg-white rounded-xl shadow-md overflow-hidden">
+        <div className="p-6">
+          <form onSubmit={handleSubmit}>
+            <div className="space-y-6">
+              {isRegister && (
+                <div>
+                  <label htmlFor="name" className="block text-sm font-medium text-gray-700 mb-1">
+                    Name*
+                  </label>
+                  <input
+                    type="text"
+                    id="name"
+                    name="name"
+                    required
+                    value={formData.name}
+                    onChange={handleInputChange}
+                    className="form-input w-full"
+                    placeholder="Your name"
+                  />
+                </div>
+              )}
+
+              <div>
+                <label htmlFor="email" className="block text-sm font-medium text-gray-700 mb-1">
+                  Email*
+                </label>
+                <input
+                  type="email"
+                  id="email"
+                  name="email"
+                  required
+                  value={formData.email}
+                  onChange={handleInputChange}
+                  className="form-input w-full"
+                  placeholder="you@example.com"
+                />
+              </div>
+
+              <div>
+                <label htmlFor="password" className="block text-sm font-medium text-gray-700 mb-1">
+                  Password*
+                </label>
+                <input
+                  type="password"
+                  id="password"
+                  name="password"
+                  required
+                  minLength={isRegister ? 8 : undefined}
+                  value={formData.password}
+                  onChange={handleInputChange}
+                  className="form-input w-full"
+                  placeholder={isRegister ? 'At least 8 characters' : ''}
+                />
+              </div>
+
+              {authMutation.isError && (
+                <div className="p-3 rounded bg-red-50 border border-red-200 text-red-700 flex items-start">
+                  <ExclamationTriangleIcon className="h-5 w-5 mr-2 flex-shrink-0 mt-0.5" />
+                  <div>
+                    <p className="font-medium">{isRegister ? 'Error creating account' : 'Error signing in'}</p>
+                    <p className="text-sm mt-1">{errorMessage(authMutation.error)}</p>
+                  </div>
+                </div>
+              )}
+
+              <button
+                type="submit"
+                disabled={authMutation.isPending}
+                className="btn btn-primary w-full flex justify-center items-center"
+              >
+                {authMutation.isPending ? (
+                  <span className="flex items-center justify-center">
+                    <LoadingSpinner size="small" text="" />
+                    <span className="ml-2">{isRegister ? 'Creating account...' : 'Signing in...'}</span>
+                  </span>
+                ) : isRegister ? (
+                  'Create Account'
+                ) : (
+                  'Sign In'
+                )}
+              </button>
+            </div>
+          </form>
+
+          <p className="mt-6 text-center text-sm text-gray-600">
+            {isRegister ? 'Already have an account? ' : "Don't have an account? "}
+            <Link
+              to={isRegister ? '/login' : '/register'}
+              state={location.state}
+              className="text-blue-600 hover:text-blue-700 font-medium"
+            >
+              {isRegister ? 'Sign in' : 'Create one'}
+            </Link>
+          </p>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default AuthPage;
@@ -12,7 +12,6 @@ const CreateRoomPage = () => {
     name: '',
     description: '',
     topic: '',
-    createdBy: '',
     isPrivate: false,
   });
   const [tagInput, setTagInput] = useState('');
@@ -24,7 +23,6 @@ const CreateRoomPage = () => {
         name: roomData.name,
         description: roomData.description,
         topic: roomData.topic,
-        createdBy: roomData.createdBy,
         tags: tags,
         isPrivate: roomData.isPrivate,
     }),
@@ -90,10 +88,6 @@ const CreateRoomPage = () => {
       errors.topic = 'Room topic is required';
     }
 
-    if (!roomData.createdBy.trim()) {
-      errors.createdBy = 'Creator name is required';
-    }
-
     if (tags.length === 0) {
       errors.tags = 'At least one topic tag is required';
     }
@@ -180,24 +174,6 @@ const CreateRoomPage = () => {
                 )}
               </div>
 
-              <div>
-                <label htmlFor="createdBy" className="block text-sm font-medium text-gray-700 mb-1">
-                  Created By*
-                </label>
-                <input
-                  type="text"
-                  id="createdBy"
-                  name="createdBy"
-                  value={roomData.createdBy}
-                  onChange={handleInputChange}
-                  className={`form-input w-full ${validationErrors.createdBy ? 'border-red-500' : ''}`}
-                  placeholder="Your Name or Alias"
-                />
-                {validationErrors.createdBy && (
-                  <p className="mt-1 text-sm text-red-600">{validationErrors.createdBy}</p>
-                )}
-              </div>
-
               <div>
                 <label htmlFor="tags" className="block text-sm font-medium text-gray-700 mb-1">
                   Topic Tags*
@@ -9,15 +9,21 @@ import {
   ClipboardDocumentCheckIcon,
   PuzzlePieceIcon,
   LightBulbIcon,
-  PaperAirplaneIcon
+  PaperAirplaneIcon,
+  DocumentTextIcon,
+  ArrowDownTrayIcon
 } from '@heroicons/react/24/outline';
 import ideaService from '../services/ideaService';
 import LoadingSpinner from '../components/LoadingSpinner';
 
+// Formats supported by the draft paper generator
+const DRAFT_FORMATS = ['IEEE', 'APA', 'ACM', 'MLA', 'Chicago', 'Harvard'];
+
 const IdeaDetailsPage = () => {
   const { ideaId } = useParams<{ ideaId: string }>();
   const queryClient = useQueryClient();
   const [newComment, setNewComment] = useState('');
+  const [draftFormat, setDraftFormat] = useState('IEEE');
   
   const { 
     data: idea, 
@@ -30,6 +36,21 @@ const IdeaDetailsPage = () => {
     enabled: !!ideaId
   });
 
+  const { data: draft } = useQuery({
+    queryKey: ['draftPaper', ideaId],
+    queryFn: () => ideaId ? ideaService.getDraftPaper(ideaId) : Promise.reject('No idea ID provided'),
+    enabled: !!ideaId,
+    retry: false
+  });
+
+  const generateDraftMutation = useMutation({
+    mutationFn: ({ ideaId, format }: { ideaId: string; format: string }) =>
+      ideaService.generateDraftPaper(ideaId, { format }),
+    onSuccess: (newDraft) => {
+      queryClient.setQueryData(['draftPaper', ideaId], newDraft);
+    }
+  });
+
   const voteOnIdeaMutation = useMutation({
     mutationFn: ({ ideaId, voteType }: { ideaId: string; voteType: 'up' | 'down' }) => 
       ideaService.voteOnIdea(ideaId, voteType),
@@ -60,6 +81,26 @@ const IdeaDetailsPage = () => {
     }
   };
 
+  const handleGenerateDraft = () => {
+    if (ideaId) {
+      generateDraftMutation.mutate({ ideaId, format: draftFormat });
+    }
+  };
+
+  const handleDownloadDraft = async () => {
+    if (!ideaId || !draft) return;
+
+    const blob = await ideaService.downloadDraftPaper(ideaId);
+    const url = URL.createObjectURL(blob);
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = `${draft.title.replace(/\s+/g, '_')}_draft.pdf`;
+    document.body.appendChild(a);
+    a.click();
+    document.body.removeChild(a);
+    URL.revokeObjectURL(url);
+  };
+
   const renderUniquenessScore = (score: number) => {
     let color = 'text-green-600';
     let message = 'Highly unique';
@@ -211,6 +252,66 @@ const IdeaDetailsPage = () => {
         </div>
       </div>
 
+      <div className="bg-white shadow-md rounded-xl overflow-hidden mb-8">
+        <div className="px-6 py-4 border-b border-gray-200">
+          <div className="flex items-center">
+            <DocumentTextIcon className="h-5 w-5 text-gray-500 mr-2" />
+            <h2 className="text-lg font-medium text-gray-900">Draft Paper</h2>
+            {draft && (
+              <span className="ml-2 bg-gray-100 text-gray-700 text-sm rounded-full px-2 py-0.5">
+                {draft.format} • Revision {draft.revision}
+              </span>
+            )}
+          </div>
+        </div>
+
+        <div className="px-6 py-4">
+          <p className="text-gray-600 mb-4">
+            {draft
+              ? `Last generated ${new Date(draft.updatedAt).toLocaleString()}. Regenerate to pick up a different format.`
+              : 'Turn this idea into a full draft research paper without retyping it.'}
+          </p>
+          <div className="flex flex-wrap items-center gap-3">
+            <select
+              value={draftFormat}
+              onChange={(e) => setDraftFormat(e.target.value)}
+              className="form-input w-auto"
+              disabled={generateDraftMutation.isPending}
+            >
+              {DRAFT_FORMATS.map((format) => (
+                <option key={format} value={format}>{format}</option>
+              ))}
+            </select>
+            <button
+              onClick={handleGenerateDraft}
+              className="btn btn-primary"
+              disabled={generateDraftMutation.isPending}
+            >
+              {generateDraftMutation.isPending ? (
+                <LoadingSpinner size="small" text="Generating..." />
+              ) : draft ? 'Regenerate Draft' : 'Generate Draft'}
+            </button>
+            {draft && (
+              <button
+                onClick={handleDownloadDraft}
+                className="btn btn-secondary flex items-center"
+                disabled={generateDraftMutation.isPending}
+              >
+                <ArrowDownTrayIcon className="h-5 w-5 mr-1.5" />
+                Download PDF
+              </button>
+            )}
+          </div>
+          {generateDraftMutation.isError && (
+            <p className="mt-2 text-sm text-red-600">
+              {generateDraftMutation.error instanceof Error
+                ? generateDraftMutation.error.message
+                : 'Error generating draft paper. Please try again.'}
+            </p>
+          )}
+        </div>
+      </div>
+
       <div className="bg-white shadow-md rounded-xl overflow-hidden">
         <div className="px-6 py-4 border-b border-gray-200">
           <div className="flex items-center">
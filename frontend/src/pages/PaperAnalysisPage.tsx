@@ -42,10 +42,11 @@ const PaperAnalysisPage = () => {
   const [synopsisType, setSynopsisType] = useState<string>('moderate');
   const [analysisResult, setAnalysisResult] = useState<PaperAnalysisResponse | null>(null);
   const [structureCheckResult, setStructureCheckResult] = useState<StructureCheckResponse | null>(null);
+  const [jobProgress, setJobProgress] = useState<string | null>(null);
 
   const analyzePaperMutation = useMutation({
     mutationFn: ({ file, synopsisType }: { file: File; synopsisType: string }) =>
-      paperService.analyzePaper(file, synopsisType),
+      paperService.analyzePaper(file, synopsisType, (progress, message) => setJobProgress(`${message} (${progress}%)`)),
     onSuccess: (data, variables) => {
       setAnalysisResult(data);
       if (data.success && variables.file) {
@@ -80,6 +81,7 @@ const PaperAnalysisPage = () => {
   const handleSubmit = (e: React.FormEvent) => {
     e.preventDefault();
     if (file) {
+      setJobProgress(null);
       analyzePaperMutation.mutate({ file, synopsisType });
     }
   };
@@ -268,7 +270,7 @@ const PaperAnalysisPage = () => {
                   {analyzePaperMutation.isPending ? (
                     <span className="flex items-center justify-center">
                       <LoadingSpinner size="small" text="" />
-                      <span className="ml-2">Analyzing...</span>
+                      <span className="ml-2">{jobProgress || 'Analyzing...'}</span>
                     </span>
                   ) : (
                     'Analyze Paper'
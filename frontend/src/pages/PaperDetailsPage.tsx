@@ -3,6 +3,7 @@ import { useParams, Link } from 'react-router-dom';
 import { useQuery } from '@tanstack/react-query';
 import { ArrowLeftIcon, DocumentTextIcon, ClipboardDocumentCheckIcon } from '@heroicons/react/24/outline';
 import LoadingSpinner from '../components/LoadingSpinner';
+import PaperRevisionHistory from '../components/PaperRevisionHistory';
 import paperService from '../services/paperService';
 
 const PaperDetailsPage = () => {
@@ -138,6 +139,9 @@ const PaperDetailsPage = () => {
           )}
         </div>
       </div>
+
+      {/* Only uploaded papers have drafts to revise */}
+      {paper.source === 'upload' && <PaperRevisionHistory paperId={paper.id} />}
     </div>
   );
 };
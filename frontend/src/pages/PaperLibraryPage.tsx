@@ -0,0 +1,307 @@
+import { useState } from 'react';
+import { Link } from 'react-router-dom';
+import { useInfiniteQuery } from '@tanstack/react-query';
+import axios from 'axios';
+import { MagnifyingGlassIcon, AdjustmentsHorizontalIcon } from '@heroicons/react/24/outline';
+import paperService from '../services/paperService';
+import type { PaperLibraryFilters, PaperSort } from '../services/paperService';
+import LoadingSpinner from '../components/LoadingSpinner';
+
+const PAGE_SIZE = 20;
+
+// The default sort is by relevance when searching and newest first otherwise
+const SORT_OPTIONS: Array<{ value: PaperSort | ''; label: string }> = [
+  { value: '', label: 'Best match' },
+  { value: 'newest', label: 'Recently added' },
+  { value: 'oldest', label: 'Oldest added' },
+  { value: 'year', label: 'Publication year' },
+  { value: 'uniqueness', label: 'Uniqueness score' },
+  { value: 'citations', label: 'Citations' },
+];
+
+const EMPTY_FILTERS: PaperLibraryFilters = {
+  q: '',
+  yearFrom: '',
+  yearTo: '',
+  journal: '',
+  author: '',
+  keyword: '',
+  minUniqueness: '',
+  maxUniqueness: '',
+  source: '',
+  sort: '',
+};
+
+const PaperLibraryPage = () => {
+  // Form values, and the filters of the last search
+  const [form, setForm] = useState<PaperLibraryFilters>(EMPTY_FILTERS);
+  const [filters, setFilters] = useState<PaperLibraryFilters>(EMPTY_FILTERS);
+  const [showFilters, setShowFilters] = useState(false);
+
+  const {
+    data,
+    isLoading,
+    isError,
+    error,
+    fetchNextPage,
+    hasNextPage,
+    isFetchingNextPage,
+  } = useInfiniteQuery({
+    queryKey: ['papers', filters],
+    queryFn: ({ pageParam }) => paperService.getPapers({ ...filters, limit: PAGE_SIZE }, pageParam),
+    initialPageParam: null as string | null,
+    getNextPageParam: (lastPage) => lastPage.nextCursor,
+  });
+
+  const papers = data?.pages.flatMap((page) => page.papers) || [];
+  const total = data?.pages[0]?.total ?? 0;
+
+  const updateForm = (field: keyof PaperLibraryFilters, value: string) => {
+    setForm((current) => ({ ...current, [field]: value }));
+  };
+
+  const handleSubmit = (e: React.FormEvent) => {
+    e.preventDefault();
+    setFilters({ ...form, q: form.q?.trim() });
+  };
+
+  const handleReset = () => {
+    setForm(EMPTY_FILTERS);
+    setFilters(EMPTY_FILTERS);
+  };
+
+  const errorMessage = (err: unknown) =>
+    axios.isAxiosError(err) && err.response?.data?.error
+      ? err.response.data.error
+      : err instanceof Error
+        ? err.message
+        : 'Failed to load papers';
+
+  const inputClass = 'form-input w-full';
+
+  return (
+    <div>
+      <div className="mb-8">
+        <h1 className="text-3xl font-bold text-gray-900">Paper Library</h1>
+        <p className="mt-2 text-gray-600">
+          Search the research papers in the corpus and the papers you have checked for uniqueness.
+        </p>
+      </div>
+
+      <form onSubmit={handleSubmit} className="bg-white rounded-xl border border-gray-200 p-4 mb-6">
+        <div className="flex gap-3">
+          <div className="relative flex-1">
+            <div className="absolute inset-y-0 left-0 flex items-center pl-3 pointer-events-none">
+              <MagnifyingGlassIcon className="h-5 w-5 text-gray-400" />
+            </div>
+            <input
+              type="text"
+              className="form-input w-full pl-10"
+              placeholder="Search titles, abstracts and conclusions..."
+              value={form.q}
+              onChange={(e) => updateForm('q', e.target.value)}
+            />
+          </div>
+          <button
+            type="button"
+            onClick={() => setShowFilters(!showFilters)}
+            className="btn bg-white border border-gray-300 text-gray-700 hover:bg-gray-50 flex items-center"
+          >
+            <AdjustmentsHorizontalIcon className="h-5 w-5 mr-1.5" />
+            Filters
+          </button>
+          <button type="submit" className="btn btn-primary">
+            Search
+          </button>
+        </div>
+
+        {showFilters && (
+          <div className="mt-4 grid grid-cols-1 md:grid-cols-3 gap-4">
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-1">Author</label>
+              <input
+                type="text"
+                className={inputClass}
+                value={form.author}
+                onChange={(e) => updateForm('author', e.target.value)}
+              />
+            </div>
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-1">Journal</label>
+              <input
+                type="text"
+                className={inputClass}
+                value={form.journal}
+                onChange={(e) => updateForm('journal', e.target.value)}
+              />
+            </div>
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-1">Keyword</label>
+              <input
+                type="text"
+                className={inputClass}
+                value={form.keyword}
+                onChange={(e) => updateForm('keyword', e.target.value)}
+              />
+            </div>
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-1">Publication year</label>
+              <div className="flex gap-2">
+                <input
+                  type="number"
+                  className={inputClass}
+                  placeholder="From"
+                  value={form.yearFrom}
+                  onChange={(e) => updateForm('yearFrom', e.target.value)}
+                />
+                <input
+                  type="number"
+                  className={inputClass}
+                  placeholder="To"
+                  value={form.yearTo}
+                  onChange={(e) => updateForm('yearTo', e.target.value)}
+                />
+              </div>
+            </div>
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-1">Uniqueness score</label>
+              <div className="flex gap-2">
+                <input
+                  type="number"
+                  min={0}
+                  max={100}
+                  className={inputClass}
+                  placeholder="Min"
+                  value={form.minUniqueness}
+                  onChange={(e) => updateForm('minUniqueness', e.target.value)}
+                />
+                <input
+                  type="number"
+                  min={0}
+                  max={100}
+                  className={inputClass}
+                  placeholder="Max"
+                  value={form.maxUniqueness}
+                  onChange={(e) => updateForm('maxUniqueness', e.target.value)}
+                />
+              </div>
+            </div>
+            <div className="grid grid-cols-2 gap-2">
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-1">Source</label>
+                <select
+                  className={inputClass}
+                  value={form.source}
+                  onChange={(e) => updateForm('source', e.target.value)}
+                >
+                  <option value="">All papers</option>
+                  <option value="corpus">Corpus</option>
+                  <option value="upload">My uploads</option>
+                </select>
+              </div>
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-1">Sort by</label>
+                <select
+                  className={inputClass}
+                  value={form.sort}
+                  onChange={(e) => updateForm('sort', e.target.value)}
+                >
+                  {SORT_OPTIONS.map((option) => (
+                    <option key={option.value} value={option.value}>
+                      {option.label}
+                    </option>
+                  ))}
+                </select>
+              </div>
+            </div>
+            <div className="md:col-span-3 flex justify-end">
+              <button type="button" onClick={handleReset} className="text-sm text-gray-600 hover:text-gray-800">
+                Clear filters
+              </button>
+            </div>
+          </div>
+        )}
+      </form>
+
+      {isLoading ? (
+        <div className="flex justify-center items-center h-64">
+          <LoadingSpinner size="large" text="Loading papers..." />
+        </div>
+      ) : isError ? (
+        <div className="bg-red-50 border border-red-200 text-red-700 p-6 rounded-lg">
+          <h2 className="text-xl font-bold mb-2">Error Loading Papers</h2>
+          <p>{errorMessage(error)}</p>
+        </div>
+      ) : papers.length === 0 ? (
+        <div className="bg-yellow-50 border border-yellow-200 text-yellow-700 p-6 rounded-lg">
+          <h2 className="text-xl font-bold mb-2">No Papers Found</h2>
+          <p>No papers match your search. Try different keywords or fewer filters.</p>
+        </div>
+      ) : (
+        <div>
+          <p className="text-sm text-gray-500 mb-4">
+            Showing {papers.length} of {total} {total === 1 ? 'paper' : 'papers'}
+          </p>
+
+          <div className="space-y-4">
+            {papers.map((paper) => (
+              <Link
+                key={paper.id}
+                to={`/papers/${paper.id}`}
+                className="block bg-white rounded-xl border border-gray-200 p-6 shadow-md hover:shadow-lg transition duration-200"
+              >
+                <div className="flex justify-between items-start gap-4">
+                  <h2 className="text-lg font-bold text-gray-900">{paper.title}</h2>
+                  {paper.uniquenessScore !== undefined && paper.uniquenessScore !== null && (
+                    <span className="shrink-0 px-2 py-1 text-xs font-medium bg-blue-100 text-blue-800 rounded">
+                      {paper.uniquenessScore}% unique
+                    </span>
+                  )}
+                </div>
+                <p className="text-sm text-gray-600 mt-1">
+                  {paper.authors.slice(0, 5).join(', ')}
+                  {paper.authors.length > 5 && ' et al.'}
+                </p>
+                <p className="text-gray-600 mt-3 line-clamp-3">{paper.abstract}</p>
+
+                <div className="mt-4 flex flex-wrap items-center gap-x-4 gap-y-1 text-sm text-gray-500">
+                  {paper.publicationYear && <span>{paper.publicationYear}</span>}
+                  {paper.journal && <span className="italic">{paper.journal}</span>}
+                  {paper.citations !== undefined && <span>{paper.citations} citations</span>}
+                  <span>{paper.source === 'upload' ? 'Your upload' : 'Corpus'}</span>
+                </div>
+
+                {paper.keywords && paper.keywords.length > 0 && (
+                  <div className="mt-3 flex flex-wrap">
+                    {paper.keywords.slice(0, 5).map((keyword, index) => (
+                      <span
+                        key={index}
+                        className="inline-block px-2 py-1 text-xs font-medium bg-gray-100 text-gray-700 rounded mr-2 mb-1"
+                      >
+                        {keyword}
+                      </span>
+                    ))}
+                  </div>
+                )}
+              </Link>
+            ))}
+          </div>
+
+          {hasNextPage && (
+            <div className="mt-6 flex justify-center">
+              <button
+                onClick={() => fetchNextPage()}
+                disabled={isFetchingNextPage}
+                className={`btn btn-primary ${isFetchingNextPage ? 'opacity-50 cursor-not-allowed' : ''}`}
+              >
+                {isFetchingNextPage ? 'Loading...' : 'Load more'}
+              </button>
+            </div>
+          )}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default PaperLibraryPage;
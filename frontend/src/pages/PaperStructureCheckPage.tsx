@@ -53,10 +53,11 @@ const PaperStructureCheckPage = () => {
   const [file, setFile] = useState<File | null>(null);
   const [format, setFormat] = useState<string>('ieee'); // Default format
   const [checkResult, setCheckResult] = useState<StructureCheckResponse | null>(null);
+  const [jobProgress, setJobProgress] = useState<string | null>(null);
   const resultsRef = useRef<HTMLDivElement>(null);
 
   const checkStructureMutation = useMutation<StructureCheckResponse, Error, { file: File; format: string }>({ // Add types
-    mutationFn: ({ file, format }) => paperService.checkPaperStructure(file, format),
+    mutationFn: ({ file, format }) => paperService.checkPaperStructure(file, format, (progress, message) => setJobProgress(`${message} (${progress}%)`)),
     onSuccess: (data) => {
       if (data.success) {
         setCheckResult(data);
@@ -82,6 +83,7 @@ const PaperStructureCheckPage = () => {
   const handleSubmit = (e: React.FormEvent) => {
     e.preventDefault();
     if (file && format) {
+      setJobProgress(null);
       checkStructureMutation.mutate({ file, format });
     }
   };
@@ -263,7 +265,7 @@ const PaperStructureCheckPage = () => {
                   {checkStructureMutation.isPending ? (
                     <span className="flex items-center justify-center">
                       <LoadingSpinner size="small" text="" />
-                      <span className="ml-2">Checking Structure...</span>
+                      <span className="ml-2">{jobProgress || 'Checking Structure...'}</span>
                     </span>
                   ) : (
                     'Check Paper Structure'
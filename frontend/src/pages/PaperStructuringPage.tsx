@@ -95,11 +95,12 @@ const PaperStructuringPage = () => {
   
   // Result state adjusted
   const [structureResult, setStructureResult] = useState<StructureResultData | null>(null);
+  const [jobProgress, setJobProgress] = useState<string | null>(null);
 
   // File upload mutation
   const structurePaperMutation = useMutation<PaperStructuringResponse, Error, { file: File; format: string; metadata: Record<string, string> }>({
     mutationFn: ({ file, format, metadata }: { file: File; format: string; metadata: Record<string, string> }) =>
-      paperService.structurePaper(file, format, metadata),
+      paperService.structurePaper(file, format, metadata, (progress, message) => setJobProgress(`${message} (${progress}%)`)),
     onSuccess: (data) => {
       // Adapt to the actual response structure from the backend
       if (data.success && data.formattedPaper) {
@@ -174,6 +175,7 @@ const PaperStructuringPage = () => {
   const handleFileSubmit = (e: React.FormEvent) => {
     e.preventDefault();
     if (file) {
+      setJobProgress(null);
       structurePaperMutation.mutate({ file, format, metadata });
     }
   };
@@ -360,7 +362,7 @@ const PaperStructuringPage = () => {
                     {structurePaperMutation.isPending ? (
                       <span className="flex items-center justify-center">
                         <LoadingSpinner size="small" text="" />
-                        <span className="ml-2">Formatting Paper...</span>
+                        <span className="ml-2">{jobProgress || 'Formatting Paper...'}</span>
                       </span>
                     ) : (
                       'Format Paper'
@@ -17,10 +17,11 @@ const PaperUniquenessPage = () => {
     year: '',
   });
   const [uniquenessResult, setUniquenessResult] = useState<PaperUniquenessResponse | null>(null);
+  const [jobProgress, setJobProgress] = useState<string | null>(null);
 
   const checkUniquenessMutation = useMutation({
     mutationFn: ({ file, metadata }: { file: File; metadata: any }) =>
-      paperService.checkPaperUniqueness(file, metadata),
+      paperService.checkPaperUniqueness(file, metadata, (progress, message) => setJobProgress(`${message} (${progress}%)`)),
     onSuccess: (data) => {
       setUniquenessResult(data);
       window.scrollTo({ top: 0, behavior: 'smooth' });
@@ -40,6 +41,7 @@ const PaperUniquenessPage = () => {
   const handleSubmit = (e: React.FormEvent) => {
     e.preventDefault();
     if (file) {
+      setJobProgress(null);
       checkUniquenessMutation.mutate({ file, metadata });
     }
   };
@@ -97,6 +99,9 @@ const PaperUniquenessPage = () => {
                 <h3 className="text-xl font-semibold text-gray-900 mb-2">Uniqueness Score</h3>
                 {renderUniquenessScore(uniquenessResult.uniquenessScore)}
                 <p className="mt-3 text-gray-700">{uniquenessResult.explanation}</p>
+                <p className="mt-2 text-sm text-gray-500">
+                  Compared against {uniquenessResult.totalPapersSearched.toLocaleString()} papers in the corpus.
+                </p>
               </div>
             </div>
           </div>
@@ -238,7 +243,7 @@ const PaperUniquenessPage = () => {
                   {checkUniquenessMutation.isPending ? (
                     <span className="flex items-center justify-center">
                       <LoadingSpinner size="small" text="" />
-                      <span className="ml-2">Checking uniqueness...</span>
+                      <span className="ml-2">{jobProgress || 'Checking uniqueness...'}</span>
                     </span>
                   ) : (
                     'Check Paper Uniqueness'
@@ -1,19 +1,28 @@
 import { useState } from 'react';
-import { useParams, Link } from 'react-router-dom';
-import { useQuery } from '@tanstack/react-query';
+import { useParams, Link, useNavigate } from 'react-router-dom';
+import { useMutation, useQuery, useQueryClient } from '@tanstack/react-query';
+import axios from 'axios';
 import { 
   ArrowLeftIcon, 
   UserGroupIcon, 
   TagIcon, 
   LockClosedIcon, 
   PlusIcon,
+  KeyIcon,
+  ChevronUpIcon,
+  ChevronDownIcon,
 } from '@heroicons/react/24/outline';
 import roomService from '../services/roomService';
+import ideaService from '../services/ideaService';
+import authService from '../services/authService';
+import type { RoomRole } from '../services/roomService';
 import LoadingSpinner from '../components/LoadingSpinner';
 
 const RoomDetailsPage = () => {
   const { roomId } = useParams<{ roomId: string }>();
   const [activeTab, setActiveTab] = useState<'ideas' | 'members'>('ideas');
+  const navigate = useNavigate();
+  const queryClient = useQueryClient();
   
   const { 
     data: room, 
@@ -26,6 +35,62 @@ const RoomDetailsPage = () => {
     enabled: !!roomId
   });
 
+  const { data: leaderboard } = useQuery({
+    queryKey: ['leaderboard', roomId],
+    queryFn: () => roomService.getLeaderboard(roomId!),
+    enabled: !!roomId && !!room,
+  });
+
+  const refreshRoom = () => queryClient.invalidateQueries({ queryKey: ['room', roomId] });
+
+  const voteMutation = useMutation({
+    mutationFn: ({ ideaId, voteType }: { ideaId: string; voteType: 'up' | 'down' }) =>
+      ideaService.voteOnIdea(ideaId, voteType),
+    onSuccess: () => {
+      queryClient.invalidateQueries({ queryKey: ['leaderboard', roomId] });
+      refreshRoom();
+    },
+  });
+
+  const recomputeMutation = useMutation({
+    mutationFn: () => roomService.recomputeSimilarity(roomId!),
+    onSuccess: () => {
+      queryClient.invalidateQueries({ queryKey: ['leaderboard', roomId] });
+      refreshRoom();
+    },
+  });
+
+  const handleVote = (ideaId: string, voteType: 'up' | 'down') => {
+    if (!authService.isSignedIn()) {
+      navigate('/login', { state: { from: `/rooms/${roomId}` } });
+      return;
+    }
+    voteMutation.mutate({ ideaId, voteType });
+  };
+
+  const leaveRoomMutation = useMutation({
+    mutationFn: () => roomService.leaveRoom(roomId!),
+    onSuccess: () => {
+      queryClient.invalidateQueries({ queryKey: ['rooms'] });
+      navigate('/rooms');
+    },
+  });
+
+  const updateRoleMutation = useMutation({
+    mutationFn: ({ userId, role }: { userId: string; role: Exclude<RoomRole, 'owner'> }) =>
+      roomService.updateMemberRole(roomId!, userId, role),
+    onSuccess: refreshRoom,
+  });
+
+  const removeMemberMutation = useMutation({
+    mutationFn: (userId: string) => roomService.removeMember(roomId!, userId),
+    onSuccess: refreshRoom,
+  });
+
+  const canRemove = (memberRole: RoomRole) =>
+    memberRole !== 'owner' &&
+    (room?.currentUserRole === 'owner' || (room?.currentUserRole === 'moderator' && memberRole === 'member'));
+
   if (isLoading) {
     return (
       <div className="flex justify-center items-center h-64">
@@ -38,7 +103,11 @@ const RoomDetailsPage = () => {
     return (
       <div className="bg-red-50 border border-red-200 text-red-700 p-6 rounded-lg">
         <h2 className="text-xl font-bold mb-2">Error Loading Room</h2>
-        <p>{error instanceof Error ? error.message : 'Failed to load room details'}</p>
+        <p>
+          {axios.isAxiosError(error) && error.response?.data?.error
+            ? error.response.data.error
+            : error instanceof Error ? error.message : 'Failed to load room details'}
+        </p>
         <Link to="/rooms" className="mt-4 inline-flex items-center text-red-700 hover:text-red-800">
           <ArrowLeftIcon className="h-4 w-4 mr-1" /> Back to Rooms
         </Link>
@@ -78,6 +147,15 @@ const RoomDetailsPage = () => {
               </div>
               <p className="text-gray-600 mt-1">Created by {room.createdBy} • {new Date(room.createdAt).toLocaleDateString()}</p>
             </div>
+            {room.currentUserRole && room.currentUserRole !== 'owner' && (
+              <button
+                onClick={() => leaveRoomMutation.mutate()}
+                disabled={leaveRoomMutation.isPending}
+                className="btn btn-secondary text-sm"
+              >
+                {leaveRoomMutation.isPending ? 'Leaving...' : 'Leave Room'}
+              </button>
+            )}
           </div>
         </div>
 
@@ -102,6 +180,18 @@ const RoomDetailsPage = () => {
             <UserGroupIcon className="h-5 w-5 text-gray-500 mr-2" />
             <span className="text-gray-700">{room.memberCount} members</span>
           </div>
+
+          {room.accessCode && (
+            <div className="flex items-center mb-4">
+              <KeyIcon className="h-5 w-5 text-gray-500 mr-2" />
+              <span className="text-gray-700">
+                Access code: <span className="font-mono font-semibold">{room.accessCode}</span>
+                <span className="text-sm text-gray-500 ml-2">
+                  {room.isPrivate ? 'Share it to invite people to this private room.' : 'Share it to invite people.'}
+                </span>
+              </span>
+            </div>
+          )}
         </div>
       </div>
 
@@ -135,14 +225,29 @@ const RoomDetailsPage = () => {
       {activeTab === 'ideas' ? (
         <div>
           <div className="flex justify-between items-center mb-6">
-            <h2 className="text-xl font-bold text-gray-900">Research Ideas</h2>
-            <Link 
-              to={`/rooms/${roomId}/submit-idea`} 
-              className="btn btn-primary flex items-center"
-            >
-              <PlusIcon className="h-5 w-5 mr-1.5" />
-              Submit New Idea
-            </Link>
+            <div>
+              <h2 className="text-xl font-bold text-gray-900">Research Ideas</h2>
+              <p className="text-sm text-gray-500">Ranked by member votes and uniqueness</p>
+            </div>
+            <div className="flex items-center space-x-3">
+              {(room.currentUserRole === 'owner' || room.currentUserRole === 'moderator') && (
+                <button
+                  onClick={() => recomputeMutation.mutate()}
+                  disabled={recomputeMutation.isPending}
+                  className="btn btn-secondary text-sm"
+                  title="Re-score every idea against the rest of the room"
+                >
+                  {recomputeMutation.isPending ? 'Recomputing...' : 'Recompute Similarity'}
+                </button>
+              )}
+              <Link 
+                to={`/rooms/${roomId}/submit-idea`} 
+                className="btn btn-primary flex items-center"
+              >
+                <PlusIcon className="h-5 w-5 mr-1.5" />
+                Submit New Idea
+              </Link>
+            </div>
           </div>
 
           {room?.ideas?.length === 0 ? (
@@ -152,34 +257,68 @@ const RoomDetailsPage = () => {
             </div>
           ) : (
             <div className="space-y-4">
-              {room?.ideas?.map((idea) => (
-                <Link
+              {voteMutation.isError && (
+                <div className="bg-red-50 border border-red-200 text-red-700 p-3 rounded-lg text-sm">
+                  {axios.isAxiosError(voteMutation.error) && voteMutation.error.response?.data?.error
+                    ? voteMutation.error.response.data.error
+                    : 'Failed to record your vote'}
+                </div>
+              )}
+              {leaderboard?.map((idea) => (
+                <div
                   key={idea.id}
-                  to={`/ideas/${idea.id}`}
-                  className="block bg-white rounded-lg border border-gray-200 p-5 hover:shadow-md transition duration-200"
+                  className="flex bg-white rounded-lg border border-gray-200 p-5 hover:shadow-md transition duration-200"
                 >
-                  <div className="flex justify-between items-start">
+                  <div className="mr-4 flex flex-col items-center">
+                    <button
+                      onClick={() => handleVote(idea.id, 'up')}
+                      disabled={voteMutation.isPending}
+                      className={`p-1 ${idea.userVote === 'up' ? 'text-blue-600' : 'text-gray-500 hover:text-blue-600'}`}
+                      title={idea.userVote === 'up' ? 'Withdraw upvote' : 'Upvote'}
+                    >
+                      <ChevronUpIcon className="h-5 w-5" />
+                    </button>
+                    <span className="text-sm font-bold">{idea.votes}</span>
+                    <button
+                      onClick={() => handleVote(idea.id, 'down')}
+                      disabled={voteMutation.isPending}
+                      className={`p-1 ${idea.userVote === 'down' ? 'text-red-600' : 'text-gray-500 hover:text-red-600'}`}
+                      title={idea.userVote === 'down' ? 'Withdraw downvote' : 'Downvote'}
+                    >
+                      <ChevronDownIcon className="h-5 w-5" />
+                    </button>
+                  </div>
+                  <Link to={`/ideas/${idea.id}`} className="flex-1 flex justify-between items-start">
                     <div>
-                      <h3 className="font-bold text-gray-900">{idea.title}</h3>
+                      <h3 className="font-bold text-gray-900">
+                        <span className="text-gray-400 mr-2">#{idea.rank}</span>
+                        {idea.title}
+                      </h3>
                       <p className="text-sm text-gray-600 mt-1">
                         Submitted by {idea.createdBy} • {new Date(idea.createdAt).toLocaleDateString()}
                       </p>
                     </div>
-                    <div className="flex items-center space-x-4">
-                      <div className="text-right">
-                        <div className={`text-sm font-medium ${
-                          idea.uniquenessScore >= 70 ? 'text-green-600' : 
-                          idea.uniquenessScore >= 30 ? 'text-yellow-600' : 'text-red-600'
-                        }`}>
-                          {idea.uniquenessScore}% Unique
-                        </div>
+                    <div className="text-right">
+                      <div className={`text-sm font-medium ${
+                        idea.uniquenessScore >= 70 ? 'text-green-600' : 
+                        idea.uniquenessScore >= 30 ? 'text-yellow-600' : 'text-red-600'
+                      }`}>
+                        {idea.uniquenessScore}% Unique
+                        {idea.isDegraded && (
+                          <span
+                            className="ml-1 text-gray-400"
+                            title="Estimated while the similarity service was unavailable; will update automatically"
+                          >
+                            (estimate)
+                          </span>
+                        )}
                       </div>
-                      <div className="text-right text-gray-500 flex items-center">
-                        <span className="text-sm font-medium">{idea.votes} votes</span>
+                      <div className="text-sm text-gray-500 mt-1">
+                        Score {idea.rankScore.toFixed(1)} • {idea.upvotes} up / {idea.downvotes} down
                       </div>
                     </div>
-                  </div>
-                </Link>
+                  </Link>
+                </div>
               ))}
             </div>
           )}
@@ -199,7 +338,30 @@ const RoomDetailsPage = () => {
                         Joined {new Date(member.joinedAt).toLocaleDateString()}
                       </p>
                     </div>
-                    <div>
+                    <div className="flex items-center space-x-3">
+                      {room.currentUserRole === 'owner' && member.role !== 'owner' && (
+                        <select
+                          value={member.role}
+                          onChange={(e) =>
+                            updateRoleMutation.mutate({
+                              userId: member.id,
+                              role: e.target.value as Exclude<RoomRole, 'owner'>,
+                            })
+                          }
+                          className="form-input text-sm py-1"
+                        >
+                          <option value="member">Member</option>
+                          <option value="moderator">Moderator</option>
+                        </select>
+                      )}
+                      {canRemove(member.role) && (
+                        <button
+                          onClick={() => removeMemberMutation.mutate(member.id)}
+                          className="text-sm font-medium text-red-600 hover:text-red-700"
+                        >
+                          Remove
+                        </button>
+                      )}
                       {member.role === 'owner' && (
                         <span className="inline-flex items-center rounded-full bg-blue-100 px-2.5 py-0.5 text-xs font-medium text-blue-800">
                           Owner
@@ -1,12 +1,34 @@
 import { useState } from 'react';
-import { Link } from 'react-router-dom';
-import { useQuery } from '@tanstack/react-query';
-import { PlusIcon, MagnifyingGlassIcon, UsersIcon } from '@heroicons/react/24/outline';
+import { Link, useNavigate } from 'react-router-dom';
+import { useMutation, useQuery } from '@tanstack/react-query';
+import axios from 'axios';
+import { PlusIcon, MagnifyingGlassIcon, UsersIcon, LockClosedIcon, KeyIcon } from '@heroicons/react/24/outline';
 import roomService from '../services/roomService';
+import authService from '../services/authService';
 import LoadingSpinner from '../components/LoadingSpinner';
 
 const RoomsPage = () => {
+  const navigate = useNavigate();
   const [searchTerm, setSearchTerm] = useState('');
+  const [accessCode, setAccessCode] = useState('');
+
+  const joinRoomMutation = useMutation({
+    mutationFn: (code: string) => roomService.joinRoom(code),
+    onSuccess: (data) => {
+      navigate(`/rooms/${data.roomId}`);
+    },
+  });
+
+  const handleJoinSubmit = (e: React.FormEvent) => {
+    e.preventDefault();
+    if (!authService.isSignedIn()) {
+      navigate('/login', { state: { from: '/rooms' } });
+      return;
+    }
+    if (accessCode.trim()) {
+      joinRoomMutation.mutate(accessCode.trim());
+    }
+  };
   
   const { 
     data: rooms, 
@@ -50,6 +72,42 @@ const RoomsPage = () => {
         </Link>
       </div>
 
+      <form onSubmit={handleJoinSubmit} className="bg-white rounded-xl border border-gray-200 p-4 mb-6">
+        <label htmlFor="accessCode" className="block text-sm font-medium text-gray-700 mb-2">
+          Have an access code? Join a room, including private ones.
+        </label>
+        <div className="flex gap-3">
+          <div className="relative flex-1">
+            <div className="absolute inset-y-0 left-0 flex items-center pl-3 pointer-events-none">
+              <KeyIcon className="h-5 w-5 text-gray-400" />
+            </div>
+            <input
+              type="text"
+              id="accessCode"
+              className="form-input w-full pl-10 uppercase"
+              placeholder="e.g. K7P9M2"
+              maxLength={6}
+              value={accessCode}
+              onChange={(e) => setAccessCode(e.target.value)}
+            />
+          </div>
+          <button
+            type="submit"
+            disabled={!accessCode.trim() || joinRoomMutation.isPending}
+            className={`btn btn-primary ${!accessCode.trim() || joinRoomMutation.isPending ? 'opacity-50 cursor-not-allowed' : ''}`}
+          >
+            {joinRoomMutation.isPending ? 'Joining...' : 'Join Room'}
+          </button>
+        </div>
+        {joinRoomMutation.isError && (
+          <p className="mt-2 text-sm text-red-600">
+            {axios.isAxiosError(joinRoomMutation.error) && joinRoomMutation.error.response?.data?.error
+              ? joinRoomMutation.error.response.data.error
+              : 'Could not join the room. Please check the access code.'}
+          </p>
+        )}
+      </form>
+
       <div className="relative mb-6">
         <div className="absolute inset-y-0 left-0 flex items-center pl-3 pointer-events-none">
           <MagnifyingGlassIcon className="h-5 w-5 text-gray-400" />
@@ -94,7 +152,10 @@ const RoomsPage = () => {
             >
               <div className="p-6">
                 <div className="flex justify-between items-start">
-                  <h2 className="text-xl font-bold text-gray-900 mb-2">{room.name}</h2>
+                  <h2 className="text-xl font-bold text-gray-900 mb-2 flex items-center">
+                    {room.name}
+                    {room.isPrivate && <LockClosedIcon className="h-4 w-4 text-gray-500 ml-2" />}
+                  </h2>
                   <div className="flex items-center text-gray-500">
                     <UsersIcon className="h-5 w-5 mr-1" />
                     <span>{room.memberCount}</span>
@@ -2,6 +2,9 @@ import axios from 'axios';
 
 const API_URL = 'http://localhost:3000';
 
+// localStorage key holding the session token from /auth/login or /auth/register
+export const AUTH_TOKEN_KEY = 'authToken';
+
 const api = axios.create({
   baseURL: API_URL,
   headers: {
@@ -9,9 +12,13 @@ const api = axios.create({
   },
 });
 
-// Request interceptor for handling errors
+// Request interceptor for attaching the session token and handling errors
 api.interceptors.request.use(
   (config) => {
+    const token = localStorage.getItem(AUTH_TOKEN_KEY);
+    if (token) {
+      config.headers.Authorization = `Bearer ${token}`;
+    }
     return config;
   },
   (error) => {
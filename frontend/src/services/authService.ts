@@ -0,0 +1,68 @@
+import axios from 'axios';
+import api, { AUTH_TOKEN_KEY } from './api';
+
+export interface User {
+  id: string;
+  name: string;
+  email: string;
+  createdAt: string;
+}
+
+export interface RegisterRequest {
+  name: string;
+  email: string;
+  password: string;
+}
+
+export interface LoginRequest {
+  email: string;
+  password: string;
+}
+
+interface AuthResponse {
+  success: boolean;
+  token: string;
+  user: User;
+}
+
+const authService = {
+  // Whether a session token is stored
+  isSignedIn: (): boolean => !!localStorage.getItem(AUTH_TOKEN_KEY),
+
+  // Create an account and store the session token
+  register: async (data: RegisterRequest): Promise<User> => {
+    const response = await api.post<AuthResponse>('/auth/register', data);
+    localStorage.setItem(AUTH_TOKEN_KEY, response.data.token);
+    return response.data.user;
+  },
+
+  // Log in and store the session token
+  login: async (data: LoginRequest): Promise<User> => {
+    const response = await api.post<AuthResponse>('/auth/login', data);
+    localStorage.setItem(AUTH_TOKEN_KEY, response.data.token);
+    return response.data.user;
+  },
+
+  // Get the signed-in user, or null if signed out or the session has expired
+  getCurrentUser: async (): Promise<User | null> => {
+    if (!authService.isSignedIn()) return null;
+
+    try {
+      const response = await api.get<{ success: boolean; user: User }>('/auth/me');
+      return response.data.user;
+    } catch (error) {
+      if (axios.isAxiosError(error) && error.response?.status === 401) {
+        localStorage.removeItem(AUTH_TOKEN_KEY);
+        return null;
+      }
+      throw error;
+    }
+  },
+
+  // Forget the stored session token
+  logout: (): void => {
+    localStorage.removeItem(AUTH_TOKEN_KEY);
+  },
+};
+
+export default authService;
@@ -10,13 +10,40 @@ export interface Idea {
   createdAt: string;
   roomId: string;
   uniquenessScore: number;
+  // Scored from shared words while the similarity service was down; the score
+  // is replaced automatically once the service is back
+  isDegraded?: boolean;
   votes: number;
 }
 
+export interface NearDuplicate {
+  ideaId: string;
+  title: string;
+  field: 'problemStatement' | 'proposedSolution';
+  similarity: number;
+  fieldSimilarity: {
+    problemStatement: number;
+    proposedSolution: number;
+  };
+  // Passages of the submitted idea that also appear in the other idea
+  passages: Array<{
+    field: 'problemStatement' | 'proposedSolution';
+    text: string;
+  }>;
+}
+
 export interface IdeaDetails extends Idea {
   uniquenessAnalysis: {
     score: number;
     explanation: string;
+    // Set when the room flags (rather than rejects) identical ideas
+    exactMatch?: {
+      ideaId: string;
+      field: 'problemStatement' | 'proposedSolution';
+    };
+    // Set when the room flags (rather than rejects) lightly edited copies
+    nearDuplicate?: NearDuplicate;
+    degraded?: boolean;
     similarIdeas: Array<{
       id: string;
       title: string;
@@ -32,6 +59,92 @@ export interface IdeaDetails extends Idea {
   }>;
 }
 
+export interface DraftPaper {
+  id: string;
+  ideaId: string;
+  roomId: string;
+  title: string;
+  format: string;
+  authors: string[];
+  objectives: string[];
+  methodology: string;
+  outcomes: string;
+  references: string[];
+  htmlContent: string;
+  revision: number;
+  createdAt: string;
+  updatedAt: string;
+}
+
+export interface DraftPaperRequest {
+  format?: string;
+  authors?: string;
+  objectives?: string;
+  methodology?: string;
+  outcomes?: string;
+  references?: string;
+}
+
+export interface VoteResult {
+  success: boolean;
+  votes: number;
+  upvotes: number;
+  downvotes: number;
+  userVote: 'up' | 'down' | null;
+}
+
+export type OriginalityScope = 'room' | 'related' | 'global';
+
+export interface CrossRoomAnalysis {
+  scope: Exclude<OriginalityScope, 'room'>;
+  roomsChecked: number;
+  uniquenessScore: number;
+  explanation: string;
+  similarIdeas: Array<{
+    ideaId: string;
+    title: string;
+    roomId: string;
+    roomName: string;
+    roomTopic: string;
+    similarityScore: number;
+    explanation: string;
+  }>;
+}
+
+export interface PriorArtResult {
+  verdict: 'novel' | 'related-work' | 'prior-art-found' | 'unknown';
+  noveltyScore: number | null;
+  explanation: string;
+  totalPapersSearched: number;
+  similarPapers: Array<{
+    paperId: string;
+    title: string;
+    authors: string[];
+    year?: number;
+    url?: string;
+    similarity: number;
+    fieldSimilarity: {
+      problemStatement?: number;
+      proposedSolution?: number;
+    };
+  }>;
+}
+
+export interface IdeaVersion {
+  version: number;
+  current: boolean;
+  action: 'updated' | 'deleted' | null;
+  title: string;
+  description: string;
+  domain: string;
+  problemStatement: string;
+  proposedSolution: string;
+  uniquenessScore: number;
+  createdAt: string;
+  changedBy?: string;
+  changedAt?: string;
+}
+
 interface IdeaSubmission {
   title: string;
   description: string;
@@ -57,9 +170,49 @@ const ideaService = {
     return response.data.idea;
   },
 
-  // Vote on an idea
-  voteOnIdea: async (ideaId: string, voteType: 'up' | 'down'): Promise<{ success: boolean; votes: number }> => {
-    const response = await api.post<{ success: boolean; votes: number }>(
+  // Edit an idea (author only); the previous content is kept as a version
+  updateIdea: async (ideaId: string, changes: Partial<IdeaSubmission> & { domain?: string }): Promise<Idea> => {
+    const response = await api.patch<{ success: boolean; idea: Idea }>(`/ideas/${ideaId}`, changes);
+    return response.data.idea;
+  },
+
+  // Delete an idea (author, room owner or moderator)
+  deleteIdea: async (ideaId: string): Promise<void> => {
+    await api.delete(`/ideas/${ideaId}`);
+  },
+
+  // Get the version history of an idea, newest first
+  getIdeaVersions: async (ideaId: string): Promise<IdeaVersion[]> => {
+    const response = await api.get<{ success: boolean; versions: IdeaVersion[] }>(
+      `/ideas/${ideaId}/versions`
+    );
+    return response.data.versions;
+  },
+
+  // Compare an idea with ideas in related rooms (same topic or tags) or all visible rooms
+  getIdeaOriginality: async (
+    ideaId: string,
+    scope: Exclude<OriginalityScope, 'room'> = 'related'
+  ): Promise<CrossRoomAnalysis> => {
+    const response = await api.get<{ success: boolean; crossRoomAnalysis: CrossRoomAnalysis }>(
+      `/ideas/${ideaId}/originality`,
+      { params: { scope } }
+    );
+    return response.data.crossRoomAnalysis;
+  },
+
+  // Check an idea against the imported paper corpus for prior art
+  getIdeaPriorArt: async (ideaId: string, limit = 5): Promise<PriorArtResult> => {
+    const response = await api.get<{ success: boolean; priorArt: PriorArtResult }>(
+      `/ideas/${ideaId}/prior-art`,
+      { params: { limit } }
+    );
+    return response.data.priorArt;
+  },
+
+  // Vote on an idea (voting the same way twice withdraws the vote)
+  voteOnIdea: async (ideaId: string, voteType: 'up' | 'down' | 'none'): Promise<VoteResult> => {
+    const response = await api.post<VoteResult>(
       `/ideas/${ideaId}/vote`,
       { voteType }
     );
@@ -73,6 +226,32 @@ const ideaService = {
       { content }
     );
     return response.data;
+  },
+
+  // Generate (or regenerate) a draft paper from an idea
+  generateDraftPaper: async (ideaId: string, draftData: DraftPaperRequest = {}): Promise<DraftPaper> => {
+    const response = await api.post<{ success: boolean; draft: DraftPaper }>(
+      `/ideas/${ideaId}/draft-paper`,
+      draftData
+    );
+    return response.data.draft;
+  },
+
+  // Get the stored draft paper for an idea
+  getDraftPaper: async (ideaId: string): Promise<DraftPaper> => {
+    const response = await api.get<{ success: boolean; draft: DraftPaper }>(
+      `/ideas/${ideaId}/draft-paper`
+    );
+    return response.data.draft;
+  },
+
+  // Download the stored draft paper as a PDF
+  downloadDraftPaper: async (ideaId: string): Promise<Blob> => {
+    const response = await api.get<Blob>(`/ideas/${ideaId}/draft-paper`, {
+      params: { output: 'pdf' },
+      responseType: 'blob',
+    });
+    return response.data;
   }
 };
 
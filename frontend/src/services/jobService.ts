@@ -0,0 +1,118 @@
+import api from './api';
+
+// Background Job Types
+export type JobStatus = 'queued' | 'processing' | 'completed' | 'failed';
+
+export interface Job<TResult = unknown> {
+  id: string;
+  type: string;
+  status: JobStatus;
+  progress: number;
+  progressMessage: string;
+  attempts: number;
+  maxAttempts: number;
+  result?: TResult;
+  resultUrl?: string;
+  error?: string;
+  createdAt: string;
+  updatedAt: string;
+  finishedAt?: string;
+}
+
+export interface JobSubmissionResponse {
+  success: boolean;
+  jobId: string;
+  accessToken?: string; // Needed to read jobs submitted without signing in
+  status: JobStatus;
+  statusUrl: string;
+}
+
+export interface JobResponse<TResult = unknown> {
+  success: boolean;
+  job: Job<TResult>;
+}
+
+export type JobProgressHandler = (progress: number, message: string) => void;
+
+export interface WaitForJobOptions {
+  signal?: AbortSignal; // Stops polling when aborted
+  timeoutMs?: number; // Longest time to wait for the job to finish
+}
+
+// Thrown when a job has not finished within the time allowed
+export class JobTimeoutError extends Error {
+  jobId: string;
+  timeoutMs: number;
+
+  constructor(jobId: string, timeoutMs: number) {
+    super('The job is taking longer than expected. Please try again later.');
+    this.name = 'JobTimeoutError';
+    this.jobId = jobId;
+    this.timeoutMs = timeoutMs;
+  }
+}
+
+const POLL_INTERVAL_MS = 2000;
+const DEFAULT_TIMEOUT_MS = 10 * 60 * 1000;
+
+// Resolve after a delay, or reject as soon as the signal is aborted
+const wait = (ms: number, signal?: AbortSignal) =>
+  new Promise<void>((resolve, reject) => {
+    const onAbort = () => {
+      clearTimeout(timer);
+      reject(signal!.reason);
+    };
+    const timer = setTimeout(() => {
+      signal?.removeEventListener('abort', onAbort);
+      resolve();
+    }, ms);
+    signal?.addEventListener('abort', onAbort, { once: true });
+  });
+
+const tokenHeaders = (accessToken?: string) => (accessToken ? { 'X-Job-Token': accessToken } : undefined);
+
+const jobService = {
+  // Get the status, progress and result of a job
+  getJob: async <TResult>(jobId: string, accessToken?: string, signal?: AbortSignal): Promise<Job<TResult>> => {
+    const response = await api.get<JobResponse<TResult>>(`/jobs/${jobId}`, {
+      headers: tokenHeaders(accessToken),
+      signal,
+    });
+    return response.data.job;
+  },
+
+  // Download the file produced by a completed job
+  downloadJobResult: async (jobId: string, accessToken?: string): Promise<Blob> => {
+    const response = await api.get(`/jobs/${jobId}/result`, {
+      headers: tokenHeaders(accessToken),
+      responseType: 'blob',
+    });
+    return response.data;
+  },
+
+  // Poll a job until it finishes, resolving with its result. Rejects with a
+  // JobTimeoutError once timeoutMs has passed, or the signal's reason if aborted
+  waitForJob: async <TResult>(
+    { jobId, accessToken }: JobSubmissionResponse,
+    onProgress?: JobProgressHandler,
+    { signal, timeoutMs = DEFAULT_TIMEOUT_MS }: WaitForJobOptions = {}
+  ): Promise<Job<TResult>> => {
+    const deadline = Date.now() + timeoutMs;
+
+    for (;;) {
+      signal?.throwIfAborted();
+      const job = await jobService.getJob<TResult>(jobId, accessToken, signal);
+      onProgress?.(job.progress, job.progressMessage);
+
+      if (job.status === 'completed') return job;
+      if (job.status === 'failed') throw new Error(job.error || 'Job failed');
+
+      const remaining = deadline - Date.now();
+      if (remaining <= 0) throw new JobTimeoutError(jobId, timeoutMs);
+
+      await wait(Math.min(POLL_INTERVAL_MS, remaining), signal);
+    }
+  },
+};
+
+export default jobService;
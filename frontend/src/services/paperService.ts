@@ -1,4 +1,6 @@
 import api from './api';
+import jobService from './jobService';
+import type { JobProgressHandler, JobSubmissionResponse } from './jobService';
 
 // Paper Analysis Types
 export interface PaperAnalysisResponse {
@@ -47,6 +49,7 @@ export interface PaperUniquenessResponse {
     abstract: string;
     conclusion: string;
     pageCount: number;
+    revision?: number;
   };
   uniquenessScore: number;
   explanation: string;
@@ -55,9 +58,12 @@ export interface PaperUniquenessResponse {
     title: string;
     authors: string;
     year: string;
+    url?: string;
     similarity: number;
     explanation: string;
   }>;
+  totalPapersSearched: number;
+  changes?: PaperRevisionChanges; // Set when a new revision of an existing paper was checked
   message: string;
 }
 
@@ -83,14 +89,106 @@ export interface PaperDetailsResponse {
     journal?: string;
     year?: string;
     pdfUrl?: string;
+    source?: 'corpus' | 'upload';
+    revision?: number;
     createdAt: string;
+    updatedAt?: string;
   };
 }
 
+// Paper Revision Types
+export interface PaperMatchChange {
+  paperId?: string;
+  title: string;
+  similarityScore: number;
+  previousSimilarityScore?: number; // Only for matches found by both revisions
+  similarityChange?: number;
+}
+
+export interface PaperRevisionChanges {
+  uniquenessChange: number;
+  newMatches: PaperMatchChange[];
+  removedMatches: PaperMatchChange[];
+  changedMatches: PaperMatchChange[];
+}
+
+export interface PaperRevision {
+  revision: number;
+  current: boolean;
+  title: string;
+  authors: string[];
+  abstract: string;
+  conclusion: string;
+  uniquenessScore: number;
+  similarityExplanation: string;
+  similarPapers: Array<{
+    paperId?: string;
+    title: string;
+    authors: string;
+    year: string;
+    similarityScore: number;
+    explanation: string;
+  }>;
+  pdfUrl?: string;
+  createdAt: string;
+  replacedAt?: string;
+  changes: PaperRevisionChanges | null; // Null for the first revision
+}
+
+export interface PaperRevisionsResponse {
+  success: boolean;
+  paperId: string;
+  revisions: PaperRevision[]; // Newest first
+}
+
+// Paper Library Types
+export type PaperSort = 'relevance' | 'newest' | 'oldest' | 'year' | 'uniqueness' | 'citations';
+
+export interface PaperLibraryFilters {
+  q?: string;
+  yearFrom?: string;
+  yearTo?: string;
+  journal?: string;
+  author?: string;
+  keyword?: string;
+  minUniqueness?: string;
+  maxUniqueness?: string;
+  source?: 'corpus' | 'upload' | '';
+  sort?: PaperSort | '';
+  limit?: number;
+}
+
+export interface PaperListItem {
+  id: string;
+  title: string;
+  authors: string[];
+  abstract: string;
+  publicationYear?: number;
+  journal?: string;
+  doi?: string;
+  keywords?: string[];
+  citations?: number;
+  uniquenessScore?: number;
+  source: 'corpus' | 'upload';
+  createdAt: string;
+  pdfUrl?: string;
+}
+
+export interface PaperListResponse {
+  success: boolean;
+  count: number;
+  total: number;
+  sort: PaperSort;
+  nextCursor: string | null;
+  papers: PaperListItem[];
+}
+
 // Paper Structuring Types
 export interface PaperStructuringResponse {
   success: boolean;
-  paper: {
+  jobId?: string; // Set when structured from a PDF; the rendered PDF can be downloaded from the job
+  jobAccessToken?: string; // Token for downloading it when structured without signing in
+  paper?: {
     title: string;
     authors: string[];
     abstract: string;
@@ -124,21 +222,26 @@ export interface StructureCheckResponse {
 
 const paperService = {
   // Analyze a research paper PDF
-  analyzePaper: async (file: File, synopsisType: string = 'moderate'): Promise<PaperAnalysisResponse> => {
+  analyzePaper: async (
+    file: File,
+    synopsisType: string = 'moderate',
+    onProgress?: JobProgressHandler
+  ): Promise<PaperAnalysisResponse> => {
     const formData = new FormData();
     formData.append('pdf', file);
     
-    const response = await api.post<PaperAnalysisResponse>(`/analyze-paper?synopsis=${synopsisType}`, formData, {
+    const response = await api.post<JobSubmissionResponse>(`/analyze-paper?synopsis=${synopsisType}`, formData, {
       headers: {
         'Content-Type': 'multipart/form-data',
       },
     });
     
-    return response.data;
+    const job = await jobService.waitForJob<PaperAnalysisResponse>(response.data, onProgress);
+    return job.result!;
   },
   
   // Detect if text is AI-generated
-  detectAI: async (fileOrText: File | string): Promise<AIDetectionResponse> => {
+  detectAI: async (fileOrText: File | string, onProgress?: JobProgressHandler): Promise<AIDetectionResponse> => {
     const formData = new FormData();
     
     if (fileOrText instanceof File) {
@@ -147,19 +250,21 @@ const paperService = {
       formData.append('text', fileOrText);
     }
     
-    const response = await api.post<AIDetectionResponse>('/detect-ai', formData, {
+    const response = await api.post<JobSubmissionResponse>('/detect-ai', formData, {
       headers: {
         'Content-Type': 'multipart/form-data',
       },
     });
     
-    return response.data;
+    const job = await jobService.waitForJob<AIDetectionResponse>(response.data, onProgress);
+    return job.result!;
   },
   
   // Check uniqueness of a paper
   checkPaperUniqueness: async (
     file: File, 
-    metadata: { title?: string; authors?: string; doi?: string; journal?: string; year?: string } = {}
+    metadata: { title?: string; authors?: string; doi?: string; journal?: string; year?: string } = {},
+    onProgress?: JobProgressHandler
   ): Promise<PaperUniquenessResponse> => {
     const formData = new FormData();
     formData.append('pdf', file);
@@ -169,21 +274,64 @@ const paperService = {
       if (value) formData.append(key, value);
     });
     
-    const response = await api.post<PaperUniquenessResponse>('/papers/check-uniqueness', formData, {
+    const response = await api.post<JobSubmissionResponse>('/papers/check-uniqueness', formData, {
       headers: {
         'Content-Type': 'multipart/form-data',
       },
     });
     
-    return response.data;
+    const job = await jobService.waitForJob<PaperUniquenessResponse>(response.data, onProgress);
+    return job.result!;
   },
   
+  // List library papers matching the filters, one page at a time
+  getPapers: async (filters: PaperLibraryFilters = {}, cursor?: string | null): Promise<PaperListResponse> => {
+    // Leave out empty filters
+    const params = Object.fromEntries(
+      Object.entries({ ...filters, cursor }).filter(([, value]) => value !== undefined && value !== null && value !== '')
+    );
+
+    const response = await api.get<PaperListResponse>('/papers', { params });
+    return response.data;
+  },
+
   // Get a single paper with its details
   getPaperById: async (paperId: string) => {
     const response = await api.get<PaperDetailsResponse>(`/papers/${paperId}`);
     return response.data.paper;
   },
 
+  // Check the uniqueness of a new revision of an uploaded paper
+  submitPaperRevision: async (
+    paperId: string,
+    file: File,
+    metadata: { title?: string; authors?: string; doi?: string; journal?: string; year?: string } = {},
+    onProgress?: JobProgressHandler
+  ): Promise<PaperUniquenessResponse> => {
+    const formData = new FormData();
+    formData.append('pdf', file);
+
+    // Metadata left out keeps the paper's current values
+    Object.entries(metadata).forEach(([key, value]) => {
+      if (value) formData.append(key, value);
+    });
+
+    const response = await api.post<JobSubmissionResponse>(`/papers/${paperId}/revisions`, formData, {
+      headers: {
+        'Content-Type': 'multipart/form-data',
+      },
+    });
+
+    const job = await jobService.waitForJob<PaperUniquenessResponse>(response.data, onProgress);
+    return job.result!;
+  },
+
+  // Get the revision history of a paper, newest first
+  getPaperRevisions: async (paperId: string) => {
+    const response = await api.get<PaperRevisionsResponse>(`/papers/${paperId}/revisions`);
+    return response.data.revisions;
+  },
+
   // Structure a paper in a specific format (IEEE, APA, etc.)
   structurePaper: async (
     file: File,
@@ -193,7 +341,8 @@ const paperService = {
       authors?: string;
       abstract?: string;
       keywords?: string;
-    }
+    },
+    onProgress?: JobProgressHandler
   ): Promise<PaperStructuringResponse> => {
     const formData = new FormData();
     formData.append('pdf', file);
@@ -206,13 +355,15 @@ const paperService = {
       });
     }
     
-    const response = await api.post<PaperStructuringResponse>('/papers/structure', formData, {
+    const response = await api.post<JobSubmissionResponse>('/papers/structure', formData, {
       headers: {
         'Content-Type': 'multipart/form-data',
       },
     });
     
-    return response.data;
+    // The job result holds the formatted HTML; the rendered PDF is available from job.resultUrl
+    const job = await jobService.waitForJob<PaperStructuringResponse>(response.data, onProgress);
+    return { ...job.result!, jobId: job.id, jobAccessToken: response.data.accessToken };
   },
 
   // Structure a paper from raw text/sections in a specific format
@@ -240,19 +391,21 @@ const paperService = {
   // --- Check paper structure compliance --- Add new function
   checkPaperStructure: async (
     file: File,
-    format: string
+    format: string,
+    onProgress?: JobProgressHandler
   ): Promise<StructureCheckResponse> => {
     const formData = new FormData();
     formData.append('pdf', file);
     formData.append('format', format);
 
-    const response = await api.post<StructureCheckResponse>('/papers/check-structure', formData, {
+    const response = await api.post<JobSubmissionResponse>('/papers/check-structure', formData, {
       headers: {
         'Content-Type': 'multipart/form-data',
       },
     });
 
-    return response.data;
+    const job = await jobService.waitForJob<StructureCheckResponse>(response.data, onProgress);
+    return job.result!;
   },
   // --- End check paper structure ---
 };
@@ -1,4 +1,8 @@
 import api from './api';
+import jobService from './jobService';
+import type { JobProgressHandler, JobSubmissionResponse } from './jobService';
+
+export type RoomRole = 'owner' | 'moderator' | 'member';
 
 export interface Room {
   id: string;
@@ -7,15 +11,38 @@ export interface Room {
   tags: string[];
   memberCount: number;
   createdBy: string;
+  ownerId?: string;
   createdAt: string;
   isPrivate: boolean;
+  currentUserRole: RoomRole | null;
+}
+
+export type IdeaField = 'problemStatement' | 'proposedSolution' | 'description' | 'domain';
+
+export interface ScoringSettings {
+  fieldWeights: Record<IdeaField, number>;
+  similarityThreshold: number;
+  highlightThreshold: number;
+  uniquenessExponent: number;
+  exactMatchPolicy: 'reject' | 'flag';
+  nearDuplicateThreshold: number;
+  nearDuplicatePolicy: 'reject' | 'flag';
 }
 
+// Settings sent as null go back to their defaults
+export type ScoringSettingsUpdate = {
+  [K in Exclude<keyof ScoringSettings, 'fieldWeights'>]?: ScoringSettings[K] | null;
+} & {
+  fieldWeights?: Partial<Record<IdeaField, number | null>>;
+};
+
 export interface RoomDetails extends Room {
+  accessCode?: string; // Only returned to members
+  scoringSettings: ScoringSettings;
   members: {
     id: string;
     name: string;
-    role: 'owner' | 'moderator' | 'member';
+    role: RoomRole;
     joinedAt: string;
   }[];
   ideas: {
@@ -24,17 +51,43 @@ export interface RoomDetails extends Room {
     createdBy: string;
     createdAt: string;
     uniquenessScore: number;
+    isDegraded: boolean;
     votes: number;
   }[];
 }
 
+export interface LeaderboardEntry {
+  rank: number;
+  id: string;
+  title: string;
+  createdBy: string;
+  authorId?: string;
+  createdAt: string;
+  uniquenessScore: number;
+  isDegraded: boolean;
+  votes: number;
+  upvotes: number;
+  downvotes: number;
+  voteScore: number;
+  rankScore: number;
+  userVote: 'up' | 'down' | null;
+}
+
 export interface CreateRoomRequest {
   name: string;
   description: string;
+  topic: string;
   tags: string[];
   isPrivate: boolean;
 }
 
+// Result of the background job re-scoring every idea in a room
+export interface RoomRescoreResult {
+  success: boolean;
+  roomId: string;
+  rescoredIdeas: number;
+}
+
 const roomService = {
   // Get all rooms
   getAllRooms: async (): Promise<Room[]> => {
@@ -48,15 +101,66 @@ const roomService = {
     return response.data.room;
   },
 
+  // Get the ideas in a room ranked by votes and uniqueness
+  getLeaderboard: async (roomId: string): Promise<LeaderboardEntry[]> => {
+    const response = await api.get<{ success: boolean; leaderboard: LeaderboardEntry[] }>(
+      `/rooms/${roomId}/leaderboard`
+    );
+    return response.data.leaderboard;
+  },
+
+  // Recompute uniqueness and similarity links for every idea (owners and moderators)
+  recomputeSimilarity: async (
+    roomId: string,
+    onProgress?: JobProgressHandler
+  ): Promise<RoomRescoreResult> => {
+    const response = await api.post<JobSubmissionResponse>(`/rooms/${roomId}/similarity/recompute`);
+    const job = await jobService.waitForJob<RoomRescoreResult>(response.data, onProgress);
+    return job.result!;
+  },
+
   // Create a new room
   createRoom: async (roomData: CreateRoomRequest): Promise<Room> => {
     const response = await api.post<{ success: boolean; room: Room }>('/rooms', roomData);
     return response.data.room;
   },
 
-  // Removed joinRoom function
+  // Join a room using its access code
+  joinRoom: async (accessCode: string): Promise<{ roomId: string; role: RoomRole }> => {
+    const response = await api.post<{ success: boolean; roomId: string; role: RoomRole }>('/rooms/join', {
+      accessCode,
+    });
+    return response.data;
+  },
+
+  // Leave a room
+  leaveRoom: async (roomId: string): Promise<void> => {
+    await api.post(`/rooms/${roomId}/leave`);
+  },
+
+  // Change a member's role (owner only)
+  updateMemberRole: async (roomId: string, userId: string, role: Exclude<RoomRole, 'owner'>): Promise<void> => {
+    await api.patch(`/rooms/${roomId}/members/${userId}`, { role });
+  },
 
-  // Removed leaveRoom function
+  // Remove a member from a room
+  removeMember: async (roomId: string, userId: string): Promise<void> => {
+    await api.delete(`/rooms/${roomId}/members/${userId}`);
+  },
+
+  // Change how ideas in the room are scored (owner only); all ideas are re-scored
+  updateScoringSettings: async (
+    roomId: string,
+    settings: ScoringSettingsUpdate,
+    onProgress?: JobProgressHandler
+  ): Promise<{ scoringSettings: ScoringSettings; rescoredIdeas: number }> => {
+    const response = await api.patch<JobSubmissionResponse & { scoringSettings: ScoringSettings }>(
+      `/rooms/${roomId}/scoring`,
+      settings
+    );
+    const job = await jobService.waitForJob<RoomRescoreResult>(response.data, onProgress);
+    return { scoringSettings: response.data.scoringSettings, rescoredIdeas: job.result!.rescoredIdeas };
+  },
 };
 
 export default roomService; 
\ No newline at end of file
@@ -3,11 +3,23 @@
 /**
  * Script to extract a sample subset from a large dataset
  * Creates a smaller dataset for development and testing
+ *
+ * The source is read one record at a time and a random sample is drawn by
+ * reservoir sampling, so only the sample is held in memory however large the
+ * source is. Output ending in .jsonl is written as JSON Lines.
  */
 require("dotenv").config();
 const fs = require("fs");
 const path = require("path");
 const { program } = require("commander");
+const {
+  readDatasetRecords,
+  createDatasetWriter,
+} = require("../app/utils/datasetStream");
+
+// Parse a numeric option (commander passes the default as a second argument,
+// which parseInt would take as the radix)
+const toInt = (value) => parseInt(value, 10);
 
 // Command line options
 program
@@ -15,7 +27,7 @@ program
   .description("Extract a sample subset from a large dataset")
   .option(
     "-s, --source <path>",
-    "Path to the source dataset file",
+    "Path to the source dataset file (JSON, JSON Lines, CSV, BibTeX or RIS)",
     "./original-dataset.json"
   )
   .option(
@@ -26,7 +38,7 @@ program
   .option(
     "-n, --size <number>",
     "Number of papers to include in the sample",
-    parseInt,
+    toInt,
     1000
   )
   .option(
@@ -64,49 +76,37 @@ Random selection: ${options.random ? "Yes" : "No"}
     }
 
     console.log("Reading source file...");
-    const fileContent = fs.readFileSync(options.source, "utf8");
-    let data;
-
-    try {
-      // Try parsing as JSON
-      data = JSON.parse(fileContent);
-    } catch (parseError) {
-      console.error("Error parsing JSON file. Is it a valid JSON file?");
-      process.exit(1);
-    }
-
-    // Get papers array - handle different formats
-    let papers = [];
-    if (Array.isArray(data)) {
-      papers = data;
-    } else if (data.papers && Array.isArray(data.papers)) {
-      papers = data.papers;
-    } else {
-      console.error("Could not find papers array in the source file");
-      process.exit(1);
-    }
-
-    console.log(`Found ${papers.length} papers in the source file`);
-
-    // Select papers for the sample
     let samplePapers = [];
-    if (options.random) {
-      // Random selection
-      const indices = new Set();
-      while (indices.size < Math.min(options.size, papers.length)) {
-        indices.add(Math.floor(Math.random() * papers.length));
+    let read = 0;
+
+    for await (const paper of readDatasetRecords(options.source)) {
+      if (options.random) {
+        // Reservoir sampling: every paper read so far has the same chance
+        // of being in the sample
+        if (samplePapers.length < options.size) {
+          samplePapers.push(paper);
+        } else {
+          const i = Math.floor(Math.random() * (read + 1));
+          if (i < options.size) samplePapers[i] = paper;
+        }
+        read++;
+      } else {
+        // Take first N papers
+        if (samplePapers.length >= options.size) break;
+        samplePapers.push(paper);
+        read++;
       }
-      samplePapers = Array.from(indices).map((i) => papers[i]);
-    } else {
-      // Take first N papers
-      samplePapers = papers.slice(0, options.size);
     }
 
+    console.log(`Read ${read} papers from the source file`);
     console.log(`Selected ${samplePapers.length} papers for the sample`);
 
     // Write the sample to the output file
-    const outputData = JSON.stringify(samplePapers, null, 2);
-    fs.writeFileSync(options.output, outputData);
+    const writer = createDatasetWriter(options.output);
+    for (const paper of samplePapers) {
+      await writer.write(paper);
+    }
+    const bytesWritten = await writer.end();
 
     console.log(`
 ====================================================
@@ -114,7 +114,7 @@ Random selection: ${options.random ? "Yes" : "No"}
 ====================================================
 Successfully created sample with ${samplePapers.length} papers
 Output file: ${options.output}
-File size: ${(outputData.length / 1024 / 1024).toFixed(2)} MB
+File size: ${(bytesWritten / 1024 / 1024).toFixed(2)} MB
 ====================================================
 `);
   } catch (error) {
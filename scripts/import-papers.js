@@ -3,19 +3,58 @@
 /**
  * Script to import scientific papers from a Kaggle dataset into MongoDB
  * and generate embeddings for each paper's abstract and conclusion
+ *
+ * Papers are upserted by DOI or normalized title hash, so running an import
+ * again updates papers instead of duplicating them. Progress through each
+ * file is checkpointed and an interrupted import resumes where it stopped.
+ * The vector index is written to disk every few minutes, on Ctrl+C and at the
+ * end; papers saved to MongoDB after its last write are re-indexed from their
+ * stored embeddings when the import resumes.
+ * Records that fail are written to a log and can be retried later. Files are
+ * read one record at a time, so multi-gigabyte JSON and JSON Lines datasets
+ * import in constant memory.
  */
 require("dotenv").config();
 const fs = require("fs");
 const path = require("path");
-const csv = require("csv-parser");
 const mongoose = require("mongoose");
 const axios = require("axios");
 const { program } = require("commander");
 const Paper = require("../app/models/Paper");
+const {
+  storePaperEmbeddings,
+  isPaperIndexed,
+  flushVectorDB,
+  setAutoSave,
+  compactVectorDB,
+} = require("../app/utils/vectorDatabase");
 const {
   extractAbstract,
   extractConclusion,
 } = require("../app/utils/paperExtractor");
+const { tagEmbeddings } = require("../app/utils/embeddingModel");
+const {
+  getDatasetType,
+  readDatasetRecords,
+} = require("../app/utils/datasetStream");
+const {
+  DATASET_FORMATS,
+  detectDatasetFormat,
+  mapDatasetRecord,
+} = require("../app/utils/datasetFormats");
+const {
+  getPaperIdentity,
+  getTitleHash,
+  getCorpusPaperQuery,
+  getPaperMatchQuery,
+} = require("../app/utils/paperIdentity");
+
+// Parse a numeric option (commander passes the default as a second argument,
+// which parseInt would take as the radix)
+const toInt = (value) => parseInt(value, 10);
+
+// Formats --format accepts besides "auto"
+const FORMATS = Object.keys(DATASET_FORMATS);
 
 //cli
 program
@@ -29,16 +68,43 @@ program
   .option(
     "-l, --limit <number>",
     "Limit the number of papers to import",
-    parseInt,
+    toInt,
     0
   )
   .option(
     "-b, --batch <number>",
     "Batch size for processing papers",
-    parseInt,
+    toInt,
     100
   )
-  .option("-s, --skip <number>", "Number of papers to skip", parseInt, 0)
+  .option("-s, --skip <number>", "Number of papers to skip", toInt, 0)
+  .option(
+    "--format <format>",
+    `Dataset format: auto or ${FORMATS.join(", ")} (plain: already in our schema)`,
+    "auto"
+  )
+  .option(
+    "-e, --embedding-batch <number>",
+    "Papers sent to the embedding service per request",
+    toInt,
+    64
+  )
+  .option(
+    "-c, --checkpoint <path>",
+    "File recording how far each dataset file has been imported",
+    "./data/import-checkpoint.json"
+  )
+  .option(
+    "-f, --failed-log <path>",
+    "Write records that fail to import to this file",
+    "./data/import-failed.jsonl"
+  )
+  .option("--retry-failed", "Import the records in the failed-record log again")
+  .option(
+    "--restart",
+    "Ignore the checkpoint and import every file from the start"
+  )
+  .option("--dry-run", "Report what would be imported without writing anything")
   .parse(process.argv);
 
 const options = program.opts();
@@ -53,12 +119,44 @@ const EMBEDDING_SERVICE_URL =
     "/embeddings",
     "/paper/embeddings"
   ) || "http://localhost:5000/api/paper/embeddings";
+const EMBEDDING_BATCH_URL = `${EMBEDDING_SERVICE_URL}/batch`;
+
+// Records read between checkpoints
+const CHECKPOINT_INTERVAL = 1000;
+// Minimum time between writes of the vector index, which rewrite the whole file
+const INDEX_SAVE_INTERVAL_MS = 10 * 60 * 1000;
+// Share of the vector index's entries left behind by updated papers above
+// which the index is rebuilt at the end of an import
+const INDEX_COMPACT_RATIO = 0.2;
+// Papers updated per write when storing missing title hashes
+const BACKFILL_BATCH_SIZE = 1000;
+
+const CHECKPOINT_PATH = path.resolve(options.checkpoint);
+const FAILED_LOG_PATH = path.resolve(options.failedLog);
 
 // Stats
 let processed = 0;
-let imported = 0;
+let inserted = 0;
+let updated = 0;
+let unchanged = 0;
+let reindexed = 0;
+let duplicates = 0;
+let invalid = 0;
 let failed = 0;
+let embedded = 0;
+let embeddingTime = 0;
 let startTime = Date.now();
+// Set when the embedding service has no batch endpoint
+let batchEndpointMissing = false;
+// Import progress per dataset file
+let checkpoint = { files: {} };
+// Dataset files read by this run, and when the vector index was last written
+const importedFiles = new Set();
+let lastIndexSave = Date.now();
+// Set on Ctrl+C: stop after the current batch and save progress
+let stopRequested = false;
+// Where records that fail are written (a new log while retrying the old one)
+let failedLogPath = FAILED_LOG_PATH;
 
 /**
  * Generate embeddings for abstract and conclusion using the embedding service
@@ -78,7 +176,11 @@ async function generateEmbeddings(data) {
     }
 
     const response = await axios.post(EMBEDDING_SERVICE_URL, requestData);
-    return response.data.embeddings;
+    return tagEmbeddings(
+      response.data.embeddings,
+      response.data.model,
+      response.data.dimension
+    );
   } catch (error) {
     console.error("Error generating paper embeddings:", error.message);
     return {};
@@ -86,167 +188,602 @@ async function generateEmbeddings(data) {
 }
 
 /**
- * Process a single paper and save it to MongoDB
- * @param {Object} paper - Paper data
- * @returns {Promise<boolean>} - Whether the paper was successfully processed
+ * Generate embeddings for many papers with the batch endpoint, one request
+ * per chunk of papers. Falls back to one request per paper if the service
+ * has no batch endpoint.
+ * @param {Array<Object>} documents - Objects containing abstract and conclusion
+ * @returns {Promise<Array<Object>>} - Embeddings for each document, in order
  */
-async function processPaper(paper) {
-  try {
-    // Skip if no title or empty abstract
-    if (!paper.title || !paper.abstract) {
-      return false;
+async function generateEmbeddingsBatch(documents) {
+  const embeddings = [];
+  const chunkSize = Math.max(options.embeddingBatch, 1);
+
+  for (let i = 0; i < documents.length; i += chunkSize) {
+    const chunk = documents.slice(i, i + chunkSize);
+
+    if (!batchEndpointMissing) {
+      try {
+        const response = await axios.post(EMBEDDING_BATCH_URL, {
+          documents: chunk.map((doc) => ({
+            abstract: doc.abstract || undefined,
+            conclusion: doc.conclusion || undefined,
+          })),
+        });
+        embeddings.push(
+          ...response.data.embeddings.map((docEmbeddings) =>
+            tagEmbeddings(
+              docEmbeddings,
+              response.data.model,
+              response.data.dimension
+            )
+          )
+        );
+        continue;
+      } catch (error) {
+        if (error.response?.status !== 404) {
+          console.error("Error generating paper embeddings:", error.message);
+          embeddings.push(...chunk.map(() => ({})));
+          continue;
+        }
+        // Older embedding service: embed the papers one by one from now on
+        console.warn(
+          "Embedding service has no batch endpoint, embedding papers one at a time"
+        );
+        batchEndpointMissing = true;
+      }
     }
 
-    // Check if paper already exists
-    const existingPaper = await Paper.findOne({ title: paper.title });
-    if (existingPaper) {
-      console.log(`Paper already exists: ${paper.title.substring(0, 50)}...`);
-      return false;
-    }
+    embeddings.push(...(await Promise.all(chunk.map(generateEmbeddings))));
+  }
 
-    // Get abstract and conclusion
-    let abstract = paper.abstract || "";
-    let conclusion = paper.conclusion || "";
+  return embeddings;
+}
 
-    // If we have full text but no abstract or conclusion, extract them
-    if (paper.full_text && (!abstract || !conclusion)) {
-      if (!abstract) {
-        abstract = extractAbstract(paper.full_text);
-      }
-      if (!conclusion) {
-        conclusion = extractConclusion(paper.full_text);
-      }
+/**
+ * Validate a paper and get the abstract and conclusion to store
+ * @param {Object} paper - Paper data
+ * @returns {Object|null} - Paper with abstract, conclusion and identity, or null if invalid
+ */
+function preparePaper(paper) {
+  // Skip if no title or empty abstract
+  if (!paper.title || !paper.abstract) {
+    return null;
+  }
+
+  // Get abstract and conclusion
+  let abstract = paper.abstract || "";
+  let conclusion = paper.conclusion || "";
+
+  // If we have full text but no abstract or conclusion, extract them
+  if (paper.full_text && (!abstract || !conclusion)) {
+    if (!abstract) {
+      abstract = extractAbstract(paper.full_text);
     }
+    if (!conclusion) {
+      conclusion = extractConclusion(paper.full_text);
+    }
+  }
 
-    // Generate embeddings
-    const embeddings = await generateEmbeddings({
-      abstract,
-      conclusion,
-    });
+  const identity = getPaperIdentity(paper);
+  if (!identity.titleHash) {
+    return null;
+  }
+
+  return {
+    ...paper,
+    abstract: abstract.trim(),
+    conclusion: conclusion.trim(),
+    identity,
+  };
+}
 
-    // Create paper document
-    const paperDoc = new Paper({
-      title: paper.title,
-      authors: paper.authors || [],
-      abstract,
-      conclusion,
-      year: paper.year || null,
-      doi: paper.doi || null,
-      journal: paper.journal || null,
-      url: paper.url || null,
-      keywords: paper.keywords || [],
-      citations: paper.citations || 0,
-      embeddings,
+/**
+ * Get the fields stored for a prepared paper
+ * @param {Object} paper - Paper returned by preparePaper
+ * @param {Object} embeddings - Embeddings for the abstract and conclusion
+ * @returns {Object} - Paper document fields
+ */
+function getPaperFields(paper, embeddings) {
+  // CSV columns arrive as strings
+  const year = parseInt(paper.year, 10);
+  const citations = parseInt(paper.citations, 10);
+
+  return {
+    title: paper.title,
+    authors: paper.authors || [],
+    abstract: paper.abstract,
+    conclusion: paper.conclusion,
+    publicationYear: Number.isNaN(year) ? null : year,
+    doi: paper.identity.doi,
+    titleHash: paper.identity.titleHash,
+    journal: paper.journal || null,
+    url: paper.url || null,
+    keywords: paper.keywords || [],
+    citations: citations > 0 ? citations : 0,
+    embeddings,
+    source: "corpus",
+  };
+}
+
+/**
+ * Record a paper that could not be imported in the failed-record log
+ * @param {Object} entry - Dataset record with its file and position
+ * @param {string} error - Why the record failed
+ */
+function recordFailure(entry, error) {
+  failed++;
+  console.error(`Error processing paper: ${error}`);
+  if (options.dryRun) return;
+
+  fs.mkdirSync(path.dirname(failedLogPath), { recursive: true });
+  fs.appendFileSync(
+    failedLogPath,
+    JSON.stringify({
+      file: entry.file,
+      position: entry.position,
+      error,
+      failedAt: new Date().toISOString(),
+      record: entry.record,
+    }) + "\n"
+  );
+}
+
+/**
+ * Find the stored corpus papers matching a batch of papers, with one query
+ * @param {Array<Object>} papers - Papers returned by preparePaper
+ * @returns {Promise<Function>} - Returns the stored match of a paper, if any
+ */
+async function findExistingPapers(papers) {
+  const dois = papers.map((paper) => paper.identity.doi).filter(Boolean);
+  const existing = await Paper.find({
+    ...getCorpusPaperQuery(),
+    $or: [
+      { doi: { $in: dois } },
+      { titleHash: { $in: papers.map((paper) => paper.identity.titleHash) } },
+    ],
+  })
+    .select("title doi titleHash abstract conclusion embeddings.model")
+    .lean();
+
+  const byDoi = new Map();
+  const byTitleHash = new Map();
+  for (const paper of existing) {
+    if (paper.doi) byDoi.set(paper.doi, paper);
+    if (paper.titleHash) byTitleHash.set(paper.titleHash, paper);
+  }
+
+  return (paper) =>
+    (paper.identity.doi && byDoi.get(paper.identity.doi)) ||
+    byTitleHash.get(paper.identity.titleHash);
+}
+
+/**
+ * Store the title hash of corpus papers imported before title hashes were
+ * stored, so findExistingPapers can match them on the indexed hash alone
+ * @returns {Promise<number>} - Number of papers updated
+ */
+async function backfillTitleHashes() {
+  const cursor = Paper.find({ ...getCorpusPaperQuery(), titleHash: null })
+    .select("title")
+    .lean()
+    .cursor();
+
+  let updates = [];
+  let count = 0;
+  const flush = async () => {
+    if (updates.length === 0) return;
+    await Paper.bulkWrite(updates, { ordered: false });
+    count += updates.length;
+    updates = [];
+  };
+
+  for await (const paper of cursor) {
+    const titleHash = getTitleHash(paper.title);
+    if (!titleHash) continue;
+
+    updates.push({
+      updateOne: {
+        filter: { _id: paper._id },
+        update: { $set: { titleHash } },
+      },
     });
+    if (updates.length >= BACKFILL_BATCH_SIZE) await flush();
+  }
+  await flush();
+  return count;
+}
+
+/**
+ * Upsert a paper and add it to the similarity search index
+ * @param {Object} entry - Dataset record with its prepared paper and stored match
+ * @param {Object} embeddings - Embeddings for the abstract and conclusion
+ * @returns {Promise<void>}
+ */
+async function writePaper(entry, embeddings) {
+  const { paper, existing } = entry;
 
-    // Save to MongoDB
-    await paperDoc.save();
-    return true;
+  if (!embeddings.abstract?.length && !embeddings.conclusion?.length) {
+    recordFailure(entry, "No embeddings were generated");
+    return;
+  }
+
+  try {
+    // Upsert, so a paper stored since the lookup is updated, not duplicated
+    const paperDoc = await Paper.findOneAndUpdate(
+      existing ? { _id: existing._id } : getPaperMatchQuery(paper.identity),
+      { $set: getPaperFields(paper, embeddings) },
+      { upsert: true, new: true, runValidators: true }
+    );
+
+    // Add the paper to the similarity search index
+    if (!(await storePaperEmbeddings(paperDoc._id, embeddings))) {
+      throw new Error("Could not add the paper to the similarity search index");
+    }
+
+    if (existing) {
+      updated++;
+    } else {
+      inserted++;
+    }
   } catch (error) {
-    console.error(`Error processing paper: ${error.message}`);
-    return false;
+    recordFailure(entry, error.message);
   }
 }
 
 /**
- * Import papers from a CSV file
- * @param {string} filePath - Path to the CSV file
- * @param {number} batchSize - Number of papers to process in a batch
- * @returns {Promise<Object>} - Stats about the import process
+ * Add a stored paper back to the similarity search index from its stored
+ * embeddings, without embedding it again
+ * @param {Object} existing - Stored paper returned by findExistingPapers
+ * @returns {Promise<boolean>} - True if the paper was added
  */
-async function importFromCsv(filePath, batchSize) {
-  return new Promise((resolve, reject) => {
-    const results = [];
-    let count = 0;
-
-    fs.createReadStream(filePath)
-      .pipe(csv())
-      .on("data", (data) => {
-        // Skip if we're below the skip option
-        if (count < options.skip) {
-          count++;
-          return;
-        }
+async function reindexPaper(existing) {
+  if (options.dryRun) return true;
 
-        // Stop if we've reached the limit
-        if (options.limit > 0 && results.length >= options.limit) {
-          return;
-        }
+  const paper = await Paper.findById(existing._id).select("embeddings").lean();
+  return Boolean(paper) && storePaperEmbeddings(paper._id, paper.embeddings);
+}
 
-        results.push(data);
+/**
+ * Log import progress and throughput
+ * @param {number} batchSize - Papers in the last batch
+ * @param {number} batchTime - Seconds the last batch took
+ */
+function logProgress(batchSize, batchTime) {
+  const elapsedTime = (Date.now() - startTime) / 1000;
+  const rate = processed / elapsedTime;
+  const batchRate = batchSize / Math.max(batchTime, 0.001);
+  const embeddingRate = embedded / Math.max(embeddingTime / 1000, 0.001);
 
-        // Process in batches
-        if (results.length >= batchSize) {
-          processBatch(results).catch(console.error);
-          results.length = 0; // Clear the array
-        }
+  console.log(`
+Processed: ${processed} | New: ${inserted} | Updated: ${updated} | Unchanged: ${unchanged} | Failed: ${failed}
+Rate: ${rate.toFixed(2)} papers/second | Last batch: ${batchRate.toFixed(2)} papers/second
+Embedding: ${embeddingRate.toFixed(2)} papers/second | Elapsed: ${elapsedTime.toFixed(1)}s
+  `);
+}
 
-        count++;
-      })
-      .on("end", () => {
-        // Process any remaining papers
-        if (results.length > 0) {
-          processBatch(results).catch(console.error);
-        }
-        resolve({ count });
-      })
-      .on("error", reject);
-  });
+/**
+ * Load the import checkpoint
+ * @returns {Object} - { files } with the progress of each dataset file
+ */
+function loadCheckpoint() {
+  if (options.restart || !fs.existsSync(CHECKPOINT_PATH)) {
+    return { files: {} };
+  }
+  return JSON.parse(fs.readFileSync(CHECKPOINT_PATH, "utf8"));
 }
 
 /**
- * Import papers from a JSON file
- * @param {string} filePath - Path to the JSON file
+ * Get the saved progress of a dataset file. Progress is discarded if the
+ * file has changed since.
+ *
+ * position is the next record to import: the papers of the records before it
+ * are in MongoDB. indexedPosition is the position when the vector index was
+ * last written to disk, so the papers before it are also in the saved index.
+ * @param {string} filePath - Path to the dataset file
+ * @returns {Object} - { size, mtimeMs, position, indexedPosition, completed }
+ */
+function getFileProgress(filePath) {
+  const { size, mtimeMs } = fs.statSync(filePath);
+  const saved = checkpoint.files[filePath];
+  if (saved && saved.size === size && saved.mtimeMs === mtimeMs) {
+    // Older checkpoints were only written after the index was saved
+    if (saved.indexedPosition === undefined) {
+      saved.indexedPosition = saved.position;
+    }
+    return saved;
+  }
+
+  checkpoint.files[filePath] = {
+    size,
+    mtimeMs,
+    position: 0,
+    indexedPosition: 0,
+    completed: false,
+  };
+  return checkpoint.files[filePath];
+}
+
+/**
+ * Write the checkpoint to disk
+ */
+function writeCheckpoint() {
+  fs.mkdirSync(path.dirname(CHECKPOINT_PATH), { recursive: true });
+  const tmpPath = `${CHECKPOINT_PATH}.tmp`;
+  fs.writeFileSync(tmpPath, JSON.stringify(checkpoint, null, 2));
+  fs.renameSync(tmpPath, CHECKPOINT_PATH);
+}
+
+/**
+ * Save how far a dataset file has been imported. The vector index is not
+ * written; see saveIndex.
+ * @param {string} filePath - Path to the dataset file
+ * @param {number} position - Index of the next record to import
+ * @param {boolean} [completed=false] - Whether the whole file was imported
+ */
+function saveProgress(filePath, position, completed = false) {
+  if (options.dryRun) return;
+
+  Object.assign(checkpoint.files[filePath], { position, completed });
+  writeCheckpoint();
+}
+
+/**
+ * Write the vector index to disk and record in the checkpoint that the
+ * papers imported so far are in it
+ * @returns {Promise<void>}
+ */
+async function saveIndex() {
+  if (options.dryRun) return;
+
+  await flushVectorDB();
+  lastIndexSave = Date.now();
+
+  for (const filePath of importedFiles) {
+    const progress = checkpoint.files[filePath];
+    progress.indexedPosition = progress.position;
+  }
+  writeCheckpoint();
+}
+
+/**
+ * Write the vector index to disk if INDEX_SAVE_INTERVAL_MS has passed since
+ * it was last written
+ * @returns {Promise<void>}
+ */
+async function saveIndexIfDue() {
+  if (Date.now() - lastIndexSave >= INDEX_SAVE_INTERVAL_MS) {
+    await saveIndex();
+    console.log("Saved vector index");
+  }
+}
+
+/**
+ * Import papers from a dataset file, reading one record at a time
+ * @param {string} filePath - Path to the dataset file
  * @param {number} batchSize - Number of papers to process in a batch
  * @returns {Promise<Object>} - Stats about the import process
  */
-async function importFromJson(filePath, batchSize) {
-  try {
-    const data = JSON.parse(fs.readFileSync(filePath, "utf8"));
-    let papers = Array.isArray(data) ? data : data.papers || [];
+async function importRecords(filePath, batchSize) {
+  // Resume after the last papers known to be in the saved index
+  const start = Math.max(
+    options.skip,
+    getFileProgress(filePath).indexedPosition
+  );
+  let format = options.format === "auto" ? null : options.format;
+  let batch = [];
+  let position = 0;
+  let taken = 0;
+  let lastCheckpoint = start;
+  let reachedEnd = true;
+
+  // Process a batch, checkpointing once enough records have been read
+  const processAndCheckpoint = async () => {
+    await processBatch(batch);
+    const batchEnd = batch[batch.length - 1].position + 1;
+    batch = [];
+    if (batchEnd - lastCheckpoint >= CHECKPOINT_INTERVAL) {
+      saveProgress(filePath, batchEnd);
+      lastCheckpoint = batchEnd;
+    }
+    await saveIndexIfDue();
+  };
 
-    // Apply skip and limit
-    if (options.skip > 0) {
-      papers = papers.slice(options.skip);
+  importedFiles.add(filePath);
+
+  for await (const record of readDatasetRecords(filePath)) {
+    const current = position++;
+
+    // Detect the dataset format from its first record
+    if (!format) {
+      format = detectDatasetFormat(record);
+      console.log(`Detected format: ${DATASET_FORMATS[format].name}`);
     }
 
-    if (options.limit > 0) {
-      papers = papers.slice(0, options.limit);
+    // Skip records below the skip option or already imported
+    if (current < start) {
+      continue;
     }
 
-    // Process in batches
-    for (let i = 0; i < papers.length; i += batchSize) {
-      const batch = papers.slice(i, i + batchSize);
-      await processBatch(batch);
+    // Stop if we've reached the limit or the import was interrupted
+    if ((options.limit > 0 && taken >= options.limit) || stopRequested) {
+      reachedEnd = false;
+      position = current;
+      break;
     }
 
-    return { count: papers.length };
-  } catch (error) {
-    console.error(`Error importing from JSON: ${error.message}`);
-    throw error;
+    batch.push({
+      record: mapDatasetRecord(record, format),
+      file: filePath,
+      position: current,
+    });
+    taken++;
+
+    // Process in batches, reading no further until the batch is saved
+    if (batch.length >= batchSize) {
+      await processAndCheckpoint();
+    }
+  }
+
+  // Process any remaining papers
+  if (batch.length > 0) {
+    await processAndCheckpoint();
+  }
+  saveProgress(filePath, Math.max(position, start), reachedEnd);
+  return { count: taken };
+}
+
+/**
+ * Import a dataset file, unless the checkpoint shows it was fully imported
+ * @param {string} filePath - Path to the dataset file
+ * @returns {Promise<void>}
+ */
+async function importFile(filePath) {
+  const { position, indexedPosition, completed } = getFileProgress(filePath);
+  if (completed && indexedPosition >= position) {
+    console.log(
+      `Already imported: ${path.basename(filePath)} (use --restart to import it again)`
+    );
+    return;
+  }
+
+  if (indexedPosition > options.skip) {
+    console.log(
+      `Resuming ${path.basename(filePath)} at record ${indexedPosition}`
+    );
+  }
+  if (position > Math.max(indexedPosition, options.skip)) {
+    console.log(
+      `Records up to ${position} are already stored and are only re-added to the vector index`
+    );
+  }
+
+  await importRecords(filePath, options.batch);
+}
+
+/**
+ * Import the records in the failed-record log again. Records that fail again
+ * are written to a new log, which replaces the old one.
+ * @param {number} batchSize - Number of papers to process in a batch
+ * @returns {Promise<void>}
+ */
+async function retryFailedRecords(batchSize) {
+  if (!fs.existsSync(FAILED_LOG_PATH)) {
+    console.log(`No failed records to retry in ${FAILED_LOG_PATH}`);
+    return;
+  }
+
+  const entries = fs
+    .readFileSync(FAILED_LOG_PATH, "utf8")
+    .split("\n")
+    .filter((line) => line.trim())
+    .map((line) => JSON.parse(line));
+  console.log(`Retrying ${entries.length} failed records`);
+
+  failedLogPath = `${FAILED_LOG_PATH}.retry`;
+  fs.rmSync(failedLogPath, { force: true });
+
+  let i = 0;
+  for (; i < entries.length && !stopRequested; i += batchSize) {
+    await processBatch(
+      entries
+        .slice(i, i + batchSize)
+        .map(({ record, file, position }) => ({ record, file, position }))
+    );
+  }
+
+  if (options.dryRun) return;
+
+  // Keep the records not retried before an interruption
+  if (i < entries.length) {
+    fs.appendFileSync(
+      failedLogPath,
+      entries
+        .slice(i)
+        .map((entry) => JSON.stringify(entry) + "\n")
+        .join("")
+    );
+  }
+  if (fs.existsSync(failedLogPath)) {
+    fs.renameSync(failedLogPath, FAILED_LOG_PATH);
+  } else {
+    fs.rmSync(FAILED_LOG_PATH);
   }
 }
 
 /**
  * Process a batch of papers
- * @param {Array} papers - Array of paper data
+ * @param {Array} entries - Dataset records with their file and position
  * @returns {Promise<void>}
  */
-async function processBatch(papers) {
-  const results = await Promise.all(papers.map(processPaper));
+async function processBatch(entries) {
+  const batchStart = Date.now();
+
+  // Drop invalid papers
+  const valid = [];
+  for (const entry of entries) {
+    const paper = preparePaper(entry.record);
+    if (paper) {
+      valid.push({ ...entry, paper });
+    } else {
+      invalid++;
+    }
+  }
 
-  processed += papers.length;
-  imported += results.filter(Boolean).length;
-  failed += results.filter((r) => !r).length;
+  // Work out which papers are new or changed, with one query for the batch
+  const findExisting = await findExistingPapers(
+    valid.map((entry) => entry.paper)
+  );
+  const toWrite = [];
+  const seenKeys = new Set();
+  for (const entry of valid) {
+    const { doi, titleHash } = entry.paper.identity;
+    const keys = [`title:${titleHash}`, ...(doi ? [`doi:${doi}`] : [])];
+    if (keys.some((key) => seenKeys.has(key))) {
+      duplicates++;
+      continue;
+    }
+    keys.forEach((key) => seenKeys.add(key));
+
+    const existing = findExisting(entry.paper);
+    if (
+      existing &&
+      existing.abstract === entry.paper.abstract &&
+      (existing.conclusion || "") === entry.paper.conclusion &&
+      // Papers imported before embeddings were stored with them are rewritten
+      existing.embeddings?.model
+    ) {
+      if (await isPaperIndexed(existing._id)) {
+        unchanged++;
+        continue;
+      }
+      // Stored after the index was last saved by an interrupted import
+      if (await reindexPaper(existing)) {
+        reindexed++;
+        continue;
+      }
+    }
+    toWrite.push({ ...entry, existing });
+  }
 
-  // Calculate processing rate and elapsed time
-  const elapsedTime = (Date.now() - startTime) / 1000;
-  const rate = processed / elapsedTime;
+  if (options.dryRun) {
+    inserted += toWrite.filter((entry) => !entry.existing).length;
+    updated += toWrite.filter((entry) => entry.existing).length;
+  } else {
+    // Generate embeddings for the whole batch
+    const embeddingStart = Date.now();
+    const embeddings = await generateEmbeddingsBatch(
+      toWrite.map((entry) => entry.paper)
+    );
+    embeddingTime += Date.now() - embeddingStart;
+    embedded += toWrite.length;
+
+    await Promise.all(
+      toWrite.map((entry, i) => writePaper(entry, embeddings[i] || {}))
+    );
+  }
 
-  console.log(`
-Processed: ${processed} | Imported: ${imported} | Failed: ${failed}
-Rate: ${rate.toFixed(2)} papers/second | Elapsed: ${elapsedTime.toFixed(1)}s
-  `);
+  processed += entries.length;
+  logProgress(entries.length, (Date.now() - batchStart) / 1000);
 }
 
 /**
@@ -254,14 +791,24 @@ Rate: ${rate.toFixed(2)} papers/second | Elapsed: ${elapsedTime.toFixed(1)}s
  */
 async function main() {
   try {
+    if (options.format !== "auto" && !FORMATS.includes(options.format)) {
+      console.error(`Format must be auto or ${FORMATS.join(", ")}`);
+      process.exit(1);
+    }
+
     console.log(`
 ====================================================
            SCIENTIFIC PAPERS IMPORT TOOL
 ====================================================
-Dataset: ${options.dataset}
+Dataset: ${options.retryFailed ? FAILED_LOG_PATH : options.dataset}
 Limit: ${options.limit || "No limit"}
 Batch size: ${options.batch}
+Embedding batch size: ${options.embeddingBatch}
 Skip: ${options.skip}
+Format: ${options.format}
+Checkpoint: ${options.restart ? "ignored" : CHECKPOINT_PATH}${
+      options.dryRun ? "\nDRY RUN: nothing will be written" : ""
+    }
 ====================================================
 `);
 
@@ -269,64 +816,115 @@ Skip: ${options.skip}
     await mongoose.connect(MONGODB_URI);
     console.log("Connected to MongoDB");
 
-    const datasetPath = path.resolve(options.dataset);
+    checkpoint = loadCheckpoint();
 
-    // Check if path exists
-    if (!fs.existsSync(datasetPath)) {
-      console.error(`Dataset path does not exist: ${datasetPath}`);
-      process.exit(1);
+    if (!options.dryRun) {
+      const backfilled = await backfillTitleHashes();
+      if (backfilled > 0) {
+        console.log(`Stored the title hashes of ${backfilled} older papers`);
+      }
+    }
+
+    // The index is written by saveIndex, not after every change
+    setAutoSave(false);
+
+    // Finish the current batch and save progress on Ctrl+C; a second Ctrl+C
+    // exits at once
+    for (const signal of ["SIGINT", "SIGTERM"]) {
+      process.once(signal, () => {
+        console.log("\nStopping after the current batch...");
+        stopRequested = true;
+      });
     }
 
-    // Process a directory of files
-    if (fs.statSync(datasetPath).isDirectory()) {
-      const files = fs.readdirSync(datasetPath);
-      console.log(`Found ${files.length} files in the dataset directory`);
+    if (options.retryFailed) {
+      await retryFailedRecords(options.batch);
+    } else {
+      const datasetPath = path.resolve(options.dataset);
 
-      for (const file of files) {
-        const filePath = path.join(datasetPath, file);
+      // Check if path exists
+      if (!fs.existsSync(datasetPath)) {
+        console.error(`Dataset path does not exist: ${datasetPath}`);
+        process.exit(1);
+      }
 
-        // Skip directories and non-data files
-        if (
-          fs.statSync(filePath).isDirectory() ||
-          !(file.endsWith(".csv") || file.endsWith(".json"))
-        ) {
-          continue;
-        }
+      // Process a directory of files
+      if (fs.statSync(datasetPath).isDirectory()) {
+        const files = fs.readdirSync(datasetPath);
+        console.log(`Found ${files.length} files in the dataset directory`);
 
-        console.log(`Processing file: ${file}`);
+        for (const file of files) {
+          if (stopRequested) break;
+          const filePath = path.join(datasetPath, file);
 
-        if (file.endsWith(".csv")) {
-          await importFromCsv(filePath, options.batch);
-        } else if (file.endsWith(".json")) {
-          await importFromJson(filePath, options.batch);
+          // Skip directories and non-data files
+          if (fs.statSync(filePath).isDirectory() || !getDatasetType(file)) {
+            continue;
+          }
+
+          console.log(`Processing file: ${file}`);
+          await importFile(filePath);
         }
       }
-    }
-    // Process a single file
-    else {
-      if (datasetPath.endsWith(".csv")) {
-        await importFromCsv(datasetPath, options.batch);
-      } else if (datasetPath.endsWith(".json")) {
-        await importFromJson(datasetPath, options.batch);
+      // Process a single file
+      else if (getDatasetType(datasetPath)) {
+        await importFile(datasetPath);
       } else {
         console.error(
-          "Unsupported file format. Please provide a CSV or JSON file."
+          "Unsupported file format. Please provide a CSV, JSON, JSON Lines, BibTeX or RIS file."
         );
         process.exit(1);
       }
     }
 
+    const totalTime = (Date.now() - startTime) / 1000;
+    const embeddingRate = embedded / Math.max(embeddingTime / 1000, 0.001);
+
     console.log(`
 ====================================================
-                 IMPORT COMPLETED
+${
+  options.dryRun
+    ? "           DRY RUN (nothing was written)"
+    : stopRequested
+      ? "                  IMPORT STOPPED"
+      : "                 IMPORT COMPLETED"
+}
 ====================================================
 Total processed: ${processed}
-Successfully imported: ${imported}
-Failed: ${failed}
-Total time: ${((Date.now() - startTime) / 1000).toFixed(1)}s
+New papers: ${inserted}
+Updated papers: ${updated}
+Unchanged papers: ${unchanged}
+Re-indexed from stored embeddings: ${reindexed}
+Duplicates within the dataset: ${duplicates}
+Invalid records: ${invalid}
+Failed: ${failed}${
+      failed > 0 && !options.dryRun
+        ? ` (logged to ${FAILED_LOG_PATH}; retry with --retry-failed)`
+        : ""
+    }
+Total time: ${totalTime.toFixed(1)}s
+Throughput: ${(processed / totalTime).toFixed(2)} papers/second
+Embedding throughput: ${embeddingRate.toFixed(2)} papers/second
 ====================================================
 `);
 
+    if (!options.dryRun) {
+      // Updated papers leave their old vectors in the index as tombstones
+      const removed = await compactVectorDB(INDEX_COMPACT_RATIO);
+      if (removed > 0) {
+        console.log(
+          `Removed ${removed} replaced vectors from the vector index`
+        );
+      }
+
+      // Persist the similarity search index before exiting
+      await saveIndex();
+      console.log("Saved vector index");
+    }
+    if (stopRequested) {
+      console.log("Import interrupted; run it again to resume");
+    }
+
     await mongoose.disconnect();
     console.log("Disconnected from MongoDB");
   } catch (error) {
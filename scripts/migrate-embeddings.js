@@ -0,0 +1,398 @@
+#!/usr/bin/env node
+
+/**
+ * Script to re-embed stored ideas and papers after the embedding service
+ * switches to a different model (BERT_MODEL_NAME)
+ *
+ * Ideas embedded with another model are re-embedded in batches and their rooms
+ * re-scored. The paper index is rebuilt next to the current one and replaces
+ * it once complete, reusing the embeddings stored with papers that already
+ * have the new model's. Progress is saved to a checkpoint file, so running the
+ * script again after an interruption continues where it stopped.
+ */
+require("dotenv").config();
+const fs = require("fs");
+const path = require("path");
+const mongoose = require("mongoose");
+const axios = require("axios");
+const { program } = require("commander");
+const Idea = require("../app/models/Idea");
+const Paper = require("../app/models/Paper");
+const { HNSWIndex } = require("../app/utils/hnswIndex");
+const { getEmbeddings } = require("../app/utils/uniquenessChecker");
+const { generatePaperEmbeddingsBatch } = require("../app/utils/paperExtractor");
+const { rescoreRoomIdeas } = require("../app/utils/similarityGraph");
+const {
+  createPaperIndex,
+  addToIndex,
+  replacePaperIndex,
+  getPaperIndexModel,
+  VECTOR_INDEX_PATH,
+} = require("../app/utils/vectorDatabase");
+const {
+  getEmbeddingModel,
+  isSameModel,
+  describeModel,
+} = require("../app/utils/embeddingModel");
+const { getCorpusPaperQuery } = require("../app/utils/paperIdentity");
+
+// Parse a numeric option (commander passes the default as a second argument,
+// which parseInt would take as the radix)
+const toInt = (value) => parseInt(value, 10);
+
+//cli
+program
+  .version("1.0.0")
+  .description(
+    "Re-embed stored ideas and papers with the embedding service's current model"
+  )
+  .option(
+    "-t, --target <target>",
+    "What to migrate: ideas, papers or all",
+    "all"
+  )
+  .option(
+    "-b, --batch <number>",
+    "Ideas or papers embedded per batch",
+    toInt,
+    32
+  )
+  .option(
+    "-c, --checkpoint <path>",
+    "File recording the migration progress",
+    "./data/embedding-migration.json"
+  )
+  .option("--restart", "Ignore saved progress and start over")
+  .parse(process.argv);
+
+const options = program.opts();
+
+// MongoDB connection string from environment or default
+const MONGODB_URI =
+  process.env.MONGODB_URI || "mongodb://localhost:27017/sciento";
+
+// Health endpoint of the embedding service, which reports its model
+const EMBEDDING_HEALTH_URL = (
+  process.env.EMBEDDING_SERVICE_URL || "http://localhost:5000/api/embeddings"
+).replace(/\/embeddings$/, "/health");
+
+// Papers added to the new index between checkpoints
+const PAPER_CHECKPOINT_INTERVAL = 1000;
+
+const CHECKPOINT_PATH = path.resolve(options.checkpoint);
+// Paper index being rebuilt, kept until it replaces the current one
+const MIGRATING_INDEX_PATH = `${VECTOR_INDEX_PATH}.migrating`;
+
+/**
+ * Get the model the embedding service currently uses
+ * @returns {Promise<Object>} - { name, dimension }
+ */
+async function getServiceModel() {
+  const response = await axios.get(EMBEDDING_HEALTH_URL);
+  const { model, dimension } = response.data;
+  if (!model || !dimension) {
+    throw new Error(
+      "The embedding service does not report its model dimension; update it before migrating"
+    );
+  }
+  return { name: model, dimension };
+}
+
+/**
+ * Load the saved progress of a migration to the given model
+ * @param {Object} model - Model being migrated to
+ * @returns {Object} - { model, rooms, papers } where rooms lists rooms still
+ *   to re-score and papers holds the paper index progress
+ */
+function loadCheckpoint(model) {
+  const fresh = { model, rooms: [], papers: null };
+  if (options.restart || !fs.existsSync(CHECKPOINT_PATH)) return fresh;
+
+  const checkpoint = JSON.parse(fs.readFileSync(CHECKPOINT_PATH, "utf8"));
+  // Progress towards another model is of no use
+  if (!isSameModel(checkpoint.model, model)) return fresh;
+
+  console.log(`Resuming migration from ${CHECKPOINT_PATH}`);
+  return checkpoint;
+}
+
+/**
+ * Save migration progress, replacing the file atomically
+ * @param {Object} checkpoint - Progress to save
+ */
+function saveCheckpoint(checkpoint) {
+  fs.mkdirSync(path.dirname(CHECKPOINT_PATH), { recursive: true });
+  const tmpPath = `${CHECKPOINT_PATH}.tmp`;
+  fs.writeFileSync(tmpPath, JSON.stringify(checkpoint, null, 2));
+  fs.renameSync(tmpPath, CHECKPOINT_PATH);
+}
+
+/**
+ * Fail if embeddings were not produced by the model being migrated to, which
+ * happens when the service is switched again during the migration
+ * @param {Object} embeddings - Field embeddings
+ * @param {Object} model - Model being migrated to
+ */
+function assertModel(embeddings, model) {
+  const embeddingModel = getEmbeddingModel(embeddings);
+  if (embeddingModel && !isSameModel(embeddingModel, model)) {
+    throw new Error(
+      `The embedding service now uses ${describeModel(
+        embeddingModel
+      )} instead of ${describeModel(model)}; run the migration again`
+    );
+  }
+}
+
+/**
+ * Re-embed every idea embedded with another model, then re-score their rooms
+ * @param {Object} model - Model being migrated to
+ * @param {Object} checkpoint - Migration progress
+ * @returns {Promise<Object>} - Stats about the idea migration
+ */
+async function migrateIdeas(model, checkpoint) {
+  // Degraded ideas get new embeddings from the degraded idea job
+  const query = {
+    isDegraded: { $ne: true },
+    "embeddings.problemStatement.0": { $exists: true },
+    $or: [
+      { "embeddings.model": { $ne: model.name } },
+      { "embeddings.dimension": { $ne: model.dimension } },
+    ],
+  };
+
+  const total = await Idea.countDocuments(query);
+  console.log(`Ideas to re-embed: ${total}`);
+
+  const rooms = new Set(checkpoint.rooms);
+  let migrated = 0;
+  let skipped = 0;
+  let lastId = null;
+
+  while (true) {
+    const ideas = await Idea.find(
+      lastId ? { ...query, _id: { $gt: lastId } } : query
+    )
+      .select(
+        "roomId version title description domain problemStatement proposedSolution"
+      )
+      .sort({ _id: 1 })
+      .limit(options.batch);
+    if (ideas.length === 0) break;
+
+    // Remember which rooms need re-scoring before changing any idea
+    ideas.forEach((idea) => rooms.add(idea.roomId.toString()));
+    checkpoint.rooms = [...rooms];
+    saveCheckpoint(checkpoint);
+
+    const results = await Promise.all(
+      ideas.map(async (idea) => {
+        const embeddings = await getEmbeddings(idea);
+        assertModel(embeddings, model);
+
+        // An edit in the meantime has re-embedded the idea already
+        const result = await Idea.updateOne(
+          { _id: idea._id, version: idea.version },
+          { $set: { embeddings } }
+        );
+        return result.modifiedCount > 0;
+      })
+    );
+
+    migrated += results.filter(Boolean).length;
+    skipped += results.filter((r) => !r).length;
+    lastId = ideas[ideas.length - 1]._id;
+    console.log(`Re-embedded ${migrated + skipped} of ${total} ideas`);
+  }
+
+  // Re-score the affected rooms with the new embeddings
+  const roomCount = rooms.size;
+  let rescored = 0;
+  for (const roomId of [...rooms]) {
+    rescored += await rescoreRoomIdeas(roomId);
+    rooms.delete(roomId);
+    checkpoint.rooms = [...rooms];
+    saveCheckpoint(checkpoint);
+  }
+  console.log(`Re-scored ${rescored} ideas in ${roomCount} rooms`);
+
+  return { migrated, skipped, rescored };
+}
+
+/**
+ * Rebuild the paper index with embeddings from the current model
+ * @param {Object} model - Model being migrated to
+ * @param {Object} checkpoint - Migration progress
+ * @returns {Promise<Object>} - Stats about the paper migration
+ */
+async function migratePapers(model, checkpoint) {
+  const indexModel = await getPaperIndexModel();
+  if (!checkpoint.papers && (!indexModel || isSameModel(indexModel, model))) {
+    console.log("Paper index is already up to date");
+    return { indexed: 0, skipped: 0, reused: 0 };
+  }
+
+  // Only imported papers are in the index
+  const query = {
+    ...getCorpusPaperQuery(),
+    $or: [
+      { abstract: { $nin: [null, ""] } },
+      { conclusion: { $nin: [null, ""] } },
+    ],
+  };
+  const total = await Paper.countDocuments(query);
+
+  let index;
+  let lastId = null;
+  if (checkpoint.papers && fs.existsSync(MIGRATING_INDEX_PATH)) {
+    index = await HNSWIndex.load(MIGRATING_INDEX_PATH);
+    lastId = new mongoose.Types.ObjectId(checkpoint.papers.lastId);
+    console.log(`Resuming paper migration after ${index.size} papers`);
+  } else {
+    index = createPaperIndex();
+  }
+  console.log(
+    `Papers to re-embed: ${total} (index currently holds ${describeModel(
+      indexModel
+    )})`
+  );
+
+  let skipped = 0;
+  let reused = 0;
+  let sinceCheckpoint = 0;
+  while (true) {
+    const papers = await Paper.find(
+      lastId ? { ...query, _id: { $gt: lastId } } : query
+    )
+      .select("abstract conclusion embeddings")
+      .sort({ _id: 1 })
+      .limit(options.batch)
+      .lean();
+    if (papers.length === 0) break;
+
+    // Embeddings stored with the paper can be used as they are if they
+    // already come from the new model
+    const stale = papers.filter(
+      (paper) => !isSameModel(getEmbeddingModel(paper.embeddings), model)
+    );
+    if (stale.length > 0) {
+      const embeddings = await generatePaperEmbeddingsBatch(stale);
+      stale.forEach((paper, i) => {
+        assertModel(embeddings[i], model);
+        paper.embeddings = embeddings[i];
+      });
+      await Paper.bulkWrite(
+        stale.map((paper) => ({
+          updateOne: {
+            filter: { _id: paper._id },
+            update: { $set: { embeddings: paper.embeddings } },
+          },
+        }))
+      );
+    }
+    reused += papers.length - stale.length;
+
+    papers.forEach((paper) => {
+      if (!addToIndex(index, paper._id, paper.embeddings)) skipped++;
+    });
+
+    lastId = papers[papers.length - 1]._id;
+    sinceCheckpoint += papers.length;
+    if (sinceCheckpoint >= PAPER_CHECKPOINT_INTERVAL) {
+      await index.save(MIGRATING_INDEX_PATH);
+      checkpoint.papers = { lastId: String(lastId) };
+      saveCheckpoint(checkpoint);
+      sinceCheckpoint = 0;
+    }
+    console.log(`Re-embedded ${index.size + skipped} of ${total} papers`);
+  }
+
+  // Swap in the rebuilt index
+  await replacePaperIndex(index);
+  fs.rmSync(MIGRATING_INDEX_PATH, { force: true });
+  checkpoint.papers = null;
+  saveCheckpoint(checkpoint);
+
+  return { indexed: index.size, skipped, reused };
+}
+
+/**
+ * Main function to run the migration
+ */
+async function main() {
+  try {
+    if (!["ideas", "papers", "all"].includes(options.target)) {
+      console.error("Target must be ideas, papers or all");
+      process.exit(1);
+    }
+
+    const model = await getServiceModel();
+
+    console.log(`
+====================================================
+             EMBEDDING MODEL MIGRATION
+====================================================
+Model: ${describeModel(model)}
+Target: ${options.target}
+Batch size: ${options.batch}
+Checkpoint: ${CHECKPOINT_PATH}
+====================================================
+`);
+
+    // Connect to MongoDB
+    await mongoose.connect(MONGODB_URI);
+    console.log("Connected to MongoDB");
+
+    const checkpoint = loadCheckpoint(model);
+    saveCheckpoint(checkpoint);
+    const startTime = Date.now();
+
+    const ideaStats =
+      options.target === "papers"
+        ? null
+        : await migrateIdeas(model, checkpoint);
+    const paperStats =
+      options.target === "ideas"
+        ? null
+        : await migratePapers(model, checkpoint);
+
+    // Nothing left to resume
+    if (!checkpoint.papers && checkpoint.rooms.length === 0) {
+      fs.rmSync(CHECKPOINT_PATH, { force: true });
+    }
+
+    const summary = [];
+    if (ideaStats) {
+      summary.push(
+        `Ideas re-embedded: ${ideaStats.migrated} (skipped: ${ideaStats.skipped})`,
+        `Ideas re-scored: ${ideaStats.rescored}`
+      );
+    }
+    if (paperStats) {
+      summary.push(
+        `Papers indexed: ${paperStats.indexed} (skipped: ${paperStats.skipped})`,
+        `Stored paper embeddings reused: ${paperStats.reused}`
+      );
+    }
+
+    console.log(`
+====================================================
+                MIGRATION COMPLETED
+====================================================
+${summary.join("\n")}
+Total time: ${((Date.now() - startTime) / 1000).toFixed(1)}s
+====================================================
+Restart the server so it loads the new embeddings.
+`);
+
+    await mongoose.disconnect();
+    console.log("Disconnected from MongoDB");
+  } catch (error) {
+    console.error(`Error in migration: ${error.message}`);
+    console.error("Run the script again to resume from the last checkpoint.");
+    process.exit(1);
+  }
+}
+
+// Start the migration
+main().catch(console.error);
@@ -8,33 +8,94 @@ dotenv.config();
 // Import database connection
 const dbConnect = require("./app/utils/dbConnect");
 
+// Import vector database (loads the local similarity index)
+const {
+  getIndexedPaperCount,
+  watchIndexFile,
+} = require("./app/utils/vectorDatabase");
+
+// Import job queue
+const { registerJobHandler, startJobWorker } = require("./app/utils/jobQueue");
+
 // Import middleware
 const { uploadPDF } = require("./app/middleware/upload");
+const { authenticate, requireAuth } = require("./app/middleware/auth");
 const errorHandler = require("./app/middleware/errorHandler");
 
 // Import controllers
-const { analyzePaper } = require("./app/controllers/analyzeController");
-const { detectAI } = require("./app/controllers/aiDetectionController");
+const {
+  register,
+  login,
+  getCurrentUser,
+} = require("./app/controllers/authController");
+const { generatePaper } = require("./app/controllers/paperController");
+const {
+  analyzePaper,
+  runAnalyzePaperJob,
+  ANALYZE_PAPER_JOB,
+} = require("./app/controllers/analyzeController");
+const {
+  detectAI,
+  runDetectAIJob,
+  DETECT_AI_JOB,
+} = require("./app/controllers/aiDetectionController");
 const {
   createRoom,
   getRoom,
   getRooms,
+  joinRoom,
+  leaveRoom,
+  updateMemberRole,
+  removeMember,
+  updateScoringSettings,
 } = require("./app/controllers/roomController");
 const {
   submitIdea,
   getRoomIdeas,
   getSimilarIdeas,
+  voteOnIdea,
+  getRoomLeaderboard,
+  updateIdea,
+  deleteIdea,
+  getIdeaVersions,
+  recomputeRoomSimilarity,
+  getIdeaOriginality,
 } = require("./app/controllers/ideaController");
+const { getIdeaPriorArt } = require("./app/controllers/priorArtController");
+const { search } = require("./app/controllers/searchController");
+const {
+  generateDraftPaper,
+  getDraftPaper,
+} = require("./app/controllers/draftPaperController");
 const {
   checkPaperUniqueness,
+  submitPaperRevision,
+  runCheckUniquenessJob,
+  getPapers,
   getPaper,
+  getPaperRevisions,
+  CHECK_UNIQUENESS_JOB,
 } = require("./app/controllers/paperUniquenessController");
 const {
   structurePaper,
+  runStructurePaperJob,
+  STRUCTURE_PAPER_JOB,
 } = require("./app/controllers/paperStructureController");
 const {
   checkPaperStructure,
+  runCheckStructureJob,
+  CHECK_STRUCTURE_JOB,
 } = require("./app/controllers/structureCheckController");
+const { getJob, getJobResult } = require("./app/controllers/jobController");
+const {
+  RESCORE_DEGRADED_JOB,
+  runRescoreDegradedJob,
+  startDegradedRescoreTimer,
+} = require("./app/utils/degradedIdeas");
+const {
+  RESCORE_ROOM_JOB,
+  runRescoreRoomJob,
+} = require("./app/utils/similarityGraph");
 
 // Initialize Express app
 const app = express();
@@ -43,49 +104,144 @@ const PORT = process.env.PORT || 3000;
 // Connect to MongoDB
 dbConnect().catch((err) => console.error("Failed to connect to MongoDB:", err));
 
+// Register background job handlers and start the worker
+registerJobHandler(ANALYZE_PAPER_JOB, runAnalyzePaperJob);
+registerJobHandler(DETECT_AI_JOB, runDetectAIJob);
+registerJobHandler(CHECK_UNIQUENESS_JOB, runCheckUniquenessJob);
+registerJobHandler(STRUCTURE_PAPER_JOB, runStructurePaperJob);
+registerJobHandler(CHECK_STRUCTURE_JOB, runCheckStructureJob);
+registerJobHandler(RESCORE_DEGRADED_JOB, runRescoreDegradedJob);
+registerJobHandler(RESCORE_ROOM_JOB, runRescoreRoomJob);
+startJobWorker().catch((err) =>
+  console.error("Failed to start job worker:", err)
+);
+
+// Re-score ideas scored while the embedding service was down
+startDegradedRescoreTimer();
+
 // Middleware
 app.use(cors());
 app.use(express.json());
 app.use(express.urlencoded({ extended: true }));
+app.use(authenticate); // Attaches req.user when a bearer token is sent
+
+// Auth routes
+app.post("/auth/register", register);
+app.post("/auth/login", login);
+app.get("/auth/me", requireAuth, getCurrentUser);
 
-// Paper analysis routes
+// Paper generation route (optional context PDF)
+app.post("/generate-paper", uploadPDF, generatePaper);
+
+// Paper analysis routes (queued as background jobs)
 app.post("/analyze-paper", uploadPDF, analyzePaper);
 app.post("/detect-ai", uploadPDF, detectAI);
 
 // Room routes
-app.post("/rooms", createRoom);
+app.post("/rooms", requireAuth, createRoom);
+app.post("/rooms/join", requireAuth, joinRoom);
 app.get("/rooms/:identifier", getRoom);
 app.get("/rooms", getRooms);
 
+// Room membership routes
+app.post("/rooms/:roomId/leave", requireAuth, leaveRoom);
+app.patch("/rooms/:roomId/members/:userId", requireAuth, updateMemberRole);
+app.delete("/rooms/:roomId/members/:userId", requireAuth, removeMember);
+
+// Room scoring settings
+app.patch("/rooms/:roomId/scoring", requireAuth, updateScoringSettings);
+
 // Idea routes
-app.post("/ideas", submitIdea);
+app.post("/ideas", requireAuth, submitIdea);
 app.get("/rooms/:roomId/ideas", getRoomIdeas);
+app.patch("/ideas/:ideaId", requireAuth, updateIdea);
+app.delete("/ideas/:ideaId", requireAuth, deleteIdea);
+app.get("/ideas/:ideaId/versions", getIdeaVersions);
 app.get("/ideas/:ideaId/similar", getSimilarIdeas);
+app.get("/ideas/:ideaId/originality", getIdeaOriginality);
+app.get("/ideas/:ideaId/prior-art", getIdeaPriorArt);
+app.post("/ideas/:ideaId/vote", requireAuth, voteOnIdea);
+app.get("/rooms/:roomId/leaderboard", getRoomLeaderboard);
+app.post(
+  "/rooms/:roomId/similarity/recompute",
+  requireAuth,
+  recomputeRoomSimilarity
+);
+
+// Draft paper routes - generate a paper from an idea
+app.post("/ideas/:ideaId/draft-paper", requireAuth, generateDraftPaper);
+app.get("/ideas/:ideaId/draft-paper", getDraftPaper);
 
-// Paper uniqueness routes - simplified to use Gemini
-app.post("/papers/check-uniqueness", uploadPDF, checkPaperUniqueness);
+// Paper uniqueness routes - embedding search over the imported corpus
+app.post(
+  "/papers/check-uniqueness",
+  requireAuth,
+  uploadPDF,
+  checkPaperUniqueness
+);
+app.get("/papers", getPapers);
 app.get("/papers/:paperId", getPaper);
+app.post(
+  "/papers/:paperId/revisions",
+  requireAuth,
+  uploadPDF,
+  submitPaperRevision
+);
+app.get("/papers/:paperId/revisions", getPaperRevisions);
 
-// Paper structuring route (File upload)
+// Hybrid keyword and semantic paper search
+app.get("/search", search);
+
+// Paper structuring route (File upload, queued as a background job)
 app.post("/papers/structure", uploadPDF, structurePaper);
 
-// Paper structure check route
+// Paper structure check route (queued as a background job)
 app.post("/papers/check-structure", uploadPDF, checkPaperStructure);
 
+// Background job routes - poll for status, progress and results
+app.get("/jobs/:jobId", getJob);
+app.get("/jobs/:jobId/result", getJobResult);
+
 // Welcome route
 app.get("/", (req, res) => {
   res.json({
     message: "Research Paper Analysis API",
+    authentication:
+      "Send the token from /auth/register or /auth/login as 'Authorization: Bearer <token>'. Endpoints marked auth: true require it.",
     endpoints: [
+      {
+        path: "/auth/register",
+        method: "POST",
+        description: "Create a user account and get a session token",
+        body: "name, email, password fields",
+      },
+      {
+        path: "/auth/login",
+        method: "POST",
+        description: "Log in and get a session token",
+        body: "email, password fields",
+      },
+      {
+        path: "/auth/me",
+        method: "GET",
+        description: "Get the signed-in user",
+        auth: true,
+      },
       {
         path: "/generate-paper",
         method: "POST",
-        description: "Generate a research paper in PDF format",
+        description: "Generate a research paper as JSON (Cloudinary URL), PDF or HTML",
+        body: "title, authors, domain, problemStatement, proposedSolution, objectives, methodology, outcomes, format fields, with an optional PDF upload for context",
+        queryParams: {
+          output:
+            "json, pdf or html (default: negotiated from the Accept header, falling back to json)",
+        },
       },
       {
         path: "/analyze-paper",
         method: "POST",
-        description: "Analyze a research paper PDF",
+        description:
+          "Queue analysis of a research paper PDF (returns a job ID)",
         queryParams: {
           synopsis:
             "Level of detail: brief, moderate, or detailed (default: moderate)",
@@ -94,25 +250,69 @@ app.get("/", (req, res) => {
       {
         path: "/detect-ai",
         method: "POST",
-        description: "Detect if text is AI-generated",
+        description: "Queue detection of AI-generated text (returns a job ID)",
         body: "Either text field in JSON or a PDF file upload",
       },
       {
         path: "/rooms",
         method: "POST",
         description: "Create a new room for idea collection",
-        body: "name, description, topic, createdBy fields",
+        body: "name, description, topic fields",
+        auth: true,
+      },
+      {
+        path: "/rooms",
+        method: "GET",
+        description:
+          "List active public rooms, plus private rooms the signed-in user belongs to",
+      },
+      {
+        path: "/rooms/join",
+        method: "POST",
+        description: "Join a room as a member using its access code",
+        body: "accessCode field",
+        auth: true,
       },
       {
         path: "/rooms/:identifier",
         method: "GET",
-        description: "Get a room by ID or access code",
+        description:
+          "Get a room by ID or access code, with its members and ideas (private rooms: members only)",
+      },
+      {
+        path: "/rooms/:roomId/leave",
+        method: "POST",
+        description: "Leave a room (not available to the owner)",
+        auth: true,
+      },
+      {
+        path: "/rooms/:roomId/members/:userId",
+        method: "PATCH",
+        description: "Change a member's role (owner only)",
+        body: "role field: moderator or member",
+        auth: true,
+      },
+      {
+        path: "/rooms/:roomId/members/:userId",
+        method: "DELETE",
+        description:
+          "Remove a member (owner, or moderator removing a regular member)",
+        auth: true,
+      },
+      {
+        path: "/rooms/:roomId/scoring",
+        method: "PATCH",
+        description:
+          "Change the room's uniqueness scoring and queue re-scoring its ideas (owner only, returns a job ID)",
+        body: "Optional fieldWeights, similarityThreshold, highlightThreshold, uniquenessExponent, exactMatchPolicy and nearDuplicatePolicy (reject or flag), nearDuplicateThreshold; null resets a setting",
+        auth: true,
       },
       {
         path: "/ideas",
         method: "POST",
         description: "Submit a new idea and check its uniqueness using BERT",
-        body: "title, description, domain, problemStatement, proposedSolution, authorName, roomId fields",
+        body: "title, description, domain, problemStatement, proposedSolution, roomId fields, optional originalityScope (room, related or global)",
+        auth: true,
       },
       {
         path: "/rooms/:roomId/ideas",
@@ -125,17 +325,147 @@ app.get("/", (req, res) => {
         description: "Get ideas similar to a specific idea",
       },
       {
-        path: "/papers/check-uniqueness",
+        path: "/ideas/:ideaId/originality",
+        method: "GET",
+        description:
+          "Compare an idea with ideas in related rooms (same topic or tags) or all rooms you can see",
+        query: "scope: related (default) or global",
+      },
+      {
+        path: "/ideas/:ideaId/prior-art",
+        method: "GET",
+        description:
+          "Check an idea against the imported paper corpus and get a novelty verdict",
+        query: "limit: number of papers to return (default 5, max 20)",
+      },
+      {
+        path: "/ideas/:ideaId",
+        method: "PATCH",
+        description:
+          "Edit an idea (author only); re-checks uniqueness and keeps the previous version",
+        body: "Any of title, description, domain, problemStatement, proposedSolution",
+        auth: true,
+      },
+      {
+        path: "/ideas/:ideaId",
+        method: "DELETE",
+        description:
+          "Delete an idea (author, room owner or moderator); its history is kept",
+        auth: true,
+      },
+      {
+        path: "/ideas/:ideaId/versions",
+        method: "GET",
+        description: "Get the version history of an idea",
+      },
+      {
+        path: "/ideas/:ideaId/vote",
+        method: "POST",
+        description:
+          "Vote an idea up or down (one vote per member, repeat to withdraw)",
+        body: 'voteType: "up", "down" or "none"',
+        auth: true,
+      },
+      {
+        path: "/rooms/:roomId/leaderboard",
+        method: "GET",
+        description: "Get the ideas in a room ranked by votes and uniqueness",
+      },
+      {
+        path: "/rooms/:roomId/similarity/recompute",
+        method: "POST",
+        description:
+          "Queue recomputing uniqueness and similarity links for every idea in a room (owners and moderators, returns a job ID)",
+        auth: true,
+      },
+      {
+        path: "/ideas/:ideaId/draft-paper",
         method: "POST",
         description:
-          "Check uniqueness of a scientific paper against 800K papers",
+          "Generate (or regenerate) a draft research paper from an idea",
+        body: "Optional format, authors, objectives, methodology, outcomes, references fields",
+        auth: true,
+      },
+      {
+        path: "/ideas/:ideaId/draft-paper",
+        method: "GET",
+        description: "Get the stored draft paper for an idea",
+        queryParams: {
+          output: "json, pdf or html (default: negotiated from the Accept header)",
+        },
+      },
+      {
+        path: "/papers/check-uniqueness",
+        method: "POST",
+        description: `Queue a uniqueness check of a scientific paper (returns a job ID) against ${getIndexedPaperCount().toLocaleString()} papers in the imported corpus`,
         body: "PDF file upload with optional title, authors, doi, journal, year metadata",
+        auth: true,
+      },
+      {
+        path: "/papers",
+        method: "GET",
+        description:
+          "List corpus papers and your uploaded papers, with full-text search and filters",
+        query:
+          "q, yearFrom, yearTo, journal, author, keyword, minUniqueness, maxUniqueness, source (corpus or upload), sort (relevance, newest, oldest, year, uniqueness, citations), limit (default 20, max 100), cursor (nextCursor of the previous page)",
+      },
+      {
+        path: "/search",
+        method: "GET",
+        description:
+          "Search papers by keywords and meaning, with highlighted snippets",
+        query:
+          "q (required), limit (default 10, max 50), and the filters of GET /papers",
       },
       {
         path: "/papers/:paperId",
         method: "GET",
         description: "Get a single paper with its similarity details",
       },
+      {
+        path: "/papers/:paperId/revisions",
+        method: "POST",
+        description:
+          "Queue a uniqueness check of a new revision of one of your uploaded papers (returns a job ID)",
+        body: "PDF file upload with optional title, authors, doi, journal, year metadata (left out keeps the current values)",
+        auth: true,
+      },
+      {
+        path: "/papers/:paperId/revisions",
+        method: "GET",
+        description:
+          "Get the revision history of a paper, with how its uniqueness and matches changed between revisions",
+      },
+      {
+        path: "/papers/structure",
+        method: "POST",
+        description:
+          "Queue restructuring of a paper PDF into a citation format (returns a job ID)",
+        body: "PDF file upload with format and optional title, authors, abstract, keywords fields",
+      },
+      {
+        path: "/papers/check-structure",
+        method: "POST",
+        description:
+          "Queue a format compliance check of a paper PDF (returns a job ID)",
+        body: "PDF file upload with format field",
+      },
+      {
+        path: "/jobs/:jobId",
+        method: "GET",
+        description:
+          "Get the status, progress and result of a background job",
+        query:
+          "token: access token of a job submitted without signing in (or send it as the X-Job-Token header)",
+      },
+      {
+        path: "/jobs/:jobId/result",
+        method: "GET",
+        description:
+          "Download the file produced by a completed job (e.g. a structured paper PDF)",
+        query:
+          "token: access token of a job submitted without signing in (or send it as the X-Job-Token header)",
+      },
     ],
   });
 });
@@ -146,4 +476,7 @@ app.use(errorHandler);
 // Start server
 app.listen(PORT, () => {
   console.log(`Server running on port ${PORT}`);
+
+  // Pick up papers imported by scripts while the server is running
+  watchIndexFile();
 });
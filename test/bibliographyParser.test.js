@@ -0,0 +1,106 @@
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+const {
+  cleanLatex,
+  parseBibtexEntry,
+  parseBibtexAuthors,
+  parseRisLine,
+} = require("../app/utils/bibliographyParser");
+
+describe("cleanLatex", () => {
+  it("returns an empty string for missing values", () => {
+    assert.equal(cleanLatex(undefined), "");
+    assert.equal(cleanLatex(""), "");
+  });
+
+  it("converts the accent forms to accented letters", () => {
+    assert.equal(cleanLatex('Schr{\\"o}dinger'), "Schrödinger");
+    assert.equal(cleanLatex("Caf\\'e and caf\\'{e}"), "Café and café");
+    assert.equal(cleanLatex("Fran\\c{c}ois"), "François");
+    assert.equal(cleanLatex("\\v Cech"), "Čech");
+    assert.equal(cleanLatex('na\\"{\\i}ve'), "naïve");
+  });
+
+  it("converts letter commands", () => {
+    assert.equal(cleanLatex("Stra{\\ss}e"), "Straße");
+    assert.equal(cleanLatex("{\\O}rsted and {\\aa}"), "Ørsted and å");
+  });
+
+  it("unescapes special characters and converts dashes and ties", () => {
+    assert.equal(cleanLatex("R\\&D at 50\\%"), "R&D at 50%");
+    assert.equal(cleanLatex("pages 1--10 --- roughly"), "pages 1–10 — roughly");
+    assert.equal(cleanLatex("Dr.~Smith"), "Dr. Smith");
+  });
+
+  it("keeps only the arguments of other commands and drops braces", () => {
+    assert.equal(
+      cleanLatex("An \\emph{Efficient} {GPU}   \\textbf{Method}"),
+      "An Efficient GPU Method"
+    );
+  });
+});
+
+describe("parseBibtexEntry", () => {
+  it("parses the entry type, citation key and fields", () => {
+    const entry = parseBibtexEntry(
+      '@Article{key1, Title = {A {B} C}, year = 2020, note = "x"}',
+      new Map()
+    );
+
+    assert.deepEqual(entry, {
+      entryType: "article",
+      citationKey: "key1",
+      title: "A {B} C",
+      year: "2020",
+      note: "x",
+    });
+  });
+
+  it("records @string macros and skips non-reference entries", () => {
+    const macros = new Map();
+
+    assert.equal(parseBibtexEntry('@string{ieee = "IEEE"}', macros), null);
+    assert.equal(macros.get("ieee"), "IEEE");
+    assert.equal(parseBibtexEntry("@comment{anything}", macros), null);
+    assert.equal(parseBibtexEntry('@preamble{"\\x"}', macros), null);
+  });
+
+  it("keeps the fields before a malformed one", () => {
+    const entry = parseBibtexEntry(
+      "@misc{k, title = {Kept}, broken = {unclosed}",
+      new Map()
+    );
+
+    assert.equal(entry.title, "Kept");
+    assert.equal(entry.broken, undefined);
+  });
+});
+
+describe("parseBibtexAuthors", () => {
+  it("splits names on and, writing them first name first", () => {
+    assert.deepEqual(
+      parseBibtexAuthors("Smith, John and Ann Lee and D{\\'\\i}az, Jos{\\'e}"),
+      ["John Smith", "Ann Lee", "José Díaz"]
+    );
+  });
+
+  it("keeps braced corporate names whole and drops others", () => {
+    assert.deepEqual(
+      parseBibtexAuthors(
+        "{Research and Development Group} and King, Jr., Martin and others"
+      ),
+      ["Research and Development Group", "Martin King"]
+    );
+  });
+});
+
+describe("parseRisLine", () => {
+  it("parses tagged lines and rejects continuation lines", () => {
+    assert.deepEqual(parseRisLine("AU  - Smith, John"), {
+      tag: "AU",
+      value: "Smith, John",
+    });
+    assert.deepEqual(parseRisLine("ER  -"), { tag: "ER", value: "" });
+    assert.equal(parseRisLine("continued text"), null);
+  });
+});
@@ -0,0 +1,197 @@
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+const mongoose = require("mongoose");
+const {
+  encodeCursor,
+  decodeCursor,
+  getKeysetCursor,
+  getKeysetQuery,
+} = require("../app/utils/cursorPagination");
+
+const ID = "6650f1a2b3c4d5e6f7a8b9c0";
+
+// Compare two sort values or ObjectIds the way MongoDB orders them
+function compare(a, b) {
+  if (a instanceof mongoose.Types.ObjectId) {
+    return a.toHexString().localeCompare(b.toHexString());
+  }
+  return a < b ? -1 : a > b ? 1 : 0;
+}
+
+// Check a document against the subset of query operators getKeysetQuery uses
+function matches(doc, query) {
+  return Object.entries(query).every(([key, condition]) => {
+    if (key === "$or") return condition.some((part) => matches(doc, part));
+
+    const value = doc[key] ?? null;
+    if (condition === null) return value === null;
+    if (condition instanceof mongoose.Types.ObjectId) {
+      return value !== null && compare(value, condition) === 0;
+    }
+    if (typeof condition !== "object" || condition instanceof Date) {
+      return value !== null && compare(value, condition) === 0;
+    }
+    return Object.entries(condition).every(([operator, operand]) => {
+      if (operator === "$ne") return value !== operand;
+      if (value === null) return false;
+      const order = compare(value, operand);
+      return operator === "$gt" ? order > 0 : order < 0;
+    });
+  });
+}
+
+// Sort documents as MongoDB does, missing values lowest, then by _id
+function sortDocs(docs, field, direction) {
+  return [...docs].sort((a, b) => {
+    const aValue = a[field] ?? null;
+    const bValue = b[field] ?? null;
+    let order;
+    if (aValue === null || bValue === null) {
+      order = (aValue === null ? -1 : 0) - (bValue === null ? -1 : 0);
+    } else {
+      order = compare(aValue, bValue);
+    }
+    return (order || compare(a._id, b._id)) * direction;
+  });
+}
+
+// Read every page of a sorted collection, returning the _ids in page order
+function paginate(docs, field, direction, pageSize) {
+  const seen = [];
+  let query = {};
+  for (;;) {
+    const page = sortDocs(
+      docs.filter((doc) => matches(doc, query)),
+      field,
+      direction
+    ).slice(0, pageSize);
+    if (page.length === 0) return seen;
+
+    seen.push(...page.map((doc) => String(doc._id)));
+    const cursor = getKeysetCursor(page[page.length - 1], field);
+    query = getKeysetQuery(cursor, field, direction);
+  }
+}
+
+describe("encodeCursor and decodeCursor", () => {
+  it("round-trip cursor data", () => {
+    const data = { value: 42, id: ID };
+    assert.deepEqual(decodeCursor(encodeCursor(data)), data);
+  });
+
+  it("return null for malformed cursors", () => {
+    assert.equal(decodeCursor("not a cursor"), null);
+    assert.equal(decodeCursor(encodeCursor(7)), null);
+    assert.equal(decodeCursor(encodeCursor(null)), null);
+  });
+});
+
+describe("getKeysetQuery", () => {
+  const id = new mongoose.Types.ObjectId(ID);
+
+  it("returns null for malformed cursors and invalid IDs", () => {
+    assert.equal(getKeysetQuery("garbage", "year", 1), null);
+    assert.equal(
+      getKeysetQuery(encodeCursor({ value: 1, id: "nope" }), "year", 1),
+      null
+    );
+  });
+
+  it("rejects cursors whose value could add query operators", () => {
+    const crafted = [
+      { $where: "sleep(1000)" },
+      { $regex: ".*" },
+      { $gt: "" },
+      { date: "2024-05-24", $ne: null },
+      ["2020"],
+      true,
+    ];
+
+    for (const value of crafted) {
+      assert.equal(
+        getKeysetQuery(encodeCursor({ value, id: ID }), "year", -1),
+        null,
+        JSON.stringify(value)
+      );
+    }
+  });
+
+  it("rejects cursors with an invalid date or ID", () => {
+    assert.equal(
+      getKeysetQuery(
+        encodeCursor({ value: { date: "not a date" }, id: ID }),
+        "createdAt",
+        1
+      ),
+      null
+    );
+    assert.equal(
+      getKeysetQuery(encodeCursor({ value: 1, id: { $gt: "" } }), "year", 1),
+      null
+    );
+  });
+
+  it("continues after the value and _id when ascending", () => {
+    const cursor = getKeysetCursor({ _id: id, year: 2020 }, "year");
+
+    assert.deepEqual(getKeysetQuery(cursor, "year", 1), {
+      $or: [{ year: { $gt: 2020 } }, { year: 2020, _id: { $gt: id } }],
+    });
+  });
+
+  it("includes documents missing the field when descending", () => {
+    const cursor = getKeysetCursor({ _id: id, year: 2020 }, "year");
+
+    assert.deepEqual(getKeysetQuery(cursor, "year", -1), {
+      $or: [
+        { year: { $lt: 2020 } },
+        { year: 2020, _id: { $lt: id } },
+        { year: null },
+      ],
+    });
+  });
+
+  it("restores dates from the cursor", () => {
+    const createdAt = new Date("2024-05-24T10:00:00.000Z");
+    const cursor = getKeysetCursor({ _id: id, createdAt }, "createdAt");
+
+    const query = getKeysetQuery(cursor, "createdAt", 1);
+    assert.ok(query.$or[0].createdAt.$gt instanceof Date);
+    assert.equal(query.$or[0].createdAt.$gt.getTime(), createdAt.getTime());
+  });
+
+  it("stays among documents missing the field when descending from one", () => {
+    const cursor = getKeysetCursor({ _id: id }, "year");
+
+    assert.deepEqual(getKeysetQuery(cursor, "year", -1), {
+      year: null,
+      _id: { $lt: id },
+    });
+  });
+
+  it("moves on to documents with the field when ascending from a missing one", () => {
+    const cursor = getKeysetCursor({ _id: id, year: null }, "year");
+
+    assert.deepEqual(getKeysetQuery(cursor, "year", 1), {
+      $or: [{ year: null, _id: { $gt: id } }, { year: { $ne: null } }],
+    });
+  });
+
+  it("pages through every document exactly once in both directions", () => {
+    const years = [2020, null, 2018, 2020, null, 2021, 2018, null, 2020];
+    const docs = years.map((year) => ({
+      _id: new mongoose.Types.ObjectId(),
+      ...(year === null ? {} : { year }),
+    }));
+
+    for (const direction of [1, -1]) {
+      for (const pageSize of [1, 2, 4]) {
+        assert.deepEqual(
+          paginate(docs, "year", direction, pageSize),
+          sortDocs(docs, "year", direction).map((doc) => String(doc._id)),
+          `direction ${direction}, page size ${pageSize}`
+        );
+      }
+    }
+  });
+});
@@ -0,0 +1,178 @@
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+const {
+  detectDatasetFormat,
+  mapDatasetRecord,
+} = require("../app/utils/datasetFormats");
+
+describe("detectDatasetFormat", () => {
+  const samples = {
+    bibtex: { entryType: "article", citationKey: "a", title: "A" },
+    ris: { TY: ["JOUR"], TI: ["A"] },
+    crossref: { DOI: "10.1/a", "container-title": ["Journal"] },
+    openalex: { id: "https://openalex.org/W1", authorships: [] },
+    arxiv: { id: "2101.00001", categories: "cs.LG" },
+    aminer: { id: "53e9", n_citation: 3 },
+    plain: { title: "A", abstract: "B" },
+  };
+
+  for (const [format, sample] of Object.entries(samples)) {
+    it(`detects ${format} records`, () => {
+      assert.equal(detectDatasetFormat(sample), format);
+    });
+  }
+
+  it("treats a missing sample as plain", () => {
+    assert.equal(detectDatasetFormat(undefined), "plain");
+  });
+
+  it("does not take a record with only a DOI for Crossref", () => {
+    assert.equal(detectDatasetFormat({ DOI: "10.1/a", title: "A" }), "plain");
+  });
+});
+
+describe("mapDatasetRecord with Crossref works", () => {
+  it("maps the fields and strips the JATS markup of the abstract", () => {
+    const paper = mapDatasetRecord(
+      {
+        DOI: "10.1000/xyz",
+        URL: "https://doi.org/10.1000/xyz",
+        title: ["Graph Learning"],
+        abstract:
+          "<jats:sec><jats:title>Abstract</jats:title><jats:p>We study <jats:italic>graphs</jats:italic>.</jats:p></jats:sec>",
+        author: [
+          { given: "Ann", family: "Lee" },
+          { name: "Research Consortium" },
+          {},
+        ],
+        issued: { "date-parts": [[2021, 5, 3]] },
+        "container-title": ["Journal of Graphs"],
+        subject: ["Computer Science"],
+        "is-referenced-by-count": 7,
+      },
+      "crossref"
+    );
+
+    assert.deepEqual(paper, {
+      title: "Graph Learning",
+      abstract: "We study graphs.",
+      authors: ["Ann Lee", "Research Consortium"],
+      year: 2021,
+      doi: "10.1000/xyz",
+      journal: "Journal of Graphs",
+      url: "https://doi.org/10.1000/xyz",
+      keywords: ["Computer Science"],
+      citations: 7,
+    });
+  });
+
+  it("falls back to the print date and empty values", () => {
+    const paper = mapDatasetRecord(
+      { DOI: "10.1/a", "published-print": { "date-parts": [[2019]] } },
+      "crossref"
+    );
+
+    assert.equal(paper.title, "");
+    assert.equal(paper.abstract, "");
+    assert.equal(paper.year, 2019);
+    assert.equal(paper.journal, null);
+    assert.equal(paper.citations, 0);
+  });
+});
+
+describe("mapDatasetRecord with OpenAlex works", () => {
+  it("maps the fields and rebuilds the abstract from its inverted index", () => {
+    const paper = mapDatasetRecord(
+      {
+        id: "https://openalex.org/W1",
+        doi: "https://doi.org/10.1/a",
+        display_name: "Attention",
+        publication_year: 2017,
+        abstract_inverted_index: { is: [1], Attention: [0], all: [2] },
+        authorships: [
+          { author: { display_name: "A. Vaswani" } },
+          { author: {} },
+        ],
+        primary_location: {
+          landing_page_url: "https://example.org/paper",
+          source: { display_name: "NeurIPS" },
+        },
+        concepts: [{ display_name: "Transformers" }],
+        cited_by_count: 100,
+      },
+      "openalex"
+    );
+
+    assert.deepEqual(paper, {
+      title: "Attention",
+      abstract: "Attention is all",
+      authors: ["A. Vaswani"],
+      year: 2017,
+      doi: "https://doi.org/10.1/a",
+      journal: "NeurIPS",
+      url: "https://example.org/paper",
+      keywords: ["Transformers"],
+      citations: 100,
+    });
+  });
+
+  it("uses the DOI as the URL without a landing page", () => {
+    const paper = mapDatasetRecord(
+      {
+        id: "https://openalex.org/W2",
+        doi: "https://doi.org/10.1/b",
+        authorships: [],
+      },
+      "openalex"
+    );
+
+    assert.equal(paper.url, "https://doi.org/10.1/b");
+    assert.equal(paper.abstract, "");
+    assert.equal(paper.journal, null);
+  });
+});
+
+describe("mapDatasetRecord with BibTeX and RIS records", () => {
+  it("maps a BibTeX entry, cleaning its LaTeX", () => {
+    const paper = mapDatasetRecord(
+      {
+        entryType: "article",
+        citationKey: "a",
+        title: "{\\'E}tude of {GPUs}",
+        author: 'M{\\"u}ller, Hans and Lee, Ann',
+        date: "2020-04-01",
+        journaltitle: "Computing \\& Society",
+        keywords: "graphs; learning",
+      },
+      "bibtex"
+    );
+
+    assert.equal(paper.title, "Étude of GPUs");
+    assert.deepEqual(paper.authors, ["Hans Müller", "Ann Lee"]);
+    assert.equal(paper.year, 2020);
+    assert.equal(paper.journal, "Computing & Society");
+    assert.deepEqual(paper.keywords, ["graphs", "learning"]);
+  });
+
+  it("maps an RIS record, preferring the first of the alternative tags", () => {
+    const paper = mapDatasetRecord(
+      {
+        TY: ["JOUR"],
+        T1: ["Primary title"],
+        AU: ["Smith, John"],
+        A1: ["Lee, Ann"],
+        Y1: ["2018///"],
+        JF: ["Full journal"],
+        JA: ["Abbrev"],
+        KW: ["graphs"],
+      },
+      "ris"
+    );
+
+    assert.equal(paper.title, "Primary title");
+    assert.deepEqual(paper.authors, ["John Smith", "Ann Lee"]);
+    assert.equal(paper.year, 2018);
+    assert.equal(paper.journal, "Full journal");
+    assert.deepEqual(paper.keywords, ["graphs"]);
+  });
+});
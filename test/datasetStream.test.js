@@ -0,0 +1,219 @@
+const { describe, it, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const zlib = require("zlib");
+const { readDatasetRecords } = require("../app/utils/datasetStream");
+
+let dir;
+
+// Write a dataset file to the temporary directory and return its path
+function writeDataset(name, content) {
+  const filePath = path.join(dir, name);
+  fs.writeFileSync(filePath, content);
+  return filePath;
+}
+
+async function readAll(filePath) {
+  const records = [];
+  for await (const record of readDatasetRecords(filePath)) {
+    records.push(record);
+  }
+  return records;
+}
+
+before(() => {
+  dir = fs.mkdtempSync(path.join(os.tmpdir(), "dataset-stream-"));
+});
+
+after(() => {
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+describe("readDatasetRecords with JSON files", () => {
+  it("reads the records of a top-level array", async () => {
+    const filePath = writeDataset(
+      "array.json",
+      '[{"title": "A"}, {"title": "B", "authors": ["X", "Y"]}]'
+    );
+
+    assert.deepEqual(await readAll(filePath), [
+      { title: "A" },
+      { title: "B", authors: ["X", "Y"] },
+    ]);
+  });
+
+  it("ignores brackets and escaped quotes inside strings", async () => {
+    const records = [
+      { title: 'Braces } and ] in "quotes"' },
+      { title: "Backslash \\", abstract: "[not an array] {or object}" },
+    ];
+    const filePath = writeDataset("strings.json", JSON.stringify(records));
+
+    assert.deepEqual(await readAll(filePath), records);
+  });
+
+  it("reads records that span several chunks", async () => {
+    const records = [
+      { title: "Long", abstract: "x".repeat(200 * 1024) },
+      { title: "Short" },
+    ];
+    const filePath = writeDataset("long.json", JSON.stringify(records));
+
+    assert.deepEqual(await readAll(filePath), records);
+  });
+
+  it("reads a sequence of objects, as JSON Lines saved as .json", async () => {
+    const filePath = writeDataset(
+      "sequence.json",
+      '{"title": "A"}\n{"title": "B"}\n'
+    );
+
+    assert.deepEqual(await readAll(filePath), [{ title: "A" }, { title: "B" }]);
+  });
+
+  it("unwraps records held in a wrapper object", async () => {
+    const papers = writeDataset(
+      "papers.json",
+      JSON.stringify({ total: 2, papers: [{ title: "A" }, { title: "B" }] })
+    );
+    const crossref = writeDataset(
+      "crossref.json",
+      JSON.stringify({ status: "ok", message: { items: [{ DOI: "10.1/a" }] } })
+    );
+
+    assert.deepEqual(await readAll(papers), [{ title: "A" }, { title: "B" }]);
+    assert.deepEqual(await readAll(crossref), [{ DOI: "10.1/a" }]);
+  });
+
+  it("reads gzipped files", async () => {
+    const filePath = writeDataset(
+      "works.json.gz",
+      zlib.gzipSync('[{"title": "Compressed"}]')
+    );
+
+    assert.deepEqual(await readAll(filePath), [{ title: "Compressed" }]);
+  });
+
+  it("rejects a file that ends inside a record", async () => {
+    const filePath = writeDataset("truncated.json", '[{"title": "A"}, {"ti');
+
+    await assert.rejects(readAll(filePath), /Unexpected end of JSON/);
+  });
+
+  it("rejects a record that is not valid JSON", async () => {
+    const filePath = writeDataset("invalid.json", '[{"title": A}]');
+
+    await assert.rejects(readAll(filePath), /Invalid JSON in record 1/);
+  });
+});
+
+describe("readDatasetRecords with JSON Lines files", () => {
+  it("skips invalid lines with a warning", async (t) => {
+    const warn = t.mock.method(console, "warn", () => {});
+    const filePath = writeDataset(
+      "lines.jsonl",
+      '{"title": "A"}\nnot json\n\n{"title": "B"}\n'
+    );
+
+    assert.deepEqual(await readAll(filePath), [{ title: "A" }, { title: "B" }]);
+    assert.equal(warn.mock.callCount(), 1);
+    assert.match(warn.mock.calls[0].arguments[0], /line 2/);
+  });
+});
+
+describe("readDatasetRecords with BibTeX files", () => {
+  it("reads entries and ignores text between them", async () => {
+    const filePath = writeDataset(
+      "library.bib",
+      `Exported from a reference manager
+
+@article{smith2020,
+  title = {Graph {Neural} Networks},
+  author = {Smith, John and Lee, Ann},
+  year = 2020
+}
+
+@comment{ignored}
+
+@inproceedings{lee2021,
+  title = "Attention",
+  booktitle = {Proceedings}
+}`
+    );
+
+    assert.deepEqual(await readAll(filePath), [
+      {
+        entryType: "article",
+        citationKey: "smith2020",
+        title: "Graph {Neural} Networks",
+        author: "Smith, John and Lee, Ann",
+        year: "2020",
+      },
+      {
+        entryType: "inproceedings",
+        citationKey: "lee2021",
+        title: "Attention",
+        booktitle: "Proceedings",
+      },
+    ]);
+  });
+
+  it("expands @string macros joined with #", async () => {
+    const filePath = writeDataset(
+      "macros.bib",
+      `@string{jml = "Journal of Machine Learning"}
+@article{a, journal = jml # { Research}, title = {A}}`
+    );
+
+    const [entry] = await readAll(filePath);
+    assert.equal(entry.journal, "Journal of Machine Learning Research");
+  });
+
+  it("reads @type(...) entries with a ) inside a quoted value", async () => {
+    const filePath = writeDataset(
+      "parens.bib",
+      `@article(paren2020,
+  title = "Smiles :) and (nested) parentheses",
+  year = {2020}
+)
+@misc{next, title = {Next}}`
+    );
+
+    const entries = await readAll(filePath);
+    assert.equal(entries.length, 2);
+    assert.equal(entries[0].title, "Smiles :) and (nested) parentheses");
+    assert.equal(entries[0].year, "2020");
+    assert.equal(entries[1].citationKey, "next");
+  });
+});
+
+describe("readDatasetRecords with RIS files", () => {
+  it("reads records with repeated tags and continuation lines", async () => {
+    const filePath = writeDataset(
+      "library.ris",
+      [
+        "\uFEFFTY  - JOUR",
+        "TI  - A long title",
+        "that continues here",
+        "AU  - Smith, John",
+        "AU  - Lee, Ann",
+        "PY  - 2020",
+        "ER  - ",
+        "TY  - BOOK",
+        "TI  - No end tag",
+      ].join("\r\n")
+    );
+
+    assert.deepEqual(await readAll(filePath), [
+      {
+        TY: ["JOUR"],
+        TI: ["A long title that continues here"],
+        AU: ["Smith, John", "Lee, Ann"],
+        PY: ["2020"],
+      },
+      { TY: ["BOOK"], TI: ["No end tag"] },
+    ]);
+  });
+});
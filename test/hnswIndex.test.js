@@ -0,0 +1,183 @@
+const { describe, it, before, after, beforeEach } = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { HNSWIndex } = require("../app/utils/hnswIndex");
+
+const DIMENSION = 16;
+const COUNT = 500;
+const K = 10;
+
+// Small seeded generator so the vectors and graph levels are the same each run
+function createRandom(seed) {
+  let state = seed;
+  return () => {
+    state = (state + 0x6d2b79f5) | 0;
+    let t = Math.imul(state ^ (state >>> 15), 1 | state);
+    t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+function randomVectors(random, count) {
+  return Array.from({ length: count }, () =>
+    Array.from({ length: DIMENSION }, () => random() * 2 - 1)
+  );
+}
+
+function cosine(a, b) {
+  let dot = 0;
+  let normA = 0;
+  let normB = 0;
+  for (let i = 0; i < a.length; i++) {
+    dot += a[i] * b[i];
+    normA += a[i] * a[i];
+    normB += b[i] * b[i];
+  }
+  return dot / Math.sqrt(normA * normB);
+}
+
+// Exact top k by comparing the query with every vector
+function bruteForce(vectors, query, k, skip = new Set()) {
+  return vectors
+    .map((vector, i) => ({ id: `p${i}`, similarity: cosine(vector, query) }))
+    .filter((match) => !skip.has(match.id))
+    .sort((a, b) => b.similarity - a.similarity)
+    .slice(0, k);
+}
+
+function buildIndex(vectors) {
+  // Start small so the index has to grow
+  const index = new HNSWIndex({ capacity: 64, metadata: { model: "test" } });
+  vectors.forEach((vector, i) => index.add(`p${i}`, vector));
+  return index;
+}
+
+describe("HNSWIndex", () => {
+  let vectors;
+  let queries;
+
+  beforeEach((t) => {
+    const random = createRandom(42);
+    t.mock.method(Math, "random", random);
+    vectors = randomVectors(random, COUNT);
+    queries = randomVectors(random, 50);
+  });
+
+  it("finds nearly all of the exact nearest neighbours", () => {
+    const index = buildIndex(vectors);
+
+    let found = 0;
+    for (const query of queries) {
+      const expected = new Set(bruteForce(vectors, query, K).map((m) => m.id));
+      found += index
+        .search(query, K)
+        .filter((match) => expected.has(match.id)).length;
+    }
+
+    const recall = found / (queries.length * K);
+    assert.ok(recall >= 0.95, `recall ${recall} is below 0.95`);
+  });
+
+  it("returns the exact cosine similarity, closest first", () => {
+    const index = buildIndex(vectors);
+
+    const results = index.search(queries[0], K);
+    assert.equal(results.length, K);
+    for (let i = 0; i < results.length; i++) {
+      const vector = vectors[Number(results[i].id.slice(1))];
+      assert.ok(
+        Math.abs(results[i].similarity - cosine(vector, queries[0])) < 1e-5
+      );
+      if (i > 0) {
+        assert.ok(results[i].similarity <= results[i - 1].similarity);
+      }
+    }
+  });
+
+  it("leaves removed and replaced vectors out of results", () => {
+    const index = buildIndex(vectors);
+    const [nearest] = bruteForce(vectors, queries[0], 1);
+
+    index.remove(nearest.id);
+    assert.equal(index.has(nearest.id), false);
+    assert.ok(
+      !index.search(queries[0], K).some((match) => match.id === nearest.id)
+    );
+
+    // Replacing a vector with the query makes it the closest match
+    index.add("p1", queries[0]);
+    const [top] = index.search(queries[0], 1);
+    assert.equal(top.id, "p1");
+    assert.ok(Math.abs(top.similarity - 1) < 1e-5);
+    assert.equal(index.size, COUNT - 1);
+  });
+
+  it("rejects vectors of another dimension", () => {
+    const index = buildIndex(vectors.slice(0, 10));
+    assert.throws(() => index.add("other", [1, 0]), /dimension/);
+    assert.throws(() => index.search([1, 0]), /dimension/);
+  });
+
+  describe("save, load and compact", () => {
+    let dir;
+
+    before(() => {
+      dir = fs.mkdtempSync(path.join(os.tmpdir(), "hnsw-index-"));
+    });
+
+    after(() => {
+      fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    it("keeps vectors, tombstones and results through a roundtrip", async () => {
+      const index = buildIndex(vectors);
+      const removed = new Set(["p0", "p7", "p99"]);
+      removed.forEach((id) => index.remove(id));
+      index.add("p3", vectors[4]);
+
+      const filePath = path.join(dir, "nested", "papers.hnsw");
+      await index.save(filePath);
+      const loaded = await HNSWIndex.load(filePath);
+
+      assert.equal(loaded.size, index.size);
+      assert.equal(loaded.deletedCount, index.deletedCount);
+      assert.deepEqual(loaded.metadata, { model: "test" });
+      removed.forEach((id) => assert.equal(loaded.has(id), false));
+      assert.deepEqual(loaded.getVector("p3"), index.getVector("p3"));
+      for (const query of queries) {
+        assert.deepEqual(loaded.search(query, K), index.search(query, K));
+      }
+
+      // Compacting drops the tombstones but keeps every live vector
+      const compacted = loaded.compact();
+      assert.equal(compacted.deletedCount, 0);
+      assert.equal(compacted.size, index.size);
+      assert.deepEqual(compacted.getVector("p3"), index.getVector("p3"));
+      removed.forEach((id) => assert.equal(compacted.has(id), false));
+
+      const compactedPath = path.join(dir, "compacted.hnsw");
+      await compacted.save(compactedPath);
+      assert.ok(fs.statSync(compactedPath).size < fs.statSync(filePath).size);
+      const reloaded = await HNSWIndex.load(compactedPath);
+      assert.equal(reloaded.size, index.size);
+      assert.deepEqual(reloaded.metadata, { model: "test" });
+
+      // Results still match a brute-force search over the live vectors
+      const live = [...vectors];
+      live[3] = vectors[4];
+      for (const query of queries) {
+        const [top] = reloaded.search(query, 1);
+        const [expected] = bruteForce(live, query, 1, removed);
+        assert.ok(Math.abs(top.similarity - expected.similarity) < 1e-5);
+      }
+    });
+
+    it("refuses files that are not index files", async () => {
+      const filePath = path.join(dir, "not-an-index.hnsw");
+      fs.writeFileSync(filePath, "definitely not an index");
+      await assert.rejects(HNSWIndex.load(filePath), /not a vector index/);
+    });
+  });
+});
@@ -0,0 +1,177 @@
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+const {
+  MIN_NEAR_DUPLICATE_THRESHOLD,
+  normalizeText,
+  getNearDuplicateBands,
+  findNearDuplicate,
+} = require("../app/utils/nearDuplicate");
+const { getScoringSettings } = require("../app/utils/uniquenessChecker");
+const Room = require("../app/models/Room");
+
+const PROBLEM =
+  "Small farms lose a large share of their harvest because they cannot predict local weather and plan irrigation ahead of dry spells";
+const SOLUTION =
+  "A low cost sensor network shares soil moisture readings over long range radio and a phone app recommends when and how much to water";
+
+// Replace every nth word, lowering the shingle overlap with the original
+function rewordEvery(text, n) {
+  return text
+    .split(" ")
+    .map((word, i) => (i % n === n - 1 ? `changed${i}` : word))
+    .join(" ");
+}
+
+describe("normalizeText", () => {
+  it("ignores case, accents, punctuation and spacing", () => {
+    assert.equal(
+      normalizeText("  Café-Style   RÉSUMÉ, naïve!  "),
+      normalizeText("cafestyle resume naive")
+    );
+  });
+});
+
+describe("getNearDuplicateBands", () => {
+  it("returns 16 bands for each non-empty field", () => {
+    const bands = getNearDuplicateBands({
+      problemStatement: PROBLEM,
+      proposedSolution: SOLUTION,
+    });
+
+    assert.equal(bands.length, 32);
+    assert.equal(
+      bands.filter((b) => b.startsWith("problemStatement:")).length,
+      16
+    );
+    assert.deepEqual(
+      getNearDuplicateBands({ problemStatement: PROBLEM, proposedSolution: "" })
+        .length,
+      16
+    );
+    assert.deepEqual(getNearDuplicateBands({}), []);
+  });
+
+  it("gives texts that differ only in formatting the same bands", () => {
+    const original = getNearDuplicateBands({ problemStatement: PROBLEM });
+    const reformatted = getNearDuplicateBands({
+      problemStatement: `  ${PROBLEM.toUpperCase().replace(/ /g, ",  ")}.`,
+    });
+
+    assert.deepEqual(reformatted, original);
+  });
+
+  it("makes near-duplicates above the minimum threshold share a band", () => {
+    const original = new Set(
+      getNearDuplicateBands({ problemStatement: PROBLEM })
+    );
+    const reworded = getNearDuplicateBands({
+      problemStatement: rewordEvery(PROBLEM, 12),
+    });
+
+    assert.ok(reworded.some((band) => original.has(band)));
+  });
+});
+
+describe("findNearDuplicate", () => {
+  const idea = { problemStatement: PROBLEM, proposedSolution: SOLUTION };
+
+  it("returns null when no candidate reaches the threshold", () => {
+    const unrelated = {
+      _id: "b",
+      title: "Unrelated",
+      problemStatement: "Libraries struggle to digitise fragile manuscripts",
+      proposedSolution: "Robotic page turners with gentle vacuum grips",
+    };
+
+    assert.equal(findNearDuplicate(idea, [unrelated], 0.6), null);
+    assert.equal(findNearDuplicate(idea, [], 0.6), null);
+  });
+
+  it("reports the closest candidate with its shared passages", () => {
+    const copy = {
+      _id: "copy",
+      title: "Copied",
+      problemStatement: PROBLEM,
+      proposedSolution: "Something else entirely about drones and maps",
+    };
+    const partial = {
+      _id: "partial",
+      title: "Partly reworded",
+      problemStatement: rewordEvery(PROBLEM, 6),
+      proposedSolution: "Something else entirely about drones and maps",
+    };
+
+    const result = findNearDuplicate(
+      {
+        problemStatement: `${PROBLEM} in the region.`,
+        proposedSolution: SOLUTION,
+      },
+      [partial, copy],
+      0.6
+    );
+
+    assert.equal(result.ideaId, "copy");
+    assert.equal(result.title, "Copied");
+    assert.equal(result.field, "problemStatement");
+    // The 20 shingles of the copy out of the 23 of the longer statement
+    assert.equal(result.similarity, 87);
+    assert.equal(result.fieldSimilarity.proposedSolution, 0);
+    assert.deepEqual(result.passages, [
+      { field: "problemStatement", text: PROBLEM },
+    ]);
+  });
+
+  it("compares both fields and reports the more similar one", () => {
+    const candidate = {
+      _id: "c",
+      title: "Same solution",
+      problemStatement: "Cities need cheaper ways to monitor air quality",
+      proposedSolution: SOLUTION,
+    };
+
+    const result = findNearDuplicate(idea, [candidate], 0.6);
+    assert.equal(result.field, "proposedSolution");
+    assert.equal(result.similarity, 100);
+  });
+
+  it("keeps passages in their original wording", () => {
+    const candidate = {
+      _id: "d",
+      title: "Shouting",
+      problemStatement: PROBLEM.toUpperCase(),
+      proposedSolution: "",
+    };
+
+    const result = findNearDuplicate(
+      { problemStatement: PROBLEM, proposedSolution: "" },
+      [candidate],
+      0.6
+    );
+    assert.equal(result.passages[0].text, PROBLEM);
+  });
+});
+
+describe("near-duplicate threshold", () => {
+  it("is not allowed below the minimum on rooms", () => {
+    const room = new Room({
+      name: "Room",
+      description: "Description",
+      topic: "Topic",
+      createdBy: "Creator",
+      scoringSettings: {
+        nearDuplicateThreshold: MIN_NEAR_DUPLICATE_THRESHOLD - 0.1,
+      },
+    });
+
+    const error = room.validateSync();
+    assert.ok(error.errors["scoringSettings.nearDuplicateThreshold"]);
+  });
+
+  it("is raised to the minimum for rooms saved with a lower one", () => {
+    const settings = getScoringSettings({
+      scoringSettings: { nearDuplicateThreshold: 0.4 },
+    });
+
+    assert.equal(settings.nearDuplicateThreshold, MIN_NEAR_DUPLICATE_THRESHOLD);
+  });
+});
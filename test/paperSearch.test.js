@@ -0,0 +1,224 @@
+const { describe, it, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+
+// Use an empty index in a temporary directory
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), "paper-search-"));
+process.env.VECTOR_DB_TYPE = "local";
+process.env.VECTOR_INDEX_PATH = path.join(dir, "papers.hnsw");
+
+const axios = require("axios");
+const mongoose = require("mongoose");
+const Paper = require("../app/models/Paper");
+const {
+  storePaperEmbeddings,
+  setAutoSave,
+} = require("../app/utils/vectorDatabase");
+const {
+  fuseRankings,
+  getHighlights,
+  getHighlightPattern,
+  searchPapers,
+} = require("../app/utils/paperSearch");
+
+const MODEL = "test-model-v2";
+const PAPERS = {
+  both: { _id: "6650f1a2b3c4d5e6f7a8b9c1", title: "Found by both searches" },
+  keyword: { _id: "6650f1a2b3c4d5e6f7a8b9c2", title: "Found by keywords" },
+  meaning: { _id: "6650f1a2b3c4d5e6f7a8b9c3", title: "Found by meaning" },
+  unrelated: { _id: "6650f1a2b3c4d5e6f7a8b9c4", title: "Unrelated" },
+};
+
+// Offsets of the matches must point at the query words in the text
+function matchedWords({ text, matches }) {
+  return matches.map(([start, end]) => text.slice(start, end).toLowerCase());
+}
+
+before(async () => {
+  setAutoSave(false);
+  const vectors = {
+    both: [1, 0, 0, 0],
+    meaning: [0.8, 0.6, 0, 0],
+    unrelated: [0, 0, 1, 0],
+  };
+  for (const [name, vector] of Object.entries(vectors)) {
+    await storePaperEmbeddings(PAPERS[name]._id, {
+      abstract: vector,
+      conclusion: vector,
+      model: MODEL,
+      dimension: 4,
+    });
+  }
+
+  // Hydrate matches without a database
+  Object.defineProperty(mongoose.connection, "readyState", {
+    value: 1,
+    configurable: true,
+  });
+});
+
+after(() => {
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+describe("fuseRankings", () => {
+  it("ranks ids found by both lists above those found by one", () => {
+    const fused = fuseRankings({
+      keyword: ["a", "b", "c"],
+      semantic: ["d", "c"],
+    });
+
+    assert.deepEqual(
+      fused.map((entry) => entry.id),
+      ["c", "a", "d", "b"]
+    );
+    assert.deepEqual(fused[0].ranks, { keyword: 3, semantic: 2 });
+    assert.equal(fused[0].score, 1 / 63 + 1 / 62);
+    assert.deepEqual(fused[1].ranks, { keyword: 1 });
+  });
+
+  it("keeps the order of a single list", () => {
+    const fused = fuseRankings({ keyword: ["a", "b"], semantic: [] });
+    assert.deepEqual(
+      fused.map((entry) => entry.id),
+      ["a", "b"]
+    );
+  });
+});
+
+describe("searchPapers", () => {
+  it("puts papers found by both searches first", async (t) => {
+    t.mock.method(axios, "post", async () => ({
+      data: {
+        embeddings: { abstract: [1, 0, 0, 0] },
+        model: MODEL,
+        dimension: 4,
+      },
+    }));
+    t.mock.method(Paper, "find", (query) => {
+      // Keyword search: the best text match is only found by keywords
+      if (query.$text) {
+        const textMatches = [
+          { _id: PAPERS.keyword._id, score: 3 },
+          { _id: PAPERS.both._id, score: 2 },
+        ];
+        const chain = {
+          select: () => chain,
+          sort: () => chain,
+          limit: () => chain,
+          lean: async () => textMatches,
+        };
+        return chain;
+      }
+      const ids = query._id.$in.map(String);
+      return {
+        select: async () =>
+          Object.values(PAPERS).filter((paper) => ids.includes(paper._id)),
+      };
+    });
+
+    const { degraded, results } = await searchPapers("crop yield", {
+      $text: { $search: "crop yield" },
+    });
+
+    assert.equal(degraded, false);
+    assert.deepEqual(
+      results.map((result) => result.title),
+      ["Found by both searches", "Found by keywords", "Found by meaning"]
+    );
+    assert.deepEqual(results[0].ranks, { keyword: 2, semantic: 1 });
+    assert.equal(results[0].textScore, 2);
+    assert.equal(results[0].similarity, 1);
+    assert.equal(results[1].similarity, undefined);
+    assert.equal(results[2].textScore, undefined);
+  });
+
+  it("falls back to keywords when the embedding service is down", async (t) => {
+    t.mock.method(console, "warn", () => {});
+    t.mock.method(console, "error", () => {});
+    t.mock.method(axios, "post", async () => {
+      throw new Error("connect ECONNREFUSED");
+    });
+    t.mock.method(Paper, "find", (query) => {
+      if (query.$text) {
+        const chain = {
+          select: () => chain,
+          sort: () => chain,
+          limit: () => chain,
+          lean: async () => [{ _id: PAPERS.keyword._id, score: 1 }],
+        };
+        return chain;
+      }
+      return { select: async () => [PAPERS.keyword] };
+    });
+
+    const { degraded, results } = await searchPapers("crop yield", {
+      $text: { $search: "crop yield" },
+    });
+
+    assert.equal(degraded, true);
+    assert.deepEqual(
+      results.map((result) => result.title),
+      ["Found by keywords"]
+    );
+  });
+});
+
+describe("getHighlights", () => {
+  const pattern = getHighlightPattern("predicting crop yields");
+
+  it("points the match offsets at the query words in the title", () => {
+    const [title] = getHighlights(
+      { title: "Predicting Crop Yields from Satellite Images" },
+      pattern
+    );
+
+    assert.equal(title.field, "title");
+    assert.deepEqual(matchedWords(title), ["predicting", "crop", "yields"]);
+  });
+
+  it("keeps the match offsets right after trimming a long sentence", () => {
+    const filler = "regional weather records were gathered over many seasons";
+    const abstract = `${filler} and ${filler} while ${filler}, so that we could compare predicted crop yield against the harvest reported by ${filler} and ${filler}.`;
+    const [snippet] = getHighlights({ title: "Untitled", abstract }, pattern);
+
+    assert.ok(abstract.length > 200);
+    assert.equal(snippet.field, "abstract");
+    assert.ok(snippet.text.startsWith("..."));
+    assert.ok(snippet.text.endsWith("..."));
+    assert.ok(snippet.text.length <= 206);
+    assert.deepEqual(matchedWords(snippet), ["predicted", "crop", "yield"]);
+  });
+
+  it("prefers sentences with more distinct query words", () => {
+    const [first, second] = getHighlights(
+      {
+        title: "Untitled",
+        abstract: "Crop rotation is common. We predict crop yields early.",
+        conclusion: "Yields vary.",
+      },
+      pattern
+    );
+
+    assert.equal(first.text, "We predict crop yields early.");
+    assert.deepEqual(matchedWords(first), ["predict", "crop", "yields"]);
+    assert.equal(second.text, "Crop rotation is common.");
+  });
+
+  it("uses the start of the abstract for papers found by meaning", () => {
+    const highlights = getHighlights(
+      { title: "Untitled", abstract: "Farmers  plan irrigation ahead." },
+      pattern
+    );
+
+    assert.deepEqual(highlights, [
+      {
+        field: "abstract",
+        text: "Farmers plan irrigation ahead.",
+        matches: [],
+      },
+    ]);
+  });
+});
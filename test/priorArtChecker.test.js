@@ -0,0 +1,85 @@
+const { describe, it, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+
+// Use an empty index in a temporary directory
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), "prior-art-"));
+process.env.VECTOR_DB_TYPE = "local";
+process.env.VECTOR_INDEX_PATH = path.join(dir, "papers.hnsw");
+
+const axios = require("axios");
+const mongoose = require("mongoose");
+const Paper = require("../app/models/Paper");
+const {
+  storePaperEmbeddings,
+  setAutoSave,
+} = require("../app/utils/vectorDatabase");
+const { LEGACY_EMBEDDING_MODEL } = require("../app/utils/embeddingModel");
+const { checkIdeaPriorArt } = require("../app/utils/priorArtChecker");
+
+// A model other than the legacy one, as after a migration
+const MODEL = "test-model-v2";
+const PAPERS = [
+  { _id: "6650f1a2b3c4d5e6f7a8b9c1", title: "Close match" },
+  { _id: "6650f1a2b3c4d5e6f7a8b9c2", title: "Distant match" },
+];
+
+before(async () => {
+  setAutoSave(false);
+  await storePaperEmbeddings(PAPERS[0]._id, {
+    abstract: [1, 0, 0, 0],
+    conclusion: [0, 1, 0, 0],
+    model: MODEL,
+    dimension: 4,
+  });
+  await storePaperEmbeddings(PAPERS[1]._id, {
+    abstract: [0, 0, 1, 0],
+    conclusion: [0, 0, 0, 1],
+    model: MODEL,
+    dimension: 4,
+  });
+
+  // Hydrate matches without a database
+  Object.defineProperty(mongoose.connection, "readyState", {
+    value: 1,
+    configurable: true,
+  });
+});
+
+after(() => {
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+describe("checkIdeaPriorArt", () => {
+  it("scores each field when the service runs a non-legacy model", async (t) => {
+    assert.notEqual(MODEL, LEGACY_EMBEDDING_MODEL);
+    t.mock.method(axios, "post", async () => ({
+      data: {
+        embeddings: { abstract: [1, 0, 0, 0], conclusion: [0, 1, 0, 0] },
+        model: MODEL,
+        dimension: 4,
+      },
+    }));
+    t.mock.method(Paper, "find", () => ({ select: async () => PAPERS }));
+
+    const result = await checkIdeaPriorArt(
+      { problemStatement: "Problem", proposedSolution: "Solution" },
+      2
+    );
+
+    assert.equal(result.similarPapers.length, 2);
+    const [closest, distant] = result.similarPapers;
+    assert.equal(closest.title, "Close match");
+    // Papers are indexed by the 0.6/0.4 mix of their abstract and conclusion
+    assert.deepEqual(closest.fieldSimilarity, {
+      problemStatement: 0.8321,
+      proposedSolution: 0.5547,
+    });
+    assert.deepEqual(distant.fieldSimilarity, {
+      problemStatement: 0,
+      proposedSolution: 0,
+    });
+  });
+});